@@ -0,0 +1,222 @@
+// lib/admin.js - Admin console queries: upload search, upload detail, usage stats, bulk delete
+//
+// Read-only views over resume_uploads, generation_results and generation_runs, plus
+// a delete that removes uploads together with their stored files. Generations and
+// runs go with their upload (ON DELETE CASCADE); published sites keep their own
+// HTML snapshot, so they stay up. Token spend comes from the token_usage ledger, which
+// deletes leave alone. Dates are UTC days (YYYY-MM-DD).
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const { removeUploads } = require('./privacy');
+const { loadUploadImages, inlineImages } = require('./images');
+const log = require('./logger');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const SEARCH_MAX_LIMIT = 200;
+const STATS_MAX_DAYS = 90;
+const DELETE_MAX = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Start of the UTC day `value` (YYYY-MM-DD) plus `addDays`, as an ISO string; 400 when malformed. */
+function dayStart(value, name, addDays = 0) {
+  const date = DATE_RE.test(String(value)) ? new Date(`${value}T00:00:00.000Z`) : null;
+  if (!date || isNaN(date)) throw httpError(400, `${name} must be a date like 2025-01-31.`);
+  return new Date(date.getTime() + addDays * DAY_MS).toISOString();
+}
+
+/**
+ * resume_uploads matching `filters` = { from?, to?, visitor_id?, user_id?, template?, limit?, offset? },
+ * newest first. `to` is inclusive. Resolves to { uploads, total, limit, offset }; each upload has
+ * its generation count.
+ */
+async function searchUploads(filters) {
+  const { db } = getStorage();
+  const where = {};
+  const created = {};
+  if (filters.from) created.gte = dayStart(filters.from, 'from');
+  if (filters.to) created.lt = dayStart(filters.to, 'to', 1);
+  if (Object.keys(created).length) where.created_at = created;
+  if (filters.visitor_id) where.visitor_id = String(filters.visitor_id).trim();
+  if (filters.user_id) where.user_id = String(filters.user_id).trim();
+  if (filters.template) where.template = String(filters.template).trim();
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), SEARCH_MAX_LIMIT);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  const uploads = await db.find('resume_uploads', where, {
+    columns: ['id', 'file_name', 'file_size', 'template', 'visitor_id', 'user_id', 'storage_path', 'created_at'],
+    orderBy: 'created_at',
+    desc: true,
+    limit,
+    offset,
+  });
+  const generations = uploads.length
+    ? await db.find('generation_results', { resume_upload_id: { in: uploads.map((u) => u.id) } }, { columns: ['resume_upload_id'] })
+    : [];
+  const total = await db.count('resume_uploads', where);
+  return {
+    uploads: uploads.map((u) => ({
+      id: u.id,
+      fileName: u.file_name,
+      fileSize: u.file_size,
+      template: u.template,
+      visitorId: u.visitor_id,
+      userId: u.user_id,
+      hasFile: !!u.storage_path,
+      createdAt: u.created_at,
+      generations: generations.filter((g) => g.resume_upload_id === u.id).length,
+    })),
+    total,
+    limit,
+    offset,
+  };
+}
+
+/** One upload with every generation (including HTML, images inlined) and run; 404 when it doesn't exist. */
+async function getUploadDetail(id) {
+  const { db } = getStorage();
+  const upload = UUID_RE.test(String(id)) ? await db.get('resume_uploads', id) : null;
+  if (!upload) throw httpError(404, 'Upload not found.');
+  const generations = await db.find('generation_results', { resume_upload_id: upload.id }, { orderBy: 'created_at' });
+  const runs = await db.find('generation_runs', { resume_upload_id: upload.id }, { orderBy: 'created_at' });
+  const images = await loadUploadImages(upload.id);
+  return {
+    upload: {
+      id: upload.id,
+      fileName: upload.file_name,
+      fileSize: upload.file_size,
+      template: upload.template,
+      theme: upload.theme || null,
+      visitorId: upload.visitor_id,
+      userId: upload.user_id,
+      hasFile: !!upload.storage_path,
+      parsedResume: upload.parsed_resume || null,
+      createdAt: upload.created_at,
+    },
+    generations: generations.map((g) => ({
+      id: g.id,
+      template: g.template,
+      theme: g.theme || null,
+      provider: g.llm_provider,
+      model: g.llm_model,
+      parentId: g.parent_id || null,
+      instruction: g.instruction || null,
+      validation: g.validation || null,
+      inputTokens: g.input_tokens,
+      outputTokens: g.output_tokens,
+      costUsd: g.cost_usd != null ? Number(g.cost_usd) : null,
+      html: inlineImages(g.llm_html, images),
+      createdAt: g.created_at,
+    })),
+    runs: runs.map((r) => ({
+      id: r.id,
+      kind: r.kind,
+      status: r.status,
+      generationId: r.generation_id,
+      provider: r.provider,
+      cached: r.cached,
+      durationMs: r.duration_ms,
+      error: r.error,
+      jobId: r.job_id,
+      requestId: r.request_id || null,
+      createdAt: r.created_at,
+    })),
+  };
+}
+
+/** The stored original file of an upload: { buffer, fileName }; 404 when the upload or file is gone. */
+async function getUploadFile(id) {
+  const { db, objects } = getStorage();
+  const upload = UUID_RE.test(String(id)) ? await db.get('resume_uploads', id) : null;
+  if (!upload || !upload.storage_path) throw httpError(404, 'File not found.');
+  const buffer = await objects.get(upload.storage_path);
+  if (!buffer) throw httpError(404, 'The stored file is no longer available.');
+  return { buffer, fileName: upload.file_name || upload.storage_path };
+}
+
+/**
+ * Per-day totals for the last `days` UTC days (today included): uploads, runs, failed, cancelled,
+ * failureRate, avgLatencyMs (finished runs that called a provider), inputTokens, outputTokens, costUsd
+ * (every provider call, failed and cancelled ones included; see lib/quotas.js). Resolves to { days: [...], totals }.
+ */
+async function usageStats(days) {
+  const n = Math.min(Math.max(parseInt(days, 10) || 30, 1), STATS_MAX_DAYS);
+  const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00.000Z`);
+  const since = new Date(today.getTime() - (n - 1) * DAY_MS).toISOString();
+  const { db } = getStorage();
+  const range = { created_at: { gte: since } };
+  const [uploads, runs, usage] = await Promise.all([
+    db.find('resume_uploads', range, { columns: ['created_at'] }),
+    db.find('generation_runs', range, { columns: ['status', 'cached', 'duration_ms', 'created_at'] }),
+    db.find('token_usage', range, { columns: ['input_tokens', 'output_tokens', 'cost_usd', 'created_at'] }),
+  ]);
+
+  const buckets = new Map();
+  for (let i = 0; i < n; i++) {
+    const date = new Date(today.getTime() - (n - 1 - i) * DAY_MS).toISOString().slice(0, 10);
+    buckets.set(date, { date, uploads: 0, runs: 0, failed: 0, cancelled: 0, latencyTotal: 0, latencyCount: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+  }
+  const bucketOf = (row) => buckets.get(new Date(row.created_at).toISOString().slice(0, 10));
+  for (const u of uploads) {
+    const b = bucketOf(u);
+    if (b) b.uploads++;
+  }
+  for (const r of runs) {
+    const b = bucketOf(r);
+    if (!b) continue;
+    b.runs++;
+    if (r.status === 'failed') b.failed++;
+    if (r.status === 'cancelled') b.cancelled++;
+    if (r.status === 'done' && !r.cached && r.duration_ms != null) {
+      b.latencyTotal += r.duration_ms;
+      b.latencyCount++;
+    }
+  }
+  for (const g of usage) {
+    const b = bucketOf(g);
+    if (!b) continue;
+    b.inputTokens += g.input_tokens || 0;
+    b.outputTokens += g.output_tokens || 0;
+    b.costUsd += Number(g.cost_usd) || 0;
+  }
+
+  const summarize = (b) => ({
+    uploads: b.uploads,
+    runs: b.runs,
+    failed: b.failed,
+    cancelled: b.cancelled,
+    failureRate: b.runs ? Math.round((b.failed / b.runs) * 1000) / 1000 : 0,
+    avgLatencyMs: b.latencyCount ? Math.round(b.latencyTotal / b.latencyCount) : null,
+    inputTokens: b.inputTokens,
+    outputTokens: b.outputTokens,
+    costUsd: Math.round(b.costUsd * 1e6) / 1e6,
+  });
+  const all = [...buckets.values()];
+  const sum = all.reduce((t, b) => {
+    for (const key of Object.keys(t)) t[key] += b[key];
+    return t;
+  }, { uploads: 0, runs: 0, failed: 0, cancelled: 0, latencyTotal: 0, latencyCount: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+  return { days: all.map((b) => ({ date: b.date, ...summarize(b) })), totals: summarize(sum) };
+}
+
+/**
+ * Delete uploads by id (up to DELETE_MAX), or every upload of `visitorId`, with their stored files,
+ * generations and runs. Resolves to { uploads, generations, runs, files } counts.
+ */
+async function deleteUploads({ ids, visitorId }) {
+  let where;
+  if (Array.isArray(ids) && ids.length) {
+    if (ids.length > DELETE_MAX) throw httpError(400, `Delete at most ${DELETE_MAX} uploads at a time.`);
+    if (!ids.every((id) => UUID_RE.test(String(id)))) throw httpError(400, 'ids must be upload ids.');
+    where = { id: { in: ids.map(String) } };
+  } else if (visitorId) {
+    where = { visitor_id: String(visitorId).trim() };
+  } else {
+    throw httpError(400, 'Send ids (upload ids) or visitor_id.');
+  }
+  const removed = await removeUploads(where);
+  log.info('Admin deleted uploads', removed);
+  return removed;
+}
+
+module.exports = { searchUploads, getUploadDetail, getUploadFile, usageStats, deleteUploads };
@@ -0,0 +1,298 @@
+// lib/audit/contrast.js - Text/background contrast from a page's own stylesheets
+//
+// A small cascade, enough for generated pages: the <style> blocks and style=""
+// attributes are matched against the document (type, .class, #id, :root and
+// descendant/child combinators; rules with other selectors are skipped), custom
+// properties and colours are inherited, and every element with text of its own is
+// checked against the nearest background behind it (3:1 for large text, 4.5:1
+// otherwise; aria-hidden content is skipped). Rules inside @media
+// (prefers-color-scheme: dark) are checked in a second, dark pass; other @media
+// blocks (print, breakpoints) are ignored. Backgrounds that can't be known
+// (images, color-mix(), ...) skip the text on them rather than guess.
+const { contrast, mix } = require('../templates/colors');
+
+const DEFAULT_BG = '#ffffff';
+const DEFAULT_TEXT = '#000000';
+const NORMAL_RATIO = 4.5;
+const LARGE_RATIO = 3;
+// WCAG "large text": at least 24px, or 18.66px and bold. Browser default sizes (px) and bold elements:
+const ROOT_FONT_SIZE = 16;
+const TAG_FONT_SIZES = { h1: 32, h2: 24, h3: 18.72, h4: 16, h5: 13.28, h6: 10.72, small: 13.33 };
+const BOLD_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'b', 'strong', 'th']);
+const SKIP_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+const DARK_MEDIA_RE = /prefers-color-scheme\s*:\s*dark/i;
+const NAMED_COLORS = { white: '#ffffff', black: '#000000', red: '#ff0000', green: '#008000', blue: '#0000ff', gray: '#808080', grey: '#808080', silver: '#c0c0c0', navy: '#000080' };
+const COLOR_TOKEN_RE = /#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)|\b(?:transparent|white|black|red|green|blue|gr[ae]y|silver|navy)\b/gi;
+const VAR_RE = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g;
+
+function attr(node, name) {
+  const a = (node.attrs || []).find((x) => x.name === name);
+  return a ? a.value : null;
+}
+
+/** 'color: red; background: #fff !important' → [{ prop, value }]. */
+function parseDeclarations(text) {
+  return String(text || '').split(';').map((d) => {
+    const i = d.indexOf(':');
+    if (i === -1) return null;
+    const prop = d.slice(0, i).trim();
+    const value = d.slice(i + 1).replace(/!important\s*$/i, '').trim();
+    return prop && value ? { prop: prop.startsWith('--') ? prop : prop.toLowerCase(), value } : null;
+  }).filter(Boolean);
+}
+
+/** Style rules of a stylesheet: [{ selector, declarations, media }] where media lists the enclosing @-rule preludes. */
+function parseStylesheet(css) {
+  const text = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+  const rules = [];
+  const stack = [];
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === ';' && !stack.length) start = i + 1; // @import, @charset
+    else if (c === '}') {
+      stack.pop();
+      start = i + 1;
+    } else if (c === '{') {
+      const prelude = text.slice(start, i).trim();
+      if (prelude.startsWith('@')) {
+        stack.push(prelude);
+        start = i + 1;
+        continue;
+      }
+      const end = text.indexOf('}', i);
+      if (end === -1) break;
+      rules.push({ selector: prelude, declarations: parseDeclarations(text.slice(i + 1, end)), media: [...stack] });
+      i = end;
+      start = end + 1;
+    }
+  }
+  return rules;
+}
+
+/** '.a > b.c' → [{ tag, ids, classes, root, combinator }] (rightmost last), or null for selectors this cascade can't match. */
+function parseSelector(selector) {
+  const parts = [];
+  let combinator = ' ';
+  for (const token of selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/)) {
+    if (token === '>') {
+      combinator = '>';
+      continue;
+    }
+    const m = token.match(/^(\*|[a-z][a-z0-9-]*)?((?:[.#][\w-]+|:root)*)$/i);
+    if (!m || (!m[1] && !m[2])) return null;
+    const simple = m[2].match(/[.#][\w-]+|:root/g) || [];
+    parts.push({
+      tag: m[1] && m[1] !== '*' ? m[1].toLowerCase() : null,
+      ids: simple.filter((s) => s[0] === '#').map((s) => s.slice(1)),
+      classes: simple.filter((s) => s[0] === '.').map((s) => s.slice(1)),
+      root: simple.includes(':root'),
+      combinator,
+    });
+    combinator = ' ';
+  }
+  return parts.length ? parts : null;
+}
+
+function specificity(parts) {
+  return parts.reduce((sum, p) => sum + p.ids.length * 10000 + (p.classes.length + (p.root ? 1 : 0)) * 100 + (p.tag ? 1 : 0), 0);
+}
+
+function matchesCompound(part, node) {
+  if (part.tag && node.tagName !== part.tag) return false;
+  if (part.root && node.tagName !== 'html') return false;
+  if (part.ids.length && !part.ids.every((id) => attr(node, 'id') === id)) return false;
+  if (part.classes.length) {
+    const classes = String(attr(node, 'class') || '').split(/\s+/);
+    if (!part.classes.every((c) => classes.includes(c))) return false;
+  }
+  return true;
+}
+
+/** Whether `parts` (from parseSelector) match `node`, whose ancestors are `chain` (nearest last). */
+function matches(parts, node, chain, index = parts.length - 1) {
+  if (!matchesCompound(parts[index], node)) return false;
+  if (index === 0) return true;
+  const child = parts[index].combinator === '>';
+  for (let i = chain.length - 1; i >= 0; i--) {
+    if (matches(parts, chain[i], chain.slice(0, i), index - 1)) return true;
+    if (child) return false;
+  }
+  return false;
+}
+
+/** Replace var(--x, fallback) with the element's custom properties; null when one is undefined. */
+function resolveVars(value, vars) {
+  let out = value;
+  for (let depth = 0; depth < 8 && out.includes('var('); depth++) {
+    let missing = false;
+    out = out.replace(VAR_RE, (m, name, fallback) => {
+      if (vars[name] != null) return vars[name];
+      if (fallback != null) return fallback;
+      missing = true;
+      return '';
+    });
+    if (missing) return null;
+  }
+  return out.includes('var(') ? null : out;
+}
+
+function hslToHex(h, s, l) {
+  const k = (n) => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return '#' + [f(0), f(8), f(4)].map((x) => Math.round(x * 255).toString(16).padStart(2, '0')).join('');
+}
+
+/** One CSS colour → { hex, alpha }, or null when it isn't one this module reads. */
+function parseColor(token) {
+  const t = String(token || '').trim().toLowerCase();
+  if (t === 'transparent') return { hex: '#000000', alpha: 0 };
+  if (NAMED_COLORS[t]) return { hex: NAMED_COLORS[t], alpha: 1 };
+  let m = t.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (m) {
+    const h = m[1].length <= 4 ? m[1].split('').map((c) => c + c).join('') : m[1];
+    return { hex: '#' + h.slice(0, 6), alpha: h.length === 8 ? parseInt(h.slice(6), 16) / 255 : 1 };
+  }
+  m = t.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+  if (!m) return null;
+  const nums = m[2].split(/[\s,/]+/).filter(Boolean);
+  if (nums.length < 3) return null;
+  const num = (v, scale) => (v.endsWith('%') ? (parseFloat(v) / 100) * scale : parseFloat(v));
+  const alpha = nums[3] != null ? num(nums[3], 1) : 1;
+  let hex;
+  if (m[1].startsWith('rgb')) {
+    const [r, g, b] = nums.slice(0, 3).map((v) => Math.max(0, Math.min(255, Math.round(num(v, 255)))));
+    if ([r, g, b].some(Number.isNaN)) return null;
+    hex = '#' + [r, g, b].map((x) => x.toString(16).padStart(2, '0')).join('');
+  } else {
+    const [h, s, l] = [parseFloat(nums[0]), num(nums[1], 1), num(nums[2], 1)];
+    if ([h, s, l].some(Number.isNaN)) return null;
+    hex = hslToHex(((h % 360) + 360) % 360, s, l);
+  }
+  return Number.isNaN(alpha) ? null : { hex, alpha: Math.max(0, Math.min(1, alpha)) };
+}
+
+/** A colour drawn over the solid colour `under`. */
+function flatten(color, under) {
+  return color.alpha >= 1 ? color.hex : mix(under, color.hex, color.alpha);
+}
+
+/**
+ * The background an element paints, as solid colours (several for gradients): [] when it is
+ * transparent, null when it can't be read (images, unknown functions).
+ */
+function backgroundColors(value) {
+  const v = value.trim().toLowerCase();
+  if (['none', 'transparent', 'initial', 'unset', 'inherit'].includes(v)) return [];
+  const tokens = v.match(COLOR_TOKEN_RE) || [];
+  if (/url\(|color-mix\(|conic-gradient|currentcolor/.test(v)) return null;
+  const colors = tokens.map(parseColor);
+  if (!colors.length || colors.some((c) => !c)) return null;
+  return colors;
+}
+
+/** Rules that apply in `scheme` ('light' | 'dark'), with parsed selectors, in source order. */
+function rulesFor(rules, scheme) {
+  const out = [];
+  rules.forEach((rule, order) => {
+    const dark = rule.media.some((m) => DARK_MEDIA_RE.test(m));
+    if (rule.media.some((m) => !/^@media\b/i.test(m))) return;
+    if (rule.media.length && !(scheme === 'dark' && dark && rule.media.length === 1)) return;
+    for (const selector of rule.selector.split(',')) {
+      const parts = parseSelector(selector);
+      if (parts) out.push({ parts, specificity: specificity(parts), order, declarations: rule.declarations });
+    }
+  });
+  return out;
+}
+
+/** font-size in px from px, rem, em or %; `inherited` for anything else (calc(), clamp(), keywords). */
+function fontSizeOf(value, inherited) {
+  const m = String(value || '').trim().toLowerCase().match(/^([\d.]+)(px|rem|em|%)$/);
+  if (!m) return inherited;
+  const n = parseFloat(m[1]);
+  return { px: n, rem: n * ROOT_FONT_SIZE, em: n * inherited, '%': (n / 100) * inherited }[m[2]];
+}
+
+function isBold(value, inherited) {
+  const v = String(value || '').trim().toLowerCase();
+  if (v === 'bold' || v === 'bolder') return true;
+  if (v === 'normal' || v === 'lighter') return false;
+  return /^\d+$/.test(v) ? Number(v) >= 600 : inherited;
+}
+
+function ownText(node) {
+  return (node.childNodes || []).filter((c) => c.nodeName === '#text').map((c) => c.value).join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Walk the document and collect text whose colour doesn't stand out enough from its background.
+ * Resolves to [{ fg, bg, ratio, required, sample, scheme }], one per distinct colour pair.
+ */
+function checkScheme(doc, rules, scheme) {
+  const failures = new Map();
+  const visit = (node, chain, parent) => {
+    for (const child of node.childNodes || []) {
+      // aria-hidden content (decorative initials, icons) is exempt
+      if (!child.tagName || SKIP_TAGS.has(child.tagName) || attr(child, 'aria-hidden') === 'true') continue;
+      const matched = rules.filter((r) => matches(r.parts, child, chain))
+        .sort((a, b) => a.specificity - b.specificity || a.order - b.order)
+        .flatMap((r) => r.declarations)
+        .concat(parseDeclarations(attr(child, 'style')));
+      const vars = { ...parent.vars };
+      for (const d of matched) if (d.prop.startsWith('--')) vars[d.prop] = d.value;
+
+      const last = (props) => [...matched].reverse().find((d) => props.includes(d.prop));
+      const colorDecl = last(['color']);
+      const bgDecl = last(['background', 'background-color']);
+      let color = parent.color;
+      if (colorDecl && !/^(inherit|currentcolor)$/i.test(colorDecl.value)) {
+        const parsed = parseColor(resolveVars(colorDecl.value, vars));
+        color = parsed || null;
+      }
+      let bg = parent.bg;
+      if (bgDecl) {
+        const resolved = resolveVars(bgDecl.value, vars);
+        const layers = resolved == null ? null : backgroundColors(resolved);
+        if (layers === null) bg = null;
+        else if (layers.length && bg) bg = layers.map((c) => flatten(c, bg[0]));
+        else if (layers.length) bg = layers.every((c) => c.alpha >= 1) ? layers.map((c) => c.hex) : null;
+      }
+
+      const sizeDecl = last(['font-size']);
+      const weightDecl = last(['font-weight']);
+      const fontSize = sizeDecl ? fontSizeOf(resolveVars(sizeDecl.value, vars), parent.fontSize) : TAG_FONT_SIZES[child.tagName] || parent.fontSize;
+      const bold = weightDecl ? isBold(resolveVars(weightDecl.value, vars), parent.bold) : BOLD_TAGS.has(child.tagName) || parent.bold;
+
+      const text = ownText(child);
+      if (text && color && bg) {
+        const large = fontSize >= 24 || (fontSize >= 18.66 && bold);
+        const required = large ? LARGE_RATIO : NORMAL_RATIO;
+        for (const b of bg) {
+          const fg = flatten(color, b);
+          const ratio = contrast(fg, b);
+          const key = `${fg}|${b}|${required}`;
+          if (ratio < required && !failures.has(key)) {
+            failures.set(key, { fg, bg: b, ratio: Math.round(ratio * 100) / 100, required, sample: text.slice(0, 40), scheme });
+          }
+        }
+      }
+      visit(child, [...chain, child], { vars, color, bg, fontSize, bold });
+    }
+  };
+  visit(doc, [], { vars: {}, color: { hex: DEFAULT_TEXT, alpha: 1 }, bg: [DEFAULT_BG], fontSize: ROOT_FONT_SIZE, bold: false });
+  return [...failures.values()];
+}
+
+/** Contrast failures of a parsed document (parse5) in light mode, and in dark mode when the page styles one. */
+function contrastFailures(doc, cssTexts) {
+  const rules = cssTexts.flatMap(parseStylesheet);
+  const failures = checkScheme(doc, rulesFor(rules, 'light'), 'light');
+  if (rules.some((r) => r.media.some((m) => DARK_MEDIA_RE.test(m)))) {
+    failures.push(...checkScheme(doc, rulesFor(rules, 'dark'), 'dark'));
+  }
+  return failures;
+}
+
+module.exports = { contrastFailures, parseStylesheet, parseColor, NORMAL_RATIO, LARGE_RATIO };
@@ -0,0 +1,289 @@
+// lib/audit/index.js - Accessibility and SEO audit of a generated page
+//
+// auditHtml checks the stored HTML (no browser): language, viewport, title and
+// description, Open Graph tags, schema.org Person JSON-LD, image alt text,
+// heading structure and text contrast (lib/audit/contrast.js). Each check that
+// fails gives one finding and costs its weight from a score of 100.
+//
+// fixHtml repairs what can be repaired without changing the design: it fills in
+// lang, viewport, title, description, Open Graph tags and Person JSON-LD from the
+// parsed resume, and alt text for the uploaded images. Alt text for other images,
+// headings and colours need a person (or a refine instruction).
+const parse5 = require('parse5');
+const { escapeHtml } = require('../html');
+const { referencedImageNames } = require('../images');
+const { contrastFailures } = require('./contrast');
+
+// Check id → { category, severity, weight }; the weights add up to 100.
+const CHECKS = {
+  'html-lang': { category: 'accessibility', severity: 'error', weight: 10 },
+  'viewport': { category: 'accessibility', severity: 'error', weight: 8 },
+  'viewport-zoom': { category: 'accessibility', severity: 'error', weight: 5 },
+  'img-alt': { category: 'accessibility', severity: 'error', weight: 15 },
+  'color-contrast': { category: 'accessibility', severity: 'error', weight: 15 },
+  'heading-h1': { category: 'accessibility', severity: 'warning', weight: 6 },
+  'heading-order': { category: 'accessibility', severity: 'warning', weight: 5 },
+  'heading-empty': { category: 'accessibility', severity: 'warning', weight: 3 },
+  'title': { category: 'seo', severity: 'error', weight: 10 },
+  'meta-description': { category: 'seo', severity: 'warning', weight: 8 },
+  'open-graph': { category: 'seo', severity: 'warning', weight: 7 },
+  'json-ld-person': { category: 'seo', severity: 'warning', weight: 8 },
+};
+const FIXABLE = new Set(['html-lang', 'viewport', 'viewport-zoom', 'title', 'meta-description', 'open-graph', 'json-ld-person']);
+const OG_REQUIRED = ['og:title', 'og:description', 'og:type'];
+const DEFAULT_LANG = 'en';
+const VIEWPORT = 'width=device-width, initial-scale=1';
+const DESCRIPTION_MAX_LENGTH = 160;
+const MAX_ITEMS = 10;
+
+function attr(node, name) {
+  const a = (node.attrs || []).find((x) => x.name === name);
+  return a ? a.value : null;
+}
+
+function setAttr(node, name, value) {
+  const a = node.attrs.find((x) => x.name === name);
+  if (a) a.value = value;
+  else node.attrs.push({ name, value });
+}
+
+function walk(node, visit) {
+  for (const child of [...(node.childNodes || [])]) {
+    if (visit(child) !== false) walk(child, visit);
+  }
+  if (node.content) walk(node.content, visit); // <template>
+}
+
+function elements(node, test) {
+  const found = [];
+  walk(node, (n) => {
+    if (n.tagName && test(n)) found.push(n);
+    return true;
+  });
+  return found;
+}
+
+function textOf(node) {
+  let out = '';
+  walk(node, (n) => {
+    if (n.nodeName === '#text') out += n.value;
+    if (n.tagName === 'img' && attr(n, 'alt')) out += ' ' + attr(n, 'alt');
+    return n.tagName !== 'script' && n.tagName !== 'style';
+  });
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+/** The <head> meta element with name= or property= `key`, or undefined. */
+function metaTag(head, key) {
+  return elements(head, (n) => n.tagName === 'meta' && [attr(n, 'name'), attr(n, 'property')].some((v) => String(v || '').toLowerCase() === key));
+}
+
+/** Parsed JSON-LD blocks: { node, data } with data null when the block isn't valid JSON. */
+function jsonLdBlocks(doc) {
+  return elements(doc, (n) => n.tagName === 'script' && String(attr(n, 'type') || '').toLowerCase() === 'application/ld+json').map((node) => {
+    try {
+      return { node, data: JSON.parse((node.childNodes || []).map((c) => c.value || '').join('')) };
+    } catch (e) {
+      return { node, data: null };
+    }
+  });
+}
+
+function hasPerson(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (Array.isArray(data)) return data.some(hasPerson);
+  const type = data['@type'];
+  return [].concat(type || []).includes('Person') || hasPerson(data['@graph']) || hasPerson(data.mainEntity);
+}
+
+/** Zoom is blocked by user-scalable=no or a maximum-scale under 2. */
+function blocksZoom(content) {
+  const settings = Object.fromEntries(String(content || '').toLowerCase().split(/[,;]/).map((p) => p.split('=').map((s) => s.trim())));
+  return ['no', '0'].includes(settings['user-scalable']) || (settings['maximum-scale'] != null && Number(settings['maximum-scale']) < 2);
+}
+
+function styleTexts(doc) {
+  return elements(doc, (n) => n.tagName === 'style' && !/print/i.test(attr(n, 'media') || ''))
+    .map((n) => (n.childNodes || []).map((c) => c.value || '').join(''));
+}
+
+/** Findings for the heading outline: one <h1>, no skipped levels, no empty headings. */
+function headingFindings(body, add) {
+  const headings = elements(body, (n) => /^h[1-6]$/.test(n.tagName)).map((n) => ({ level: Number(n.tagName[1]), text: textOf(n) }));
+  const h1s = headings.filter((h) => h.level === 1);
+  if (!h1s.length) add('heading-h1', 'The page has no <h1>; screen readers and search engines use it as the page heading');
+  else if (h1s.length > 1) add('heading-h1', `The page has ${h1s.length} <h1> headings; use one for the name and <h2> for sections`, h1s.map((h) => h.text));
+  const skips = [];
+  headings.forEach((h, i) => {
+    const previous = i ? headings[i - 1].level : 0;
+    if (h.level > previous + 1) skips.push(`<h${h.level}> "${h.text.slice(0, 40)}" follows ${previous ? `<h${previous}>` : 'no heading'}`);
+  });
+  if (skips.length) add('heading-order', 'Heading levels are skipped', skips);
+  const empty = headings.filter((h) => !h.text);
+  if (empty.length) add('heading-empty', `${empty.length} heading(s) have no text`, empty.map((h) => `<h${h.level}>`));
+}
+
+/**
+ * Audit a page. `options.images` = the upload's images ({ name, kind, alt }, see lib/images.js): missing
+ * alt text counts as fixable when it is on one of them. Returns { score, findings } where each finding is
+ * { id, category, severity, message, items?, fixable } and score is 0–100.
+ */
+function auditHtml(html, { images = [] } = {}) {
+  const doc = parse5.parse(html || '');
+  const htmlEl = elements(doc, (n) => n.tagName === 'html')[0];
+  const head = elements(doc, (n) => n.tagName === 'head')[0];
+  const body = elements(doc, (n) => n.tagName === 'body')[0];
+  const findings = [];
+  const add = (id, message, items, fixable = FIXABLE.has(id)) => {
+    findings.push({ id, ...CHECKS[id], message, ...(items && items.length && { items: items.slice(0, MAX_ITEMS) }), fixable });
+  };
+
+  if (!String(attr(htmlEl, 'lang') || '').trim()) add('html-lang', '<html> has no lang attribute, so screen readers guess the language');
+  const viewport = metaTag(head, 'viewport')[0];
+  if (!viewport || !/width\s*=\s*device-width/i.test(attr(viewport, 'content') || '')) {
+    add('viewport', 'No viewport meta tag with width=device-width; phones show a zoomed-out desktop page');
+  } else if (blocksZoom(attr(viewport, 'content'))) {
+    add('viewport-zoom', 'The viewport blocks zooming (user-scalable=no or maximum-scale below 2)');
+  }
+
+  const noAlt = elements(body, (n) => n.tagName === 'img' && attr(n, 'alt') == null);
+  if (noAlt.length) {
+    const known = new Set(images.map((img) => img.name));
+    const fixable = noAlt.some((n) => [...referencedImageNames(`"${attr(n, 'src') || ''}"`)].some((name) => known.has(name)));
+    add('img-alt', `${noAlt.length} image(s) have no alt attribute`, noAlt.map((n) => String(attr(n, 'src') || '(no src)').slice(0, 80)), fixable);
+  }
+  const failures = contrastFailures(doc, styleTexts(doc));
+  if (failures.length) {
+    add('color-contrast', `${failures.length} text/background colour pair(s) are below the WCAG AA contrast ratio`, failures.map((f) => (
+      `${f.fg} on ${f.bg}: ${f.ratio}:1, needs ${f.required}:1${f.scheme === 'dark' ? ' (dark mode)' : ''} – "${f.sample}"`
+    )));
+  }
+  headingFindings(body, add);
+
+  const title = elements(head, (n) => n.tagName === 'title')[0];
+  if (!title || !textOf(title)) add('title', 'The page has no <title>; it is what search results and browser tabs show');
+  const description = metaTag(head, 'description')[0];
+  if (!description || !String(attr(description, 'content') || '').trim()) add('meta-description', 'No meta description; search engines will pick a snippet themselves');
+  const missingOg = OG_REQUIRED.filter((key) => !metaTag(head, key).some((n) => String(attr(n, 'content') || '').trim()));
+  if (missingOg.length) add('open-graph', `Open Graph tags are missing (${missingOg.join(', ')}); shared links show no preview`, missingOg);
+  const blocks = jsonLdBlocks(doc);
+  if (blocks.some((b) => b.data === null)) add('json-ld-person', 'A JSON-LD block is not valid JSON');
+  else if (!blocks.some((b) => hasPerson(b.data))) add('json-ld-person', 'No schema.org Person structured data (JSON-LD) for the owner');
+
+  const penalty = findings.reduce((sum, f) => sum + f.weight, 0);
+  return { score: Math.max(0, 100 - penalty), findings: findings.map(({ weight, ...f }) => f) };
+}
+
+/** First sentence(s) of `text` that fit in `max` characters, cut at a word. */
+function shorten(text, max = DESCRIPTION_MAX_LENGTH) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  const cut = clean.slice(0, max - 1);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.-]+$/, '') + '…';
+}
+
+const isHttpUrl = (url) => /^https?:\/\//i.test(String(url || ''));
+
+/** schema.org Person for the resume's owner; only public, professional fields (no phone or street address). */
+function personJsonLd(resume, name) {
+  const b = resume.basics || {};
+  const current = (resume.work || []).find((w) => w.name && (!w.endDate || /present|current|now/i.test(w.endDate)));
+  const location = b.location || {};
+  const address = (location.city || location.region || location.countryCode) && {
+    '@type': 'PostalAddress',
+    ...(location.city && { addressLocality: location.city }),
+    ...(location.region && { addressRegion: location.region }),
+    ...(location.countryCode && { addressCountry: location.countryCode }),
+  };
+  const sameAs = [...new Set((b.profiles || []).map((p) => p.url).filter(isHttpUrl))];
+  const schools = [...new Set((resume.education || []).map((e) => e.institution).filter(Boolean))];
+  const skills = (resume.skills || []).flatMap((s) => (s.keywords && s.keywords.length ? s.keywords : [s.name])).filter(Boolean);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name,
+    ...(b.label && { jobTitle: b.label }),
+    ...(b.summary && { description: shorten(b.summary, 300) }),
+    ...(b.email && { email: `mailto:${b.email}` }),
+    ...(isHttpUrl(b.url) && { url: b.url }),
+    ...(sameAs.length && { sameAs }),
+    ...(current && { worksFor: { '@type': 'Organization', name: current.name } }),
+    ...(schools.length && { alumniOf: schools.map((s) => ({ '@type': 'EducationalOrganization', name: s })) }),
+    ...(skills.length && { knowsAbout: [...new Set(skills)].slice(0, 20) }),
+    ...(address && { address }),
+  };
+}
+
+/**
+ * Repair what auditHtml marks fixable. `options` = { resume, images, lang }: `resume` (JSON Resume) supplies
+ * the title, description and Person data (else the page's <h1>), `images` the alt text of uploaded images,
+ * `lang` the page language (default en). Existing tags with content are kept. Returns { html, fixed } where
+ * `fixed` lists the check ids repaired (html is unchanged when it is empty).
+ */
+function fixHtml(html, { resume, images = [], lang = DEFAULT_LANG } = {}) {
+  const before = auditHtml(html, { images });
+  const todo = new Set(before.findings.filter((f) => f.fixable).map((f) => f.id));
+  if (!todo.size) return { html, fixed: [] };
+
+  const doc = parse5.parse(html || '');
+  const htmlEl = elements(doc, (n) => n.tagName === 'html')[0];
+  const head = elements(doc, (n) => n.tagName === 'head')[0];
+  const body = elements(doc, (n) => n.tagName === 'body')[0];
+  const b = (resume && resume.basics) || {};
+  const h1 = elements(body, (n) => n.tagName === 'h1')[0];
+  const name = b.name || (h1 && textOf(h1)) || 'Portfolio';
+  const existingTitle = elements(head, (n) => n.tagName === 'title')[0];
+  const title = (existingTitle && textOf(existingTitle)) || (b.label ? `${name} – ${b.label}` : name);
+  const existingDescription = metaTag(head, 'description')[0];
+  const description = String((existingDescription && attr(existingDescription, 'content')) || '').trim()
+    || shorten(b.summary || [name, b.label].filter(Boolean).join(', '));
+  const added = [];
+  const setMeta = (key, content, keyAttr = 'name') => {
+    const found = metaTag(head, key);
+    const empty = found.find((n) => !String(attr(n, 'content') || '').trim());
+    if (empty) setAttr(empty, 'content', content);
+    else if (!found.length) added.push(`<meta ${keyAttr}="${escapeHtml(key)}" content="${escapeHtml(content)}">`);
+  };
+
+  if (todo.has('html-lang')) setAttr(htmlEl, 'lang', lang);
+  if (todo.has('viewport') || todo.has('viewport-zoom')) {
+    const viewport = metaTag(head, 'viewport')[0];
+    if (viewport) setAttr(viewport, 'content', VIEWPORT);
+    else added.push(`<meta name="viewport" content="${VIEWPORT}">`);
+  }
+  if (todo.has('title')) {
+    if (existingTitle) existingTitle.childNodes = parse5.parseFragment(escapeHtml(title)).childNodes;
+    else added.push(`<title>${escapeHtml(title)}</title>`);
+  }
+  if (todo.has('meta-description')) setMeta('description', description);
+  if (todo.has('open-graph')) {
+    setMeta('og:type', 'profile', 'property');
+    setMeta('og:title', title, 'property');
+    setMeta('og:description', description, 'property');
+  }
+  if (todo.has('json-ld-person')) {
+    for (const block of jsonLdBlocks(doc).filter((x) => x.data === null)) {
+      block.node.parentNode.childNodes = block.node.parentNode.childNodes.filter((c) => c !== block.node);
+    }
+    // "</script>" inside a string must not end the element
+    const json = JSON.stringify(personJsonLd(resume || {}, name)).replace(/</g, '\\u003c');
+    added.push(`<script type="application/ld+json">${json}</script>`);
+  }
+  if (todo.has('img-alt')) {
+    const byName = new Map(images.map((img) => [img.name, img]));
+    for (const img of elements(body, (n) => n.tagName === 'img' && attr(n, 'alt') == null)) {
+      const [imageName] = referencedImageNames(`"${attr(img, 'src') || ''}"`);
+      const image = byName.get(imageName);
+      if (image) setAttr(img, 'alt', image.kind === 'photo' && b.name ? `Photo of ${b.name}` : image.alt || '');
+    }
+  }
+  for (const node of parse5.parseFragment(added.join('\n')).childNodes) {
+    node.parentNode = head;
+    head.childNodes.push(node);
+  }
+  const out = parse5.serialize(doc);
+  const after = new Set(auditHtml(out, { images }).findings.map((f) => f.id));
+  return { html: out, fixed: [...todo].filter((id) => !after.has(id)) };
+}
+
+module.exports = { auditHtml, fixHtml, personJsonLd, CHECKS };
@@ -0,0 +1,306 @@
+// lib/auth.js - Accounts, sessions and magic links
+//
+// Passwords are hashed with scrypt. Session and magic-link tokens are random
+// 32-byte strings; only their SHA-256 is stored, so a leaked database can't be
+// replayed. The session token travels in an HttpOnly cookie (or an
+// `Authorization: Bearer` header for API clients).
+//
+// Anonymous history belongs to a client-chosen visitor_id, which anyone who has seen it
+// can send. The first upload under a visitor_id binds it to the uploading browser's
+// HttpOnly rts_visitor cookie (the visitors table keeps its SHA-256), and logging in
+// only claims that history with the same cookie.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const log = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'rts_session';
+const VISITOR_COOKIE = 'rts_visitor';
+const VISITOR_COOKIE_DAYS = 400;
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SCRYPT_KEYLEN = 64;
+// Admin console access: the X-Admin-Token header matching ADMIN_TOKEN, or a signed-in account listed in ADMIN_EMAILS.
+const ADMIN_TOKEN = (process.env.ADMIN_TOKEN || '').trim();
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean);
+
+function normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  if (!EMAIL_RE.test(e) || e.length > 254) throw httpError(400, 'Enter a valid email address.');
+  return e;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Verified against when the email is unknown, so response time doesn't reveal which accounts exist.
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, createdAt: user.created_at };
+}
+
+/** Create an account; 409 when the email is taken. Resolves to the users row. */
+async function signUp(email, password) {
+  const addr = normalizeEmail(email);
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  const { db } = getStorage();
+  if ((await db.count('users', { email: addr })) > 0) throw httpError(409, 'An account with this email already exists. Log in instead.');
+  const user = await db.insert('users', { email: addr, password_hash: await hashPassword(password) });
+  log.info('User signed up', { userId: user.id });
+  return user;
+}
+
+/** Check email + password; 401 (same message either way) when they don't match. */
+async function logIn(email, password) {
+  const addr = normalizeEmail(email);
+  const [user] = await getStorage().db.find('users', { email: addr }, { limit: 1 });
+  const ok = await verifyPassword(String(password || ''), user && user.password_hash ? user.password_hash : await DUMMY_HASH);
+  if (!user || !user.password_hash || !ok) throw httpError(401, 'Incorrect email or password.');
+  return user;
+}
+
+/**
+ * Store a single-use login token for `email` and return it (the caller emails the link).
+ * `visitorId` is remembered so history from the browser that asked is claimed on login.
+ */
+async function createMagicLink(email, visitorId) {
+  const addr = normalizeEmail(email);
+  const token = newToken();
+  await getStorage().db.insert('login_tokens', {
+    email: addr,
+    token_hash: hashToken(token),
+    visitor_id: visitorId || null,
+    expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000).toISOString(),
+  });
+  return { email: addr, token };
+}
+
+/**
+ * Use a magic-link token: marks it used and returns { user, visitorId }, creating the
+ * account on first use. 400 when the token is unknown, used or expired.
+ */
+async function consumeMagicLink(token) {
+  const { db } = getStorage();
+  const [row] = await db.find('login_tokens', { token_hash: hashToken(token) }, { limit: 1 });
+  if (!row || row.used_at || new Date(row.expires_at) <= new Date()) {
+    throw httpError(400, 'This sign-in link is invalid or has expired. Request a new one.');
+  }
+  // Mark used first: the update only matches while used_at is still null, so a link works once.
+  const claimed = await db.updateWhere('login_tokens', { id: row.id, used_at: null }, { used_at: new Date().toISOString() });
+  if (!claimed) throw httpError(400, 'This sign-in link has already been used.');
+  let [user] = await db.find('users', { email: row.email }, { limit: 1 });
+  if (!user) {
+    user = await db.insert('users', { email: row.email });
+    log.info('User created from magic link', { userId: user.id });
+  }
+  return { user, visitorId: row.visitor_id };
+}
+
+/** Start a session for `user`; resolves to { token, expiresAt }. */
+async function createSession(user) {
+  const { db } = getStorage();
+  const token = newToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await db.insert('sessions', { user_id: user.id, token_hash: hashToken(token), expires_at: expiresAt.toISOString() });
+  await db.update('users', user.id, { last_login_at: new Date().toISOString() });
+  return { token, expiresAt };
+}
+
+async function destroySession(token) {
+  if (token) await getStorage().db.remove('sessions', { token_hash: hashToken(token) });
+}
+
+/**
+ * Bind `visitorId` to this browser before an anonymous request stores its first upload under it: the visitors
+ * row keeps a hash of the rts_visitor cookie (set here when missing). Ids already bound, or with uploads or sites
+ * from before binding existed, are left alone, so nobody can take over a visitor_id they have only seen.
+ */
+async function bindVisitor(req, res, visitorId) {
+  if (req.user || !visitorId) return;
+  const { db } = getStorage();
+  const id = String(visitorId);
+  if (await db.get('visitors', id)) return;
+  if ((await db.count('resume_uploads', { visitor_id: id })) || (await db.count('sites', { visitor_id: id }))) return;
+  const token = parseCookies(req.headers.cookie)[VISITOR_COOKIE] || newToken();
+  try {
+    await db.insert('visitors', { id, token_hash: hashToken(token) });
+  } catch (e) {
+    log.warn('Visitor binding failed', { err: e }); // another request bound it first
+    return;
+  }
+  res.cookie(VISITOR_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: VISITOR_COOKIE_DAYS * 24 * 60 * 60 * 1000,
+    path: '/',
+  });
+}
+
+/** True when `visitorToken` (the rts_visitor cookie) is the one `visitorId` was bound to by bindVisitor. */
+async function ownsVisitor(visitorId, visitorToken) {
+  if (!visitorId || !visitorToken) return false;
+  const row = await getStorage().db.get('visitors', String(visitorId));
+  return !!row && row.token_hash === hashToken(visitorToken);
+}
+
+/** The rts_visitor cookie of the request, or null. */
+function visitorToken(req) {
+  return parseCookies(req.headers.cookie)[VISITOR_COOKIE] || null;
+}
+
+/**
+ * Give `userId` every upload (and its generations) and published site made under
+ * `visitorId` that no account owns yet, when `token` proves the browser owns that
+ * visitor (see bindVisitor). Safe to call on every login. Resolves to the number of
+ * uploads claimed.
+ */
+async function claimVisitorHistory(userId, visitorId, token) {
+  if (!visitorId) return 0;
+  if (!(await ownsVisitor(visitorId, token))) {
+    log.info('Visitor history not claimed: this browser did not create it', { userId });
+    return 0;
+  }
+  const { db } = getStorage();
+  await db.updateWhere('sites', { visitor_id: String(visitorId), user_id: null }, { user_id: userId });
+  const uploads = await db.find('resume_uploads', { visitor_id: String(visitorId), user_id: null }, { columns: ['id'] });
+  if (!uploads.length) return 0;
+  const ids = uploads.map((u) => u.id);
+  await db.updateWhere('resume_uploads', { id: { in: ids }, user_id: null }, { user_id: userId });
+  await db.updateWhere('generation_results', { resume_upload_id: { in: ids }, user_id: null }, { user_id: userId });
+  log.info('Claimed visitor uploads', { userId, uploads: ids.length });
+  return ids.length;
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0) continue;
+    try {
+      out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_) {} // malformed value from another app on the same host
+  }
+  return out;
+}
+
+/** Session token from the cookie or an `Authorization: Bearer` header. */
+function sessionToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function setSessionCookie(res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt,
+    path: '/',
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/** Middleware: sets req.user ({ id, email, createdAt }) for a valid session, else null. Never rejects. */
+async function attachUser(req, res, next) {
+  req.user = null;
+  const token = sessionToken(req);
+  if (!token) return next();
+  try {
+    const { db } = getStorage();
+    const [session] = await db.find('sessions', { token_hash: hashToken(token), expires_at: { gt: new Date().toISOString() } }, { limit: 1 });
+    const user = session && await db.get('users', session.user_id);
+    if (user) req.user = publicUser(user);
+  } catch (e) {
+    log.warn('Session lookup failed', { err: e });
+  }
+  next();
+}
+
+/** `visitor_id` from the body (or query), trimmed, or null. */
+function visitorIdOf(req) {
+  const value = (req.body && req.body.visitor_id) || (req.query && req.query.visitor_id);
+  return value ? String(value).trim() : null;
+}
+
+/**
+ * True when `row` (with user_id and visitor_id columns) may be read or changed by this request: an account's
+ * rows by that signed-in user, anonymous rows only with the same `visitor_id` (like ownsSite in lib/sites.js).
+ */
+function canAccess(req, row) {
+  if (row.user_id) return !!req.user && req.user.id === row.user_id;
+  const visitorId = visitorIdOf(req);
+  return !!visitorId && row.visitor_id === visitorId;
+}
+
+/** True when the request carries the admin token or comes from an admin account. */
+function isAdmin(req) {
+  const token = String(req.headers['x-admin-token'] || '');
+  if (ADMIN_TOKEN && token) {
+    // Compare digests so the check takes the same time whatever the input length.
+    const a = crypto.createHash('sha256').update(token).digest();
+    const b = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+    if (crypto.timingSafeEqual(a, b)) return true;
+  }
+  return !!req.user && ADMIN_EMAILS.includes(req.user.email);
+}
+
+/** Middleware: 403 unless isAdmin(req). */
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  const configured = ADMIN_TOKEN || ADMIN_EMAILS.length;
+  res.status(403).json({ error: { message: configured ? 'Admin access required.' : 'Admin access is not configured (set ADMIN_TOKEN or ADMIN_EMAILS).' } });
+}
+
+module.exports = {
+  signUp,
+  logIn,
+  createMagicLink,
+  consumeMagicLink,
+  createSession,
+  destroySession,
+  bindVisitor,
+  visitorToken,
+  claimVisitorHistory,
+  sessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  attachUser,
+  canAccess,
+  visitorIdOf,
+  isAdmin,
+  requireAdmin,
+  publicUser,
+  MAGIC_LINK_TTL_MINUTES,
+};
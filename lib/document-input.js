@@ -0,0 +1,101 @@
+// lib/document-input.js - Send the resume file itself to providers that read documents
+//
+// Generation normally sends the text extracted from the file (lib/extract/). Providers
+// that read PDFs natively list them in `documentTypes` (lib/providers/), and can get the
+// PDF instead, so the model sees the real layout: side-by-side columns, sidebars and
+// tables that the extracted text runs together. A request picks with `input_mode`:
+//   text     - always the extracted text
+//   document - always the file (400 when that isn't possible)
+//   auto     - the file only when the text looks unreliable: a multi-column layout, a
+//              scan that needed OCR, no text at all, or no experience or education found
+// INPUT_MODE sets the default. The extracted text is still used for everything else
+// (parsed resume, fact checks, the built-in template fallback). Redacted generation
+// (REDACT_PII) can't mask a PDF, so it always sends text.
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const { REDACT_PII } = require('./redact');
+const log = require('./logger');
+
+const INPUT_MODES = ['auto', 'text', 'document'];
+
+function defaultMode() {
+  const mode = String(process.env.INPUT_MODE || 'auto').trim().toLowerCase();
+  if (INPUT_MODES.includes(mode)) return mode;
+  log.warn(`Ignoring INPUT_MODE=${mode}; use ${INPUT_MODES.join(', ')}`);
+  return 'auto';
+}
+const INPUT_MODE = defaultMode();
+
+/** `input_mode` from a generate request, else INPUT_MODE; 400 for unknown values. */
+function inputModeFromRequest(body) {
+  const raw = body && body.input_mode;
+  if (raw == null || raw === '') return INPUT_MODE;
+  const mode = String(raw).trim().toLowerCase();
+  if (!INPUT_MODES.includes(mode)) throw httpError(400, `input_mode must be one of ${INPUT_MODES.join(', ')}.`);
+  return mode;
+}
+
+const readsDocument = (attempt, mediaType) => (attempt.provider.documentTypes || []).includes(mediaType);
+
+/**
+ * The attempts that can take a `mediaType` document: providers that read it, plus the built-in template when the
+ * chain falls back to it (it renders the parsed resume, so it never needs the file).
+ */
+function documentAttempts(attempts, mediaType) {
+  return attempts.filter((a) => readsDocument(a, mediaType) || a.provider.name === 'template');
+}
+
+/** Why a file of `mediaType` can't be sent to `attempts` as a document, or null when it can. */
+function documentProblem(mediaType, attempts) {
+  if (REDACT_PII) return 'REDACT_PII is on, and a document can\'t be redacted';
+  if (!attempts.some((a) => (a.provider.documentTypes || []).length)) {
+    return 'none of the providers for this request read documents';
+  }
+  if (!attempts.some((a) => readsDocument(a, mediaType))) return `the providers for this request don't read ${mediaType || 'this file type'} files`;
+  return null;
+}
+
+/** 400 when `input_mode` is `document` but the file can't be sent as one. */
+function assertDocumentInput(mode, mediaType, attempts) {
+  if (mode !== 'document') return;
+  const problem = documentProblem(mediaType, attempts);
+  if (problem) throw httpError(400, `input_mode "document" can't be used: ${problem}. Send input_mode "text" or "auto".`);
+}
+
+/**
+ * Text or document for one generation: `mode` from inputModeFromRequest, `extracted` what lib/extract read
+ * (null when it failed), `reviewed` whether the resume data was checked by the user (then `auto` keeps text).
+ * Resolves to { mode: 'text' | 'document', reason }. In `auto` the first provider must read the file itself,
+ * so the provider the request would have used stays the same.
+ */
+function chooseInput(mode, { mediaType, extracted, resume, reviewed, attempts }) {
+  if (mode === 'text') return { mode: 'text', reason: 'requested' };
+  if (mode === 'document') return { mode: 'document', reason: 'requested' };
+  if (reviewed) return { mode: 'text', reason: 'reviewed resume data' };
+  if (!attempts.length || !(attempts[0].provider.documentTypes || []).length) return { mode: 'text', reason: 'provider reads text only' };
+  if (!readsDocument(attempts[0], mediaType)) return { mode: 'text', reason: `provider doesn't read ${mediaType} files` };
+  const problem = documentProblem(mediaType, attempts);
+  if (problem) return { mode: 'text', reason: problem };
+  if (!extracted || !extracted.text.trim()) return { mode: 'document', reason: 'no text could be extracted' };
+  if (extracted.layout === 'columns') return { mode: 'document', reason: 'multi-column layout' };
+  if (extracted.ocr) return { mode: 'document', reason: 'scanned document' };
+  const r = resume || {};
+  if (!(r.work || []).length && !(r.education || []).length) return { mode: 'document', reason: 'no experience or education found in the text' };
+  return { mode: 'text', reason: 'text extracted cleanly' };
+}
+
+/** The file as providers get it: { mediaType, name, data (Buffer), sha256 }. */
+function documentOf(buffer, mediaType, name) {
+  return { mediaType, name: name || 'resume', data: buffer, sha256: crypto.createHash('sha256').update(buffer).digest('hex') };
+}
+
+module.exports = {
+  inputModeFromRequest,
+  documentAttempts,
+  documentProblem,
+  assertDocumentInput,
+  chooseInput,
+  documentOf,
+  INPUT_MODES,
+  INPUT_MODE,
+};
@@ -0,0 +1,14 @@
+// lib/errors.js - Errors that carry an HTTP status for the route/error handlers
+
+/**
+ * Create an Error with `status` (and optional `details`) so route catch blocks
+ * and the server error handler answer with the right code instead of 500.
+ */
+function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,149 @@
+// lib/export/images.js - Favicon and Open Graph image built from the owner's initials
+//
+// No image libraries: initials are drawn with a 5×7 block font into an RGB
+// buffer and written as a PNG with zlib, so the output is the same on every
+// machine. The SVG favicon uses a real font for browsers that support it.
+const zlib = require('zlib');
+const { escapeHtml } = require('../html');
+
+// 5×7 glyphs, one string of 0/1 per row.
+const GLYPHS = {
+  A: '01110 10001 10001 11111 10001 10001 10001',
+  B: '11110 10001 10001 11110 10001 10001 11110',
+  C: '01110 10001 10000 10000 10000 10001 01110',
+  D: '11110 10001 10001 10001 10001 10001 11110',
+  E: '11111 10000 10000 11110 10000 10000 11111',
+  F: '11111 10000 10000 11110 10000 10000 10000',
+  G: '01110 10001 10000 10111 10001 10001 01111',
+  H: '10001 10001 10001 11111 10001 10001 10001',
+  I: '01110 00100 00100 00100 00100 00100 01110',
+  J: '00111 00010 00010 00010 00010 10010 01100',
+  K: '10001 10010 10100 11000 10100 10010 10001',
+  L: '10000 10000 10000 10000 10000 10000 11111',
+  M: '10001 11011 10101 10101 10001 10001 10001',
+  N: '10001 10001 11001 10101 10011 10001 10001',
+  O: '01110 10001 10001 10001 10001 10001 01110',
+  P: '11110 10001 10001 11110 10000 10000 10000',
+  Q: '01110 10001 10001 10001 10101 10010 01101',
+  R: '11110 10001 10001 11110 10100 10010 10001',
+  S: '01111 10000 10000 01110 00001 00001 11110',
+  T: '11111 00100 00100 00100 00100 00100 00100',
+  U: '10001 10001 10001 10001 10001 10001 01110',
+  V: '10001 10001 10001 10001 10001 01010 00100',
+  W: '10001 10001 10001 10101 10101 10101 01010',
+  X: '10001 10001 01010 00100 01010 10001 10001',
+  Y: '10001 10001 01010 00100 00100 00100 00100',
+  Z: '11111 00001 00010 00100 01000 10000 11111',
+  '?': '01110 10001 00001 00010 00100 00000 00100',
+};
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+
+// Background colours; the name picks one so the same person always gets the same colour.
+const PALETTE = ['#4f46e5', '#0f766e', '#b91c1c', '#7c3aed', '#c2410c', '#0369a1', '#15803d', '#be185d'];
+
+/** Up to two initials (A–Z) from a name, e.g. "Jane van Doe" → "JD"; "?" when there are none. */
+function initialsOf(name) {
+  const words = String(name || '')
+    .normalize('NFD')
+    .replace(/[^A-Za-z\s-]/g, '')
+    .split(/[\s-]+/)
+    .filter(Boolean);
+  if (!words.length) return '?';
+  const letters = words.length === 1 ? words[0][0] : words[0][0] + words[words.length - 1][0];
+  return letters.toUpperCase();
+}
+
+function colorFor(name) {
+  let h = 0;
+  for (const ch of String(name || '')) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  return PALETTE[h % PALETTE.length];
+}
+
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/** Encode an RGB pixel buffer (width × height × 3) as PNG. */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rows[y * (width * 3 + 1)] = 0; // filter: none
+    pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/** PNG of `initials` in white, centred on `background`, filling about `fill` of the height. */
+function initialsPng(initials, background, width, height, fill) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = rgb(background);
+  for (let i = 0; i < width * height; i++) pixels.set([r, g, b], i * 3);
+
+  const letters = [...initials].map((ch) => GLYPHS[ch] || GLYPHS['?']);
+  const cols = letters.length * GLYPH_W + (letters.length - 1); // one blank column between letters
+  const cell = Math.max(1, Math.floor(Math.min((height * fill) / GLYPH_H, (width * 0.8) / cols)));
+  const left = Math.floor((width - cols * cell) / 2);
+  const top = Math.floor((height - GLYPH_H * cell) / 2);
+  letters.forEach((glyph, li) => {
+    glyph.split(' ').forEach((row, gy) => {
+      [...row].forEach((bit, gx) => {
+        if (bit !== '1') return;
+        const x0 = left + (li * (GLYPH_W + 1) + gx) * cell;
+        const y0 = top + gy * cell;
+        for (let y = y0; y < y0 + cell; y++) pixels.fill(255, (y * width + x0) * 3, (y * width + x0 + cell) * 3);
+      });
+    });
+  });
+  return encodePng(width, height, pixels);
+}
+
+/**
+ * Images for `name`: { initials, faviconSvg, faviconPng (64×64), ogImagePng (1200×630) }.
+ */
+function buildImages(name) {
+  const initials = initialsOf(name);
+  const background = colorFor(name);
+  const faviconSvg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" rx="12" fill="${background}"/>`
+    + `<text x="32" y="33" text-anchor="middle" dominant-baseline="central" font-family="system-ui,-apple-system,sans-serif" font-size="${initials.length > 1 ? 28 : 36}" font-weight="700" fill="#fff">${escapeHtml(initials)}</text></svg>\n`;
+  return {
+    initials,
+    faviconSvg,
+    faviconPng: initialsPng(initials, background, 64, 64, 0.6),
+    ogImagePng: initialsPng(initials, background, 1200, 630, 0.45),
+  };
+}
+
+module.exports = { buildImages, initialsOf, encodePng };
@@ -0,0 +1,344 @@
+// lib/export/index.js - Turn a generated page into a deployable static site (ZIP)
+//
+// The one-file page is split into index.html + styles.css, optionally one page
+// per <section id>, and bundled with the uploaded images it uses (images/), a
+// favicon and Open Graph image (from the owner's initials), sitemap.xml,
+// robots.txt, 404.html and config for the hosts CONFIGURATION.md describes
+// (Netlify, Vercel, GitHub Pages).
+const parse5 = require('parse5');
+const JSZip = require('jszip');
+const { escapeHtml } = require('../html');
+const { httpError } = require('../errors');
+const { buildImages } = require('./images');
+const { IMAGE_DIR, referencedImageNames, rewriteImageRefs } = require('../images');
+
+// Used in sitemap.xml, robots.txt and og:image when the caller gives no base URL.
+const PLACEHOLDER_BASE_URL = 'https://example.com';
+const BASE_URL_RE = /^https?:\/\/[a-z0-9.-]+(:\d+)?(\/[\w.~%/-]*)?$/i;
+// Section ids that can become file names without clashing with the bundle's own files.
+const SECTION_ID_RE = /^[a-z0-9][a-z0-9_-]{0,59}$/i;
+const RESERVED_PAGE_NAMES = new Set(['index', '404', 'styles', 'favicon', 'og-image', 'sitemap', 'robots']);
+
+function attr(node, name) {
+  const a = (node.attrs || []).find((x) => x.name === name);
+  return a ? a.value : null;
+}
+
+function setAttr(node, name, value) {
+  const a = node.attrs.find((x) => x.name === name);
+  if (a) a.value = value;
+  else node.attrs.push({ name, value });
+}
+
+function walk(node, visit) {
+  for (const child of [...(node.childNodes || [])]) {
+    if (visit(child) !== false) walk(child, visit);
+  }
+}
+
+function findElement(node, tag) {
+  let found = null;
+  walk(node, (n) => {
+    if (found) return false;
+    if (n.tagName === tag) found = n;
+    return !found;
+  });
+  return found;
+}
+
+function textOf(node) {
+  let out = '';
+  walk(node, (n) => {
+    if (n.nodeName === '#text') out += n.value;
+    return n.tagName !== 'script' && n.tagName !== 'style';
+  });
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+function removeNode(node) {
+  const parent = node.parentNode;
+  parent.childNodes = parent.childNodes.filter((c) => c !== node);
+}
+
+/** Parse an HTML fragment (e.g. '<link ...>') into nodes adopted by `parent`. */
+function fragmentNodes(parent, html) {
+  const nodes = parse5.parseFragment(html).childNodes;
+  for (const n of nodes) n.parentNode = parent;
+  return nodes;
+}
+
+/** Validated base URL without a trailing slash; throws on anything that isn't http(s). */
+function normalizeBaseUrl(baseUrl) {
+  if (!baseUrl) return PLACEHOLDER_BASE_URL;
+  const url = String(baseUrl).trim().replace(/\/+$/, '');
+  if (!BASE_URL_RE.test(url)) throw httpError(400, 'base_url must be an http(s) URL such as https://jane.netlify.app');
+  return url;
+}
+
+/**
+ * Move every <style> into one stylesheet. The <link> takes the place of the first
+ * <style> in <head> so the cascade order against other stylesheets is kept.
+ * Returns the CSS ('' when the page had none).
+ */
+function extractStyles(doc, head) {
+  const styles = [];
+  walk(doc, (n) => {
+    if (n.tagName === 'svg' || n.tagName === 'template') return false;
+    if (n.tagName === 'style') styles.push(n);
+    return true;
+  });
+  if (!styles.length) return '';
+  const css = styles.map((s) => {
+    const text = (s.childNodes || []).map((c) => c.value || '').join('').trim();
+    const media = attr(s, 'media');
+    return media && media !== 'all' ? `@media ${media} {\n${text}\n}` : text;
+  }).filter(Boolean).join('\n\n');
+
+  const [link] = fragmentNodes(head, '<link rel="stylesheet" href="styles.css">');
+  const firstInHead = styles.find((s) => s.parentNode === head);
+  if (firstInHead) head.childNodes.splice(head.childNodes.indexOf(firstInHead), 0, link);
+  else head.childNodes.push(link);
+  styles.forEach(removeNode);
+  return css + '\n';
+}
+
+/** Add favicon, canonical and Open Graph tags that the page doesn't already have. */
+function addHeadTags(head, { title, description, pageUrl, imageUrl }) {
+  const has = (tag, key, value) => head.childNodes.some((n) => n.tagName === tag && String(attr(n, key) || '').toLowerCase() === value);
+  const tags = [];
+  if (!has('link', 'rel', 'icon')) {
+    tags.push('<link rel="icon" href="favicon.svg" type="image/svg+xml">', '<link rel="icon" href="favicon.png" sizes="64x64" type="image/png">');
+  }
+  if (!has('link', 'rel', 'canonical')) tags.push(`<link rel="canonical" href="${escapeHtml(pageUrl)}">`);
+  const og = { 'og:type': 'website', 'og:title': title, 'og:description': description, 'og:url': pageUrl, 'og:image': imageUrl };
+  for (const [property, content] of Object.entries(og)) {
+    if (content && !has('meta', 'property', property)) tags.push(`<meta property="${property}" content="${escapeHtml(content)}">`);
+  }
+  if (!has('meta', 'name', 'twitter:card')) tags.push('<meta name="twitter:card" content="summary_large_image">');
+  head.childNodes.push(...fragmentNodes(head, tags.join('\n')));
+}
+
+/** Top-level <section id> elements usable as page names, in document order. */
+function sectionIds(body) {
+  const ids = [];
+  walk(body, (n) => {
+    if (n.tagName !== 'section') return true;
+    const id = attr(n, 'id');
+    if (id && SECTION_ID_RE.test(id) && !RESERVED_PAGE_NAMES.has(id.toLowerCase()) && !ids.includes(id)) ids.push(id);
+    return false;
+  });
+  return ids;
+}
+
+/**
+ * `sectionId`.html: the page with every other exported section removed. In-page links
+ * to exported sections point at their pages; other anchors go back to index.html.
+ */
+function sectionPage(html, sectionId, ids, pageUrl) {
+  const doc = parse5.parse(html);
+  const body = findElement(doc, 'body');
+  walk(body, (n) => {
+    if (n.tagName === 'section' && ids.includes(attr(n, 'id')) && attr(n, 'id') !== sectionId) {
+      removeNode(n);
+      return false;
+    }
+    const href = n.tagName === 'a' && attr(n, 'href');
+    if (href && href.startsWith('#') && href.length > 1) {
+      const target = href.slice(1);
+      if (target !== sectionId) setAttr(n, 'href', ids.includes(target) ? `${target}.html` : `index.html${href}`);
+    }
+    return true;
+  });
+  const head = findElement(doc, 'head');
+  walk(head, (n) => {
+    if ((n.tagName === 'link' && attr(n, 'rel') === 'canonical') || (n.tagName === 'meta' && attr(n, 'property') === 'og:url')) {
+      setAttr(n, n.tagName === 'link' ? 'href' : 'content', pageUrl);
+    }
+    return true;
+  });
+  return parse5.serialize(doc);
+}
+
+function notFoundPage(title, basePath) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>Page not found · ${escapeHtml(title)}</title>
+<link rel="icon" href="${basePath}favicon.svg" type="image/svg+xml">
+<link rel="stylesheet" href="${basePath}styles.css">
+<style>.not-found{min-height:70vh;display:flex;flex-direction:column;align-items:center;justify-content:center;text-align:center;padding:2rem}</style>
+</head>
+<body>
+<main class="not-found">
+<h1>Page not found</h1>
+<p>The page you were looking for isn't here.</p>
+<p><a href="${basePath}">Back to ${escapeHtml(title)}</a></p>
+</main>
+</body>
+</html>
+`;
+}
+
+function sitemapXml(urls) {
+  const today = new Date().toISOString().slice(0, 10);
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n'
+    + urls.map((u) => `  <url><loc>${escapeHtml(u)}</loc><lastmod>${today}</lastmod></url>\n`).join('')
+    + '</urlset>\n';
+}
+
+const NETLIFY_TOML = `# Netlify: drag this folder onto https://app.netlify.com/drop, or connect the repository.
+[build]
+  publish = "."
+
+[[headers]]
+  for = "/*"
+  [headers.values]
+    X-Content-Type-Options = "nosniff"
+    Referrer-Policy = "strict-origin-when-cross-origin"
+
+[[headers]]
+  for = "/*.png"
+  [headers.values]
+    Cache-Control = "public, max-age=604800"
+
+[[headers]]
+  for = "/images/*"
+  [headers.values]
+    Cache-Control = "public, max-age=604800"
+`;
+
+const VERCEL_JSON = JSON.stringify({
+  cleanUrls: true,
+  trailingSlash: false,
+  headers: [{
+    source: '/(.*)',
+    headers: [
+      { key: 'X-Content-Type-Options', value: 'nosniff' },
+      { key: 'Referrer-Policy', value: 'strict-origin-when-cross-origin' },
+    ],
+  }],
+}, null, 2) + '\n';
+
+const GITHUB_PAGES_WORKFLOW = `# GitHub Pages: push this folder to a repository's main branch, then
+# Settings → Pages → Source: GitHub Actions.
+name: Deploy to GitHub Pages
+
+on:
+  push:
+    branches: [main]
+  workflow_dispatch:
+
+permissions:
+  contents: read
+  pages: write
+  id-token: write
+
+concurrency:
+  group: pages
+  cancel-in-progress: true
+
+jobs:
+  deploy:
+    runs-on: ubuntu-latest
+    environment:
+      name: github-pages
+      url: \${{ steps.deployment.outputs.page_url }}
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/configure-pages@v5
+      - uses: actions/upload-pages-artifact@v3
+        with:
+          path: .
+      - id: deployment
+        uses: actions/deploy-pages@v4
+`;
+
+function deployNotes(baseUrl, pages, imageFiles) {
+  const placeholder = baseUrl === PLACEHOLDER_BASE_URL;
+  return `# Deploying this site
+
+Files: ${pages.join(', ')}, styles.css, 404.html, ${imageFiles.length ? `${imageFiles.join(', ')}, ` : ''}favicon.svg, favicon.png, og-image.png, sitemap.xml, robots.txt.
+${placeholder ? `
+**Before you deploy:** sitemap.xml, robots.txt and the og:image / canonical tags use ${PLACEHOLDER_BASE_URL}.
+Replace it with your site's address (search and replace in every file), or export again with \`?base_url=\`.
+` : `
+Links in sitemap.xml, robots.txt and the og:image / canonical tags point at ${baseUrl}.
+`}
+## Netlify
+Drag this folder onto https://app.netlify.com/drop. \`netlify.toml\` sets the publish directory and headers; 404.html is used automatically.
+
+## GitHub Pages
+Push the folder to a repository, then Settings → Pages → Source: GitHub Actions. \`.github/workflows/pages.yml\` publishes it on every push to \`main\`.
+Alternatively pick "Deploy from a branch" (root folder); \`.nojekyll\` makes Pages serve the files as they are.
+
+## Vercel
+Run \`vercel\` in this folder. \`vercel.json\` serves pages without the .html extension.
+
+## Anything else (Cloudflare Pages, S3, your own server)
+Upload the folder as is. Point the host's "not found" page at 404.html.
+`;
+}
+
+/**
+ * Build the ZIP for one generated page. `options` = { name, baseUrl, sections, images }:
+ * `name` gives the initials for the images (else the page's <h1> or <title>), `sections`
+ * adds a page per <section id>, `images` are the upload's photo and project images
+ * (lib/images.js); the ones the page uses go in images/. Resolves to a Buffer.
+ */
+async function buildStaticSite(html, { name, baseUrl, sections, images = [] } = {}) {
+  const base = normalizeBaseUrl(baseUrl);
+  const basePath = new URL(base + '/').pathname;
+  const used = referencedImageNames(html);
+  const imageFiles = images.filter((img) => used.has(img.name));
+  // "/images/x" would break under a sub-path (GitHub project pages); every page sits next to images/
+  const doc = parse5.parse(rewriteImageRefs(html || '', imageFiles, (img) => `${IMAGE_DIR}/${img.name}`));
+  const head = findElement(doc, 'head');
+  const body = findElement(doc, 'body');
+  const titleEl = findElement(head, 'title');
+  const h1 = findElement(body, 'h1');
+  const title = (titleEl && textOf(titleEl)) || (h1 && textOf(h1)) || 'Portfolio';
+  const descriptionEl = head.childNodes.find((n) => n.tagName === 'meta' && attr(n, 'name') === 'description');
+  // Pages usually put the person's name in the <h1>; titles often read "Name – Role".
+  const icons = buildImages(name || (h1 && textOf(h1)) || title.split(/\s[–—|·:-]\s/)[0]);
+
+  const css = extractStyles(doc, head);
+  addHeadTags(head, {
+    title,
+    description: descriptionEl && attr(descriptionEl, 'content'),
+    pageUrl: base + '/',
+    imageUrl: base + '/og-image.png',
+  });
+  const index = parse5.serialize(doc);
+
+  const zip = new JSZip();
+  zip.file('index.html', index);
+  const pages = ['index.html'];
+  const urls = [base + '/'];
+  if (sections) {
+    const ids = sectionIds(body);
+    for (const id of ids) {
+      zip.file(`${id}.html`, sectionPage(index, id, ids, `${base}/${id}.html`));
+      pages.push(`${id}.html`);
+      urls.push(`${base}/${id}.html`);
+    }
+  }
+  if (css) zip.file('styles.css', css);
+  for (const img of imageFiles) zip.file(`${IMAGE_DIR}/${img.name}`, img.buffer);
+  zip.file('404.html', notFoundPage(title, basePath));
+  zip.file('favicon.svg', icons.faviconSvg);
+  zip.file('favicon.png', icons.faviconPng);
+  zip.file('og-image.png', icons.ogImagePng);
+  zip.file('sitemap.xml', sitemapXml(urls));
+  zip.file('robots.txt', `User-agent: *\nAllow: /\n\nSitemap: ${base}/sitemap.xml\n`);
+  zip.file('netlify.toml', NETLIFY_TOML);
+  zip.file('vercel.json', VERCEL_JSON);
+  zip.file('.nojekyll', '');
+  zip.file('.github/workflows/pages.yml', GITHUB_PAGES_WORKFLOW);
+  zip.file('DEPLOY.md', deployNotes(base, pages, imageFiles.map((img) => `${IMAGE_DIR}/${img.name}`)));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 6 } });
+}
+
+module.exports = { buildStaticSite, PLACEHOLDER_BASE_URL };
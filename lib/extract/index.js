@@ -0,0 +1,101 @@
+// lib/extract/index.js - Read an uploaded resume file into text (or JSON Resume data)
+//
+// One reader per format, picked by file extension first and MIME type second
+// (browsers disagree on MIME types; stored files only keep their name). PDFs with
+// no text layer and images go through local OCR; LinkedIn profile exports get
+// their two-column layout put back in resume order; other multi-column PDFs are
+// flagged (`layout: 'columns'`) so generation can send the PDF itself instead of
+// its run-together text (lib/document-input.js); JSON Resume files skip text
+// parsing entirely.
+const path = require('path');
+const { httpError } = require('../errors');
+const log = require('../logger');
+const { extractionDuration } = require('../metrics');
+const { readPdf, isMultiColumn } = require('./pdf');
+const { htmlToText, markdownToText, rtfToText } = require('./markup');
+const { docxToText, docToText, odtToText } = require('./office');
+const { ocrImage, ocrPdf } = require('./ocr');
+const { readJsonResume } = require('./json-resume');
+const { isLinkedInPdf, linkedInToText } = require('./linkedin');
+
+// A PDF with fewer visible characters than this is treated as a scan and OCR'd
+const OCR_MIN_TEXT_CHARS = 50;
+
+async function readPdfFile(buf) {
+  const { text, lines } = await readPdf(buf);
+  if (text.replace(/\s+/g, '').length < OCR_MIN_TEXT_CHARS) {
+    log.info('PDF has no text layer, running OCR');
+    return { text: await ocrPdf(buf), format: 'pdf', ocr: true };
+  }
+  if (isLinkedInPdf(text)) {
+    const rebuilt = linkedInToText(lines);
+    if (rebuilt) return { text: rebuilt, format: 'linkedin-pdf' };
+  }
+  return { text, format: 'pdf', ...(isMultiColumn(lines) && { layout: 'columns' }) };
+}
+
+const decode = (buf) => buf.toString('utf8').replace(/^\uFEFF/, '');
+
+/** Supported formats: { name, extensions, mimeTypes, read(buffer, ext) → { text?, resume?, ocr? } }. */
+const FORMATS = [
+  { name: 'pdf', extensions: ['.pdf'], mimeTypes: ['application/pdf'], read: readPdfFile },
+  { name: 'docx', extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], read: async (buf) => ({ text: await docxToText(buf) }) },
+  { name: 'doc', extensions: ['.doc'], mimeTypes: ['application/msword'], read: async (buf) => ({ text: await docToText(buf) }) },
+  { name: 'odt', extensions: ['.odt'], mimeTypes: ['application/vnd.oasis.opendocument.text'], read: async (buf) => ({ text: await odtToText(buf) }) },
+  { name: 'rtf', extensions: ['.rtf'], mimeTypes: ['application/rtf', 'text/rtf'], read: async (buf) => ({ text: rtfToText(buf.toString('latin1')) }) },
+  { name: 'txt', extensions: ['.txt'], mimeTypes: ['text/plain'], read: async (buf) => ({ text: decode(buf) }) },
+  { name: 'markdown', extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'], read: async (buf) => ({ text: markdownToText(decode(buf)) }) },
+  { name: 'html', extensions: ['.html', '.htm'], mimeTypes: ['text/html'], read: async (buf) => ({ text: htmlToText(decode(buf)) }) },
+  { name: 'json-resume', extensions: ['.json'], mimeTypes: ['application/json'], read: async (buf) => ({ resume: readJsonResume(buf) }) },
+  { name: 'image', extensions: ['.png', '.jpg', '.jpeg'], mimeTypes: ['image/png', 'image/jpeg'], read: async (buf, ext) => ({ text: await ocrImage(buf, ext), ocr: true }) },
+];
+
+const ACCEPTED_EXTENSIONS = FORMATS.flatMap((f) => f.extensions);
+const ALLOWED_MIME_TYPES = FORMATS.flatMap((f) => f.mimeTypes);
+
+/** The format for a file name and/or MIME type, or null when unsupported. */
+function formatOf(mimetype, originalName) {
+  const ext = (originalName && path.extname(originalName).toLowerCase()) || '';
+  return FORMATS.find((f) => f.extensions.includes(ext))
+    || FORMATS.find((f) => mimetype && f.mimeTypes.includes(String(mimetype).split(';')[0].trim().toLowerCase()))
+    || null;
+}
+
+/** MIME type to store a file under: the browser's when it is one of the format's, else the format's own. */
+function contentTypeOf(mimetype, originalName) {
+  const format = formatOf(mimetype, originalName);
+  const type = mimetype && String(mimetype).split(';')[0].trim().toLowerCase();
+  if (!format) return type || 'application/octet-stream';
+  return format.mimeTypes.includes(type) ? type : format.mimeTypes[0];
+}
+
+/** 415 unless formatOf() knows the file. */
+function assertSupported(mimetype, originalName) {
+  if (!formatOf(mimetype, originalName)) {
+    throw httpError(415, `Unsupported file type. Use ${ACCEPTED_EXTENSIONS.map((e) => e.slice(1).toUpperCase()).join(', ')}.`);
+  }
+}
+
+/**
+ * Read an uploaded resume. Resolves to { text, format, ocr?, layout? } for documents, or
+ * { resume, format: 'json-resume' } for a JSON Resume file (already validated).
+ * Timed per format in lib/metrics.js (extraction_duration_seconds).
+ */
+async function extractResume(buf, mimetype, originalName) {
+  assertSupported(mimetype, originalName);
+  const format = formatOf(mimetype, originalName);
+  const ext = (originalName && path.extname(originalName).toLowerCase()) || format.extensions[0];
+  const stop = extractionDuration.startTimer({ format: format.name });
+  let result;
+  try {
+    result = await format.read(buf, ext);
+  } catch (e) {
+    stop({ outcome: 'error' });
+    throw e;
+  }
+  const seconds = stop({ outcome: 'ok' });
+  log.info('Extracted resume', { format: result.format || format.name, bytes: buf.length, durationMs: Math.round(seconds * 1000), ocr: !!result.ocr });
+  return { format: format.name, ...result, text: result.text || '' };
+}
+
+module.exports = { extractResume, formatOf, contentTypeOf, assertSupported, FORMATS, ACCEPTED_EXTENSIONS, ALLOWED_MIME_TYPES };
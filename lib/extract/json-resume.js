@@ -0,0 +1,85 @@
+// lib/extract/json-resume.js - Import a JSON Resume file (https://jsonresume.org/schema)
+//
+// Keeps the subset lib/resume-parser.js works with and maps the older schema's
+// field names (company, website) onto the current ones. Sections we don't render
+// (volunteer, awards, languages, ...) are dropped.
+const { validateResume } = require('../resume-parser');
+const { httpError } = require('../errors');
+
+const str = (v) => (typeof v === 'string' ? v.trim() : v == null ? undefined : String(v));
+const strings = (list) => (Array.isArray(list) ? list.map(str).filter(Boolean) : undefined);
+const list = (v) => (Array.isArray(v) ? v.filter((x) => x && typeof x === 'object') : []);
+
+/** Drop undefined and empty-string fields so optional schema fields stay optional. */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ''));
+}
+
+function dates(x) {
+  return { startDate: str(x.startDate), endDate: str(x.endDate) };
+}
+
+/** The JSON Resume subset from a parsed file; unknown shapes fall back to empty sections. */
+function normalizeJsonResume(data) {
+  const b = data.basics && typeof data.basics === 'object' ? data.basics : {};
+  const location = b.location && typeof b.location === 'object'
+    ? compact({ address: str(b.location.address), city: str(b.location.city), region: str(b.location.region), countryCode: str(b.location.countryCode) })
+    : undefined;
+  return {
+    basics: compact({
+      name: str(b.name),
+      label: str(b.label),
+      email: str(b.email),
+      phone: str(b.phone),
+      url: str(b.url || b.website),
+      summary: str(b.summary),
+      location,
+      profiles: list(b.profiles).map((p) => compact({ network: str(p.network), username: str(p.username), url: str(p.url) })),
+    }),
+    work: list(data.work).map((w) => compact({
+      name: str(w.name || w.company),
+      position: str(w.position),
+      location: str(w.location),
+      url: str(w.url || w.website),
+      ...dates(w),
+      summary: str(w.summary || w.description),
+      highlights: strings(w.highlights),
+    })),
+    education: list(data.education).map((e) => compact({
+      institution: str(e.institution),
+      area: str(e.area),
+      studyType: str(e.studyType),
+      ...dates(e),
+      score: str(e.score || e.gpa),
+      courses: strings(e.courses),
+    })),
+    skills: list(data.skills).map((s) => compact({ name: str(s.name), level: str(s.level), keywords: strings(s.keywords) })),
+    projects: list(data.projects).map((p) => compact({
+      name: str(p.name),
+      description: str(p.description),
+      url: str(p.url),
+      ...dates(p),
+      highlights: strings(p.highlights),
+    })),
+    links: list(b.profiles).filter((p) => p.url).map((p) => compact({ label: str(p.network), url: str(p.url) })),
+  };
+}
+
+/** Parse and validate an uploaded JSON Resume file; 400 when it isn't one. Returns the resume object. */
+function readJsonResume(buf) {
+  let data;
+  try {
+    data = JSON.parse(buf.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (e) {
+    throw httpError(400, 'The .json file is not valid JSON.');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !data.basics) {
+    throw httpError(400, 'The .json file is not a JSON Resume (it needs a "basics" object). See https://jsonresume.org/schema.');
+  }
+  const resume = normalizeJsonResume(data);
+  const { valid, errors } = validateResume(resume);
+  if (!valid) throw httpError(400, 'The JSON Resume file is invalid: ' + errors.join('; '), errors);
+  return resume;
+}
+
+module.exports = { readJsonResume, normalizeJsonResume };
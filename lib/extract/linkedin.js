@@ -0,0 +1,96 @@
+// lib/extract/linkedin.js - LinkedIn "Save to PDF" profiles
+//
+// LinkedIn's export has a sidebar (Contact, Top Skills, Languages, Certifications,
+// ...) that pdf-parse reads before the main column (name, headline, location,
+// Summary, Experience, Education). Read in that order, the sidebar runs into the
+// header and the resume parser finds no name. This rebuilds the usual resume order
+// instead: name, headline, contact line, main sections, then the sidebar sections.
+// The name is the line in the largest font on the first page.
+
+const SIDEBAR_HEADINGS = {
+  'contact': 'contact',
+  'top skills': 'Skills',
+  'skills': 'Skills',
+  'languages': 'Languages',
+  'certifications': 'Certifications',
+  'honors-awards': 'Awards',
+  'honors & awards': 'Awards',
+  'publications': 'Publications',
+  'patents': 'Patents',
+};
+const MAIN_HEADINGS = new Set(['summary', 'experience', 'education', 'volunteer experience', 'projects', 'honors & awards', 'courses', 'organizations']);
+const PAGE_FOOTER_RE = /^\s*page\s+\d+\s+of\s+\d+\s*$/i;
+const CONTACT_LABEL_RE = /\s*\((?:linkedin|mobile|home|work|personal|company|portfolio|blog|other)\)\s*$/i;
+
+/** True for text that looks like a LinkedIn profile export. */
+function isLinkedInPdf(text) {
+  const head = String(text || '').slice(0, 4000);
+  return /linkedin\.com\/in\//i.test(head)
+    && /^\s*page\s+1\s+of\s+\d+\s*$/im.test(text)
+    && /^\s*contact\s*$/im.test(head)
+    && /^\s*(experience|summary|education)\s*$/im.test(text);
+}
+
+/** Contact entries, with wrapped URLs re-joined and LinkedIn's "(Mobile)"-style labels removed. */
+function contactItems(lines) {
+  const items = [];
+  for (const line of lines) {
+    const prev = items[items.length - 1];
+    if (prev && (/[-/]$/.test(prev) || (/^\S+$/.test(line) && /^(www\.|https?:)/i.test(prev) && !CONTACT_LABEL_RE.test(prev)))) {
+      items[items.length - 1] = prev + line;
+    } else {
+      items.push(line);
+    }
+  }
+  return items.map((i) => i.replace(CONTACT_LABEL_RE, '').trim()).filter(Boolean);
+}
+
+/**
+ * Resume text in the usual order from pdf lines ({ text, size, page }, see lib/extract/pdf.js),
+ * or null when the layout can't be recognised (then the plain text is used).
+ */
+function linkedInToText(pdfLines) {
+  const lines = pdfLines
+    .map((l) => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }))
+    .filter((l) => l.text && !PAGE_FOOTER_RE.test(l.text));
+  const firstPage = lines.filter((l) => l.page === 1);
+  if (!firstPage.length) return null;
+  const largest = Math.max(...firstPage.map((l) => l.size));
+  const nameIndex = lines.findIndex((l) => l.page === 1 && l.size === largest);
+  const bodySize = firstPage.map((l) => l.size).sort((a, b) => a - b)[Math.floor(firstPage.length / 2)];
+  if (nameIndex <= 0 || largest <= bodySize) return null;
+
+  // Sidebar: everything before the name, split at its headings
+  const sidebar = [];
+  let current = null;
+  for (const { text } of lines.slice(0, nameIndex)) {
+    const key = SIDEBAR_HEADINGS[text.toLowerCase()];
+    if (key) {
+      current = { title: key, items: [] };
+      sidebar.push(current);
+    } else if (current) {
+      current.items.push(text);
+    }
+  }
+
+  // Main column: name, headline and location up to the first section heading, then the sections as they are
+  const main = lines.slice(nameIndex).map((l) => l.text);
+  let firstSection = main.findIndex((t, i) => i > 0 && MAIN_HEADINGS.has(t.toLowerCase()));
+  if (firstSection === -1) firstSection = main.length;
+  const [name, ...intro] = main.slice(0, firstSection);
+  const location = intro.length > 1 ? intro.pop() : null;
+  const contact = sidebar.filter((s) => s.title === 'contact').flatMap((s) => contactItems(s.items));
+
+  const out = [name];
+  if (intro.length) out.push(intro.join(' '));
+  const contactLine = [...contact, location].filter(Boolean).join(' | ');
+  if (contactLine) out.push(contactLine);
+  out.push('', ...main.slice(firstSection));
+  for (const section of sidebar) {
+    if (section.title === 'contact' || !section.items.length) continue;
+    out.push('', section.title, ...(section.title === 'Skills' ? [section.items.join(', ')] : section.items));
+  }
+  return out.join('\n');
+}
+
+module.exports = { isLinkedInPdf, linkedInToText };
@@ -0,0 +1,167 @@
+// lib/extract/markup.js - Plain text from HTML, Markdown and RTF resumes
+//
+// Each reader keeps the line structure the resume parser relies on: headings,
+// list items and paragraphs end up on their own lines, lists as "- " bullets.
+const parse5 = require('parse5');
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tr', 'ul',
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg']);
+
+/** Text of an HTML document, one block element per line; list items become "- " bullets, links keep their URL. */
+function htmlToText(html) {
+  const out = [];
+  const walk = (node) => {
+    if (node.nodeName === '#text') {
+      out.push(node.value.replace(/\s+/g, ' '));
+      return;
+    }
+    if (SKIP_TAGS.has(node.tagName)) return;
+    const block = BLOCK_TAGS.has(node.tagName);
+    if (block) out.push('\n');
+    if (node.tagName === 'li') out.push('- ');
+    if (node.tagName === 'td' || node.tagName === 'th') out.push(' | ');
+    const start = out.length;
+    for (const child of node.childNodes || []) walk(child);
+    if (node.tagName === 'a') {
+      const href = (node.attrs || []).find((a) => a.name === 'href');
+      const target = href ? href.value.replace(/^mailto:/i, '') : '';
+      if (href && /^(https?:|mailto:)/i.test(href.value) && !out.slice(start).join('').includes(target)) {
+        out.push(` (${target})`);
+      }
+    }
+    if (block) out.push('\n');
+  };
+  const doc = parse5.parse(String(html || ''));
+  for (const child of doc.childNodes) walk(child);
+  return tidyLines(out.join(''));
+}
+
+/** Markdown with the markup removed: headings, emphasis, code, tables and links ("text (url)"). */
+function markdownToText(md) {
+  const lines = String(md || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let inCode = false;
+  for (const raw of lines) {
+    if (/^\s*(```|~~~)/.test(raw)) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode) {
+      out.push(raw);
+      continue;
+    }
+    if (/^\s*([-*_]\s*){3,}$/.test(raw) || /^\s*\|?\s*:?-{3,}/.test(raw)) continue; // rules and table separators
+    const line = raw
+      .replace(/^\s{0,3}#{1,6}\s+/, '')
+      .replace(/\s+#+\s*$/, '')
+      .replace(/^\s*>\s?/, '')
+      .replace(/^\s*[*+]\s+/, '- ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (m, text, url) => (text === url ? url : `${text} (${url.replace(/^mailto:/i, '')})`))
+      .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_](?!\s)(.+?)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/^\s*\|(.*)\|\s*$/, (m, cells) => cells.split('|').map((c) => c.trim()).filter(Boolean).join(' | '))
+      .replace(/<[^>]+>/g, '');
+    out.push(line);
+  }
+  return tidyLines(out.join('\n'));
+}
+
+// RTF destinations whose text is not part of the document body
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr', 'footerl', 'footerr',
+  'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'fldinst', 'object',
+]);
+
+/** Text of an RTF document: control words dropped, \par and \line as newlines, \'xx and \uN decoded. */
+function rtfToText(rtf) {
+  const src = String(rtf || '');
+  const out = [];
+  const stack = [];
+  let skip = false;
+  let ucSkip = 1; // characters to drop after a \uN (the ANSI fallback)
+  let pendingSkip = 0;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (ch === '{') {
+      stack.push({ skip, ucSkip });
+      i++;
+      continue;
+    }
+    if (ch === '}') {
+      ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 });
+      i++;
+      continue;
+    }
+    if (ch === '\\') {
+      const next = src[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        if (!skip) out.push(next);
+        i += 2;
+        continue;
+      }
+      if (next === '*') {
+        skip = true; // {\* ...} optional destination
+        i += 2;
+        continue;
+      }
+      if (next === "'") {
+        const code = parseInt(src.substr(i + 2, 2), 16);
+        if (pendingSkip > 0) pendingSkip--;
+        else if (!skip && !Number.isNaN(code)) out.push(Buffer.from([code]).toString('latin1'));
+        i += 4;
+        continue;
+      }
+      const m = /^\\([a-z]+)(-?\d+)? ?/i.exec(src.slice(i, i + 40));
+      if (!m) {
+        if (next === '~' && !skip) out.push(' ');
+        if (next === '_' && !skip) out.push('-');
+        i += 2;
+        continue;
+      }
+      const [token, word, param] = m;
+      i += token.length;
+      if (RTF_SKIP_DESTINATIONS.has(word)) skip = true;
+      else if (skip) continue;
+      else if (word === 'par' || word === 'line' || word === 'row' || word === 'sect' || word === 'page') out.push('\n');
+      else if (word === 'tab' || word === 'cell') out.push(word === 'cell' ? ' | ' : ' ');
+      else if (word === 'bullet') out.push('•');
+      else if (word === 'emdash' || word === 'endash') out.push('–');
+      else if (word === 'lquote' || word === 'rquote') out.push("'");
+      else if (word === 'ldblquote' || word === 'rdblquote') out.push('"');
+      else if (word === 'uc') ucSkip = Number(param) || 0;
+      else if (word === 'u' && param != null) {
+        const code = Number(param);
+        out.push(String.fromCharCode(code < 0 ? code + 65536 : code));
+        pendingSkip = ucSkip;
+      }
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+    if (pendingSkip > 0) pendingSkip--;
+    else if (!skip) out.push(ch);
+    i++;
+  }
+  return tidyLines(out.join(''));
+}
+
+/** Trim every line and collapse runs of blank lines. */
+function tidyLines(text) {
+  return text
+    .split('\n')
+    .map((l) => l.replace(/[ \t]+/g, ' ').replace(/^\s*\|\s*/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { htmlToText, markdownToText, rtfToText };
@@ -0,0 +1,81 @@
+// lib/extract/ocr.js - Local OCR for scanned PDFs and photos of resumes
+//
+// Runs the tesseract CLI on the server (nothing leaves the machine). Image-only
+// PDFs are first rendered to PNG pages with pdftoppm (poppler-utils). Both are
+// optional: without them scanned files fail with a clear message. OCR is CPU
+// heavy, so at most OCR_CONCURRENCY files are processed at once.
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { httpError } = require('../errors');
+const { createLimiter } = require('../limiter');
+const { PAGE_BREAK } = require('../text-cleaner');
+
+const OCR_ENABLED = String(process.env.OCR_ENABLED || 'true').toLowerCase() !== 'false';
+const TESSERACT_CMD = process.env.TESSERACT_CMD || 'tesseract';
+const PDFTOPPM_CMD = process.env.PDFTOPPM_CMD || 'pdftoppm';
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const OCR_MAX_PAGES = Number(process.env.OCR_MAX_PAGES) || 5;
+const OCR_TIMEOUT_MS = (Number(process.env.OCR_TIMEOUT_SECONDS) || 60) * 1000;
+const OCR_DPI = 300;
+
+const ocrLimit = createLimiter(Number(process.env.OCR_CONCURRENCY) || 1);
+
+function run(cmd, args) {
+  return new Promise((resolve, reject) => {
+    execFile(cmd, args, { timeout: OCR_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout) => {
+      if (!err) return resolve(stdout);
+      if (err.code === 'ENOENT') {
+        return reject(httpError(400, `This file needs OCR, which is not available on this server (${path.basename(cmd)} is not installed). Upload a text-based PDF or DOCX, or paste the text.`));
+      }
+      if (err.killed) return reject(httpError(400, 'Reading the scanned file took too long. Upload a text-based PDF or DOCX, or paste the text.'));
+      reject(new Error(`${path.basename(cmd)} failed: ${(err.message || '').split('\n')[0]}`));
+    });
+  });
+}
+
+/** Run `fn(dir)` with a fresh temporary directory that is removed afterwards. */
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rts-ocr-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+function assertEnabled() {
+  if (!OCR_ENABLED) throw httpError(400, 'This file has no text layer and OCR is turned off. Upload a text-based PDF or DOCX, or paste the text.');
+}
+
+async function tesseract(file) {
+  return run(TESSERACT_CMD, [file, 'stdout', '-l', OCR_LANG]);
+}
+
+/** Text of a PNG/JPG image. */
+async function ocrImage(buf, ext) {
+  assertEnabled();
+  return ocrLimit.run(() => withTempDir(async (dir) => {
+    const file = path.join(dir, `image${ext || '.png'}`);
+    await fs.writeFile(file, buf);
+    return tesseract(file);
+  }));
+}
+
+/** Text of an image-only PDF: its first OCR_MAX_PAGES pages, separated by PAGE_BREAK. */
+async function ocrPdf(buf) {
+  assertEnabled();
+  return ocrLimit.run(() => withTempDir(async (dir) => {
+    const file = path.join(dir, 'scan.pdf');
+    await fs.writeFile(file, buf);
+    await run(PDFTOPPM_CMD, ['-r', String(OCR_DPI), '-png', '-f', '1', '-l', String(OCR_MAX_PAGES), file, path.join(dir, 'page')]);
+    const pages = (await fs.readdir(dir)).filter((f) => /^page-\d+\.png$/.test(f))
+      .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+    const texts = [];
+    for (const page of pages) texts.push(await tesseract(path.join(dir, page)));
+    return texts.map((t) => t + PAGE_BREAK).join('');
+  }));
+}
+
+module.exports = { ocrImage, ocrPdf };
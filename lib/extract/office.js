@@ -0,0 +1,71 @@
+// lib/extract/office.js - Plain text from word-processor files: DOCX, legacy DOC and ODT
+const JSZip = require('jszip');
+const { httpError } = require('../errors');
+
+// DOCX text extraction (optional dependency)
+let mammoth = null;
+try {
+  mammoth = require('mammoth');
+} catch (e) {}
+
+// Legacy Word (.doc) text extraction (optional dependency)
+let WordExtractor = null;
+try {
+  WordExtractor = require('word-extractor');
+} catch (e) {}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+async function docxToText(buf) {
+  if (!mammoth) throw new Error('DOCX parsing requires: npm install mammoth');
+  try {
+    const result = await mammoth.extractRawText({ buffer: buf });
+    return result.value || '';
+  } catch (e) {
+    throw httpError(400, 'Could not read the Word document (it may be corrupted, password-protected or not a .docx file). Try saving it again or as PDF.');
+  }
+}
+
+async function docToText(buf) {
+  if (!WordExtractor) throw new Error('DOC parsing requires: npm install word-extractor');
+  try {
+    const doc = await new WordExtractor().extract(Buffer.from(buf));
+    return doc.getBody() || '';
+  } catch (e) {
+    throw httpError(400, 'Could not read the Word document (it may be corrupted, password-protected or not a .doc file). Try saving it as DOCX or PDF.');
+  }
+}
+
+/** OpenDocument text: paragraphs and headings from content.xml, list items as "- " bullets. */
+async function odtToText(buf) {
+  let xml;
+  try {
+    const zip = await JSZip.loadAsync(buf);
+    const content = zip.file('content.xml');
+    xml = content ? await content.async('string') : null;
+  } catch (e) {
+    xml = null;
+  }
+  if (!xml) throw httpError(400, 'Could not read the OpenDocument file (content.xml is missing). Try saving it as DOCX or PDF.');
+  const body = xml.replace(/^[\s\S]*?<office:body>/, '').replace(/<\/office:body>[\s\S]*$/, '');
+  return body
+    .replace(/<text:s(?:\s+text:c="(\d+)")?\s*\/>/g, (m, n) => ' '.repeat(Number(n) || 1))
+    .replace(/<text:tab\s*\/>/g, ' ')
+    .replace(/<text:line-break\s*\/>/g, '\n')
+    .replace(/<text:list-item\b[^>]*>/g, '\n- ')
+    .replace(/<\/(?:text:p|text:h|table:table-row)>/g, '\n')
+    .replace(/<\/table:table-cell>/g, ' | ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|apos);|&#(x?[0-9a-f]+);/gi, (m, name, code) => {
+      if (name) return XML_ENTITIES[name.toLowerCase()];
+      return String.fromCodePoint(code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : Number(code));
+    })
+    .split('\n')
+    .map((l) => l.replace(/[ \t]+/g, ' ').replace(/\s*\|\s*$/, '').trim())
+    .join('\n')
+    .replace(/^- \n/gm, '- ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = { docxToText, docToText, odtToText };
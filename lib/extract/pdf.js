@@ -0,0 +1,93 @@
+// lib/extract/pdf.js - PDF text with page breaks and per-line font sizes (pdf-parse)
+const { httpError } = require('../errors');
+const log = require('../logger');
+const { PAGE_BREAK } = require('../text-cleaner');
+
+// A gap this wide (share of the page width) between two pieces of one line separates columns
+const COLUMN_GAP_RATIO = 0.15;
+// Lines with a column gap, as a share of all lines, that make the page layout multi-column
+const MULTI_COLUMN_LINE_RATIO = 0.25;
+const MULTI_COLUMN_MIN_LINES = 5;
+const DEFAULT_PAGE_WIDTH = 612; // US Letter, in points
+
+// PDF text extraction (optional dependency)
+let pdfParse = null;
+try {
+  pdfParse = require('pdf-parse');
+} catch (e) {}
+
+/**
+ * pdf-parse page renderer: same line reconstruction as its default renderer,
+ * but ends each page with PAGE_BREAK so cleaning can spot running headers/footers,
+ * and records every line with its largest font size in `lines`. `columnGap` marks
+ * lines where pieces far apart on the page (side-by-side columns) were run together.
+ */
+function pageRenderer(lines) {
+  let page = 0;
+  return (pageData) => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      page++;
+      const view = pageData.view || [];
+      const minGap = ((view[2] - view[0]) || DEFAULT_PAGE_WIDTH) * COLUMN_GAP_RATIO;
+      let lastY;
+      let lastEnd = null;
+      let text = '';
+      let line = null;
+      for (const item of textContent.items) {
+        const size = Math.round(Math.hypot(item.transform[0], item.transform[1]) * 10) / 10;
+        if (lastY === item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+          line = null;
+        }
+        if (!line) {
+          line = { text: '', size: 0, page, columnGap: false };
+          lines.push(line);
+          lastEnd = null;
+        }
+        const x = item.transform[4];
+        if (lastEnd != null && line.text.trim() && item.str.trim() && x - lastEnd > minGap) line.columnGap = true;
+        if (item.str.trim()) lastEnd = x + (item.width || 0);
+        line.text += item.str;
+        line.size = Math.max(line.size, size);
+        lastY = item.transform[5];
+      }
+      return text + PAGE_BREAK;
+    });
+}
+
+/** Whether the lines (see readPdf) come from a page laid out in side-by-side columns, which the text runs together. */
+function isMultiColumn(lines) {
+  const withText = lines.filter((l) => l.text.trim());
+  if (withText.length < MULTI_COLUMN_MIN_LINES) return false;
+  return withText.filter((l) => l.columnGap).length / withText.length >= MULTI_COLUMN_LINE_RATIO;
+}
+
+/** Resolves to { text, lines: [{ text, size, page, columnGap }] }; throws 400 on unreadable files. */
+async function readPdf(buf) {
+  if (!pdfParse) throw new Error('PDF parsing requires: npm install pdf-parse');
+  if (!buf || buf.length < 100) {
+    throw httpError(400, 'PDF file is too small or empty. Please upload a valid PDF.');
+  }
+  const lines = [];
+  try {
+    const origWarn = console.warn;
+    console.warn = (...args) => {
+      const msg = args[0] != null ? String(args[0]) : '';
+      if (msg.includes('TT: undefined function') || msg.includes('undefined function:')) return;
+      origWarn.apply(console, args);
+    };
+    try {
+      const data = await pdfParse(Buffer.from(buf), { pagerender: pageRenderer(lines) });
+      return { text: data.text || '', lines };
+    } finally {
+      console.warn = origWarn;
+    }
+  } catch (e) {
+    log.warn('PDF parsing failed', { err: e });
+    throw httpError(400, 'Could not read the PDF (it may be corrupted or password-protected). Try re-saving it or use Paste Text.');
+  }
+}
+
+module.exports = { readPdf, isMultiColumn };
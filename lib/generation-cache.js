@@ -0,0 +1,68 @@
+// lib/generation-cache.js - Reuse an earlier generation for the same input instead of calling the provider again
+//
+// The key is a SHA-256 of everything that decides the output: the prompt version, the
+// cleaned resume text, the theme (lib/theme.js), the provider/model asked for first and
+// the uploaded images' contents, for tailored pages the job posting and, when the file itself
+// is sent (lib/document-input.js), that file. It is stored on the generation_results row (cache_key),
+// so the cache survives restarts and needs no extra table. Lookups are scoped to the
+// owner: an account only reuses its own rows, and an anonymous visitor only the rows of
+// the same visitor_id. A hit is saved again as a row of the new upload (see runGeneration
+// in routes/generate.js), so every upload owns the pages it shows.
+const crypto = require('crypto');
+const { PROMPT_VERSION } = require('./prompts');
+const log = require('./logger');
+
+const counts = { hits: 0, misses: 0, bypassed: 0 };
+
+/**
+ * Cache key for generating from `cleanedText` with a validated `theme`, `images` (lib/images.js; only
+ * their sha256 is used), a job `target` (lib/tailor.js; its sha256) and a `document` sent in place of the
+ * text (its sha256); null when the first provider is the built-in template (no LLM call to save).
+ */
+function cacheKeyFor(cleanedText, theme, attempt, images = [], target = null, document = null) {
+  if (!attempt || attempt.provider.name === 'template') return null;
+  const input = [PROMPT_VERSION, attempt.provider.name, attempt.model || null, theme || null, cleanedText];
+  if (images.length) input.push(images.map((img) => `${img.name}:${img.sha256}`));
+  if (target) input.push({ job: target.sha256 });
+  if (document) input.push({ document: document.sha256 });
+  return crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+}
+
+/** Whether a finished generation may be reused: valid, and made by the provider the key names (not a fallback). */
+function isCacheable(result, report) {
+  return !!(report.valid && report.html && !result.fallback);
+}
+
+/**
+ * The newest generation_results row stored under `key` for `owner` = { userId, visitorId }: the account's
+ * rows when signed in, else that visitor's anonymous rows; null when there is none (or no owner at all).
+ * Counts a hit or a miss; a failed lookup is treated as a miss.
+ */
+async function findCached(db, key, owner) {
+  const { userId, visitorId } = owner || {};
+  if (!userId && !visitorId) {
+    counts.misses++;
+    return null;
+  }
+  const where = userId ? { cache_key: key, user_id: userId } : { cache_key: key, user_id: null, visitor_id: String(visitorId) };
+  try {
+    const [row] = await db.find('generation_results', where, { orderBy: 'created_at', desc: true, limit: 1 });
+    counts[row ? 'hits' : 'misses']++;
+    return row || null;
+  } catch (e) {
+    log.warn('Generation cache lookup failed', { err: e });
+    return null;
+  }
+}
+
+/** Count a request that skipped the cache on purpose (`regenerate`). */
+function recordBypass() {
+  counts.bypassed++;
+}
+
+/** Hit, miss and bypass counts since the server started (for /health). */
+function cacheStats() {
+  return { ...counts };
+}
+
+module.exports = { cacheKeyFor, isCacheable, findCached, recordBypass, cacheStats };
@@ -0,0 +1,281 @@
+// lib/html-postprocess.js - Check, sanitise and repair LLM-generated HTML
+//
+// Every generated page goes through here before it is stored or returned:
+//   1. analyzeDocument  - is it a complete, well-formed HTML document? was it cut off?
+//   2. continueHtml     - ask the model to finish a truncated document
+//   3. sanitizeDocument - drop inline handlers, javascript: URLs, remote scripts, trackers
+//   4. checkFacts       - do the resume's key facts (name, email, employers) appear?
+//   5. checkTheme       - did the page follow the theme (colours, hidden sections)?
+//   6. checkTailoring   - does a page tailored to a job claim what only the posting says? (lib/tailor.js)
+
+const parse5 = require('parse5');
+const { buildContinuationPrompt } = require('./prompts');
+const { stripCodeFences } = require('./html');
+const { SECTION_TITLES } = require('./templates');
+const { checkTailoring } = require('./tailor');
+const log = require('./logger');
+
+const MAX_CONTINUATIONS = 2;
+
+// Remote script hosts kept by default (CSS frameworks/icon kits models commonly use).
+const ALLOWED_SCRIPT_HOSTS = (process.env.ALLOWED_SCRIPT_HOSTS || 'cdn.tailwindcss.com,cdn.jsdelivr.net,unpkg.com,cdnjs.cloudflare.com')
+  .split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+const ALLOW_TRACKING = process.env.ALLOW_TRACKING === 'true';
+
+const TRACKER_HOSTS = [
+  'google-analytics.com', 'googletagmanager.com', 'doubleclick.net', 'facebook.net', 'facebook.com/tr',
+  'connect.facebook.net', 'hotjar.com', 'segment.com', 'segment.io', 'mixpanel.com', 'clarity.ms',
+  'plausible.io', 'matomo', 'quantserve.com', 'scorecardresearch.com', 'bat.bing.com', 'analytics.',
+];
+const TRACKER_SNIPPET_RE = /\b(gtag\(|ga\(\s*['"]create|fbq\(|_paq\.push|dataLayer\.push|mixpanel\.|hj\(|clarity\()/;
+const URL_ATTRS = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'data'];
+const DROP_TAGS = ['object', 'embed', 'base'];
+
+// Parse errors that mean the markup is broken rather than merely sloppy.
+const FATAL_PARSE_ERRORS = /^eof-in-|^missing-doctype$/;
+
+function attr(node, name) {
+  const a = (node.attrs || []).find((x) => x.name === name);
+  return a ? a.value : null;
+}
+
+function hostOf(url) {
+  const m = String(url || '').trim().match(/^(?:https?:)?\/\/([^/?#]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function isTracker(url) {
+  const u = String(url || '').toLowerCase();
+  return !!hostOf(u) && TRACKER_HOSTS.some((t) => u.includes(t));
+}
+
+function walk(node, visit) {
+  for (const child of [...(node.childNodes || [])]) {
+    if (visit(child) !== false) walk(child, visit);
+  }
+  if (node.content) walk(node.content, visit); // <template>
+}
+
+function findElement(node, tag) {
+  let found = null;
+  walk(node, (n) => {
+    if (found) return false;
+    if (n.tagName === tag) {
+      found = n;
+      return false;
+    }
+    return true;
+  });
+  return found;
+}
+
+function textContent(node) {
+  let out = '';
+  walk(node, (n) => {
+    if (n.nodeName === '#text') out += n.value + ' ';
+    if (n.tagName === 'script' || n.tagName === 'style') return false;
+    if (n.tagName === 'a' && attr(n, 'href')) out += attr(n, 'href') + ' ';
+    return true;
+  });
+  return out;
+}
+
+/**
+ * Parse and check a document. Returns { valid, truncated, errors }.
+ * `truncated` = the document stops before </html> (or the provider hit its token limit).
+ */
+function analyzeDocument(html, finishReason) {
+  const errors = [];
+  const parseErrors = [];
+  const doc = parse5.parse(html || '', {
+    sourceCodeLocationInfo: true,
+    onParseError: (e) => parseErrors.push(e.code),
+  });
+  const htmlEl = findElement(doc, 'html');
+  const head = findElement(doc, 'head');
+  const body = findElement(doc, 'body');
+  const explicit = (el) => el && el.sourceCodeLocation && el.sourceCodeLocation.startTag;
+
+  if (!doc.childNodes.some((n) => n.nodeName === '#documentType')) errors.push('Missing <!DOCTYPE html>');
+  if (!explicit(htmlEl)) errors.push('Missing <html> element');
+  if (!explicit(head)) errors.push('Missing <head> element');
+  if (!explicit(body)) errors.push('Missing <body> element');
+  if (body && !textContent(body).trim()) errors.push('Page body has no text');
+  const fatal = [...new Set(parseErrors.filter((c) => FATAL_PARSE_ERRORS.test(c)))];
+  if (fatal.length) errors.push('Parse errors: ' + fatal.join(', '));
+
+  const closed = !!(htmlEl && htmlEl.sourceCodeLocation && htmlEl.sourceCodeLocation.endTag);
+  const truncated = finishReason === 'length' || !closed;
+  if (!closed) errors.push('Document is not closed with </html>');
+  return { valid: errors.length === 0, truncated, errors };
+}
+
+/** Append a continuation, dropping any prefix the model repeated from the end of the partial page. */
+function joinContinuation(partial, continuation) {
+  const max = Math.min(300, partial.length, continuation.length);
+  for (let n = max; n >= 10; n--) {
+    if (partial.endsWith(continuation.slice(0, n))) return partial + continuation.slice(n);
+  }
+  return partial + continuation;
+}
+
+/**
+ * Ask the model to finish a cut-off document, up to MAX_CONTINUATIONS times.
+ * `generate(promptOpts, onChunk)` runs one provider call and resolves to { text, finishReason, usage }.
+ * Resolves to { html, continued, finishReason } where `continued` is the number of extra calls made.
+ */
+async function continueHtml(html, finishReason, generate, onChunk) {
+  let current = html;
+  let reason = finishReason;
+  let continued = 0;
+  while (continued < MAX_CONTINUATIONS && analyzeDocument(current, reason).truncated) {
+    continued++;
+    log.info('HTML truncated, requesting continuation', { continuation: continued, length: current.length });
+    const before = current.length;
+    const result = await generate(buildContinuationPrompt(current), onChunk);
+    const piece = stripCodeFences(result.text).replace(/^<!DOCTYPE[^>]*>\s*/i, '');
+    if (!piece) break;
+    current = joinContinuation(current, piece);
+    reason = result.finishReason;
+    if (current.length === before) break;
+  }
+  return { html: current, continued, finishReason: reason };
+}
+
+/**
+ * Remove active content that has no place in a portfolio page. Returns
+ * { html, removed } where `removed` lists what was stripped (for warnings).
+ */
+function sanitizeDocument(html, options = {}) {
+  const allowedHosts = options.allowedScriptHosts || ALLOWED_SCRIPT_HOSTS;
+  const allowTracking = options.allowTracking != null ? options.allowTracking : ALLOW_TRACKING;
+  const removed = [];
+  const doc = parse5.parse(html || '');
+
+  const drop = (node, why) => {
+    const parent = node.parentNode;
+    if (!parent) return;
+    parent.childNodes = parent.childNodes.filter((c) => c !== node);
+    removed.push(why);
+  };
+
+  walk(doc, (node) => {
+    if (!node.tagName) return true;
+    const tag = node.tagName;
+    const src = attr(node, 'src') || attr(node, 'href');
+
+    if (DROP_TAGS.includes(tag)) {
+      drop(node, `<${tag}> element`);
+      return false;
+    }
+    if (tag === 'meta' && /refresh/i.test(attr(node, 'http-equiv') || '')) {
+      drop(node, 'meta refresh');
+      return false;
+    }
+    if (!allowTracking && ['script', 'img', 'iframe', 'link'].includes(tag) && isTracker(src)) {
+      drop(node, `tracker ${tag} (${hostOf(src)})`);
+      return false;
+    }
+    if (tag === 'script') {
+      const scriptSrc = attr(node, 'src');
+      if (scriptSrc && !allowedHosts.includes(hostOf(scriptSrc) || '')) {
+        drop(node, `remote script (${hostOf(scriptSrc) || scriptSrc.slice(0, 60)})`);
+        return false;
+      }
+      const inline = (node.childNodes || []).map((c) => c.value || '').join('');
+      if (!allowTracking && TRACKER_SNIPPET_RE.test(inline)) {
+        drop(node, 'inline tracking script');
+        return false;
+      }
+    }
+    if (!allowTracking && tag === 'img') {
+      const w = attr(node, 'width');
+      const h = attr(node, 'height');
+      if (hostOf(attr(node, 'src')) && ((w !== null && Number(w) <= 1) || (h !== null && Number(h) <= 1))) {
+        drop(node, `tracking pixel (${hostOf(attr(node, 'src'))})`);
+        return false;
+      }
+    }
+
+    const before = node.attrs.length;
+    node.attrs = node.attrs.filter((a) => {
+      if (/^on/i.test(a.name)) return false;
+      if (URL_ATTRS.includes(a.name) && /^(javascript:|vbscript:|data:text\/html)/i.test(a.value.replace(/[\s\x00-\x1f]/g, ''))) return false;
+      return true;
+    });
+    if (node.attrs.length !== before) removed.push(`${before - node.attrs.length} unsafe attribute(s) on <${tag}>`);
+    return true;
+  });
+
+  return { html: removed.length ? parse5.serialize(doc) : html, removed };
+}
+
+function normalizeText(s) {
+  return String(s || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/** Warn when key resume facts are missing from the visible page; employers are skipped when the theme hides Experience. */
+function checkFacts(html, resume, theme) {
+  if (!resume) return [];
+  const body = findElement(parse5.parse(html || ''), 'body');
+  const text = normalizeText(body ? textContent(body) : '');
+  const warnings = [];
+  const b = resume.basics || {};
+  if (b.name && !text.includes(normalizeText(b.name))) warnings.push(`Name "${b.name}" does not appear on the page`);
+  if (b.email && !text.includes(normalizeText(b.email))) warnings.push(`Email ${b.email} does not appear on the page`);
+  const workHidden = !!theme && theme.hidden.includes('work');
+  for (const w of workHidden ? [] : resume.work || []) {
+    if (w.name && !text.includes(normalizeText(w.name))) warnings.push(`Employer "${w.name}" does not appear on the page`);
+  }
+  return warnings;
+}
+
+/** Warn when the page ignores a validated theme (lib/theme.js): primary colour unused, hidden sections shown. */
+function checkTheme(html, theme) {
+  if (!theme) return [];
+  const warnings = [];
+  if (!String(html || '').toLowerCase().includes(theme.primary)) warnings.push(`Theme colour ${theme.primary} is not used on the page`);
+  const headings = [];
+  walk(parse5.parse(html || ''), (n) => {
+    if (/^h[1-3]$/.test(n.tagName || '')) headings.push(normalizeText(textContent(n)));
+    return true;
+  });
+  for (const key of theme.hidden) {
+    const title = normalizeText(SECTION_TITLES[key]);
+    if (headings.includes(title)) warnings.push(`Hidden section "${SECTION_TITLES[key]}" appears on the page`);
+  }
+  return warnings;
+}
+
+/**
+ * Run the whole post-processing stage on a provider result.
+ * Options: resume (for fact checks), theme (for theme checks), target (the job posting a tailored page must not
+ * claim more than the resume for), continueWith (see continueHtml; omit to skip repair), onChunk (receives
+ * continuation text when streaming).
+ * Resolves to { html, valid, errors, warnings, continued }.
+ */
+async function finalizeHtml(result, { resume, theme, target, continueWith, onChunk } = {}) {
+  let html = result.text || '';
+  let finishReason = result.finishReason;
+  let continued = 0;
+  if (continueWith) {
+    ({ html, continued, finishReason } = await continueHtml(html, finishReason, continueWith, onChunk));
+  }
+  const check = analyzeDocument(html, finishReason);
+  const { html: clean, removed } = sanitizeDocument(html);
+  const warnings = [];
+  if (continued) warnings.push(`Output was cut off at the token limit; continued ${continued} time(s)`);
+  if (check.truncated) warnings.push('Output is still incomplete');
+  warnings.push(...removed.map((r) => `Removed ${r}`), ...checkFacts(clean, resume, theme), ...checkTheme(clean, theme), ...checkTailoring(clean, resume, target));
+  return { html: clean, valid: check.valid, errors: check.errors, warnings, continued };
+}
+
+module.exports = {
+  finalizeHtml,
+  analyzeDocument,
+  continueHtml,
+  sanitizeDocument,
+  checkFacts,
+  checkTheme,
+  MAX_CONTINUATIONS,
+};
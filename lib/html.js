@@ -0,0 +1,16 @@
+// lib/html.js - Small HTML string helpers shared by routes and renderers
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Strip the markdown code fences models like to wrap HTML in. */
+function stripCodeFences(text) {
+  return (text || '').replace(/^```html?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
+}
+
+module.exports = { escapeHtml, stripCodeFences };
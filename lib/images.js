@@ -0,0 +1,221 @@
+// lib/images.js - Profile photo and project images sent with a resume
+//
+// Uploads are checked by their bytes (not the browser's MIME type), then resized and
+// re-encoded as WebP with sharp: the photo as a square portrait, project images to
+// fit 1200×900. Re-encoding also drops EXIF data such as the GPS position. Without
+// sharp, images are kept as uploaded.
+//
+// Pages refer to images by relative path (images/photo.webp, images/project-1.webp).
+// Exported and hosted sites serve them as files; single-file HTML (the `done` payload,
+// downloads) gets them inlined as data: URIs.
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const log = require('./logger');
+
+// Image resizing (optional dependency)
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (e) {}
+
+const IMAGES_MAX = Number(process.env.IMAGES_MAX) || 6;
+const PHOTO_SIZE = 512;
+const PROJECT_MAX_WIDTH = 1200;
+const PROJECT_MAX_HEIGHT = 900;
+const WEBP_QUALITY = 80;
+// Refuse to decode anything bigger (decompression bombs); a 48MP phone photo is 48M pixels.
+const MAX_INPUT_PIXELS = 60 * 1000 * 1000;
+const ALT_MAX_LENGTH = 120;
+const IMAGE_DIR = 'images';
+// images/photo.webp, ./images/project-2.jpg or /images/... in an attribute, srcset or url()
+const IMAGE_REF_RE = /(^|["'(\s=,])(?:\.?\/)?images\/((?:photo|project-\d+)\.(?:webp|jpg|png|gif))(?=["')\s,?#]|$)/g;
+
+/** { type, ext } from the file's first bytes, or null when it isn't a JPEG, PNG, WebP or GIF. */
+function sniffImage(buf) {
+  if (buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return { type: 'image/jpeg', ext: 'jpg' };
+  if (buf.length > 8 && buf.readUInt32BE(0) === 0x89504e47) return { type: 'image/png', ext: 'png' };
+  if (buf.length > 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return { type: 'image/webp', ext: 'webp' };
+  if (buf.length > 6 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) return { type: 'image/gif', ext: 'gif' };
+  return null;
+}
+
+/** "weather-app_screenshot.png" → "weather app screenshot". */
+function altFromFileName(fileName) {
+  return path.parse(String(fileName || '')).name.replace(/[-_.]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, ALT_MAX_LENGTH);
+}
+
+/** `image_captions` as a JSON array string, or repeated `image_captions[]` fields. */
+function captionsOf(body) {
+  const raw = body && (body.image_captions != null ? body.image_captions : body['image_captions[]']);
+  if (raw == null || raw === '') return [];
+  let list = raw;
+  if (typeof raw === 'string' && raw.trim().startsWith('[')) {
+    try {
+      list = JSON.parse(raw);
+    } catch (e) {
+      throw httpError(400, 'image_captions is not valid JSON.');
+    }
+  }
+  return [].concat(list).map((c) => String(c == null ? '' : c).trim().slice(0, ALT_MAX_LENGTH));
+}
+
+/**
+ * The image fields of an upload request (express-fileupload `files`, form `body`): an optional
+ * `photo` and up to IMAGES_MAX `images` / `images[]`, with alt text from `image_captions` or the
+ * file name. Returns [{ kind: 'photo' | 'project', file, alt }], photo first; 400 when there are too many.
+ */
+function imageFilesOf(files, body) {
+  const asList = (v) => (v ? [].concat(v) : []);
+  const photos = asList(files && files.photo);
+  if (photos.length > 1) throw httpError(400, 'Send a single profile photo.');
+  const projects = [...asList(files && files.images), ...asList(files && files['images[]'])];
+  if (projects.length > IMAGES_MAX) throw httpError(400, `Send at most ${IMAGES_MAX} project images.`);
+  const captions = captionsOf(body);
+  return [
+    ...photos.map((file) => ({ kind: 'photo', file, alt: 'Profile photo' })),
+    ...projects.map((file, i) => ({ kind: 'project', file, alt: captions[i] || altFromFileName(file.name) || `Project image ${i + 1}` })),
+  ];
+}
+
+/** 415 unless `buffer` is a JPEG, PNG, WebP or GIF image. */
+function checkImage(buffer, fileName) {
+  if (!sniffImage(buffer)) {
+    throw httpError(415, `${fileName || 'The image'} is not a JPG, PNG, WebP or GIF image.`);
+  }
+}
+
+/**
+ * Resize and compress checked uploads ([{ kind, fileName, buffer, alt }]). Resolves to images
+ * { kind, name, alt, contentType, width, height, buffer, sha256 } named photo.webp, project-1.webp, ...
+ */
+async function processImages(uploads) {
+  const images = [];
+  let project = 0;
+  for (const upload of uploads) {
+    const base = upload.kind === 'photo' ? 'photo' : `project-${++project}`;
+    const original = sniffImage(upload.buffer);
+    let out = { buffer: upload.buffer, contentType: original.type, ext: original.ext, width: null, height: null };
+    if (sharp) {
+      try {
+        const pipeline = sharp(upload.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+        const resized = upload.kind === 'photo'
+          ? pipeline.resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'cover', position: sharp.strategy.attention })
+          : pipeline.resize(PROJECT_MAX_WIDTH, PROJECT_MAX_HEIGHT, { fit: 'inside', withoutEnlargement: true });
+        const { data, info } = await resized.webp({ quality: WEBP_QUALITY }).toBuffer({ resolveWithObject: true });
+        out = { buffer: data, contentType: 'image/webp', ext: 'webp', width: info.width, height: info.height };
+      } catch (e) {
+        throw httpError(400, `Could not read the image ${upload.fileName || base} (${(e.message || '').split('\n')[0]}).`);
+      }
+    }
+    images.push({
+      kind: upload.kind,
+      name: `${base}.${out.ext}`,
+      alt: upload.alt,
+      contentType: out.contentType,
+      width: out.width,
+      height: out.height,
+      buffer: out.buffer,
+      sha256: crypto.createHash('sha256').update(out.buffer).digest('hex'),
+    });
+  }
+  if (images.length) {
+    log.info('Images processed', { images: images.map((i) => `${i.name} ${i.buffer.length}B`), resized: !!sharp });
+  }
+  return images;
+}
+
+/**
+ * Store processed images next to the upload and record them in upload_images; returns the images that were stored.
+ * A failed store is logged and the image left out, so the page is never built around an image later views can't load.
+ */
+async function storeUploadImages(resumeUploadId, images) {
+  if (!resumeUploadId || !images.length) return images;
+  const { db, objects } = getStorage();
+  const stored = [];
+  for (const [position, img] of images.entries()) {
+    let storagePath = null;
+    try {
+      storagePath = await objects.put(`${IMAGE_DIR}/${resumeUploadId}/${img.name}`, img.buffer, img.contentType);
+      await db.insert('upload_images', {
+        resume_upload_id: resumeUploadId,
+        kind: img.kind,
+        position,
+        name: img.name,
+        alt: img.alt || null,
+        storage_path: storagePath,
+        content_type: img.contentType,
+        width: img.width,
+        height: img.height,
+        file_size: img.buffer.length,
+        sha256: img.sha256,
+      });
+      stored.push(img);
+    } catch (e) {
+      log.warn('Image store failed, leaving it out of the page', { image: img.name, err: e });
+      // Stored but not recorded: nothing would ever find (or delete) the file
+      if (storagePath) await objects.remove(storagePath).catch((err) => log.warn('Unrecorded image remove failed', { path: storagePath, err }));
+    }
+  }
+  return stored;
+}
+
+/** The images stored for an upload, with their bytes (files missing from storage are skipped). */
+async function loadUploadImages(resumeUploadId) {
+  if (!resumeUploadId) return [];
+  const { db, objects } = getStorage();
+  const rows = await db.find('upload_images', { resume_upload_id: resumeUploadId }, { orderBy: 'position' });
+  const images = [];
+  for (const row of rows) {
+    const buffer = await objects.get(row.storage_path);
+    if (!buffer) continue;
+    images.push({
+      kind: row.kind,
+      name: row.name,
+      alt: row.alt,
+      contentType: row.content_type,
+      width: row.width,
+      height: row.height,
+      buffer,
+      sha256: row.sha256,
+    });
+  }
+  return images;
+}
+
+/** What prompts, templates and the mock provider get about an image: { src, kind, alt, width, height }. */
+function describeImages(images) {
+  return images.map((img) => ({ src: `${IMAGE_DIR}/${img.name}`, kind: img.kind, alt: img.alt, width: img.width, height: img.height }));
+}
+
+/** Names of the images `html` refers to. */
+function referencedImageNames(html) {
+  return new Set([...String(html || '').matchAll(IMAGE_REF_RE)].map((m) => m[2]));
+}
+
+/** Replace references to known images with `urlFor(image)`; unknown names are left alone. */
+function rewriteImageRefs(html, images, urlFor) {
+  if (!html || !images || !images.length) return html;
+  const byName = new Map(images.map((img) => [img.name, img]));
+  return html.replace(IMAGE_REF_RE, (m, lead, name) => (byName.has(name) ? lead + urlFor(byName.get(name)) : m));
+}
+
+/** Single-file HTML: image references become data: URIs. */
+function inlineImages(html, images) {
+  return rewriteImageRefs(html, images, (img) => `data:${img.contentType};base64,${img.buffer.toString('base64')}`);
+}
+
+module.exports = {
+  imageFilesOf,
+  checkImage,
+  processImages,
+  storeUploadImages,
+  loadUploadImages,
+  describeImages,
+  referencedImageNames,
+  rewriteImageRefs,
+  inlineImages,
+  IMAGE_DIR,
+  IMAGES_MAX,
+};
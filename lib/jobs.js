@@ -0,0 +1,246 @@
+// lib/jobs.js - Background generation jobs with replayable, cancellable SSE
+//
+// A job runs the generation pipeline independently of the request that started
+// it. Everything it reports (status changes, HTML chunks, the final result or
+// error) is kept as a numbered event log, so a client that loses its connection
+// can reconnect with Last-Event-ID and carry on where it stopped. When the last
+// listener goes away the job gets JOB_ORPHAN_GRACE_MS to be picked up again
+// (a page reload), then it is aborted so the provider stops generating.
+//
+// Jobs live in this process's memory: they are not shared between servers and
+// don't survive a restart (the generations they saved do).
+//
+// A job runs in its own log context (lib/logger.js): its lines carry `jobId` next to the
+// `requestId` of the request that started it, which is also kept as `job.requestId`.
+const crypto = require('crypto');
+const { httpError } = require('./errors');
+const log = require('./logger');
+
+// queued → extracting → generating → done | failed (a cancelled job is failed with cancelled: true)
+const STATUSES = ['queued', 'extracting', 'generating', 'done', 'failed'];
+const ORPHAN_GRACE_MS = Number(process.env.JOB_ORPHAN_GRACE_MS) || 30 * 1000;
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_MINUTES) || 15) * 60 * 1000;
+const HEARTBEAT_MS = 15 * 1000;
+
+const jobs = new Map();
+
+function isFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+function emit(job, data) {
+  const event = { id: job.events.length + 1, data };
+  job.events.push(event);
+  for (const listener of [...job.listeners]) listener(event);
+}
+
+function setStatus(job, status) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown job status "${status}"`);
+  if (isFinished(job) || job.status === status) return;
+  job.status = status;
+  job.updatedAt = new Date().toISOString();
+  emit(job, { status });
+}
+
+function finish(job, status, data) {
+  if (isFinished(job)) return;
+  clearTimeout(job.orphanTimer);
+  job.status = status;
+  job.updatedAt = new Date().toISOString();
+  emit(job, data);
+  job.listeners.clear();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Start a job. `run(ctx)` does the work and resolves to the `done` payload;
+ * ctx = { id, signal, setStatus(status), emit(data) }. `owner` = { userId, visitorId }.
+ */
+function createJob(owner, run) {
+  const now = new Date().toISOString();
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    userId: owner.userId || null,
+    visitorId: owner.visitorId || null,
+    requestId: log.logContext().requestId || null,
+    createdAt: now,
+    updatedAt: now,
+    events: [],
+    listeners: new Set(),
+    controller,
+    orphanTimer: null,
+    result: null,
+    error: null,
+    cancelled: false,
+  };
+  jobs.set(job.id, job);
+  emit(job, { jobId: job.id, status: job.status });
+
+  const ctx = {
+    id: job.id,
+    signal: controller.signal,
+    setStatus: (status) => setStatus(job, status),
+    emit: (data) => {
+      if (!isFinished(job)) emit(job, data);
+    },
+  };
+  job.finished = log.withLogContext({ jobId: job.id }, () => Promise.resolve()
+    .then(() => run(ctx))
+    .then((result) => {
+      if (isFinished(job)) return;
+      job.result = result;
+      finish(job, 'done', { done: true, ...result });
+    }, (err) => {
+      if (isFinished(job)) return;
+      job.error = err;
+      log[err.status && err.status < 500 ? 'warn' : 'error']('Job failed', { err });
+      finish(job, 'failed', { error: err.message || 'Generation failed', ...(err.details && { details: err.details }) });
+    }));
+  log.info('Job created', { jobId: job.id });
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(String(id)) || null;
+}
+
+/** Abort a running job; returns false when it had already finished. */
+function cancelJob(job, reason = 'Generation cancelled.') {
+  if (isFinished(job)) return false;
+  job.cancelled = true;
+  job.error = httpError(409, reason);
+  job.controller.abort();
+  log.info('Job cancelled', { jobId: job.id, reason });
+  finish(job, 'failed', { error: reason, cancelled: true });
+  return true;
+}
+
+/**
+ * Cancel every running job of `owner` = { userId?, visitorId? } (a visitor's jobs only when no
+ * account started them); returns the cancelled jobs. Used before erasing someone's data.
+ */
+function cancelJobsOf(owner, reason = 'Generation cancelled because your data was deleted.') {
+  const cancelled = [];
+  for (const job of jobs.values()) {
+    const mine = (owner.userId && job.userId === owner.userId)
+      || (owner.visitorId && !job.userId && job.visitorId === owner.visitorId);
+    if (mine && cancelJob(job, reason)) cancelled.push(job);
+  }
+  return cancelled;
+}
+
+/**
+ * After the last listener leaves, give a reconnect ORPHAN_GRACE_MS before aborting.
+ * Jobs nobody ever listened to (started with POST /jobs and polled) are left to finish.
+ */
+function checkOrphaned(job) {
+  if (isFinished(job) || job.listeners.size > 0) return;
+  clearTimeout(job.orphanTimer);
+  job.orphanTimer = setTimeout(() => {
+    if (job.listeners.size === 0) cancelJob(job, 'No client is listening, so generation was stopped.');
+  }, ORPHAN_GRACE_MS);
+  job.orphanTimer.unref();
+}
+
+/** Register `listener(event)` for new events; returns the function that removes it. */
+function listen(job, listener) {
+  clearTimeout(job.orphanTimer);
+  job.listeners.add(listener);
+  return () => {
+    job.listeners.delete(listener);
+    checkOrphaned(job);
+  };
+}
+
+/**
+ * Answer with the job's events as SSE (`id:` = event number): first the ones after the
+ * request's Last-Event-ID (or ?last_event_id=), then new ones until the job finishes.
+ */
+function streamJob(job, req, res) {
+  const lastEventId = Number(req.headers['last-event-id'] || req.query.last_event_id) || 0;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('X-Job-Id', job.id);
+  res.flushHeaders && res.flushHeaders();
+
+  const write = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+  for (const event of job.events) {
+    if (event.id > lastEventId) write(event);
+  }
+  if (isFinished(job)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const stop = listen(job, (event) => {
+    write(event);
+    if (isFinished(job)) {
+      cleanup();
+      res.end();
+    }
+  });
+  function cleanup() {
+    clearInterval(heartbeat);
+    stop();
+  }
+  res.on('close', cleanup);
+}
+
+/**
+ * Wait for the job's result while `res` is open (a closed response counts as the
+ * client leaving). Resolves to the `done` payload or rejects with the job's error.
+ */
+async function waitForJob(job, res) {
+  const stop = listen(job, () => {});
+  res.on('close', stop);
+  try {
+    await job.finished;
+  } finally {
+    stop();
+  }
+  if (job.status !== 'done') throw job.error;
+  return job.result;
+}
+
+/** Public status of a job (no HTML; fetch the generation for that). */
+function describeJob(job) {
+  const r = job.result || {};
+  return {
+    id: job.id,
+    status: job.status,
+    requestId: job.requestId,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    lastEventId: job.events.length,
+    listeners: job.listeners.size,
+    ...(job.status === 'done' && {
+      result: { resumeUploadId: r.resumeUploadId, generationId: r.generationId, provider: r.provider, model: r.model, fallback: r.fallback, cached: r.cached, warnings: r.warnings },
+    }),
+    ...(job.status === 'failed' && { error: job.error ? job.error.message : 'Generation failed', cancelled: job.cancelled }),
+  };
+}
+
+/** Counts of jobs in memory by status (for /health). */
+function jobStats() {
+  const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  for (const job of jobs.values()) counts[job.status]++;
+  return counts;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  cancelJob,
+  cancelJobsOf,
+  streamJob,
+  waitForJob,
+  describeJob,
+  jobStats,
+  isFinished,
+  STATUSES,
+};
@@ -0,0 +1,68 @@
+// lib/limiter.js - Concurrency limit for async work (first come, first served)
+
+/**
+ * A limiter that runs at most `max` tasks at once. `run(fn, { signal, onWait, onStart })`
+ * resolves to fn()'s result. `onWait()` is called when the task has to queue and
+ * `onStart()` when it leaves the queue; an aborted `signal` takes it out of the
+ * queue with an AbortError.
+ */
+function createLimiter(max) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    while (active < max && queue.length) {
+      const waiter = queue.shift();
+      if (waiter.cancelled) continue;
+      active++;
+      waiter.start();
+    }
+  }
+
+  function acquire(signal, onWait) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    if (active < max) {
+      active++;
+      return Promise.resolve();
+    }
+    onWait();
+    return new Promise((resolve, reject) => {
+      const waiter = { cancelled: false, start: resolve };
+      queue.push(waiter);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          waiter.cancelled = true;
+          reject(abortError());
+        }, { once: true });
+      }
+    });
+  }
+
+  async function run(fn, { signal, onWait, onStart } = {}) {
+    let waited = false;
+    await acquire(signal, () => {
+      waited = true;
+      if (onWait) onWait();
+    });
+    if (waited && onStart) onStart();
+    try {
+      return await fn();
+    } finally {
+      active--;
+      next();
+    }
+  }
+
+  return {
+    run,
+    stats: () => ({ max, active, waiting: queue.filter((w) => !w.cancelled).length }),
+  };
+}
+
+function abortError() {
+  const err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+module.exports = { createLimiter };
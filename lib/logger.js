@@ -0,0 +1,76 @@
+// lib/logger.js - Structured logs that carry the request and job they belong to
+//
+// Every line is one JSON object: { time, level, msg, requestId?, jobId?, uploadId?, ...fields }.
+// The ids come from an AsyncLocalStorage context: server.js opens one per request
+// (X-Request-Id, or a new id) and lib/jobs.js one per job, so extraction, provider
+// calls and storage writes made on their behalf are logged with the same ids, even
+// after the request that started a job has ended. LOG_FORMAT=text prints readable
+// lines instead (the default when NODE_ENV=development); LOG_LEVEL drops lines below it.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').trim().toLowerCase()] ? String(process.env.LOG_LEVEL).trim().toLowerCase() : 'info';
+const LOG_FORMAT = (process.env.LOG_FORMAT || (process.env.NODE_ENV === 'development' ? 'text' : 'json')).trim().toLowerCase() === 'text' ? 'text' : 'json';
+
+const context = new AsyncLocalStorage();
+
+/** Run `fn` with `fields` (requestId, jobId, ...) added to every line it logs, including from async work it starts. */
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/** Add `fields` to the current context (e.g. the upload id once it is known); no-op outside one. */
+function addLogContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/** The ids of the current context ({} outside one). */
+function logContext() {
+  return { ...context.getStore() };
+}
+
+/** An Error as loggable fields: message, status and code, plus the stack for unexpected (status-less) errors. */
+function errorFields(err) {
+  if (!(err instanceof Error)) return err;
+  return {
+    message: err.message,
+    ...(err.name && err.name !== 'Error' && { name: err.name }),
+    ...(err.status && { status: err.status }),
+    ...(err.code && { code: err.code }),
+    ...(!err.status && err.stack && { stack: err.stack }),
+  };
+}
+
+function textLine(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const rest = Object.entries(fields).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`);
+  return [`[ResumeToSite]${level === 'info' ? '' : ` ${level.toUpperCase()}`}`, msg, ...rest].join(' ');
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore() };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) entry[key] = key === 'err' ? errorFields(value) : value;
+  }
+  let line;
+  try {
+    line = LOG_FORMAT === 'text' ? textLine(entry) : JSON.stringify(entry);
+  } catch (e) {
+    line = JSON.stringify({ time: entry.time, level, msg, logError: e.message });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  withLogContext,
+  addLogContext,
+  logContext,
+  LOG_LEVEL,
+  LOG_FORMAT,
+};
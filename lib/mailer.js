@@ -0,0 +1,39 @@
+// lib/mailer.js - Outgoing email (magic links) over SMTP
+//
+// Point SMTP_HOST/SMTP_PORT at any SMTP server. For development use a local
+// stand-in such as Mailpit (SMTP on :1025, inbox UI on :8025). Without
+// SMTP_HOST, messages are dropped and only their recipient and subject are
+// logged: the body holds a live sign-in link. With NODE_ENV=development the
+// body is logged too, at debug level.
+const log = require('./logger');
+const SMTP_HOST = (process.env.SMTP_HOST || '').trim();
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const MAIL_FROM = (process.env.MAIL_FROM || 'ResumeToSite <no-reply@localhost>').trim();
+
+let transport = null;
+function getTransport() {
+  if (!transport) {
+    const nodemailer = require('nodemailer');
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } }),
+    });
+  }
+  return transport;
+}
+
+/** Send a plain-text email; resolves once the SMTP server accepted it (or it was dropped). */
+async function sendMail({ to, subject, text }) {
+  if (!SMTP_HOST) {
+    log.info('SMTP not configured; email not sent', { to, subject });
+    if (process.env.NODE_ENV === 'development') log.debug('Unsent email body', { to, text });
+    return;
+  }
+  await getTransport().sendMail({ from: MAIL_FROM, to, subject, text });
+  log.info('Email sent', { to, subject });
+}
+
+module.exports = { sendMail };
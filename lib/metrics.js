@@ -0,0 +1,140 @@
+// lib/metrics.js - Prometheus metrics, served by GET /metrics
+//
+// A small registry that writes the Prometheus text format itself, so no client library
+// is needed. The pipeline records into the metrics defined at the bottom (extraction,
+// provider calls, tokens, stream chunks, provider errors, storage operations, jobs, HTTP);
+// server.js adds values read at scrape time (running jobs, provider slots, cache counts,
+// process memory) with collect(). Labels only ever hold fixed names (provider, format,
+// route pattern, status code), never ids or user input, to keep the series count small.
+
+const PREFIX = 'resumetosite_';
+// Seconds; from fast extractions up to long LLM generations
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map();
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/** Labels in the declared order, with every declared label present (missing ones become ""). */
+function pick(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] == null ? '' : String(labels[name])]));
+}
+
+/** A counter: inc(labels?, value = 1). */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels, value = 1) {
+      const l = pick(labelNames, labels);
+      const key = JSON.stringify(l);
+      const entry = series.get(key) || { labels: l, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    samples: () => [...series.values()].map(({ labels, value }) => ({ suffix: '', labels, value })),
+  });
+}
+
+/** A histogram: observe(labels, seconds), or startTimer(labels) → stop() that observes and returns the seconds. */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const observe = (labels, value) => {
+    const l = pick(labelNames, labels);
+    const key = JSON.stringify(l);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { labels: l, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  };
+  return register({
+    name: PREFIX + name,
+    help,
+    type: 'histogram',
+    observe,
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return (more) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...more }, seconds);
+        return seconds;
+      };
+    },
+    samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => ({ suffix: '_bucket', labels: { ...labels, le: String(le) }, value: counts[i] })),
+      { suffix: '_bucket', labels: { ...labels, le: '+Inf' }, value: count },
+      { suffix: '_sum', labels, value: sum },
+      { suffix: '_count', labels, value: count },
+    ]),
+  });
+}
+
+/**
+ * A metric read at scrape time: `read()` returns [{ labels?, value }] (or a single number).
+ * `type` is 'gauge' or 'counter' (for totals kept elsewhere, like the generation cache's).
+ */
+function collect(name, help, type, read) {
+  return register({
+    name: PREFIX + name,
+    help,
+    type,
+    samples: () => {
+      const values = read();
+      return (Array.isArray(values) ? values : [{ value: values }]).map(({ labels = {}, value }) => ({ suffix: '', labels, value }));
+    },
+  });
+}
+
+/** Every registered metric in the Prometheus text exposition format (version 0.0.4). */
+function renderMetrics() {
+  const out = [];
+  for (const metric of registry.values()) {
+    let samples;
+    try {
+      samples = metric.samples();
+    } catch (e) {
+      continue; // a failing scrape-time reader shouldn't break the whole page
+    }
+    out.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const s of samples) out.push(`${metric.name}${s.suffix}${labelText(s.labels)} ${Number(s.value)}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+const metrics = {
+  httpRequests: counter('http_requests_total', 'HTTP requests by method, route pattern and status code.', ['method', 'route', 'status']),
+  httpDuration: histogram('http_request_duration_seconds', 'Time to answer HTTP requests (streams: until they end).', ['method', 'route']),
+  extractionDuration: histogram('extraction_duration_seconds', 'Time to read text from an uploaded file.', ['format', 'outcome']),
+  llmDuration: histogram('llm_request_duration_seconds', 'Provider call latency, from the call starting (after any queueing) to its end.', ['provider', 'outcome']),
+  llmFirstChunk: histogram('llm_first_chunk_seconds', 'Time from a streaming provider call starting to its first chunk.', ['provider']),
+  llmTokens: counter('llm_tokens_total', 'Tokens reported by providers.', ['provider', 'type']),
+  llmChunks: counter('llm_stream_chunks_total', 'Streamed output chunks received from providers.', ['provider']),
+  llmErrors: counter('llm_errors_total', 'Failed provider calls (aborts not counted), by HTTP status ("none" for network errors).', ['provider', 'status']),
+  storageDuration: histogram('storage_operation_duration_seconds', 'Database and file storage operations.', ['store', 'backend', 'operation']),
+  storageFailures: counter('storage_failures_total', 'Database and file storage operations that threw.', ['store', 'backend', 'operation']),
+  jobsFinished: counter('jobs_finished_total', 'Finished generation jobs by kind and final status.', ['kind', 'status', 'cached']),
+  jobDuration: histogram('job_duration_seconds', 'Generation job run time, from start to done, failed or cancelled.', ['kind', 'status']),
+};
+
+module.exports = { ...metrics, counter, histogram, collect, renderMetrics };
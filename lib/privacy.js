@@ -0,0 +1,129 @@
+// lib/privacy.js - Right to erasure and data retention
+//
+// eraseOwnerData deletes everything stored for one visitor or account: uploaded
+// files, uploads, generations, runs and published sites (and, on request, the
+// account itself). The retention schedule purges uploads older than RETENTION_DAYS
+// the same way, plus expired sessions and sign-in links. Published sites keep their
+// own HTML copy, so retention leaves them up; erasure takes them down. Neither touches
+// the token_usage ledger (see lib/quotas.js), so quotas survive them.
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const { cancelJobsOf } = require('./jobs');
+const { removeSites } = require('./sites');
+const log = require('./logger');
+
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) || 0; // 0 = keep uploads until someone deletes them
+const RETENTION_INTERVAL_MS = (Number(process.env.RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const RETENTION_FIRST_RUN_MS = 60 * 1000;
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let retentionTimer = null;
+let purging = false;
+
+/**
+ * Delete every resume_uploads row matching `where`, in batches, with its stored file and images; generations, job targets,
+ * runs and upload_images rows go with it (ON DELETE CASCADE). Resolves to { uploads, generations, runs, files } counts.
+ */
+async function removeUploads(where) {
+  const { db, objects } = getStorage();
+  const removed = { uploads: 0, generations: 0, runs: 0, files: 0 };
+  for (;;) {
+    const uploads = await db.find('resume_uploads', where, { columns: ['id', 'storage_path'], limit: BATCH_SIZE });
+    if (!uploads.length) return removed;
+    const ids = uploads.map((u) => u.id);
+    const images = await db.find('upload_images', { resume_upload_id: { in: ids } }, { columns: ['storage_path'] });
+    const keys = [...uploads.map((u) => u.storage_path), ...images.map((i) => i.storage_path)].filter(Boolean);
+    removed.generations += await db.count('generation_results', { resume_upload_id: { in: ids } });
+    removed.runs += await db.count('generation_runs', { resume_upload_id: { in: ids } });
+    if (keys.length) {
+      // Files first: a row without a file is harmless, a file without its row would be orphaned for good
+      await objects.remove(keys);
+      removed.files += keys.length;
+    }
+    removed.uploads += await db.remove('resume_uploads', { id: { in: ids } });
+  }
+}
+
+/**
+ * Erase what `owner` = { userId?, visitorId? } stored: with userId, everything the account owns;
+ * with visitorId, that browser's uploads and sites no account has claimed. `deleteAccount` also
+ * removes the user, its sessions and sign-in links. Running jobs are cancelled first so nothing
+ * is written afterwards. Resolves to { uploads, generations, files, runs, sites, account }.
+ */
+async function eraseOwnerData(owner, { deleteAccount = false } = {}) {
+  const { db } = getStorage();
+  const scopes = [];
+  if (owner.userId) scopes.push({ user_id: owner.userId });
+  if (owner.visitorId) scopes.push({ visitor_id: owner.visitorId, user_id: null });
+  if (!scopes.length) throw httpError(400, 'visitor_id is required when you are not logged in.');
+
+  const cancelled = cancelJobsOf(owner);
+  await Promise.all(cancelled.map((job) => job.recorded || job.finished));
+
+  const erased = { uploads: 0, generations: 0, files: 0, runs: 0, sites: 0, account: false };
+  for (const where of scopes) {
+    const removed = await removeUploads(where);
+    erased.uploads += removed.uploads;
+    erased.files += removed.files;
+    // Rows left behind by another owner's upload (none in practice) and runs that never got an upload
+    erased.generations += removed.generations + await db.remove('generation_results', where);
+    erased.runs += removed.runs + await db.remove('generation_runs', where);
+    erased.sites += await removeSites(where);
+  }
+  if (owner.visitorId) {
+    await db.remove('login_tokens', { visitor_id: owner.visitorId });
+    await db.remove('visitors', { id: owner.visitorId });
+  }
+  if (deleteAccount && owner.userId) {
+    const user = await db.get('users', owner.userId);
+    if (user) {
+      await db.remove('login_tokens', { email: user.email });
+      erased.account = (await db.remove('users', { id: user.id })) > 0;
+    }
+  }
+  log.info('Erased data', { owner: owner.userId ? `user ${owner.userId}` : 'visitor', erased });
+  return erased;
+}
+
+/**
+ * One retention pass: uploads (with files, generations and runs) and runs older than
+ * RETENTION_DAYS, and expired sessions and sign-in links. Resolves to the counts.
+ */
+async function purgeExpiredData(now = new Date()) {
+  const { db } = getStorage();
+  const purged = { uploads: 0, generations: 0, files: 0, runs: 0, sessions: 0, loginTokens: 0 };
+  if (RETENTION_DAYS > 0) {
+    const cutoff = { lt: new Date(now.getTime() - RETENTION_DAYS * DAY_MS).toISOString() };
+    Object.assign(purged, await removeUploads({ created_at: cutoff }));
+    purged.runs += await db.remove('generation_runs', { created_at: cutoff });
+  }
+  const expired = { expires_at: { lt: now.toISOString() } };
+  purged.sessions = await db.remove('sessions', expired);
+  purged.loginTokens = await db.remove('login_tokens', expired);
+  return purged;
+}
+
+async function runRetention() {
+  if (purging) return;
+  purging = true;
+  try {
+    const purged = await purgeExpiredData();
+    if (Object.values(purged).some(Boolean)) log.info('Retention purge', { purged });
+  } catch (e) {
+    log.error('Retention purge failed', { err: e });
+  } finally {
+    purging = false;
+  }
+}
+
+/** Run purgeExpiredData a minute after startup, then every RETENTION_INTERVAL_MINUTES (default 60). */
+function startRetentionSchedule() {
+  if (retentionTimer) return;
+  setTimeout(runRetention, RETENTION_FIRST_RUN_MS).unref();
+  retentionTimer = setInterval(runRetention, RETENTION_INTERVAL_MS);
+  retentionTimer.unref();
+  log.info(RETENTION_DAYS > 0 ? `Retention: uploads are deleted after ${RETENTION_DAYS} day(s)` : 'Retention: uploads are kept (RETENTION_DAYS not set)');
+}
+
+module.exports = { removeUploads, eraseOwnerData, purgeExpiredData, startRetentionSchedule, RETENTION_DAYS };
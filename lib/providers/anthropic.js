@@ -0,0 +1,98 @@
+// lib/providers/anthropic.js - Anthropic Messages API via @anthropic-ai/sdk
+// Reads PDFs natively: a `document` (lib/document-input.js) goes in as a document content block.
+const { httpError } = require('../errors');
+
+const LLM_API_KEY = (process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY || '').trim();
+const DEFAULT_MODEL = (process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514').trim();
+
+let client = null;
+function getClient() {
+  if (!client) {
+    const Anthropic = require('@anthropic-ai/sdk');
+    client = new Anthropic({ apiKey: LLM_API_KEY });
+  }
+  return client;
+}
+
+function finishReasonOf(message) {
+  if (!message || !message.stop_reason) return null;
+  if (message.stop_reason === 'max_tokens') return 'length';
+  return message.stop_reason === 'end_turn' ? 'stop' : 'other';
+}
+
+function usageOf(message) {
+  const u = message && message.usage;
+  return u ? { inputTokens: u.input_tokens || 0, outputTokens: u.output_tokens || 0 } : null;
+}
+
+/** The user message content: the prompt, after the document when one is sent. */
+function contentOf(prompt, document) {
+  if (!document) return prompt;
+  return [
+    { type: 'document', source: { type: 'base64', media_type: document.mediaType, data: document.data.toString('base64') } },
+    { type: 'text', text: prompt },
+  ];
+}
+
+function mapError(e) {
+  if (e.status === 401 || (e.error && e.error.message && e.error.message.toLowerCase().includes('invalid x-api-key'))) {
+    return httpError(401, 'Invalid Anthropic API key. In .env set LLM_API_KEY or ANTHROPIC_API_KEY to your key from https://console.anthropic.com/ (no quotes or spaces).');
+  }
+  return e;
+}
+
+async function generate({ system, prompt, model, maxTokens, signal, document }) {
+  try {
+    const message = await getClient().messages.create({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: 'user', content: contentOf(prompt, document) }],
+    }, signal ? { signal } : undefined);
+    const text = message.content && message.content[0] && message.content[0].text ? message.content[0].text : '';
+    return { text, model: message.model || model, usage: usageOf(message), finishReason: finishReasonOf(message) };
+  } catch (e) {
+    throw mapError(e);
+  }
+}
+
+/** Look up the model (no tokens used): fails on a bad key, an unknown model or an unreachable API. */
+async function ping({ model, signal } = {}) {
+  try {
+    await getClient().get(`/v1/models/${encodeURIComponent(model || DEFAULT_MODEL)}`, { maxRetries: 0, ...(signal && { signal }) });
+  } catch (e) {
+    throw mapError(e);
+  }
+}
+
+async function stream({ system, prompt, model, maxTokens, signal, document }, onChunk) {
+  let text = '';
+  try {
+    const events = getClient().messages.stream({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: 'user', content: contentOf(prompt, document) }],
+    }, signal ? { signal } : undefined);
+    for await (const event of events) {
+      if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        onChunk(event.delta.text);
+      }
+    }
+    const message = await events.finalMessage();
+    return { text, model: message.model || model, usage: usageOf(message), finishReason: finishReasonOf(message) };
+  } catch (e) {
+    throw mapError(e);
+  }
+}
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: DEFAULT_MODEL,
+  documentTypes: ['application/pdf'],
+  isConfigured: () => !!LLM_API_KEY && LLM_API_KEY !== 'YOUR_LLM_API_KEY_HERE',
+  generate,
+  stream,
+  ping,
+};
@@ -0,0 +1,125 @@
+// lib/providers/gemini.js - Google Gemini via @google/genai
+// Reads PDFs natively: a `document` (lib/document-input.js) is sent as inline data before the prompt.
+const { httpError } = require('../errors');
+const log = require('../logger');
+
+const GEMINI_API_KEY = (process.env.GEMINI_API_KEY || '').trim();
+const DEFAULT_MODEL = (process.env.GEMINI_MODEL || 'gemini-2.0-flash').trim();
+
+let client = null;
+async function getClient() {
+  if (!client) {
+    const { GoogleGenAI } = await import('@google/genai');
+    client = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
+  }
+  return client;
+}
+
+/** Text from a response or stream chunk, whichever shape the SDK version returns. */
+function textOf(r) {
+  if (!r) return '';
+  if (typeof r.text === 'string') return r.text;
+  return r?.candidates?.[0]?.content?.parts?.[0]?.text
+    || r?.response?.candidates?.[0]?.content?.parts?.[0]?.text
+    || (r.parts && r.parts[0]?.text) || '';
+}
+
+function finishReasonOf(r) {
+  const reason = r?.candidates?.[0]?.finishReason;
+  if (!reason) return null;
+  if (reason === 'MAX_TOKENS') return 'length';
+  return reason === 'STOP' ? 'stop' : 'other';
+}
+
+function usageOf(r) {
+  const u = r && r.usageMetadata;
+  return u ? { inputTokens: u.promptTokenCount || 0, outputTokens: u.candidatesTokenCount || 0 } : null;
+}
+
+/** Request contents: the prompt as plain text, or a user turn with the document first. */
+function contentsOf(system, prompt, document) {
+  const text = `${system}\n\n${prompt}`;
+  if (!document) return text;
+  return [{ role: 'user', parts: [{ inlineData: { mimeType: document.mediaType, data: document.data.toString('base64') } }, { text }] }];
+}
+
+function mapError(e) {
+  // A cancelled request (client gone, job cancelled) is expected, not a provider failure
+  if (e && (e.name === 'AbortError' || e.name === 'APIUserAbortError')) {
+    log.debug('Gemini request aborted');
+    return e;
+  }
+  log.error('Gemini error', { err: e });
+  const msg = (e && e.message) ? e.message.toLowerCase() : '';
+  if (e.status === 401 || msg.includes('api key') || msg.includes('authentication')) {
+    return httpError(401, 'Invalid Gemini API key. In .env set GEMINI_API_KEY to your key from https://aistudio.google.com/apikey (no quotes or spaces).');
+  }
+  return e;
+}
+
+async function generate({ system, prompt, model, maxTokens, signal, document }) {
+  const ai = await getClient();
+  const contents = contentsOf(system, prompt, document);
+  log.debug('Gemini request', { model, promptLength: system.length + prompt.length, document: !!document });
+  try {
+    const response = await ai.models.generateContent({
+      model,
+      contents,
+      config: { maxOutputTokens: maxTokens, ...(signal && { abortSignal: signal }) },
+    });
+    const text = textOf(response);
+    if (!text) log.warn('Gemini returned empty or unexpected shape', { responseKeys: response ? Object.keys(response) : null });
+    return { text, model: response.modelVersion || model, usage: usageOf(response), finishReason: finishReasonOf(response) };
+  } catch (e) {
+    throw mapError(e);
+  }
+}
+
+/** Look up the model (no tokens used): fails on a bad key, an unknown model or an unreachable API. */
+async function ping({ model, signal } = {}) {
+  const ai = await getClient();
+  try {
+    await ai.models.get({ model: model || DEFAULT_MODEL, config: { ...(signal && { abortSignal: signal }) } });
+  } catch (e) {
+    throw mapError(e);
+  }
+}
+
+async function stream({ system, prompt, model, maxTokens, signal, document }, onChunk) {
+  const ai = await getClient();
+  const contents = contentsOf(system, prompt, document);
+  let text = '';
+  let usage = null;
+  let finishReason = null;
+  let modelVersion = null;
+  try {
+    const chunks = await ai.models.generateContentStream({
+      model,
+      contents,
+      config: { maxOutputTokens: maxTokens, ...(signal && { abortSignal: signal }) },
+    });
+    for await (const chunk of chunks) {
+      const piece = textOf(chunk);
+      if (piece) {
+        text += piece;
+        onChunk(piece);
+      }
+      usage = usageOf(chunk) || usage;
+      finishReason = finishReasonOf(chunk) || finishReason;
+      modelVersion = chunk.modelVersion || modelVersion;
+    }
+  } catch (e) {
+    throw mapError(e);
+  }
+  return { text, model: modelVersion || model, usage, finishReason };
+}
+
+module.exports = {
+  name: 'gemini',
+  defaultModel: DEFAULT_MODEL,
+  documentTypes: ['application/pdf'],
+  isConfigured: () => !!GEMINI_API_KEY,
+  generate,
+  stream,
+  ping,
+};
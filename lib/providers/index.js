@@ -0,0 +1,205 @@
+// lib/providers/index.js - LLM provider registry
+//
+// Every provider module exports the same shape:
+//   { name, defaultModel, documentTypes?, isConfigured(), generate(opts), stream(opts, onChunk) }
+// where opts = { system, prompt, model, maxTokens, signal, resume?, theme?, refine?, images?, document? } and both calls resolve to
+//   { text, model, usage: { inputTokens, outputTokens } | null, finishReason: 'stop' | 'length' | 'other' | null }.
+// `model` in the result is the model the provider reports it actually used.
+// `refine` = { html, instruction } is set when editing an existing page (see buildRefinePrompt);
+// the prompt already carries both, so only offline providers need to look at it. The same goes for
+// `images` (uploaded photo and project images, see describeImages in lib/images.js).
+// `documentTypes` lists the media types a provider reads natively; only those get `document`
+// = { mediaType, name, data, sha256 } (the uploaded file itself, see lib/document-input.js),
+// and the prompt then points at it instead of carrying the resume text.
+// `mock` is registered only outside production, or with ENABLE_MOCK_PROVIDER=true.
+// At most LLM_CONCURRENCY provider calls run at once (the built-in templates don't count);
+// `opts.onWait()` / `opts.onStart()` are called when a call has to queue for a slot and when it gets one.
+// Providers that call a remote API also export `ping({ model, signal })`, a cheap call that throws when the key,
+// model or endpoint doesn't work (GET /ready). Every call's latency, tokens, chunks and errors go to lib/metrics.js.
+// `opts.onUsage({ provider, model, usage, estimated })` gets each call's tokens (lib/quotas.js records them), including
+// an estimate for calls that were cancelled or failed after streaming output, since those are billed too.
+
+const { httpError } = require('../errors');
+const { stripCodeFences } = require('../html');
+const { createLimiter } = require('../limiter');
+const { estimateUsage } = require('../usage');
+const log = require('../logger');
+const { llmDuration, llmFirstChunk, llmTokens, llmChunks, llmErrors } = require('../metrics');
+
+// The mock answers every request for free, so a production server only offers it when asked to
+const MOCK_ENABLED = process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_PROVIDER === 'true';
+
+const PROVIDERS = {
+  gemini: require('./gemini'),
+  anthropic: require('./anthropic'),
+  openai: require('./openai'),
+  ...(MOCK_ENABLED ? { mock: require('./mock') } : {}),
+  template: require('./template'),
+};
+
+// Order tried when the request and LLM_PROVIDER don't pin a provider.
+const DEFAULT_ORDER = ['gemini', 'anthropic', 'openai'];
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+const MAX_OUTPUT_TOKENS = Number(process.env.LLM_MAX_OUTPUT_TOKENS) || 8192;
+const MODEL_NAME_RE = /^[\w.:/@-]{1,100}$/;
+const providerLimit = createLimiter(Number(process.env.LLM_CONCURRENCY) || 4);
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/** Public summary for clients choosing a provider (no secrets). */
+function listProviders() {
+  return Object.values(PROVIDERS).map((p) => ({ name: p.name, defaultModel: p.defaultModel, configured: p.isConfigured(), documents: p.documentTypes || [] }));
+}
+
+/**
+ * Turn an optional { provider, model } request into the ordered list of
+ * { provider, model } attempts. An explicit provider is used alone (no fallback);
+ * otherwise LLM_PROVIDER comes first, then other configured providers, and the
+ * built-in template renderer last (alone when nothing is configured).
+ * Throws 400 for unknown/unusable input.
+ */
+function resolveProviders({ provider, model } = {}) {
+  const wanted = provider ? String(provider).trim().toLowerCase() : '';
+  const wantedModel = model ? String(model).trim() : '';
+  if (wantedModel && !MODEL_NAME_RE.test(wantedModel)) {
+    throw httpError(400, `Invalid model name "${wantedModel.slice(0, 100)}".`);
+  }
+  if (wanted) {
+    const p = getProvider(wanted);
+    if (!p) throw httpError(400, `Unknown provider "${wanted.slice(0, 50)}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    if (!p.isConfigured()) throw httpError(400, `Provider "${wanted}" is not configured on this server.`);
+    return [{ provider: p, model: wantedModel || p.defaultModel }];
+  }
+  const names = [...new Set([LLM_PROVIDER, ...DEFAULT_ORDER, 'template'].filter((n) => PROVIDERS[n]))];
+  const chain = names.map(getProvider).filter((p) => p.isConfigured());
+  return chain.map((p, i) => ({ provider: p, model: (i === 0 && wantedModel) || p.defaultModel }));
+}
+
+function isAbort(e) {
+  return e && (e.name === 'AbortError' || e.name === 'APIUserAbortError');
+}
+
+/** Run one provider call, inside the concurrency limit unless it is the built-in template renderer. */
+function limited(attempt, opts, fn) {
+  if (attempt.provider.name === 'template') return fn();
+  return providerLimit.run(fn, { signal: opts.signal, onWait: opts.onWait, onStart: opts.onStart });
+}
+
+/** Pass one call's usage to `opts.onUsage`; a failing callback is logged, not thrown. */
+async function reportUsage(opts, call) {
+  if (!opts.onUsage || !call.usage) return;
+  try {
+    await opts.onUsage(call);
+  } catch (e) {
+    log.error('Recording token usage failed', { provider: call.provider, err: e });
+  }
+}
+
+/**
+ * `fn` timed as one provider call (from when it gets its slot), with its outcome, failures and usage recorded.
+ * `progress.chars` counts the characters streamed so far, for the usage estimate when the call doesn't finish.
+ */
+async function measured(attempt, opts, fn, progress = { chars: 0 }) {
+  const provider = attempt.provider.name;
+  const stop = llmDuration.startTimer({ provider });
+  try {
+    const result = await fn();
+    const seconds = stop({ outcome: 'ok' });
+    const usage = result.usage;
+    if (usage) {
+      llmTokens.inc({ provider, type: 'input' }, usage.inputTokens || 0);
+      llmTokens.inc({ provider, type: 'output' }, usage.outputTokens || 0);
+    }
+    log.info('Provider call finished', {
+      provider, model: result.model || attempt.model, durationMs: Math.round(seconds * 1000), finishReason: result.finishReason, usage,
+    });
+    await reportUsage(opts, { provider, model: result.model || attempt.model, usage, estimated: false });
+    return result;
+  } catch (e) {
+    const aborted = isAbort(e);
+    stop({ outcome: aborted ? 'aborted' : 'error' });
+    if (!aborted) llmErrors.inc({ provider, status: e.status || 'none' });
+    // The provider had the prompt (and produced output) before this ended, so it is billed
+    if (provider !== 'template' && (aborted || progress.chars > 0)) {
+      await reportUsage(opts, { provider, model: attempt.model, usage: estimateUsage(opts, progress.chars), estimated: true });
+    }
+    throw e;
+  }
+}
+
+function finish(attempt, result, fallback) {
+  return {
+    ...result,
+    text: stripCodeFences(result.text),
+    provider: attempt.provider.name,
+    model: result.model || attempt.model,
+    fallback,
+  };
+}
+
+/**
+ * One-shot generation through the first working provider in `attempts`
+ * (from resolveProviders). Falls back to the next provider on failure;
+ * the result's `fallback` is true when the first choice did not answer.
+ */
+async function generateText(attempts, opts) {
+  let lastError = null;
+  for (const [i, attempt] of attempts.entries()) {
+    try {
+      const result = await limited(attempt, opts, () => measured(attempt, opts, () => attempt.provider.generate({ ...opts, model: attempt.model, maxTokens: opts.maxTokens || MAX_OUTPUT_TOKENS })));
+      return finish(attempt, result, i > 0);
+    } catch (e) {
+      if (isAbort(e)) throw e;
+      lastError = e;
+      log.warn('Provider failed', { provider: attempt.provider.name, model: attempt.model, err: e });
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Streaming generation; `onChunk(text)` is called for every piece of output.
+ * Falls back to the next provider only while nothing has been streamed yet.
+ */
+async function streamText(attempts, opts, onChunk) {
+  let lastError = null;
+  let streamed = false;
+  for (const [i, attempt] of attempts.entries()) {
+    try {
+      const provider = attempt.provider.name;
+      const progress = { chars: 0 };
+      const result = await limited(attempt, opts, () => measured(attempt, opts, () => {
+        const firstChunk = llmFirstChunk.startTimer({ provider });
+        return attempt.provider.stream(
+          { ...opts, model: attempt.model, maxTokens: opts.maxTokens || MAX_OUTPUT_TOKENS },
+          (text) => {
+            if (!streamed) firstChunk();
+            streamed = true;
+            progress.chars += text.length;
+            llmChunks.inc({ provider });
+            onChunk(text);
+          }
+        );
+      }, progress));
+      return finish(attempt, result, i > 0);
+    } catch (e) {
+      if (isAbort(e) || streamed) throw e;
+      lastError = e;
+      log.warn('Provider stream failed', { provider: attempt.provider.name, model: attempt.model, err: e });
+    }
+  }
+  throw lastError;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  resolveProviders,
+  generateText,
+  streamText,
+  isAbort,
+  providerStats: providerLimit.stats,
+  MAX_OUTPUT_TOKENS,
+};
@@ -0,0 +1,87 @@
+// lib/providers/mock.js - Deterministic offline provider for development and tests.
+// Same input always gives the same HTML, streamed in fixed-size chunks. Refinements
+// return the current page with the instruction noted at the end of the body. Uploaded
+// images are placed after the heading (photo) and at the end (project images). Pages
+// tailored to a job posting list the fit points lib/tailor.js found under the heading.
+// A PDF sent as a document (lib/document-input.js) can't be read here, so the page shows
+// the parsed resume and notes the file it was given.
+const { escapeHtml } = require('../html');
+const { resumeTextOf } = require('../prompts');
+const { FIT_TITLE } = require('../templates');
+const { resumeToText } = require('../resume-parser');
+
+const CHUNK_SIZE = 80;
+const CHUNK_DELAY_MS = Number(process.env.MOCK_CHUNK_DELAY_MS) || 0;
+
+function imageTags(images) {
+  const photo = images.find((img) => img.kind === 'photo');
+  const projects = images.filter((img) => img.kind === 'project');
+  return {
+    photo: photo ? `<img src="${escapeHtml(photo.src)}" alt="${escapeHtml(photo.alt)}" width="160" height="160">\n` : '',
+    projects: projects.map((img) => `<figure><img src="${escapeHtml(img.src)}" alt="${escapeHtml(img.alt)}" style="max-width:100%;height:auto"><figcaption>${escapeHtml(img.alt)}</figcaption></figure>\n`).join(''),
+  };
+}
+
+function fitSection(target) {
+  const fit = target && target.match ? target.match.fit : [];
+  if (!fit.length) return '';
+  return `<section id="fit">\n<h2>${FIT_TITLE}</h2>\n<ul>${fit.map((f) => `<li>${escapeHtml(f)}</li>`).join('')}</ul>\n</section>\n`;
+}
+
+function render(prompt, refine, images = [], target = null, document = null, resume = null) {
+  if (refine) {
+    const note = `<p><small>Mock refinement: ${escapeHtml(refine.instruction)}</small></p>\n`;
+    const html = String(refine.html || '');
+    const end = html.lastIndexOf('</body>');
+    return end === -1 ? html + note : html.slice(0, end) + note + html.slice(end);
+  }
+  const body = document ? resumeToText(resume || {}) : resumeTextOf(prompt);
+  const lines = body.split('\n').map((l) => l.trim()).filter(Boolean);
+  const title = lines[0] || 'Resume';
+  const tags = imageTags(images);
+  return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n'
+    + '<meta name="viewport" content="width=device-width, initial-scale=1">\n'
+    + `<title>${escapeHtml(title)}</title>\n`
+    + '<style>body{font-family:system-ui,sans-serif;max-width:760px;margin:2rem auto;padding:0 1rem;line-height:1.5}pre{white-space:pre-wrap;font-family:inherit}</style>\n'
+    + '</head>\n<body>\n'
+    + `<h1>${escapeHtml(title)}</h1>\n`
+    + tags.photo
+    + fitSection(target)
+    + `<pre>${escapeHtml(lines.slice(1).join('\n'))}</pre>\n`
+    + tags.projects
+    + (document ? `<p><small>Mock document input: ${escapeHtml(document.name)} (${document.data.length} bytes)</small></p>\n` : '')
+    + '<p><small>Generated by the mock provider. Set LLM_PROVIDER and an API key in .env for real designs.</small></p>\n'
+    + '</body>\n</html>';
+}
+
+function usageFor(prompt, text) {
+  return { inputTokens: Math.ceil(String(prompt).length / 4), outputTokens: Math.ceil(text.length / 4) };
+}
+
+async function generate({ system, prompt, model, refine, images, target, document, resume }) {
+  const text = render(prompt, refine, images, target, document, resume);
+  return { text, model, usage: usageFor(`${system}${prompt}`, text), finishReason: 'stop' };
+}
+
+async function stream({ system, prompt, model, signal, refine, images, target, document, resume }, onChunk) {
+  const text = render(prompt, refine, images, target, document, resume);
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+    if (signal && signal.aborted) {
+      const err = new Error('The operation was aborted');
+      err.name = 'AbortError';
+      throw err;
+    }
+    if (CHUNK_DELAY_MS) await new Promise((r) => setTimeout(r, CHUNK_DELAY_MS));
+    onChunk(text.slice(i, i + CHUNK_SIZE));
+  }
+  return { text, model, usage: usageFor(`${system}${prompt}`, text), finishReason: 'stop' };
+}
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock-1',
+  documentTypes: ['application/pdf'],
+  isConfigured: () => true,
+  generate,
+  stream,
+};
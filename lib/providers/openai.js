@@ -0,0 +1,139 @@
+// lib/providers/openai.js - Any OpenAI-compatible /chat/completions endpoint
+// (OpenAI, or a local Ollama / llama.cpp / LM Studio server for offline use).
+// OpenAI itself reads PDFs as `file` content parts; local servers don't, so with
+// OPENAI_BASE_URL set this provider only takes text.
+const { httpError } = require('../errors');
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || '').trim().replace(/\/+$/, '');
+const OPENAI_API_KEY = (process.env.OPENAI_API_KEY || '').trim();
+const DEFAULT_MODEL = (process.env.OPENAI_MODEL || (OPENAI_BASE_URL ? 'llama3.1' : 'gpt-4o-mini')).trim();
+
+function baseUrl() {
+  return OPENAI_BASE_URL || 'https://api.openai.com/v1';
+}
+
+function finishReasonOf(reason) {
+  if (!reason) return null;
+  if (reason === 'length') return 'length';
+  return reason === 'stop' ? 'stop' : 'other';
+}
+
+function usageOf(u) {
+  return u ? { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 } : null;
+}
+
+/** The user message content: the prompt, after the document when one is sent. */
+function contentOf(prompt, document) {
+  if (!document) return prompt;
+  const fileData = `data:${document.mediaType};base64,${document.data.toString('base64')}`;
+  return [
+    { type: 'file', file: { filename: document.name, file_data: fileData } },
+    { type: 'text', text: prompt },
+  ];
+}
+
+function headers() {
+  return { 'Content-Type': 'application/json', ...(OPENAI_API_KEY && { Authorization: `Bearer ${OPENAI_API_KEY}` }) };
+}
+
+/** List the endpoint's models (no tokens used): fails on a bad key or an unreachable endpoint. */
+async function ping({ signal } = {}) {
+  let response;
+  try {
+    response = await fetch(`${baseUrl()}/models`, { headers: headers(), signal });
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw httpError(502, `Could not reach OpenAI-compatible endpoint at ${baseUrl()}: ${e.message}`);
+  }
+  if (response.status === 401) throw httpError(401, 'Invalid OpenAI-compatible API key.');
+  if (!response.ok) throw httpError(502, `OpenAI-compatible endpoint returned ${response.status} for /models`);
+}
+
+async function post({ system, prompt, model, maxTokens, signal, document }, streaming) {
+  let response;
+  try {
+    response = await fetch(`${baseUrl()}/chat/completions`, {
+      method: 'POST',
+      headers: headers(),
+      signal,
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        stream: streaming,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: contentOf(prompt, document) },
+        ],
+      }),
+    });
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw httpError(502, `Could not reach OpenAI-compatible endpoint at ${baseUrl()}: ${e.message}`);
+  }
+  if (response.status === 401) {
+    throw httpError(401, 'Invalid OpenAI-compatible API key. In .env set OPENAI_API_KEY (or leave it empty for a local server).');
+  }
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw httpError(response.status >= 500 ? 502 : response.status, `OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+  }
+  return response;
+}
+
+async function generate(opts) {
+  const response = await post(opts, false);
+  const json = await response.json();
+  const choice = json.choices && json.choices[0];
+  return {
+    text: (choice && choice.message && choice.message.content) || '',
+    model: json.model || opts.model,
+    usage: usageOf(json.usage),
+    finishReason: finishReasonOf(choice && choice.finish_reason),
+  };
+}
+
+async function stream(opts, onChunk) {
+  const response = await post(opts, true);
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let model = opts.model;
+  let usage = null;
+  let finishReason = null;
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') continue;
+      let json;
+      try {
+        json = JSON.parse(data);
+      } catch (_) {
+        continue;
+      }
+      const choice = json.choices && json.choices[0];
+      const piece = choice && choice.delta && choice.delta.content;
+      if (piece) {
+        text += piece;
+        onChunk(piece);
+      }
+      model = json.model || model;
+      usage = usageOf(json.usage) || usage;
+      finishReason = finishReasonOf(choice && choice.finish_reason) || finishReason;
+    }
+  }
+  return { text, model, usage, finishReason };
+}
+
+module.exports = {
+  name: 'openai',
+  defaultModel: DEFAULT_MODEL,
+  documentTypes: OPENAI_BASE_URL ? [] : ['application/pdf'],
+  isConfigured: () => !!(OPENAI_BASE_URL || OPENAI_API_KEY),
+  generate,
+  stream,
+  ping,
+};
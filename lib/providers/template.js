@@ -0,0 +1,36 @@
+// lib/providers/template.js - Built-in templates exposed as a provider (no LLM call).
+// Free, instant and reproducible; also the last-resort fallback when LLM providers fail.
+const { renderSite } = require('../templates');
+const { parseResumeText } = require('../resume-parser');
+const { resumeTextOf } = require('../prompts');
+const { matchJob, tailorResume } = require('../tailor');
+
+const CHUNK_SIZE = 400;
+
+/**
+ * Prefer structured data from the caller; otherwise parse the prompt's resume text. `theme` (lib/theme.js) wins over a bare
+ * `template` name; a job `target` ({ description, match? }, lib/tailor.js) reorders the resume for it and adds "Why I fit".
+ */
+function render({ resume, theme, template, prompt, images, target }) {
+  const data = resume || parseResumeText(resumeTextOf(prompt));
+  const tailored = target ? tailorResume(data, target.match || matchJob(data, target.description), target.description) : data;
+  return renderSite(tailored, theme || template, images);
+}
+
+async function generate(opts) {
+  return { text: render(opts), model: opts.model, usage: { inputTokens: 0, outputTokens: 0 }, finishReason: 'stop' };
+}
+
+async function stream(opts, onChunk) {
+  const text = render(opts);
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) onChunk(text.slice(i, i + CHUNK_SIZE));
+  return { text, model: opts.model, usage: { inputTokens: 0, outputTokens: 0 }, finishReason: 'stop' };
+}
+
+module.exports = {
+  name: 'template',
+  defaultModel: 'builtin-v1',
+  isConfigured: () => true,
+  generate,
+  stream,
+};
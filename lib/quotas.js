@@ -0,0 +1,116 @@
+// lib/quotas.js - Daily and monthly token quotas per visitor and per account
+//
+// Usage is the input + output tokens of every provider call, appended to the
+// token_usage ledger (recordUsage), so it survives restarts and is the same on
+// every instance. Calls that failed or were cancelled count too, with estimated
+// tokens. Erasure and retention leave the ledger alone, so deleting your data
+// doesn't reset your quota; rows name the owner only by a hash (ownerKey) and hold
+// no resume content. Days and months are UTC.
+// Signed-in users are counted by user_id against the QUOTA_USER_* limits;
+// anonymous visitors by visitor_id against QUOTA_VISITOR_*. A limit of 0 turns
+// that period off. Cache hits and the built-in templates use no tokens.
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const { estimateCost } = require('./usage');
+
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  return Math.max(0, Math.floor(Number(value)) || 0);
+}
+
+const LIMITS = {
+  visitor: {
+    daily: limitFromEnv('QUOTA_VISITOR_DAILY_TOKENS', 100000),
+    monthly: limitFromEnv('QUOTA_VISITOR_MONTHLY_TOKENS', 500000),
+  },
+  user: {
+    daily: limitFromEnv('QUOTA_USER_DAILY_TOKENS', 300000),
+    monthly: limitFromEnv('QUOTA_USER_MONTHLY_TOKENS', 3000000),
+  },
+};
+
+function periodsAt(now) {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  const d = now.getUTCDate();
+  return {
+    daily: { start: new Date(Date.UTC(y, m, d)), resetsAt: new Date(Date.UTC(y, m, d + 1)) },
+    monthly: { start: new Date(Date.UTC(y, m, 1)), resetsAt: new Date(Date.UTC(y, m + 1, 1)) },
+  };
+}
+
+function periodStatus(limit, rows, period) {
+  const since = period.start.toISOString();
+  const inPeriod = rows.filter((r) => r.created_at >= since);
+  const used = inPeriod.reduce((sum, r) => sum + (r.input_tokens || 0) + (r.output_tokens || 0), 0);
+  const costUsd = inPeriod.reduce((sum, r) => sum + (Number(r.cost_usd) || 0), 0);
+  return {
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    costUsd: Math.round(costUsd * 1e6) / 1e6,
+    resetsAt: period.resetsAt.toISOString(),
+  };
+}
+
+/** Ledger key for `owner` = { userId, visitorId }: a SHA-256 of the account or visitor id, or null without either. */
+function ownerKey(owner) {
+  const id = owner.userId ? `user:${owner.userId}` : owner.visitorId ? `visitor:${owner.visitorId}` : null;
+  return id && crypto.createHash('sha256').update(id).digest('hex');
+}
+
+/**
+ * Append one provider call to the token_usage ledger for `owner`. `call` = { provider, model, usage, estimated }
+ * as passed to opts.onUsage (lib/providers/index.js). Calls that used no tokens are skipped.
+ */
+async function recordUsage(owner, { provider, model, usage, estimated = false }) {
+  if (!usage || !(usage.inputTokens || usage.outputTokens)) return;
+  await getStorage().db.insert('token_usage', {
+    owner_key: ownerKey(owner),
+    provider,
+    model: model || null,
+    input_tokens: usage.inputTokens || 0,
+    output_tokens: usage.outputTokens || 0,
+    cost_usd: estimateCost(provider, model, usage),
+    estimated,
+  });
+}
+
+/**
+ * Token quota for `owner` = { userId, visitorId }: { scope, daily, monthly, exceeded } where each period is
+ * { limit, used, remaining, costUsd, resetsAt } (limit/remaining null when off). Null for an owner with no id.
+ */
+async function getQuota(owner) {
+  const scope = owner.userId ? 'user' : 'visitor';
+  const key = ownerKey(owner);
+  if (!key) return null;
+  const periods = periodsAt(new Date());
+  const rows = await getStorage().db.find('token_usage', { owner_key: key, created_at: { gte: periods.monthly.start.toISOString() } }, {
+    columns: ['input_tokens', 'output_tokens', 'cost_usd', 'created_at'],
+  });
+  const daily = periodStatus(LIMITS[scope].daily, rows, periods.daily);
+  const monthly = periodStatus(LIMITS[scope].monthly, rows, periods.monthly);
+  return { scope, daily, monthly, exceeded: daily.remaining === 0 || monthly.remaining === 0 };
+}
+
+/**
+ * Throw 429 (details = the quota) when `owner` has used up a quota; resolves to the quota otherwise.
+ * Anonymous callers without a visitor_id get 400 while visitor quotas are on, since they can't be counted.
+ */
+async function assertWithinQuota(owner) {
+  const quota = await getQuota(owner);
+  if (!quota) {
+    if (LIMITS.visitor.daily || LIMITS.visitor.monthly) throw httpError(400, 'visitor_id is required when not logged in.');
+    return null;
+  }
+  if (quota.exceeded) {
+    const period = quota.daily.remaining === 0 ? quota.daily : quota.monthly;
+    const which = period === quota.daily ? 'daily' : 'monthly';
+    throw httpError(429, `You have used your ${which} generation quota. It resets at ${period.resetsAt}.`, quota);
+  }
+  return quota;
+}
+
+module.exports = { getQuota, assertWithinQuota, recordUsage, LIMITS };
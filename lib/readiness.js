@@ -0,0 +1,74 @@
+// lib/readiness.js - GET /ready: can this instance serve generations right now?
+//
+// /health only says the process is up. Readiness probes what a generation needs: the
+// database and file storage (each backend's ping(), see lib/storage/) and the provider
+// that requests go to first (its ping(), see lib/providers/). Every probe gets
+// READY_TIMEOUT_MS. The provider answer is reused for READY_PROVIDER_TTL_SECONDS, so a
+// load balancer polling every few seconds doesn't turn into a stream of API calls; a
+// failed probe is not reused, so recovery shows up on the next check.
+const { getStorage } = require('./storage');
+const { resolveProviders } = require('./providers');
+const log = require('./logger');
+
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 5000;
+// 0 probes the provider on every check
+const READY_PROVIDER_TTL_SECONDS = process.env.READY_PROVIDER_TTL_SECONDS ? Number(process.env.READY_PROVIDER_TTL_SECONDS) || 0 : 60;
+
+let providerResult = null; // { check, at }
+
+/** Run `fn(signal)`; resolves to { ok, ms, error? }, failing after READY_TIMEOUT_MS. */
+async function probe(fn) {
+  const started = Date.now();
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`No answer within ${READY_TIMEOUT_MS} ms`));
+    }, READY_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([fn(controller.signal), timeout]);
+    return { ok: true, ms: Date.now() - started };
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: e.message || String(e) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** The first provider in the default chain; providers without ping() (mock, built-in template) are always ready. */
+async function checkProvider() {
+  if (providerResult && providerResult.check.ok && Date.now() - providerResult.at < READY_PROVIDER_TTL_SECONDS * 1000) {
+    return { ...providerResult.check, cached: true };
+  }
+  const [attempt] = resolveProviders();
+  const check = attempt.provider.ping
+    ? { name: attempt.provider.name, model: attempt.model, ...(await probe((signal) => attempt.provider.ping({ model: attempt.model, signal }))) }
+    : { name: attempt.provider.name, ok: true, ms: 0 };
+  providerResult = { check, at: Date.now() };
+  return check;
+}
+
+/** { ready, checks: { database, objects, provider } }; each check is { ok, ms, error? } (plus the backend or provider name). */
+async function checkReadiness() {
+  const { db, objects } = getStorage();
+  const [database, files, provider] = await Promise.all([
+    probe(() => db.ping()),
+    probe(() => objects.ping()),
+    checkProvider(),
+  ]);
+  const checks = {
+    database: { backend: db.name, ...database },
+    objects: { backend: objects.name, ...files },
+    provider,
+  };
+  const ready = Object.values(checks).every((c) => c.ok);
+  if (!ready) {
+    const failed = Object.entries(checks).filter(([, c]) => !c.ok).map(([name, c]) => `${name}: ${c.error}`);
+    log.warn('Readiness check failed', { failed });
+  }
+  return { ready, checks };
+}
+
+module.exports = { checkReadiness, READY_TIMEOUT_MS, READY_PROVIDER_TTL_SECONDS };
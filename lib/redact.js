@@ -0,0 +1,107 @@
+// lib/redact.js - Optional PII redaction around LLM calls (REDACT_PII=true)
+//
+// Phone numbers and home (street) addresses are swapped for placeholders like
+// [[PHONE_1]] before the resume text goes to a provider, and put back in the HTML
+// that comes out, so the provider never sees them. Detection is pattern based:
+// it aims at the common formats and will miss some, so treat it as risk reduction.
+const { escapeHtml } = require('./html');
+
+const REDACT_PII = String(process.env.REDACT_PII || '').toLowerCase() === 'true';
+
+const PLACEHOLDER_RE = /\[\[(PHONE|ADDRESS)_(\d+)\]\]/g;
+// Longest text held back while a streamed placeholder may still be incomplete
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+// "Address: ..." / "Home address: ..." lines: everything after the label
+const LABELLED_ADDRESS_RE = /^([ \t]*(?:home[ \t]+)?address[ \t]*[:\-][ \t]*)(\S[^\n]*?)[ \t]*$/gim;
+// Street lines: house number, street name and type, then optional unit, city, state/postcode (one line only)
+const STREET_RE = new RegExp(
+  '\\b\\d{1,5}[A-Za-z]?(?:[ \\t]+[A-Z][\\w.\'-]*){1,4}[ \\t]+'
+  + '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Parkway|Pkwy|Highway|Hwy|Square|Sq)\\b\\.?'
+  + '(?:,?[ \\t]*(?:Apt|Apartment|Suite|Unit|Flat|#)\\.?[ \\t]*[\\w-]+)?'
+  + '(?:,[ \\t]*[A-Z][a-z.\'-]+(?:[ \\t]+[A-Z][a-z.\'-]+)*){0,2}(?:,?[ \\t]*[A-Z]{2}\\b)?'
+  + '(?:[ \\t]+\\d{5}(?:-\\d{4})?|[ \\t]+[A-Z]{1,2}\\d[A-Z\\d]?[ \\t]*\\d[A-Z]{2})?',
+  'g'
+);
+// Phone numbers: optional +country and (area), then 3+ digit groups; 7–15 digits in total
+const PHONE_RE = /(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){2,4}\b/g;
+// Dates and year ranges ("2019.01.15", "01/02/2020", "2019-2021") are not phone numbers
+const DATE_LIKE_RE = /^\d{4}[.\/-]\d{1,2}[.\/-]\d{1,2}$|^\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2,4}$|^(?:19|20)\d{2}[ .-]*(?:19|20)\d{2}$/;
+
+function isPhone(match) {
+  const digits = match.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15 && !DATE_LIKE_RE.test(match);
+}
+
+/**
+ * A redactor for one generation: redact(text) masks phone numbers and addresses
+ * (the same value always gets the same placeholder), restore(html) puts them back
+ * HTML-escaped, and restoreStream(onChunk) does the same for streamed chunks.
+ */
+function createRedactor() {
+  const originals = new Map(); // placeholder -> original
+  const placeholders = new Map(); // original -> placeholder
+  const counts = { PHONE: 0, ADDRESS: 0 };
+
+  function placeholderFor(kind, value) {
+    const key = `${kind}:${value}`;
+    if (!placeholders.has(key)) {
+      const placeholder = `[[${kind}_${++counts[kind]}]]`;
+      placeholders.set(key, placeholder);
+      originals.set(placeholder, value);
+    }
+    return placeholders.get(key);
+  }
+
+  function redact(text) {
+    return String(text || '')
+      .replace(LABELLED_ADDRESS_RE, (m, label, value) => label + placeholderFor('ADDRESS', value))
+      .replace(STREET_RE, (m) => placeholderFor('ADDRESS', m.trim()))
+      .replace(PHONE_RE, (m) => (isPhone(m) ? placeholderFor('PHONE', m) : m));
+  }
+
+  function restore(html) {
+    return String(html || '').replace(PLACEHOLDER_RE, (m) => (originals.has(m) ? escapeHtml(originals.get(m)) : m));
+  }
+
+  /** Wrap `onChunk` so placeholders split across chunks are restored whole; call flush() at the end. */
+  function restoreStream(onChunk) {
+    let pending = '';
+    const safeLength = () => {
+      const open = pending.lastIndexOf('[[');
+      if (open !== -1 && pending.indexOf(']]', open) === -1 && pending.length - open < MAX_PLACEHOLDER_LENGTH) return open;
+      return pending.endsWith('[') ? pending.length - 1 : pending.length;
+    };
+    return {
+      write(text) {
+        pending += text;
+        const n = safeLength();
+        if (n > 0) {
+          onChunk(restore(pending.slice(0, n)));
+          pending = pending.slice(n);
+        }
+      },
+      flush() {
+        if (pending) onChunk(restore(pending));
+        pending = '';
+      },
+    };
+  }
+
+  return {
+    redact,
+    restore,
+    restoreStream,
+    get counts() {
+      return { phones: counts.PHONE, addresses: counts.ADDRESS };
+    },
+  };
+}
+
+/** A redactor when REDACT_PII is on and the first provider is an LLM (the built-in template sends nothing out), else null. */
+function redactorFor(attempts) {
+  if (!REDACT_PII || !attempts.length || attempts[0].provider.name === 'template') return null;
+  return createRedactor();
+}
+
+module.exports = { createRedactor, redactorFor, REDACT_PII };
@@ -0,0 +1,446 @@
+// lib/resume-parser.js - Turn extracted resume text into JSON Resume–style data
+//
+// Heuristic, deterministic parser (no LLM call). Output follows the JSON Resume
+// shape (https://jsonresume.org/schema) for basics/work/education/skills/projects,
+// plus a top-level `links` list of every URL found. Users can review and correct
+// the result before any HTML is generated, so "good enough and predictable"
+// beats clever here.
+const { httpError } = require('./errors');
+
+const SECTION_ALIASES = {
+  summary: ['summary', 'professional summary', 'profile', 'about', 'about me', 'objective', 'career objective', 'overview'],
+  work: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience'],
+  education: ['education', 'academic background', 'education and training', 'qualifications', 'academics'],
+  skills: ['skills', 'technical skills', 'core skills', 'key skills', 'core competencies', 'competencies', 'technologies', 'tech stack', 'tools'],
+  projects: ['projects', 'personal projects', 'selected projects', 'key projects', 'side projects', 'open source'],
+  links: ['links', 'profiles', 'online profiles', 'social'],
+  contact: ['contact', 'contact information', 'contact details', 'personal details'],
+  other: ['certifications', 'certificates', 'awards', 'honors', 'publications', 'languages', 'interests', 'hobbies', 'volunteering', 'volunteer experience', 'references', 'achievements'],
+};
+
+const EMAIL_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_RE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]?\d{3,4}(?:[\s.-]?\d{3,4})?/;
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>()"',]+|\b(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|behance\.net|dribbble\.com|medium\.com)\/[^\s<>()"',]+/gi;
+const URL_TEST_RE = new RegExp(URL_RE.source, 'i');
+const BULLET_RE = /^\s*(?:[-*•●▪◦‣·–]|\d+[.)])\s+/;
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})`;
+const DATE_RANGE_RE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+const SINGLE_DATE_RE = new RegExp(`\\b(${DATE})\\b`, 'i');
+const DEGREE_RE = /\b(ph\.?d|doctorate|master(?:'s)?|m\.?sc?|m\.?a|mba|m\.?tech|m\.?eng|bachelor(?:'s)?|b\.?sc?|b\.?a|b\.?tech|b\.?eng|b\.?e|associate(?:'s)?|diploma|certificate|high school)\b\.?/i;
+const INSTITUTION_RE = /\b(university|college|institute|school|academy|polytechnic|iit|mit)\b/i;
+
+const MAX_STRING = 5000;
+const MAX_ITEMS = 100;
+
+function normalizeHeading(line) {
+  return line.toLowerCase().replace(/[:|]+\s*$/, '').replace(/[^a-z& ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** Return the section key for a heading line, or null if the line is not a heading. */
+function detectSection(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 40 || BULLET_RE.test(trimmed)) return null;
+  const heading = normalizeHeading(trimmed);
+  for (const [key, aliases] of Object.entries(SECTION_ALIASES)) {
+    if (aliases.includes(heading)) return key;
+  }
+  return null;
+}
+
+function stripBullet(line) {
+  return line.replace(BULLET_RE, '').trim();
+}
+
+function normalizeUrl(url) {
+  const u = url.replace(/[.;]+$/, '');
+  return /^https?:\/\//i.test(u) ? u : `https://${u}`;
+}
+
+function networkFor(url) {
+  const m = url.match(/(linkedin|github|gitlab|twitter|x|behance|dribbble|medium)\.com|behance\.net/i);
+  if (!m) return null;
+  const name = (m[1] || 'behance').toLowerCase();
+  return { linkedin: 'LinkedIn', github: 'GitHub', gitlab: 'GitLab', twitter: 'Twitter', x: 'X', behance: 'Behance', dribbble: 'Dribbble', medium: 'Medium' }[name];
+}
+
+/** Convert "Jan 2020" / "01/2020" / "2020" / "Present" to an ISO-ish date string (YYYY-MM or YYYY), or '' for ongoing. */
+function normalizeDate(s) {
+  if (!s) return '';
+  const v = s.trim().toLowerCase();
+  if (/^(present|current|now|today)$/.test(v)) return '';
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  let m = v.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (m) {
+    const idx = months.indexOf(m[1].slice(0, 3));
+    return idx >= 0 ? `${m[2]}-${String(idx + 1).padStart(2, '0')}` : m[2];
+  }
+  m = v.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[2]}-${m[1].padStart(2, '0')}`;
+  return v;
+}
+
+/** Pull a date range out of a line; returns { startDate, endDate, rest }. */
+function takeDates(line) {
+  const range = line.match(DATE_RANGE_RE);
+  if (range) {
+    return {
+      startDate: normalizeDate(range[1]),
+      endDate: normalizeDate(range[2]),
+      rest: line.replace(range[0], ' ').replace(/[(),|–—-]\s*$/, '').trim(),
+    };
+  }
+  const single = line.match(SINGLE_DATE_RE);
+  if (single) {
+    return { startDate: '', endDate: normalizeDate(single[1]), rest: line.replace(single[0], ' ').trim() };
+  }
+  return { startDate: '', endDate: '', rest: line };
+}
+
+/** Split a header like "Engineer | Acme Corp" or "Engineer at Acme" into its pieces. */
+function splitHeader(text) {
+  const cleaned = text.replace(/\s+/g, ' ').replace(/^[\s,|–—-]+|[\s,|–—-]+$/g, '');
+  const at = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (at) return [at[1].trim(), at[2].trim()];
+  return cleaned.split(/\s+[|–—-]\s+|\s*\|\s*|,\s+/).map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Group section lines into entries. A new entry starts at a non-bullet line
+ * that follows bullets, or at any non-bullet line that carries a date range.
+ */
+function groupEntries(lines) {
+  const entries = [];
+  let current = null;
+  let sawBullet = false;
+  for (const line of lines) {
+    const isBullet = BULLET_RE.test(line);
+    if (!isBullet && (!current || sawBullet || (DATE_RANGE_RE.test(line) && current.header.some((h) => DATE_RANGE_RE.test(h))))) {
+      current = { header: [line.trim()], body: [], bullets: [] };
+      entries.push(current);
+      sawBullet = false;
+      continue;
+    }
+    if (!current) {
+      current = { header: [], body: [], bullets: [] };
+      entries.push(current);
+    }
+    if (isBullet) {
+      current.bullets.push(stripBullet(line));
+      sawBullet = true;
+    } else if (current.header.length < 3 && current.body.length === 0 && (current.header.length < 2 || DATE_RANGE_RE.test(line))) {
+      current.header.push(line.trim());
+    } else {
+      current.body.push(line.trim());
+    }
+  }
+  return entries;
+}
+
+function parseWork(lines) {
+  return groupEntries(lines).map((entry) => {
+    let startDate = '';
+    let endDate = '';
+    const pieces = [];
+    for (const h of entry.header) {
+      const d = takeDates(h);
+      if (d.startDate || d.endDate) {
+        startDate = startDate || d.startDate;
+        endDate = endDate || d.endDate;
+      }
+      pieces.push(...splitHeader(d.rest));
+    }
+    return {
+      name: pieces[1] || '',
+      position: pieces[0] || '',
+      ...(pieces[2] && { location: pieces[2] }),
+      startDate,
+      endDate,
+      summary: entry.body.join(' '),
+      highlights: entry.bullets,
+    };
+  }).filter((w) => w.name || w.position || w.highlights.length);
+}
+
+function parseEducation(lines) {
+  return groupEntries(lines).map((entry) => {
+    const all = [...entry.header, ...entry.body];
+    let startDate = '';
+    let endDate = '';
+    let institution = '';
+    let studyType = '';
+    let area = '';
+    const leftovers = [];
+    for (const line of all) {
+      const d = takeDates(line);
+      if (d.startDate || d.endDate) {
+        startDate = startDate || d.startDate;
+        endDate = endDate || d.endDate;
+      }
+      for (const piece of splitHeader(d.rest)) {
+        const degree = piece.match(DEGREE_RE);
+        if (!institution && INSTITUTION_RE.test(piece)) {
+          institution = piece;
+        } else if (!studyType && degree) {
+          studyType = degree[0].replace(/\.$/, '');
+          const areaMatch = piece.match(/\b(?:in|of)\s+(.+)$/i);
+          if (areaMatch) area = areaMatch[1].trim();
+        } else {
+          leftovers.push(piece);
+        }
+      }
+    }
+    if (!institution && leftovers.length) institution = leftovers.shift();
+    if (!area && studyType && leftovers.length) area = leftovers.shift();
+    return {
+      institution,
+      area,
+      studyType,
+      startDate,
+      endDate,
+      ...(entry.bullets.length && { courses: entry.bullets }),
+    };
+  }).filter((e) => e.institution || e.studyType);
+}
+
+function parseSkills(lines) {
+  const skills = [];
+  const loose = [];
+  for (const raw of lines) {
+    const line = stripBullet(raw);
+    const cat = line.match(/^([^:]{2,40}):\s*(.+)$/);
+    if (cat) {
+      skills.push({ name: cat[1].trim(), keywords: splitList(cat[2]) });
+    } else {
+      loose.push(...splitList(line));
+    }
+  }
+  if (loose.length) skills.push({ name: skills.length ? 'Other' : 'Skills', keywords: loose });
+  return skills.filter((s) => s.keywords.length);
+}
+
+function splitList(s) {
+  return s.split(/\s*[,;•|·]\s*/).map((k) => k.trim()).filter((k) => k && k.length <= 60);
+}
+
+function parseProjects(lines) {
+  return groupEntries(lines).map((entry) => {
+    const headerText = entry.header.join(' ');
+    const urls = headerText.match(URL_RE) || [];
+    const d = takeDates(headerText.replace(URL_RE, ' '));
+    const pieces = splitHeader(d.rest);
+    return {
+      name: pieces[0] || '',
+      description: [pieces.slice(1).join(', '), ...entry.body].filter(Boolean).join(' '),
+      ...(urls[0] && { url: normalizeUrl(urls[0]) }),
+      ...((d.startDate || d.endDate) && { startDate: d.startDate, endDate: d.endDate }),
+      highlights: entry.bullets,
+    };
+  }).filter((p) => p.name);
+}
+
+/** Split normalized text into the top block (before any heading) and named sections. */
+function splitSections(lines) {
+  const sections = { top: [] };
+  let key = 'top';
+  for (const line of lines) {
+    const found = detectSection(line);
+    if (found) {
+      key = found;
+      sections[key] = sections[key] || [];
+      continue;
+    }
+    if (line.trim()) sections[key].push(line);
+  }
+  return sections;
+}
+
+function parseBasics(topLines, allText, summaryLines) {
+  const basics = { name: '', label: '', email: '', phone: '', url: '', summary: '', location: { address: '' }, profiles: [] };
+  const email = allText.match(EMAIL_RE);
+  if (email) basics.email = email[0];
+
+  const contactish = (l) => EMAIL_RE.test(l) || URL_TEST_RE.test(l) || /\d{3}/.test(l) || l.includes('|');
+
+  for (const line of topLines) {
+    const phone = line.replace(EMAIL_RE, ' ').replace(URL_RE, ' ').match(PHONE_RE);
+    if (!basics.phone && phone && phone[0].replace(/\D/g, '').length >= 7) basics.phone = phone[0].trim();
+  }
+
+  const plain = topLines.map((l) => l.trim()).filter((l) => l && !contactish(l));
+  if (plain[0] && plain[0].length <= 60) basics.name = plain[0];
+  if (plain[1] && plain[1].length <= 100) basics.label = plain[1];
+  const loc = plain.slice(2).find((l) => /^[A-Z][a-zA-Z .'-]+,\s*[A-Z][a-zA-Z .'-]+$/.test(l));
+  if (loc) basics.location.address = loc;
+
+  // Profiles come from the contact block only; project/repo links elsewhere go to `links`.
+  const contactUrls = (topLines.join('\n').match(URL_RE) || []).map(normalizeUrl);
+  for (const url of [...new Set(contactUrls)]) {
+    const network = networkFor(url);
+    if (network) {
+      basics.profiles.push({ network, username: url.replace(/\/+$/, '').split('/').pop(), url });
+    } else if (!basics.url) {
+      basics.url = url;
+    }
+  }
+  basics.summary = (summaryLines || []).map(stripBullet).join(' ').trim();
+  const urls = (allText.match(URL_RE) || []).map(normalizeUrl);
+  return { basics, links: [...new Set(urls)].map((url) => ({ label: networkFor(url) || 'Website', url })) };
+}
+
+/**
+ * Parse extracted resume text into a JSON Resume–style object:
+ * { basics, work, education, skills, projects, links }.
+ * Missing sections come back as empty arrays, never undefined.
+ */
+function parseResumeText(text) {
+  if (!text || typeof text !== 'string') {
+    return { basics: parseBasics([], '', []).basics, work: [], education: [], skills: [], projects: [], links: [] };
+  }
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, ' ').split('\n').map((l) => l.replace(/ {2,}/g, ' ').trimEnd());
+  const sections = splitSections(lines);
+  const { basics, links } = parseBasics([...sections.top, ...(sections.contact || [])], text, sections.summary);
+  return {
+    basics,
+    work: parseWork(sections.work || []),
+    education: parseEducation(sections.education || []),
+    skills: parseSkills(sections.skills || []),
+    projects: parseProjects(sections.projects || []),
+    links,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Validation (used for parser output and for user-corrected data)
+// ---------------------------------------------------------------------------
+
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
+const SCHEMA = {
+  type: 'object',
+  required: ['basics'],
+  properties: {
+    basics: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        label: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        phone: { type: 'string' },
+        url: { type: 'string', format: 'url' },
+        summary: { type: 'string' },
+        location: { type: 'object', properties: { address: { type: 'string' }, city: { type: 'string' }, region: { type: 'string' }, countryCode: { type: 'string' } } },
+        profiles: { type: 'array', items: { type: 'object', properties: { network: { type: 'string' }, username: { type: 'string' }, url: { type: 'string', format: 'url' } } } },
+      },
+    },
+    work: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, position: { type: 'string' }, location: { type: 'string' }, url: { type: 'string', format: 'url' }, startDate: { type: 'string' }, endDate: { type: 'string' }, summary: { type: 'string' }, highlights: STRING_ARRAY } } },
+    education: { type: 'array', items: { type: 'object', properties: { institution: { type: 'string' }, area: { type: 'string' }, studyType: { type: 'string' }, startDate: { type: 'string' }, endDate: { type: 'string' }, score: { type: 'string' }, courses: STRING_ARRAY } } },
+    skills: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, level: { type: 'string' }, keywords: STRING_ARRAY } } },
+    projects: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, description: { type: 'string' }, url: { type: 'string', format: 'url' }, startDate: { type: 'string' }, endDate: { type: 'string' }, highlights: STRING_ARRAY } } },
+    links: { type: 'array', items: { type: 'object', properties: { label: { type: 'string' }, url: { type: 'string', format: 'url' } } } },
+  },
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return 'array';
+  if (v === null) return 'null';
+  return typeof v;
+}
+
+function checkNode(value, schema, path, errors) {
+  if (errors.length >= 50) return;
+  if (typeOf(value) !== schema.type) {
+    errors.push(`${path} must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.type === 'string') {
+    if (value.length > MAX_STRING) errors.push(`${path} is longer than ${MAX_STRING} characters`);
+    if (value && schema.format === 'email' && !new RegExp(`^${EMAIL_RE.source}$`).test(value)) errors.push(`${path} is not a valid email`);
+    if (value && schema.format === 'url' && !/^https?:\/\/\S+$/i.test(value)) errors.push(`${path} must be an http(s) URL`);
+    return;
+  }
+  if (schema.type === 'array') {
+    if (value.length > MAX_ITEMS) errors.push(`${path} has more than ${MAX_ITEMS} items`);
+    value.slice(0, MAX_ITEMS).forEach((item, i) => checkNode(item, schema.items, `${path}[${i}]`, errors));
+    return;
+  }
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+  }
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    if (value[key] !== undefined && value[key] !== null) checkNode(value[key], child, `${path}.${key}`, errors);
+  }
+}
+
+/**
+ * Validate a resume object against the JSON Resume subset we use.
+ * errors = structural problems (reject); warnings = likely-bad extraction worth showing the user.
+ */
+function validateResume(resume) {
+  const errors = [];
+  checkNode(resume, SCHEMA, 'resume', errors);
+  const warnings = [];
+  if (errors.length === 0) {
+    const b = resume.basics || {};
+    if (!b.name) warnings.push('No name detected');
+    if (!b.email) warnings.push('No email detected');
+    if (!(resume.work || []).length) warnings.push('No work experience detected');
+    if (!(resume.education || []).length) warnings.push('No education detected');
+    if (!(resume.skills || []).length) warnings.push('No skills detected');
+  }
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/** validateResume's warnings for a valid resume; throws 400 with the errors as details otherwise. */
+function assertValidResume(resume) {
+  const { valid, errors, warnings } = validateResume(resume);
+  if (!valid) throw httpError(400, 'Invalid resume data.', errors);
+  return warnings;
+}
+
+/** Render a resume object as structured plain text for the LLM prompt. */
+function resumeToText(resume) {
+  const out = [];
+  const b = resume.basics || {};
+  const push = (...l) => out.push(...l.filter(Boolean));
+  const section = (title) => out.push('', title);
+  push(b.name, b.label, [b.email, b.phone, b.url, b.location && b.location.address].filter(Boolean).join(' | '));
+  (b.profiles || []).forEach((p) => push(`${p.network}: ${p.url}`));
+  if (b.summary) {
+    section('SUMMARY');
+    push(b.summary);
+  }
+  const dates = (x) => [x.startDate, x.endDate || (x.startDate ? 'Present' : '')].filter(Boolean).join(' - ');
+  if ((resume.work || []).length) {
+    section('EXPERIENCE');
+    resume.work.forEach((w) => {
+      push([w.position, w.name, w.location, dates(w)].filter(Boolean).join(' | '), w.summary);
+      (w.highlights || []).forEach((h) => push(`- ${h}`));
+    });
+  }
+  if ((resume.education || []).length) {
+    section('EDUCATION');
+    resume.education.forEach((e) => push([[e.studyType, e.area].filter(Boolean).join(' in '), e.institution, dates(e)].filter(Boolean).join(' | ')));
+  }
+  if ((resume.skills || []).length) {
+    section('SKILLS');
+    resume.skills.forEach((s) => push(`${s.name}: ${(s.keywords || []).join(', ')}`));
+  }
+  if ((resume.projects || []).length) {
+    section('PROJECTS');
+    resume.projects.forEach((p) => {
+      push([p.name, p.url].filter(Boolean).join(' | '), p.description);
+      (p.highlights || []).forEach((h) => push(`- ${h}`));
+    });
+  }
+  return out.join('\n').trim();
+}
+
+module.exports = {
+  parseResumeText,
+  validateResume,
+  assertValidResume,
+  resumeToText,
+  detectSection,
+  SECTION_ALIASES,
+  DATE_RANGE_RE,
+};
@@ -0,0 +1,263 @@
+// lib/sites.js - Publishing stored generations at /s/:slug
+//
+// A site is a slug plus an ordered list of versions. Each publish snapshots the
+// generation's HTML as a new version and makes it current; rollback points the
+// site at an older version. Sites are owned like uploads: by the signed-in user,
+// or by the anonymous visitor_id that published them. Uploaded images the page
+// uses are copied with each version (site_versions.assets) and served from
+// /s/:slug/images/, so a site keeps them after its upload is deleted.
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const { loadUploadImages, referencedImageNames } = require('./images');
+const log = require('./logger');
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).trim().replace(/\/+$/, '');
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/;
+// Words that look official or collide with app paths.
+const RESERVED_SLUGS = new Set([
+  'admin', 'administrator', 'api', 'app', 'assets', 'auth', 'billing', 'blog', 'dashboard', 'docs', 'help',
+  'login', 'logout', 'new', 'official', 'resumetosite', 'root', 'security', 'settings', 'signin', 'signup',
+  'static', 'status', 'support', 'system', 'www',
+]);
+
+/** Why `slug` can't be used (format or reserved), or null. */
+function slugProblem(slug) {
+  if (!SLUG_RE.test(slug)) return 'Use 3–40 lowercase letters, numbers and hyphens, starting and ending with a letter or number.';
+  if (slug.includes('--')) return 'Use single hyphens only.';
+  if (RESERVED_SLUGS.has(slug)) return 'That address is reserved.';
+  return null;
+}
+
+function normalizeSlug(slug) {
+  return String(slug || '').trim().toLowerCase();
+}
+
+function siteUrl(slug) {
+  return `${PUBLIC_URL}/s/${slug}`;
+}
+
+/** owner = { userId, visitorId } from the request. */
+function ownsSite(site, owner) {
+  if (site.user_id) return site.user_id === owner.userId;
+  return !!owner.visitorId && site.visitor_id === owner.visitorId;
+}
+
+async function findBySlug(slug) {
+  const [site] = await getStorage().db.find('sites', { slug }, { limit: 1 });
+  return site || null;
+}
+
+/** { slug, available, reason? }: free (or already yours) and allowed. */
+async function checkSlug(rawSlug, owner) {
+  const slug = normalizeSlug(rawSlug);
+  const problem = slugProblem(slug);
+  if (problem) return { slug, available: false, reason: problem };
+  const site = await findBySlug(slug);
+  if (site && !ownsSite(site, owner)) return { slug, available: false, reason: 'That address is taken.' };
+  return { slug, available: true, ...(site && { yours: true }) };
+}
+
+/** The generation to publish, if this owner may publish it (404 otherwise). */
+async function loadPublishableGeneration(generationId, owner) {
+  const { db } = getStorage();
+  const gen = UUID_RE.test(String(generationId || '')) ? await db.get('generation_results', generationId) : null;
+  if (!gen) throw httpError(404, 'Generation not found.');
+  if (gen.user_id) {
+    if (gen.user_id !== owner.userId) throw httpError(404, 'Generation not found.');
+  } else {
+    const upload = await db.get('resume_uploads', gen.resume_upload_id);
+    if (!upload || !owner.visitorId || upload.visitor_id !== owner.visitorId) throw httpError(404, 'Generation not found.');
+  }
+  if (!gen.llm_html) throw httpError(400, 'That generation has no HTML to publish.');
+  return gen;
+}
+
+/** A site owned by `owner`, or 404 (also when it exists but belongs to someone else). */
+async function getOwnedSite(rawSlug, owner) {
+  const site = await findBySlug(normalizeSlug(rawSlug));
+  if (!site || !ownsSite(site, owner)) throw httpError(404, 'Site not found.');
+  return site;
+}
+
+async function listVersions(siteId) {
+  return getStorage().db.find('site_versions', { site_id: siteId }, {
+    columns: ['id', 'version', 'generation_id', 'created_at'],
+    orderBy: 'version',
+    desc: true,
+  });
+}
+
+/** Public shape of a site with its versions (newest first, no HTML). */
+function describeSite(site, versions) {
+  const current = versions.find((v) => v.id === site.current_version_id);
+  return {
+    slug: site.slug,
+    url: siteUrl(site.slug),
+    published: site.published,
+    noindex: site.noindex,
+    currentVersion: current ? current.version : null,
+    versions: versions.map((v) => ({ version: v.version, generationId: v.generation_id, createdAt: v.created_at })),
+    createdAt: site.created_at,
+    updatedAt: site.updated_at,
+  };
+}
+
+/** The owner's sites, most recently changed first (signed out: the visitor's sites no account owns). */
+async function listSites(owner) {
+  const where = owner.userId ? { user_id: owner.userId } : owner.visitorId && { visitor_id: owner.visitorId, user_id: null };
+  if (!where) return [];
+  const sites = await getStorage().db.find('sites', where, { orderBy: 'updated_at', desc: true });
+  return Promise.all(sites.map(async (site) => describeSite(site, await listVersions(site.id))));
+}
+
+/**
+ * Published sites whose current version is one of `generationIds` (e.g. a tailored variant's pages):
+ * [{ slug, url, generationId }]. Sites showing an older version of them are left out.
+ */
+async function sitesShowing(generationIds) {
+  if (!generationIds.length) return [];
+  const { db } = getStorage();
+  const versions = await db.find('site_versions', { generation_id: { in: generationIds } }, { columns: ['id', 'site_id', 'generation_id'] });
+  if (!versions.length) return [];
+  const sites = await db.find('sites', { id: { in: [...new Set(versions.map((v) => v.site_id))] } });
+  return sites.flatMap((site) => {
+    const current = site.published && versions.find((v) => v.id === site.current_version_id);
+    return current ? [{ slug: site.slug, url: siteUrl(site.slug), generationId: current.generation_id }] : [];
+  });
+}
+
+/**
+ * Copy the uploaded images `gen`'s page uses to the site's own keys. Resolves to the
+ * version's assets [{ name, path, contentType }], or null when the page uses none.
+ */
+async function snapshotAssets(siteId, version, gen) {
+  const used = referencedImageNames(gen.llm_html);
+  if (!used.size) return null;
+  const { objects } = getStorage();
+  const assets = [];
+  for (const img of await loadUploadImages(gen.resume_upload_id)) {
+    if (!used.has(img.name)) continue;
+    const key = await objects.put(`sites/${siteId}/v${version}/${img.name}`, img.buffer, img.contentType);
+    assets.push({ name: img.name, path: key, contentType: img.contentType });
+  }
+  return assets.length ? assets : null;
+}
+
+/**
+ * Publish a generation at `slug`: creates the site (version 1), or adds the next version
+ * when the owner already has that slug. Resolves to { site, created }.
+ */
+async function publish({ generationId, slug: rawSlug, noindex }, owner) {
+  const { db } = getStorage();
+  const gen = await loadPublishableGeneration(generationId, owner);
+  const check = await checkSlug(rawSlug, owner);
+  if (!check.available) throw httpError(check.reason === 'That address is taken.' ? 409 : 400, check.reason);
+  const now = new Date().toISOString();
+
+  let site = await findBySlug(check.slug);
+  const created = !site;
+  if (!site) {
+    try {
+      site = await db.insert('sites', {
+        slug: check.slug,
+        user_id: owner.userId || null,
+        visitor_id: owner.visitorId || null,
+        noindex: !!noindex,
+      });
+    } catch (e) {
+      // Lost a race for the same slug (unique constraint).
+      if (await findBySlug(check.slug)) throw httpError(409, 'That address is taken.');
+      throw e;
+    }
+  }
+  const [latest] = await db.find('site_versions', { site_id: site.id }, { columns: ['version'], orderBy: 'version', desc: true, limit: 1 });
+  const number = latest ? latest.version + 1 : 1;
+  const assets = await snapshotAssets(site.id, number, gen);
+  const version = await db.insert('site_versions', {
+    site_id: site.id,
+    version: number,
+    generation_id: gen.id,
+    html: gen.llm_html,
+    assets,
+  });
+  site = await db.update('sites', site.id, {
+    current_version_id: version.id,
+    published: true,
+    ...(noindex != null && { noindex: !!noindex }),
+    updated_at: now,
+  });
+  log.info('Site published', { slug: site.slug, version: version.version });
+  return { site, created };
+}
+
+/** Point the site at an earlier (or later) version number. */
+async function rollback(site, versionNumber) {
+  const { db } = getStorage();
+  const [version] = await db.find('site_versions', { site_id: site.id, version: Number(versionNumber) }, { columns: ['id', 'version'], limit: 1 });
+  if (!version) throw httpError(404, `Version ${versionNumber} not found.`);
+  log.info('Site rolled back', { slug: site.slug, version: version.version });
+  return db.update('sites', site.id, { current_version_id: version.id, updated_at: new Date().toISOString() });
+}
+
+/** Change `published` (unpublish / republish) and/or `noindex`. */
+async function updateSite(site, { published, noindex }) {
+  const patch = {};
+  if (published != null) patch.published = !!published;
+  if (noindex != null) patch.noindex = !!noindex;
+  if (!Object.keys(patch).length) throw httpError(400, 'Nothing to update. Send published and/or noindex.');
+  return getStorage().db.update('sites', site.id, { ...patch, updated_at: new Date().toISOString() });
+}
+
+/** Delete the sites matching `where` with all their versions and image copies; resolves to the number of sites. */
+async function removeSites(where) {
+  const { db, objects } = getStorage();
+  const ids = (await db.find('sites', where, { columns: ['id'] })).map((site) => site.id);
+  if (!ids.length) return 0;
+  const versions = await db.find('site_versions', { site_id: { in: ids } }, { columns: ['assets'] });
+  const keys = versions.flatMap((v) => (v.assets || []).map((a) => a.path));
+  if (keys.length) await objects.remove(keys);
+  return db.remove('sites', { id: { in: ids } });
+}
+
+/** Delete the site and all its versions; the slug becomes free. */
+async function deleteSite(site) {
+  await removeSites({ id: site.id });
+  log.info('Site deleted', { slug: site.slug });
+}
+
+/** { site, html, assets } for a published slug's current version, or null. */
+async function findPublished(rawSlug) {
+  const slug = normalizeSlug(rawSlug);
+  if (!SLUG_RE.test(slug)) return null;
+  const site = await findBySlug(slug);
+  if (!site || !site.published || !site.current_version_id) return null;
+  const version = await getStorage().db.get('site_versions', site.current_version_id);
+  return version ? { site, html: version.html, assets: version.assets || [] } : null;
+}
+
+/** { contentType, buffer } of an image in a published site's current version, or null. */
+async function findPublishedAsset(rawSlug, name) {
+  const found = await findPublished(rawSlug);
+  const asset = found && found.assets.find((a) => a.name === name);
+  if (!asset) return null;
+  const buffer = await getStorage().objects.get(asset.path);
+  return buffer ? { contentType: asset.contentType, buffer } : null;
+}
+
+module.exports = {
+  checkSlug,
+  publish,
+  getOwnedSite,
+  listSites,
+  listVersions,
+  describeSite,
+  sitesShowing,
+  rollback,
+  updateSite,
+  deleteSite,
+  removeSites,
+  findPublished,
+  findPublishedAsset,
+  RESERVED_SLUGS,
+};
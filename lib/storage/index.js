@@ -0,0 +1,100 @@
+// lib/storage/index.js - Where uploads and generation history are kept
+//
+// getStorage() returns { db, objects } chosen by config:
+//   db      - tables (resume_uploads, generation_results, ...): 'supabase' | 'sqlite'
+//   objects - uploaded files: 'supabase' | 'local' | 's3'
+// Both default to Supabase when it is configured, else SQLite + local files
+// under DATA_DIR, so uploads and generations are always recorded. DATA_DIR defaults
+// to ~/.resumetosite: outside the project, so the database and uploads can never be
+// served as static files or end up in a deploy bundle.
+//
+// db:      insert(table, row) -> row, update(table, id, patch) -> row | null, updateWhere(table, where, patch) -> n,
+//          get(table, id) -> row | null,
+//          find(table, where, { columns, orderBy, desc, limit, offset }) -> rows, count(table, where), remove(table, where) -> n
+//          where = { column: value | null | { lt, lte, gt, gte, neq, in } } (all conditions ANDed)
+// objects: put(key, buffer, contentType) -> key, get(key) -> Buffer | null, remove(key | keys)
+// Both also have ping(), which throws when the backend can't be reached (GET /ready). Every
+// call is timed and failures are counted in lib/metrics.js.
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const supabase = require('./supabase');
+const log = require('../logger');
+const { storageDuration, storageFailures } = require('../metrics');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(os.homedir(), '.resumetosite'));
+// Where data was kept before DATA_DIR moved out of the project
+const LEGACY_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const SQLITE_PATH = path.resolve(process.env.SQLITE_PATH || path.join(DATA_DIR, 'resumetosite.db'));
+
+const DB_BACKENDS = ['supabase', 'sqlite'];
+const OBJECT_BACKENDS = ['supabase', 'local', 's3'];
+
+function backendFromEnv(name, allowed, fallback) {
+  const value = (process.env[name] || '').trim().toLowerCase();
+  if (!value) return fallback;
+  if (!allowed.includes(value)) throw new Error(`${name} must be one of: ${allowed.join(', ')} (got "${value}")`);
+  return value;
+}
+
+function createDb(backend) {
+  if (backend === 'supabase') return supabase.createDb();
+  return require('./sqlite').createDb(SQLITE_PATH);
+}
+
+function createObjects(backend) {
+  if (backend === 'supabase') return supabase.createObjects();
+  if (backend === 's3') return require('./s3').createObjects();
+  return require('./local-objects').createObjects(path.join(DATA_DIR, 'uploads'));
+}
+
+/** Wrap every method of a backend so calls are timed and failures counted (`store` is 'db' or 'objects'). */
+function instrument(store, backend) {
+  for (const [operation, fn] of Object.entries(backend)) {
+    if (typeof fn !== 'function') continue;
+    const labels = { store, backend: backend.name, operation };
+    backend[operation] = async (...args) => {
+      const stop = storageDuration.startTimer(labels);
+      try {
+        return await fn.apply(backend, args);
+      } catch (e) {
+        storageFailures.inc(labels);
+        throw e;
+      } finally {
+        stop();
+      }
+    };
+  }
+  return backend;
+}
+
+let storage = null;
+
+/**
+ * The configured { db, objects } (created on first call; SQLite migrations run then).
+ * Throws when an explicitly chosen backend can't be used, so a bad config fails at startup.
+ */
+function getStorage() {
+  if (storage) return storage;
+  const hasSupabase = supabase.isConfigured();
+  if (!hasSupabase) log.info('Supabase disabled', { reason: supabase.configProblem() });
+  const dbBackend = backendFromEnv('DATABASE_BACKEND', DB_BACKENDS, hasSupabase ? 'supabase' : 'sqlite');
+  const objectBackend = backendFromEnv('STORAGE_BACKEND', OBJECT_BACKENDS, hasSupabase ? 'supabase' : 'local');
+  storage = { db: instrument('db', createDb(dbBackend)), objects: instrument('objects', createObjects(objectBackend)) };
+  log.info('Storage ready', {
+    database: dbBackend === 'sqlite' ? `sqlite (${SQLITE_PATH})` : dbBackend,
+    files: objectBackend === 'local' ? `local (${path.join(DATA_DIR, 'uploads')})` : objectBackend,
+  });
+  if (!process.env.DATA_DIR && fs.existsSync(path.join(LEGACY_DATA_DIR, 'resumetosite.db'))) {
+    log.warn('Found data in the old location inside the project; move it to DATA_DIR or set DATA_DIR to keep using it', { old: path.resolve(LEGACY_DATA_DIR), dataDir: DATA_DIR });
+  }
+  return storage;
+}
+
+/** Backend names for logs and health checks. */
+function describeStorage() {
+  const s = getStorage();
+  return { database: s.db.name, objects: s.objects.name };
+}
+
+module.exports = { getStorage, describeStorage, DATA_DIR };
@@ -0,0 +1,42 @@
+// lib/storage/local-objects.js - Uploaded files on the local filesystem
+const path = require('path');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+
+function createObjects(dir) {
+  const root = path.resolve(dir);
+  // Keys are generated by the app, but never let one escape the upload directory.
+  const fileFor = (key) => {
+    const file = path.resolve(root, String(key));
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid object key "${key}"`);
+    return file;
+  };
+  return {
+    name: 'local',
+    async ping() {
+      await fs.mkdir(root, { recursive: true });
+      await fs.access(root, fsConstants.W_OK);
+    },
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer, { flag: 'wx' });
+      return key;
+    },
+    async get(key) {
+      try {
+        return await fs.readFile(fileFor(key));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys).filter(Boolean)) {
+        await fs.rm(fileFor(key), { force: true });
+      }
+    },
+  };
+}
+
+module.exports = { createObjects };
@@ -0,0 +1,91 @@
+// lib/storage/migrate.js - Numbered SQL migrations (migrations/<dialect>/NNN_name.sql)
+//
+// Each applied file is recorded in schema_migrations, so running again only
+// applies new files. SQLite databases migrate themselves when opened; Postgres
+// (Supabase or any other) is migrated with `npm run migrate` and DATABASE_URL.
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+/** [{ version, file, sql }] for a dialect, in order. */
+function listMigrations(dialect) {
+  const dir = path.join(MIGRATIONS_DIR, dialect);
+  return fs.readdirSync(dir)
+    .filter((f) => /^\d+_[\w-]+\.sql$/.test(f))
+    .sort()
+    .map((f) => ({ version: f.replace(/\.sql$/, ''), file: f, sql: fs.readFileSync(path.join(dir, f), 'utf8') }));
+}
+
+/** Apply pending migrations to a better-sqlite3 database; returns the versions applied. */
+function migrateSqlite(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const done = new Set(db.prepare('SELECT version FROM schema_migrations').all().map((r) => r.version));
+  const applied = [];
+  for (const m of listMigrations('sqlite')) {
+    if (done.has(m.version)) continue;
+    db.transaction(() => {
+      db.exec(m.sql);
+      db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)').run(m.version, new Date().toISOString());
+    })();
+    applied.push(m.version);
+  }
+  return applied;
+}
+
+/** Apply pending migrations to Postgres at `databaseUrl` (needs the `pg` package). */
+async function migratePostgres(databaseUrl) {
+  let pg;
+  try {
+    pg = require('pg');
+  } catch (e) {
+    throw new Error('Postgres migrations require: npm install pg');
+  }
+  const client = new pg.Client({ connectionString: databaseUrl });
+  await client.connect();
+  const applied = [];
+  try {
+    await client.query('CREATE TABLE IF NOT EXISTS public.schema_migrations (version text PRIMARY KEY, applied_at timestamptz NOT NULL DEFAULT now())');
+    const { rows } = await client.query('SELECT version FROM public.schema_migrations');
+    const done = new Set(rows.map((r) => r.version));
+    for (const m of listMigrations('postgres')) {
+      if (done.has(m.version)) continue;
+      await client.query('BEGIN');
+      try {
+        await client.query(m.sql);
+        await client.query('INSERT INTO public.schema_migrations (version) VALUES ($1)', [m.version]);
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${m.file} failed: ${e.message}`);
+      }
+      applied.push(m.version);
+    }
+  } finally {
+    await client.end();
+  }
+  return applied;
+}
+
+// `npm run migrate`: Postgres when DATABASE_URL is set, otherwise the configured SQLite file.
+if (require.main === module) {
+  require('dotenv').config();
+  const databaseUrl = (process.env.DATABASE_URL || '').trim();
+  const run = databaseUrl
+    ? migratePostgres(databaseUrl)
+    : Promise.resolve().then(() => {
+      const { getStorage } = require('./index');
+      if (getStorage().db.name !== 'sqlite') {
+        throw new Error('Set DATABASE_URL to your Postgres connection string (Supabase: Project Settings → Database → Connection string).');
+      }
+      return []; // opening the SQLite database already applied its migrations
+    });
+  run.then((applied) => {
+    console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Database is up to date.');
+  }).catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { listMigrations, migrateSqlite, migratePostgres };
@@ -0,0 +1,69 @@
+// lib/storage/s3.js - Uploaded files in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+const log = require('../logger');
+
+const S3_BUCKET = (process.env.S3_BUCKET || 'resume-uploads').trim();
+const S3_ENDPOINT = (process.env.S3_ENDPOINT || '').trim();
+const S3_REGION = (process.env.S3_REGION || 'us-east-1').trim();
+// MinIO and most self-hosted stores need path-style URLs (http://host:9000/bucket/key).
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : !!S3_ENDPOINT;
+
+function createObjects() {
+  let sdk;
+  try {
+    sdk = require('@aws-sdk/client-s3');
+  } catch (e) {
+    throw new Error('The S3 storage backend requires: npm install @aws-sdk/client-s3');
+  }
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID.trim(), secretAccessKey: (process.env.S3_SECRET_ACCESS_KEY || '').trim() }
+    : undefined; // fall back to the AWS default chain (env, profile, instance role)
+  const s3 = new sdk.S3Client({
+    region: S3_REGION,
+    ...(S3_ENDPOINT && { endpoint: S3_ENDPOINT }),
+    forcePathStyle: S3_FORCE_PATH_STYLE,
+    ...(credentials && { credentials }),
+  });
+  log.info('S3 storage', { endpoint: S3_ENDPOINT || `aws ${S3_REGION}`, bucket: S3_BUCKET });
+
+  const isMissingBucket = (e) => e && (e.name === 'NoSuchBucket' || (e.Code === 'NoSuchBucket'));
+
+  return {
+    name: 's3',
+    // Reachable with working credentials; a missing bucket is fine, put() creates it
+    async ping() {
+      try {
+        await s3.send(new sdk.HeadBucketCommand({ Bucket: S3_BUCKET }));
+      } catch (e) {
+        if (e.name !== 'NotFound' && !isMissingBucket(e)) throw e;
+      }
+    },
+    async put(key, buffer, contentType) {
+      const command = () => new sdk.PutObjectCommand({ Bucket: S3_BUCKET, Key: key, Body: buffer, ContentType: contentType || 'application/octet-stream' });
+      try {
+        await s3.send(command());
+      } catch (e) {
+        if (!isMissingBucket(e)) throw e;
+        log.info('Bucket missing, creating it', { bucket: S3_BUCKET });
+        await s3.send(new sdk.CreateBucketCommand({ Bucket: S3_BUCKET }));
+        await s3.send(command());
+      }
+      return key;
+    },
+    async get(key) {
+      try {
+        const out = await s3.send(new sdk.GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        return Buffer.from(await out.Body.transformToByteArray());
+      } catch (e) {
+        if (e.name === 'NoSuchKey' || isMissingBucket(e)) return null;
+        throw e;
+      }
+    },
+    async remove(keys) {
+      const list = [].concat(keys).filter(Boolean);
+      if (!list.length) return;
+      await s3.send(new sdk.DeleteObjectsCommand({ Bucket: S3_BUCKET, Delete: { Objects: list.map((Key) => ({ Key })) } }));
+    },
+  };
+}
+
+module.exports = { createObjects, S3_BUCKET };
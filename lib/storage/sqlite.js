@@ -0,0 +1,138 @@
+// lib/storage/sqlite.js - Tables in a local SQLite file (better-sqlite3), for development and self-hosting
+//
+// Schemas live in migrations/sqlite. Columns declared JSON hold serialised
+// objects and BOOLEAN columns hold 0/1; both are converted here so rows look
+// the same as the ones Supabase returns.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { migrateSqlite } = require('./migrate');
+const log = require('../logger');
+
+const OPERATORS = { lt: '<', lte: '<=', gt: '>', gte: '>=', neq: '<>' };
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('The SQLite database backend requires: npm install better-sqlite3');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+function createDb(file) {
+  const sqlite = openDatabase(file);
+  const applied = migrateSqlite(sqlite);
+  if (applied.length) log.info('SQLite migrations applied', { migrations: applied });
+
+  // table -> { column: declared type }, read once per table; also whitelists column names.
+  const schemas = {};
+  function schemaOf(table) {
+    if (!schemas[table]) {
+      const cols = sqlite.prepare('SELECT name, type FROM pragma_table_info(?)').all(table);
+      if (!cols.length) throw new Error(`Unknown table "${table}"`);
+      schemas[table] = Object.fromEntries(cols.map((c) => [c.name, String(c.type).toUpperCase()]));
+    }
+    return schemas[table];
+  }
+  function column(table, name) {
+    if (!schemaOf(table)[name]) throw new Error(`Unknown column "${table}.${name}"`);
+    return `"${name}"`;
+  }
+  function toDb(table, name, value) {
+    const type = schemaOf(table)[name];
+    if (value == null) return null;
+    if (type === 'JSON') return JSON.stringify(value);
+    if (type === 'BOOLEAN') return value ? 1 : 0;
+    return value;
+  }
+  function fromDb(table, row) {
+    if (!row) return null;
+    const schema = schemaOf(table);
+    const out = {};
+    for (const [name, value] of Object.entries(row)) {
+      if (value != null && schema[name] === 'JSON') out[name] = JSON.parse(value);
+      else if (value != null && schema[name] === 'BOOLEAN') out[name] = !!value;
+      else out[name] = value;
+    }
+    return out;
+  }
+  function whereSql(table, where = {}) {
+    const clauses = [];
+    const params = [];
+    for (const [name, cond] of Object.entries(where)) {
+      const col = column(table, name);
+      if (cond === null) clauses.push(`${col} IS NULL`);
+      else if (typeof cond === 'object' && !Array.isArray(cond)) {
+        for (const [op, value] of Object.entries(cond)) {
+          if (op === 'in') {
+            if (!value.length) clauses.push('0');
+            else clauses.push(`${col} IN (${value.map(() => '?').join(', ')})`);
+            params.push(...value.map((v) => toDb(table, name, v)));
+          } else if (OPERATORS[op]) {
+            clauses.push(`${col} ${OPERATORS[op]} ?`);
+            params.push(toDb(table, name, value));
+          } else throw new Error(`Unsupported operator "${op}"`);
+        }
+      } else {
+        clauses.push(`${col} = ?`);
+        params.push(toDb(table, name, cond));
+      }
+    }
+    return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  return {
+    name: 'sqlite',
+    async ping() {
+      sqlite.prepare('SELECT 1').get();
+    },
+    async insert(table, row) {
+      const full = { id: crypto.randomUUID(), ...row };
+      const names = Object.keys(full);
+      const sql = `INSERT INTO "${table}" (${names.map((n) => column(table, n)).join(', ')}) VALUES (${names.map(() => '?').join(', ')}) RETURNING *`;
+      return fromDb(table, sqlite.prepare(sql).get(...names.map((n) => toDb(table, n, full[n]))));
+    },
+    async update(table, id, patch) {
+      const names = Object.keys(patch);
+      if (!names.length) return this.get(table, id);
+      const sql = `UPDATE "${table}" SET ${names.map((n) => `${column(table, n)} = ?`).join(', ')} WHERE id = ? RETURNING *`;
+      return fromDb(table, sqlite.prepare(sql).get(...names.map((n) => toDb(table, n, patch[n])), id));
+    },
+    async updateWhere(table, where, patch) {
+      const names = Object.keys(patch);
+      const { sql, params } = whereSql(table, where);
+      const set = names.map((n) => `${column(table, n)} = ?`).join(', ');
+      return sqlite.prepare(`UPDATE "${table}" SET ${set}${sql}`).run(...names.map((n) => toDb(table, n, patch[n])), ...params).changes;
+    },
+    async get(table, id) {
+      schemaOf(table);
+      return fromDb(table, sqlite.prepare(`SELECT * FROM "${table}" WHERE id = ?`).get(id));
+    },
+    async find(table, where, { columns, orderBy, desc, limit, offset } = {}) {
+      const { sql, params } = whereSql(table, where);
+      const select = columns ? columns.map((c) => column(table, c)).join(', ') : '*';
+      let query = `SELECT ${select} FROM "${table}"${sql}`;
+      if (orderBy) query += ` ORDER BY ${column(table, orderBy)} ${desc ? 'DESC' : 'ASC'}`;
+      if (limit) query += ` LIMIT ${Number(limit)} OFFSET ${Number(offset) || 0}`;
+      return sqlite.prepare(query).all(...params).map((r) => fromDb(table, r));
+    },
+    async count(table, where) {
+      const { sql, params } = whereSql(table, where);
+      schemaOf(table);
+      return sqlite.prepare(`SELECT COUNT(*) AS n FROM "${table}"${sql}`).get(...params).n;
+    },
+    async remove(table, where) {
+      const { sql, params } = whereSql(table, where);
+      schemaOf(table);
+      return sqlite.prepare(`DELETE FROM "${table}"${sql}`).run(...params).changes;
+    },
+  };
+}
+
+module.exports = { createDb };
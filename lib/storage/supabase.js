@@ -0,0 +1,159 @@
+// lib/storage/supabase.js - Supabase backends: Postgres tables via PostgREST, files in a Storage bucket
+const SUPABASE_URL = (process.env.SUPABASE_URL || '').trim();
+const SUPABASE_SERVICE_KEY = (process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || '').trim();
+const SUPABASE_BUCKET = (process.env.SUPABASE_BUCKET || 'resume-uploads').trim();
+// PostgREST silently stops at its max-rows setting (1000 by default), so find() reads in pages this size
+// until a short page comes back. Keep max-rows at least this large.
+const PAGE_SIZE = 1000;
+
+const log = require('../logger');
+
+// Resume formats plus the web images lib/images.js stores
+const ALLOWED_MIME_TYPES = [...require('../extract').ALLOWED_MIME_TYPES, 'image/webp', 'image/gif'];
+
+/** Why Supabase can't be used (placeholders, bad URL, short key), or null when it can. */
+function configProblem() {
+  const why = [];
+  if (!SUPABASE_URL || SUPABASE_URL.includes('YOUR_PROJECT')) why.push('SUPABASE_URL missing or placeholder');
+  else if (!SUPABASE_URL.startsWith('https://')) why.push('SUPABASE_URL must start with https://');
+  if (!SUPABASE_SERVICE_KEY || SUPABASE_SERVICE_KEY.includes('YOUR_')) why.push('SUPABASE_SERVICE_KEY missing or placeholder');
+  else if (SUPABASE_SERVICE_KEY.length <= 20) why.push('SUPABASE_SERVICE_KEY too short');
+  return why.length ? why.join('; ') : null;
+}
+
+function isConfigured() {
+  return !configProblem();
+}
+
+let client = null;
+function getClient() {
+  if (client) return client;
+  const problem = configProblem();
+  if (problem) {
+    throw new Error(`Supabase is not configured: ${problem}. Service key: Project Settings → API → service_role (secret).`);
+  }
+  const { createClient } = require('@supabase/supabase-js');
+  client = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+  log.info('Supabase initialized', { url: SUPABASE_URL.replace(/\/\/.*@/, '//***@'), bucket: SUPABASE_BUCKET });
+  return client;
+}
+
+function fail(what, error) {
+  const err = new Error(`${what} failed: ${error.message}`);
+  err.code = error.code;
+  return err;
+}
+
+/** Apply a `where` object ({ col: value | null | { lt, lte, gt, gte, in } }) to a PostgREST query. */
+function applyWhere(query, where = {}) {
+  let q = query;
+  for (const [col, cond] of Object.entries(where)) {
+    if (cond === null) q = q.is(col, null);
+    else if (typeof cond === 'object' && !Array.isArray(cond)) {
+      for (const [op, value] of Object.entries(cond)) {
+        if (op === 'in') q = q.in(col, value);
+        else if (['lt', 'lte', 'gt', 'gte', 'neq'].includes(op)) q = q[op](col, value);
+        else throw new Error(`Unsupported operator "${op}"`);
+      }
+    } else q = q.eq(col, cond);
+  }
+  return q;
+}
+
+function createDb() {
+  const sb = getClient();
+  return {
+    name: 'supabase',
+    async ping() {
+      const { error } = await sb.from('resume_uploads').select('id').limit(1);
+      if (error) throw fail('Database ping', error);
+    },
+    async insert(table, row) {
+      const { data, error } = await sb.from(table).insert(row).select().single();
+      if (error) throw fail(`${table} insert`, error);
+      return data;
+    },
+    async update(table, id, patch) {
+      const { data, error } = await sb.from(table).update(patch).eq('id', id).select();
+      if (error) throw fail(`${table} update`, error);
+      return (data && data[0]) || null;
+    },
+    async updateWhere(table, where, patch) {
+      const { count, error } = await applyWhere(sb.from(table).update(patch, { count: 'exact' }), where);
+      if (error) throw fail(`${table} update`, error);
+      return count || 0;
+    },
+    async get(table, id) {
+      const { data, error } = await sb.from(table).select('*').eq('id', id).maybeSingle();
+      if (error) throw fail(`${table} select`, error);
+      return data || null;
+    },
+    async find(table, where, { columns, orderBy, desc, limit, offset } = {}) {
+      const rows = [];
+      for (;;) {
+        const from = (offset || 0) + rows.length;
+        const size = limit ? Math.min(PAGE_SIZE, limit - rows.length) : PAGE_SIZE;
+        let q = applyWhere(sb.from(table).select(columns ? columns.join(',') : '*'), where);
+        if (orderBy) q = q.order(orderBy, { ascending: !desc });
+        // Ties (and no orderBy) broken by id, so pages neither skip nor repeat rows
+        if (orderBy !== 'id') q = q.order('id', { ascending: true });
+        const { data, error } = await q.range(from, from + size - 1);
+        if (error) throw fail(`${table} select`, error);
+        rows.push(...(data || []));
+        if (!data || data.length < size || (limit && rows.length >= limit)) return rows;
+      }
+    },
+    async count(table, where) {
+      const { count, error } = await applyWhere(sb.from(table).select('id', { count: 'exact', head: true }), where);
+      if (error) throw fail(`${table} count`, error);
+      return count || 0;
+    },
+    async remove(table, where) {
+      const { count, error } = await applyWhere(sb.from(table).delete({ count: 'exact' }), where);
+      if (error) throw fail(`${table} delete`, error);
+      return count || 0;
+    },
+  };
+}
+
+function createObjects() {
+  const sb = getClient();
+  const bucket = () => sb.storage.from(SUPABASE_BUCKET);
+  return {
+    name: 'supabase',
+    // Reachable with a working key; a missing bucket is fine, put() creates it
+    async ping() {
+      const { error } = await sb.storage.getBucket(SUPABASE_BUCKET);
+      if (error && !/not found/i.test(error.message || '')) throw fail('Storage ping', error);
+    },
+    async put(key, buffer, contentType) {
+      const opts = { contentType: contentType || 'application/octet-stream', upsert: false };
+      let result = await bucket().upload(key, buffer, opts);
+      if (result.error && result.error.message && result.error.message.toLowerCase().includes('bucket not found')) {
+        log.info('Bucket missing, creating it', { bucket: SUPABASE_BUCKET });
+        const { error: createErr } = await sb.storage.createBucket(SUPABASE_BUCKET, {
+          public: false,
+          fileSizeLimit: 5242880,
+          allowedMimeTypes: ALLOWED_MIME_TYPES,
+        });
+        if (createErr) throw new Error(`Bucket create failed: ${createErr.message} → Create bucket in Dashboard → Storage → New bucket.`);
+        result = await bucket().upload(key, buffer, opts);
+      }
+      if (result.error) throw fail('Storage upload', result.error);
+      return (result.data && result.data.path) || key;
+    },
+    async get(key) {
+      const { data, error } = await bucket().download(key);
+      if (error) return null;
+      return Buffer.from(await data.arrayBuffer());
+    },
+    async remove(keys) {
+      const list = [].concat(keys).filter(Boolean);
+      if (!list.length) return;
+      const { error } = await bucket().remove(list);
+      if (error) throw fail('Storage delete', error);
+    },
+  };
+}
+
+module.exports = { isConfigured, configProblem, createDb, createObjects, SUPABASE_BUCKET };
@@ -0,0 +1,301 @@
+// lib/tailor.js - Tailor a site to a target job description
+//
+// A job target is the text of a job posting (typed, or a snapshot of the posting's
+// page pasted as text or HTML) with an optional label and URL. The URL is recorded,
+// never fetched. Targets are stored in job_targets next to their upload, and every
+// generation made for one is a variant of that upload (generation_results.job_target_id),
+// so a job seeker can keep one focused page per employer.
+//
+// matchJob compares a posting with the resume: the skills it names, and the roles,
+// projects and highlights that share its vocabulary. tailorResume reorders the resume
+// by that and adds "Why I fit" points quoted from the resume itself (built-in
+// templates); the LLM prompt gets the same hints (lib/prompts.js). checkTailoring then
+// flags what the page claims that only the posting, not the resume, supports.
+const crypto = require('crypto');
+const parse5 = require('parse5');
+const { getStorage } = require('./storage');
+const { httpError } = require('./errors');
+const { htmlToText } = require('./extract/markup');
+const { resumeToText } = require('./resume-parser');
+const log = require('./logger');
+
+const JOB_DESCRIPTION_MIN_LENGTH = 80;
+const JOB_DESCRIPTION_MAX_LENGTH = 20000;
+const JOB_LABEL_MAX_LENGTH = 100;
+const JOB_URL_MAX_LENGTH = 2000;
+const FIT_POINTS_MAX = 4;
+const FIT_SKILLS_MAX = 6;
+const UNSUPPORTED_MAX = 10;
+const HTML_SNAPSHOT_RE = /<(html|body|div|p|section|article|ul|li|h[1-6])\b[^>]*>/i;
+// Words that say nothing about a specific fit: English filler and the vocabulary every posting shares.
+const STOPWORDS = new Set(`
+a about above across after again all also am an and any are as at be because been before being below best between both but by
+can could did do does doing down during each either etc every few for from further get had has have having he her here hers him
+his how i if in into is it its itself just least less like made make many may me might more most much must my no nor not now of
+off on once only or other our ours out over own per plus same she should so some such than that the their them then there these
+they this those through to too under until up upon us very via was we well were what when where whether which while who whom whose
+why will with within without would yes you your yours
+ability able apply applicant applicants benefit benefits best bonus candidate candidates career careers company compensation
+culture day days description duties environment equal employer employment excellent experience experienced familiarity familiar
+full great help hiring ideal including job join knowledge looking new nice offer opportunity opportunities plus position
+preferred qualification qualifications related remote requirement requirements responsibilities responsibility role roles salary
+seeking skill skills solid strong team teams time understanding want work working year years proven demonstrated hands
+`.trim().split(/\s+/));
+// Words, including tech names like node.js, c++, c#, k8s and es2020
+const TOKEN_RE = /[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z0-9]/g;
+// Terms a page can't use without the resume backing them: acronyms, CamelCase and capitalised names, C++/C#/.js
+const SPECIFIC_TERM_RE = /\b(?:[A-Z]{2,}[A-Za-z0-9]*|[A-Z][a-z]+[A-Z][A-Za-z0-9]*|[A-Za-z]+(?:\+\+|#|\.js)|[A-Z][a-z]{2,}(?:\.[a-z]+)?)(?![A-Za-z0-9])/g;
+// Numbers as written, with their unit or suffix: 10k, 40%, 1,200, 3.5x, 2M
+const NUMBER_RE = /\d+(?:[.,]\d+)*(?:\s*%|[a-z]+)?/gi;
+// What comes before the first word of a sentence, heading or bullet
+const SENTENCE_START_RE = /(^|[.!?:;]\s+|\n[\s\-*•·]*|^[\s\-*•·]+)$/;
+
+function normalize(s) {
+  // Dots only count inside a word (node.js, asp.net), not at the end of a sentence
+  return String(s || '').toLowerCase().replace(/[^a-z0-9+#.]+/g, ' ').replace(/\.(?![a-z0-9])|(?<![a-z0-9])\./g, ' ')
+    .replace(/\s+/g, ' ').trim();
+}
+
+/** Content words of `text`, without filler. */
+function terms(text) {
+  return new Set((normalize(text).match(TOKEN_RE) || []).filter((t) => t.length > 1 && !STOPWORDS.has(t) && !/^\d+$/.test(t)));
+}
+
+/** Whether the phrase occurs in normalised `haystack` as whole words. */
+function mentions(haystack, phrase) {
+  const needle = normalize(phrase);
+  if (!needle) return false;
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+/** A number from NUMBER_RE in one form, so "1,200" matches "1200", "10K" matches "10k" and "40 %" matches "40%". */
+function numberKey(number) {
+  return number.toLowerCase().replace(/\s+/g, '').replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * The job target a generate request sends, or null: `job_description` (text, or a page snapshot as HTML),
+ * optional `job_label` (else the posting's first line) and `job_url` (http(s), only recorded).
+ * Resolves to { description, label, url, sha256 }; 400 when it is too short, too long or the URL is invalid.
+ */
+function jobTargetFromRequest(body) {
+  const raw = body && body.job_description;
+  if (raw == null || String(raw).trim() === '') return null;
+  let description = String(raw);
+  if (HTML_SNAPSHOT_RE.test(description)) description = htmlToText(description);
+  description = description.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (description.length < JOB_DESCRIPTION_MIN_LENGTH) {
+    throw httpError(400, `job_description is too short. Paste the whole posting (at least ${JOB_DESCRIPTION_MIN_LENGTH} characters).`);
+  }
+  if (description.length > JOB_DESCRIPTION_MAX_LENGTH) {
+    throw httpError(400, `Keep job_description under ${JOB_DESCRIPTION_MAX_LENGTH} characters; the requirements and responsibilities are enough.`);
+  }
+  const url = String((body && body.job_url) || '').trim() || null;
+  if (url && (!/^https?:\/\/\S+$/i.test(url) || url.length > JOB_URL_MAX_LENGTH)) {
+    throw httpError(400, 'job_url must be an http(s) address.');
+  }
+  const firstLine = description.split('\n')[0];
+  const label = (String((body && body.job_label) || '').trim() || firstLine).slice(0, JOB_LABEL_MAX_LENGTH);
+  return { description, label, url, sha256: sha256(description) };
+}
+
+/** Shared-term score of resume `text` against the posting's terms. */
+function scoreText(text, jobTerms) {
+  let score = 0;
+  for (const t of terms(text)) if (jobTerms.has(t)) score++;
+  return score;
+}
+
+/**
+ * How the resume meets the posting: { skills, work, projects, fit } where `skills` are the resume's skill
+ * keywords the posting names, `work` / `projects` are [{ index, score }] per entry (higher = more relevant)
+ * and `fit` are up to FIT_POINTS_MAX "Why I fit" points made only of resume text.
+ */
+function matchJob(resume, description) {
+  const jobText = normalize(description);
+  const jobTerms = terms(description);
+  const r = resume || {};
+  const skills = [...new Set((r.skills || []).flatMap((s) => (s.keywords && s.keywords.length ? s.keywords : [s.name]))
+    .filter((k) => k && mentions(jobText, k)))];
+  const entryText = (e) => [e.position, e.name, e.description, e.summary, ...(e.highlights || []), ...(e.keywords || [])].filter(Boolean).join(' ');
+  const rank = (entries) => (entries || []).map((e, index) => ({ index, score: scoreText(entryText(e), jobTerms) }));
+  const work = rank(r.work);
+  const projects = rank(r.projects);
+
+  const best = (entry) => [...(entry.highlights || [])].sort((a, b) => scoreText(b, jobTerms) - scoreText(a, jobTerms))[0] || entry.description || entry.summary;
+  const top = (ranked, entries, n) => ranked.filter((x) => x.score > 0).sort((a, b) => b.score - a.score).slice(0, n).map((x) => entries[x.index]);
+  const fit = [];
+  if (skills.length) fit.push(`Skills this role asks for: ${skills.slice(0, FIT_SKILLS_MAX).join(', ')}`);
+  for (const w of top(work, r.work, 2)) {
+    const role = [w.position, w.name].filter(Boolean).join(' at ');
+    const detail = best(w);
+    if (role) fit.push(detail ? `${role}: ${detail}` : role);
+  }
+  for (const p of top(projects, r.projects, 1)) {
+    const detail = best(p);
+    if (p.name) fit.push(detail ? `${p.name}: ${detail}` : p.name);
+  }
+  return { skills, work, projects, fit: fit.slice(0, FIT_POINTS_MAX) };
+}
+
+/** Stable sort of `entries` by their match scores, most relevant first. */
+function byScore(entries, ranked) {
+  return (entries || []).map((e, i) => ({ e, i, score: (ranked[i] || {}).score || 0 }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((x) => x.e);
+}
+
+/**
+ * A copy of the resume arranged for the posting (see matchJob): relevant roles, projects, highlights and
+ * skills first, and `fit` with the "Why I fit" points. Nothing is added that the resume doesn't say.
+ */
+function tailorResume(resume, match, description) {
+  const jobTerms = terms(description);
+  const jobText = normalize(description);
+  const highlightsFirst = (entry) => ({
+    ...entry,
+    highlights: [...(entry.highlights || [])].map((h, i) => ({ h, i, score: scoreText(h, jobTerms) }))
+      .sort((a, b) => b.score - a.score || a.i - b.i).map((x) => x.h),
+  });
+  const skills = (resume.skills || []).map((s) => ({
+    ...s,
+    keywords: [...(s.keywords || [])].sort((a, b) => Number(mentions(jobText, b)) - Number(mentions(jobText, a))),
+  }));
+  const groupScore = (s) => (s.keywords.length ? s.keywords : [s.name]).filter((k) => k && mentions(jobText, k)).length;
+  return {
+    ...resume,
+    work: byScore(resume.work, match.work).map(highlightsFirst),
+    projects: byScore(resume.projects, match.projects).map(highlightsFirst),
+    skills: skills.map((s, i) => ({ s, i, score: groupScore(s) })).sort((a, b) => b.score - a.score || a.i - b.i).map((x) => x.s),
+    fit: match.fit,
+  };
+}
+
+/** Visible text blocks of the page body: [{ text, fit }] where `fit` marks the "Why I fit" section. Headings are skipped. */
+function textBlocks(html) {
+  const doc = parse5.parse(html || '');
+  const blocks = [];
+  const visit = (node, inFit) => {
+    for (const child of node.childNodes || []) {
+      if (['head', 'script', 'style', 'h1', 'h2', 'h3', 'title'].includes(child.tagName)) continue;
+      const id = (child.attrs || []).find((a) => a.name === 'id');
+      const fit = inFit || (child.tagName === 'section' && !!id && id.value === 'fit');
+      if (child.nodeName === '#text' && child.value.trim()) blocks.push({ text: child.value.replace(/\s+/g, ' ').trim(), fit });
+      visit(child, fit);
+    }
+  };
+  visit(doc, false);
+  return blocks;
+}
+
+/**
+ * Names and technical terms of a posting (see SPECIFIC_TERM_RE). A capitalised word only counts mid-sentence,
+ * so "Build APIs" at the start of a bullet gives APIs but not Build.
+ */
+function specificTerms(description) {
+  const text = String(description);
+  const found = new Set();
+  for (const m of text.matchAll(SPECIFIC_TERM_RE)) {
+    const plainWord = /^[A-Z][a-z]+(\.[a-z]+)?$/.test(m[0]);
+    if (plainWord && SENTENCE_START_RE.test(text.slice(Math.max(0, m.index - 4), m.index))) continue;
+    if (!STOPWORDS.has(m[0].toLowerCase())) found.add(m[0]);
+  }
+  return [...found];
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Claims on a tailored page the resume doesn't support: names and technical terms from the posting that the
+ * page uses but the parsed resume never mentions, and numbers in the "Why I fit" section the resume doesn't
+ * have (whole, with their suffix: "10k" needs "10k" in the resume, not just "10"). The employer and role
+ * (the target's label) may be named. Returns [{ claim, reason }] (at most UNSUPPORTED_MAX); checkTailoring
+ * words them as warnings.
+ */
+function unsupportedClaims(html, resume, target) {
+  if (!resume || !target || !target.description) return [];
+  const resumeRaw = resumeToText(resume);
+  const resumeText = normalize(resumeRaw);
+  const resumeNumbers = new Set((resumeRaw.match(NUMBER_RE) || []).map(numberKey));
+  const label = normalize(target.label);
+  const postingOnly = specificTerms(target.description)
+    .filter((term) => !mentions(resumeText, term) && !mentions(label, term))
+    .map((term) => ({ term, re: new RegExp(`(^|[^A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9])`) }));
+  const claims = [];
+  const seen = new Set();
+  for (const block of textBlocks(html)) {
+    for (const { term, re } of postingOnly) {
+      if (seen.has(term) || !re.test(block.text)) continue;
+      seen.add(term);
+      claims.push({ claim: block.text.slice(0, 160), reason: `"${term}" is in the job description but not in the resume` });
+    }
+    if (!block.fit) continue;
+    for (const number of block.text.match(NUMBER_RE) || []) {
+      const n = numberKey(number);
+      if (seen.has(n) || resumeNumbers.has(n)) continue;
+      seen.add(n);
+      claims.push({ claim: block.text.slice(0, 160), reason: `the number ${number.replace(/\s+/g, '')} is not in the resume` });
+    }
+  }
+  return claims.slice(0, UNSUPPORTED_MAX);
+}
+
+/** Post-processing check for tailored pages (see lib/html-postprocess.js): one warning per unsupported claim. */
+function checkTailoring(html, resume, target) {
+  if (!target) return [];
+  return unsupportedClaims(html, resume, target).map((c) => `Unsupported claim: "${c.claim}" (${c.reason})`);
+}
+
+/**
+ * The job_targets row for `target` on an upload: the same posting sent again reuses its row. Resolves to the
+ * row id, or null when it couldn't be stored (the page is still tailored, just not listed as a variant).
+ */
+async function saveJobTarget(resumeUploadId, target) {
+  if (!resumeUploadId || !target) return null;
+  const { db } = getStorage();
+  try {
+    const [existing] = await db.find('job_targets', { resume_upload_id: resumeUploadId, sha256: target.sha256 }, { limit: 1 });
+    if (existing) {
+      if (existing.label !== target.label || existing.url !== target.url) {
+        await db.update('job_targets', existing.id, { label: target.label, url: target.url });
+      }
+      return existing.id;
+    }
+    const { id } = await db.insert('job_targets', {
+      resume_upload_id: resumeUploadId,
+      label: target.label,
+      url: target.url,
+      description: target.description,
+      sha256: target.sha256,
+    });
+    log.info('job_targets saved', { uploadId: resumeUploadId, label: target.label });
+    return id;
+  } catch (e) {
+    log.warn('job_targets insert failed', { uploadId: resumeUploadId, err: e });
+    return null;
+  }
+}
+
+/** A stored job target of `resumeUploadId` as a target ({ id, description, label, url, sha256 }); 404 when it isn't one. */
+async function loadJobTarget(id, resumeUploadId) {
+  const row = id ? await getStorage().db.get('job_targets', String(id)).catch(() => null) : null;
+  if (!row || row.resume_upload_id !== resumeUploadId) throw httpError(404, 'Job target not found for this upload.');
+  return { id: row.id, description: row.description, label: row.label, url: row.url, sha256: row.sha256 };
+}
+
+module.exports = {
+  jobTargetFromRequest,
+  matchJob,
+  tailorResume,
+  checkTailoring,
+  unsupportedClaims,
+  saveJobTarget,
+  loadJobTarget,
+  JOB_DESCRIPTION_MAX_LENGTH,
+};
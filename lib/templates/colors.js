@@ -0,0 +1,51 @@
+// lib/templates/colors.js - Colour helpers for theme palettes (#rrggbb only)
+
+/** '#ABC' or '#aabbcc' → '#aabbcc'; null for anything else. */
+function normalizeHex(value) {
+  const m = String(value == null ? '' : value).trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) return null;
+  const hex = m[1].length === 3 ? m[1].split('').map((c) => c + c).join('') : m[1];
+  return `#${hex.toLowerCase()}`;
+}
+
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/** WCAG relative luminance. */
+function luminance(hex) {
+  const [r, g, b] = rgb(hex).map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** WCAG contrast ratio between two colours (1–21). */
+function contrast(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+/** `a` mixed with `weight` (0–1) of `b`. */
+function mix(a, b, weight) {
+  const [x, y] = [rgb(a), rgb(b)];
+  return '#' + x.map((c, i) => Math.round(c + (y[i] - c) * weight).toString(16).padStart(2, '0')).join('');
+}
+
+/** Black or white, whichever reads better on `hex`. */
+function textOn(hex) {
+  return contrast(hex, '#000000') >= contrast(hex, '#ffffff') ? '#000000' : '#ffffff';
+}
+
+/** `color`, moved towards `text` until it has at least `ratio` contrast against `bg` (for coloured text and headings). */
+function readableOn(color, bg, text, ratio = 4.5) {
+  for (let weight = 0; weight < 1; weight += 0.2) {
+    const candidate = mix(color, text, weight);
+    if (contrast(candidate, bg) >= ratio) return candidate;
+  }
+  return text;
+}
+
+module.exports = { normalizeHex, contrast, mix, textOn, readableOn };
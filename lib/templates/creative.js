@@ -0,0 +1,21 @@
+// lib/templates/creative.js - Playful colour blocks, display type, offset shadows
+module.exports = {
+  name: 'creative',
+  description: 'Playful colour blocks, display type, offset shadows',
+  fonts: 'syne-grotesk',
+  primary: '#fde047',
+  accent: '#f43f5e',
+  mode: 'light',
+  colors: {
+    light: { bg: '#fffbeb', surface: '#ffffff', text: '#1c1917', muted: '#57534e', border: '#1c1917', highlight: '#22d3ee' },
+    dark: { bg: '#1c1917', surface: '#292524', text: '#fafaf9', muted: '#a8a29e', border: '#fafaf9', highlight: '#0e7490' },
+  },
+  css: `.hero{background:var(--primary);color:var(--on-primary);border-bottom:4px solid var(--border)}
+.hero h1{font-size:clamp(2.5rem,8vw,4.5rem);text-transform:uppercase}
+.avatar{background:var(--accent);color:var(--on-accent);border:3px solid var(--border);border-radius:16px}
+.contact a{background:var(--on-primary);color:var(--primary);padding:.25rem .75rem;text-decoration:none;border-radius:6px}
+.section h2{display:inline-block;background:var(--highlight);padding:.25rem .75rem;border:3px solid var(--border);transform:rotate(-1deg)}
+.entry,.card{background:var(--surface);border:3px solid var(--border);box-shadow:6px 6px 0 var(--border);padding:calc(1.25rem*var(--space));border-radius:12px}
+.tags li{background:var(--accent);color:var(--on-accent);border:2px solid var(--border)}
+`,
+};
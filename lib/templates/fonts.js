@@ -0,0 +1,44 @@
+// lib/templates/fonts.js - Font pairings a theme can pick instead of its template's own fonts
+//
+// `google` is the Google Fonts css2 `family=` value (null for system fonts only);
+// `heading` and `body` are the CSS font stacks.
+const FONT_PAIRINGS = {
+  'inter': {
+    label: 'Inter',
+    google: 'Inter:wght@400;600;800',
+    heading: "'Inter',system-ui,sans-serif",
+    body: "'Inter',system-ui,sans-serif",
+  },
+  'playfair-source': {
+    label: 'Playfair Display + Source Sans 3',
+    google: 'Playfair+Display:wght@600;800&family=Source+Sans+3:wght@400;600',
+    heading: "'Playfair Display',Georgia,serif",
+    body: "'Source Sans 3',system-ui,sans-serif",
+  },
+  'merriweather-source': {
+    label: 'Merriweather + Source Sans 3',
+    google: 'Merriweather:wght@400;700&family=Source+Sans+3:wght@400;600',
+    heading: "'Merriweather',Georgia,serif",
+    body: "'Source Sans 3',Georgia,serif",
+  },
+  'syne-grotesk': {
+    label: 'Syne + Space Grotesk',
+    google: 'Syne:wght@600;800&family=Space+Grotesk:wght@400;600',
+    heading: "'Syne',sans-serif",
+    body: "'Space Grotesk',system-ui,sans-serif",
+  },
+  'mono': {
+    label: 'JetBrains Mono',
+    google: 'JetBrains+Mono:wght@400;700',
+    heading: "'JetBrains Mono',ui-monospace,monospace",
+    body: "'JetBrains Mono',ui-monospace,monospace",
+  },
+  'system': {
+    label: 'System fonts',
+    google: null,
+    heading: "system-ui,-apple-system,'Segoe UI',sans-serif",
+    body: "system-ui,-apple-system,'Segoe UI',sans-serif",
+  },
+};
+
+module.exports = { FONT_PAIRINGS };
@@ -0,0 +1,45 @@
+// lib/templates/index.js - Built-in, LLM-free site templates
+const { renderPage, SECTION_TITLES, FIT_TITLE, DEFAULT_ORDER, DENSITIES } = require('./layout');
+const { FONT_PAIRINGS } = require('./fonts');
+
+const TEMPLATES = {
+  modern: require('./modern'),
+  creative: require('./creative'),
+  professional: require('./professional'),
+  tech: require('./tech'),
+  minimal: require('./minimal'),
+};
+
+const DEFAULT_TEMPLATE = 'modern';
+
+/** Template names the picker in index.html offers. */
+function listTemplates() {
+  return Object.keys(TEMPLATES);
+}
+
+/** The template module for `name`, or null. */
+function getTemplate(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, name) ? TEMPLATES[name] : null;
+}
+
+/**
+ * Render JSON Resume data with a built-in template and the uploaded `images`. `theme` is a
+ * validated theme (lib/theme.js) or just a template name; unknown templates use the default.
+ */
+function renderSite(resume, theme, images = []) {
+  const options = typeof theme === 'string' || !theme ? { template: theme } : theme;
+  const tpl = getTemplate(options.template) || TEMPLATES[DEFAULT_TEMPLATE];
+  return renderPage(resume || {}, tpl, options, images);
+}
+
+module.exports = {
+  renderSite,
+  listTemplates,
+  getTemplate,
+  DEFAULT_TEMPLATE,
+  FONT_PAIRINGS,
+  SECTION_TITLES,
+  FIT_TITLE,
+  SECTION_ORDER: DEFAULT_ORDER,
+  DENSITIES,
+};
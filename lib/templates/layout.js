@@ -0,0 +1,265 @@
+// lib/templates/layout.js - Shared markup for the built-in templates
+//
+// Templates differ in CSS (and a few class names), not in content: every
+// template renders the same sections from the same JSON Resume data, so the
+// output is reproducible and comparable across styles. Colours, fonts and
+// spacing are CSS custom properties, so a theme (lib/theme.js) can swap them
+// without touching a template's rules.
+
+const { escapeHtml } = require('../html');
+const { FONT_PAIRINGS } = require('./fonts');
+const { textOn, readableOn } = require('./colors');
+
+function esc(s) {
+  return escapeHtml(s == null ? '' : s);
+}
+
+/** Only allow http(s) and mailto links into generated pages. */
+function safeUrl(url) {
+  const u = String(url || '').trim();
+  return /^(https?:\/\/|mailto:)/i.test(u) ? u : '';
+}
+
+function initials(name) {
+  return String(name || '').split(/\s+/).filter(Boolean).slice(0, 2).map((w) => w[0].toUpperCase()).join('') || 'CV';
+}
+
+function formatDate(d) {
+  if (!d) return '';
+  const m = String(d).match(/^(\d{4})-(\d{2})/);
+  if (!m) return String(d);
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${months[Number(m[2]) - 1] || ''} ${m[1]}`.trim();
+}
+
+function dateRange(item) {
+  const start = formatDate(item.startDate);
+  const end = item.endDate ? formatDate(item.endDate) : (start ? 'Present' : '');
+  return [start, end].filter(Boolean).join(' – ');
+}
+
+function list(items, cls) {
+  const li = (items || []).filter(Boolean).map((h) => `<li>${esc(h)}</li>`).join('');
+  return li ? `<ul class="${cls}">${li}</ul>` : '';
+}
+
+function link(url, label) {
+  const href = safeUrl(url);
+  return href ? `<a href="${esc(href)}" target="_blank" rel="noopener">${esc(label || url)}</a>` : esc(label || '');
+}
+
+function contactLinks(basics) {
+  const items = [];
+  if (basics.email) items.push(`<a href="mailto:${esc(basics.email)}">${esc(basics.email)}</a>`);
+  if (basics.phone) items.push(`<a href="tel:${esc(basics.phone.replace(/[^\d+]/g, ''))}">${esc(basics.phone)}</a>`);
+  if (basics.url) items.push(link(basics.url, basics.url.replace(/^https?:\/\//, '')));
+  for (const p of basics.profiles || []) items.push(link(p.url, p.network || p.url));
+  return items;
+}
+
+/** <img> for an uploaded image; below-the-fold images load lazily. */
+function image(img, cls, { alt, lazy = true } = {}) {
+  const size = img.width && img.height ? ` width="${img.width}" height="${img.height}"` : '';
+  return `<img class="${cls}" src="${esc(img.src)}" alt="${esc(alt || img.alt || '')}"${size}${lazy ? ' loading="lazy"' : ''}>`;
+}
+
+function normalizeName(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Where uploaded images go: the photo in the header, a project image on the project its caption
+ * names, the rest in a gallery. Returns { photo, projects: [image|null per project], gallery }.
+ */
+function placeImages(projects, images) {
+  const photo = images.find((img) => img.kind === 'photo') || null;
+  const byProject = (projects || []).map(() => null);
+  const gallery = [];
+  for (const img of images.filter((i) => i.kind === 'project')) {
+    const caption = normalizeName(img.alt);
+    const index = (projects || []).findIndex((p, i) => {
+      const name = normalizeName(p.name);
+      return !byProject[i] && name && caption && (caption.includes(name) || name.includes(caption));
+    });
+    if (index === -1) gallery.push(img);
+    else byProject[index] = img;
+  }
+  return { photo, projects: byProject, gallery };
+}
+
+function header(basics, photo) {
+  const location = basics.location && (basics.location.address || [basics.location.city, basics.location.region].filter(Boolean).join(', '));
+  const avatar = photo
+    ? image(photo, 'avatar portrait', { alt: basics.name ? `Photo of ${basics.name}` : photo.alt, lazy: false })
+    : `<div class="avatar" aria-hidden="true">${esc(initials(basics.name))}</div>`;
+  return `<header class="hero">
+  <div class="hero-inner">
+    ${avatar}
+    <h1>${esc(basics.name || 'Your Name')}</h1>
+    ${basics.label ? `<p class="label">${esc(basics.label)}</p>` : ''}
+    ${location ? `<p class="location">${esc(location)}</p>` : ''}
+    <nav class="contact">${contactLinks(basics).join('')}</nav>
+  </div>
+</header>`;
+}
+
+function section(id, title, inner) {
+  return inner ? `<section id="${id}" class="section">\n  <h2>${esc(title)}</h2>\n  ${inner}\n</section>` : '';
+}
+
+// Section keys (theme order/hidden use these) and their headings
+const SECTION_TITLES = {
+  about: 'About',
+  work: 'Experience',
+  projects: 'Projects',
+  gallery: 'Gallery',
+  skills: 'Skills',
+  education: 'Education',
+  contact: 'Contact',
+};
+// Heading of the "Why I fit" section tailored pages open with (resume.fit, see lib/tailor.js)
+const FIT_TITLE = 'Why I fit';
+
+const SECTIONS = {
+  about: (r) => section('about', SECTION_TITLES.about, r.basics.summary ? `<p class="summary">${esc(r.basics.summary)}</p>` : ''),
+  work: (r) => section('experience', SECTION_TITLES.work, (r.work || []).map((w) => `<article class="entry">
+    <div class="entry-head"><h3>${esc(w.position || w.name)}</h3><span class="dates">${esc(dateRange(w))}</span></div>
+    ${w.position && w.name ? `<p class="org">${link(w.url, w.name)}${w.location ? ` · ${esc(w.location)}` : ''}</p>` : ''}
+    ${w.summary ? `<p>${esc(w.summary)}</p>` : ''}
+    ${list(w.highlights, 'highlights')}
+  </article>`).join('\n  ')),
+  projects: (r) => section('projects', SECTION_TITLES.projects, (r.projects || []).length ? `<div class="cards">${r.projects.map((p, i) => `<article class="card">
+    ${r.media.projects[i] ? image(r.media.projects[i], 'thumb') : ''}
+    <h3>${p.url ? link(p.url, p.name) : esc(p.name)}</h3>
+    ${p.description ? `<p>${esc(p.description)}</p>` : ''}
+    ${list(p.highlights, 'highlights')}
+  </article>`).join('')}</div>` : ''),
+  gallery: (r) => section('gallery', SECTION_TITLES.gallery, r.media.gallery.length ? `<div class="gallery">${r.media.gallery.map((img) => `<figure>
+    ${image(img, 'thumb')}
+    <figcaption>${esc(img.alt)}</figcaption>
+  </figure>`).join('')}</div>` : ''),
+  skills: (r) => section('skills', SECTION_TITLES.skills, (r.skills || []).map((s) => `<div class="skill-group">
+    <h3>${esc(s.name)}</h3>
+    <ul class="tags">${(s.keywords || []).map((k) => `<li>${esc(k)}</li>`).join('')}</ul>
+  </div>`).join('\n  ')),
+  education: (r) => section('education', SECTION_TITLES.education, (r.education || []).map((e) => `<article class="entry">
+    <div class="entry-head"><h3>${esc(e.institution)}</h3><span class="dates">${esc(dateRange(e))}</span></div>
+    ${e.studyType || e.area ? `<p class="org">${esc([e.studyType, e.area].filter(Boolean).join(' in '))}</p>` : ''}
+    ${list(e.courses, 'highlights')}
+  </article>`).join('\n  ')),
+  contact: (r) => {
+    const items = contactLinks(r.basics);
+    return section('contact', SECTION_TITLES.contact, items.length ? `<p class="contact-cta">${items.join(' · ')}</p>` : '');
+  },
+};
+
+// Structural rules every template shares; templates layer colours and type on top.
+const BASE_CSS = `*{box-sizing:border-box;margin:0;padding:0}
+body{line-height:1.6;-webkit-font-smoothing:antialiased;font-family:var(--font-body);background:var(--bg);color:var(--text)}
+h1,h2,h3{font-family:var(--font-heading)}
+a{color:inherit}
+main{max-width:960px;margin:0 auto;padding:calc(2rem*var(--space)) 1.5rem}
+.hero-inner{max-width:960px;margin:0 auto;padding:calc(4rem*var(--space)) 1.5rem calc(3rem*var(--space))}
+.avatar{width:72px;height:72px;border-radius:50%;display:flex;align-items:center;justify-content:center;font-weight:700;font-size:1.5rem;margin-bottom:1rem}
+.hero h1{font-size:clamp(2rem,6vw,3.5rem);line-height:1.1}
+.label{font-size:1.25rem;margin-top:.5rem}
+.location{margin-top:.25rem;opacity:.8}
+.contact{display:flex;flex-wrap:wrap;gap:.75rem 1.25rem;margin-top:1.25rem}
+.section{margin:calc(2.5rem*var(--space)) 0}
+.section h2{font-size:1.5rem;margin-bottom:1rem}
+.entry{margin-bottom:calc(1.5rem*var(--space))}
+.entry-head{display:flex;justify-content:space-between;gap:1rem;flex-wrap:wrap;align-items:baseline}
+.entry h3,.card h3,.skill-group h3{font-size:1.1rem}
+.dates{font-size:.9rem;opacity:.75;white-space:nowrap}
+.org{font-weight:600;opacity:.85}
+.highlights{margin:.5rem 0 0 1.25rem}
+.highlights li{margin:.25rem 0}
+.cards{display:grid;grid-template-columns:repeat(auto-fit,minmax(240px,1fr));gap:calc(1rem*var(--space))}
+.card{padding:calc(1.25rem*var(--space));border-radius:12px}
+img.avatar{display:block;width:112px;height:112px;object-fit:cover}
+.thumb{display:block;width:100%;height:auto;aspect-ratio:4/3;object-fit:cover;border-radius:8px;margin-bottom:.75rem}
+.gallery{display:grid;grid-template-columns:repeat(auto-fit,minmax(220px,1fr));gap:1rem}
+.gallery figcaption{font-size:.9rem;opacity:.8}
+.skill-group{margin-bottom:1rem}
+.tags{list-style:none;display:flex;flex-wrap:wrap;gap:.5rem;margin-top:.5rem}
+.tags li{padding:.25rem .75rem;border-radius:999px;font-size:.9rem}
+.footer{text-align:center;padding:2rem;font-size:.85rem;opacity:.7}
+@media print{.hero-inner{padding:1rem 0}.cards{display:block}}
+`;
+
+const DEFAULT_ORDER = ['about', 'work', 'projects', 'gallery', 'skills', 'education', 'contact'];
+
+// Spacing multiplier (--space) per theme density
+const DENSITIES = { compact: 0.7, comfortable: 1, spacious: 1.4 };
+
+/** Custom properties for one colour mode: the template's palette plus readable variants of the theme colours. */
+function paletteVars(palette, primary, accent) {
+  const vars = {
+    ...palette,
+    'primary': primary,
+    'accent': accent,
+    'on-primary': textOn(primary),
+    'on-accent': textOn(accent),
+    'primary-text': readableOn(primary, palette.bg, palette.text),
+    'accent-text': readableOn(accent, palette.bg, palette.text),
+  };
+  return Object.entries(vars).map(([k, v]) => `--${k}:${v}`).join(';');
+}
+
+/**
+ * The :root variables for a template under `theme` (fields as in lib/theme.js; missing ones use the
+ * template's own): palette for the mode (light, dark, or both switched by prefers-color-scheme), fonts, spacing.
+ */
+function themeCss(tpl, theme, fonts) {
+  const primary = theme.primary || tpl.primary;
+  const accent = theme.accent || tpl.accent;
+  const mode = theme.mode || tpl.mode;
+  const base = `--font-heading:${fonts.heading};--font-body:${fonts.body};--space:${DENSITIES[theme.density] || 1}`;
+  const light = paletteVars(tpl.colors.light, primary, accent);
+  const dark = paletteVars(tpl.colors.dark, primary, accent);
+  if (mode === 'auto') return `:root{${base};${light}}\n@media (prefers-color-scheme:dark){:root{${dark}}}\n`;
+  return `:root{${base};${mode === 'dark' ? dark : light}}\n`;
+}
+
+/**
+ * Render a full page. `tpl` = { name, css, fonts, primary, accent, mode, colors, bodyClass? } from a template module;
+ * `theme` = validated options from lib/theme.js (colours, fonts, mode, order, hidden, density; all optional);
+ * `images` = uploaded images as described by lib/images.js ({ src, kind, alt, width, height }).
+ * A tailored resume's `fit` points (lib/tailor.js) come first, as a "Why I fit" section.
+ * Same resume + template + theme + images always produces byte-identical HTML.
+ */
+function renderPage(resume, tpl, theme = {}, images = []) {
+  const r = { ...resume, basics: resume.basics || {} };
+  r.media = placeImages(r.projects, images);
+  const name = r.basics.name || 'Portfolio';
+  const description = r.basics.label ? `${name} – ${r.basics.label}` : name;
+  const fontPairing = FONT_PAIRINGS[theme.fonts] || FONT_PAIRINGS[tpl.fonts];
+  const fonts = fontPairing.google ? `<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=${esc(fontPairing.google)}&amp;display=swap">\n` : '';
+  const mode = theme.mode || tpl.mode;
+  const hidden = new Set(theme.hidden || []);
+  const body = [section('fit', FIT_TITLE, list(r.fit, 'highlights')), ...(theme.order || DEFAULT_ORDER)
+    .filter((key) => !hidden.has(key))
+    .map((key) => SECTIONS[key] && SECTIONS[key](r))].filter(Boolean).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="color-scheme" content="${mode === 'auto' ? 'light dark' : mode}">
+<title>${esc(description)}</title>
+<meta name="description" content="${esc(r.basics.summary ? r.basics.summary.slice(0, 160) : description)}">
+<meta name="generator" content="ResumeToSite template:${esc(tpl.name)}">
+${fonts}<style>${themeCss(tpl, theme, fontPairing)}${BASE_CSS}${tpl.css}</style>
+</head>
+<body class="tpl-${esc(tpl.name)}${tpl.bodyClass ? ' ' + tpl.bodyClass : ''}">
+${header(r.basics, r.media.photo)}
+<main>
+${body}
+</main>
+<footer class="footer"><p>© ${esc(name)}</p></footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderPage, SECTIONS, SECTION_TITLES, FIT_TITLE, DEFAULT_ORDER, DENSITIES, BASE_CSS, safeUrl, initials };
@@ -0,0 +1,28 @@
+// lib/templates/minimal.js - Plain black on white, narrow column, no decoration
+module.exports = {
+  name: 'minimal',
+  description: 'Plain black on white, narrow column, no decoration',
+  fonts: 'system',
+  primary: '#111111',
+  accent: '#555555',
+  mode: 'light',
+  colors: {
+    light: { bg: '#ffffff', surface: '#ffffff', text: '#111111', muted: '#767676', border: '#e5e5e5' },
+    dark: { bg: '#111111', surface: '#111111', text: '#eeeeee', muted: '#999999', border: '#333333' },
+  },
+  css: `main,.hero-inner{max-width:680px}
+.hero-inner{padding-bottom:1rem}
+.avatar{display:none}
+.hero h1{font-size:2rem;font-weight:600}
+.label,.location{color:var(--muted);font-size:1rem}
+.contact a{color:var(--primary-text)}
+.section h2{font-size:.85rem;text-transform:uppercase;letter-spacing:.12em;color:var(--muted);font-weight:500}
+.card{padding:0}
+.cards{display:block}
+.card{margin-bottom:1rem}
+.tags{gap:.25rem .5rem}
+.tags li{padding:0;font-size:1rem}
+.tags li:not(:last-child)::after{content:','}
+a:hover{color:var(--accent-text)}
+`,
+};
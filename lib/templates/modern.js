@@ -0,0 +1,21 @@
+// lib/templates/modern.js - Bold gradient hero, rounded cards, sans-serif
+module.exports = {
+  name: 'modern',
+  description: 'Bold gradient hero, rounded cards, sans-serif',
+  fonts: 'inter',
+  primary: '#4f46e5',
+  accent: '#db2777',
+  mode: 'light',
+  colors: {
+    light: { bg: '#f8fafc', surface: '#ffffff', text: '#0f172a', muted: '#64748b', border: '#e2e8f0' },
+    dark: { bg: '#0b1120', surface: '#1e293b', text: '#e2e8f0', muted: '#94a3b8', border: '#334155' },
+  },
+  css: `.hero{background:linear-gradient(135deg,var(--primary),var(--accent));color:var(--on-primary)}
+.avatar{background:rgba(255,255,255,.2);color:var(--on-primary)}
+.contact a{color:var(--on-primary);text-decoration:none;border-bottom:1px solid color-mix(in srgb,currentColor 50%,transparent)}
+.section h2{color:var(--primary-text)}
+.entry,.card{background:var(--surface);border-radius:12px;padding:calc(1.25rem*var(--space));box-shadow:0 1px 3px rgba(15,23,42,.08)}
+.tags li{background:color-mix(in srgb,var(--primary) 12%,var(--surface));color:var(--primary-text)}
+a:hover{color:var(--accent-text)}
+`,
+};
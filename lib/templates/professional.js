@@ -0,0 +1,22 @@
+// lib/templates/professional.js - Conservative serif layout, navy accents, print friendly
+module.exports = {
+  name: 'professional',
+  description: 'Conservative serif layout, navy accents, print friendly',
+  fonts: 'merriweather-source',
+  primary: '#1e3a5f',
+  accent: '#2563eb',
+  mode: 'light',
+  colors: {
+    light: { bg: '#ffffff', surface: '#ffffff', text: '#1f2937', muted: '#6b7280', border: '#e5e7eb' },
+    dark: { bg: '#111827', surface: '#1f2937', text: '#f3f4f6', muted: '#9ca3af', border: '#374151' },
+  },
+  css: `.hero{background:var(--primary);color:var(--on-primary)}
+.avatar{background:var(--on-primary);color:var(--primary);border-radius:4px}
+.contact a{color:inherit;opacity:.85;text-decoration:none}
+.section h2{color:var(--primary-text);border-bottom:2px solid var(--primary-text);padding-bottom:.25rem;text-transform:uppercase;font-size:1.1rem;letter-spacing:.08em}
+.entry{padding-left:1rem;border-left:3px solid var(--border)}
+.card{border:1px solid var(--border);border-radius:4px}
+.tags li{border:1px solid var(--primary-text);color:var(--primary-text);border-radius:4px}
+a:hover{color:var(--accent-text)}
+`,
+};
@@ -0,0 +1,26 @@
+// lib/templates/tech.js - Dark terminal look, monospace, neon accents
+module.exports = {
+  name: 'tech',
+  description: 'Dark terminal look, monospace, neon accents',
+  fonts: 'mono',
+  primary: '#3fb950',
+  accent: '#58a6ff',
+  mode: 'dark',
+  colors: {
+    light: { bg: '#ffffff', surface: '#f6f8fa', text: '#24292f', muted: '#57606a', border: '#d0d7de', hero: '#f6f8fa' },
+    dark: { bg: '#0d1117', surface: '#161b22', text: '#c9d1d9', muted: '#8b949e', border: '#30363d', hero: '#010409' },
+  },
+  css: `body{font-size:15px}
+.hero{background:var(--hero);border-bottom:1px solid var(--border)}
+.hero h1::before{content:'> ';color:var(--primary-text)}
+.label{color:var(--accent-text)}
+.avatar{background:var(--surface);color:var(--primary-text);border:1px solid var(--primary-text);border-radius:8px}
+.contact a{color:var(--accent-text);text-decoration:none}
+.section h2{color:var(--primary-text)}
+.section h2::before{content:'## ';opacity:.6}
+.entry,.card{background:var(--surface);border:1px solid var(--border);border-radius:8px;padding:calc(1.25rem*var(--space))}
+.highlights{list-style:'- '}
+.tags li{background:color-mix(in srgb,var(--accent) 15%,transparent);color:var(--accent-text);border:1px solid color-mix(in srgb,var(--accent) 40%,transparent);border-radius:6px}
+.org{color:var(--accent-text)}
+`,
+};
@@ -0,0 +1,286 @@
+// lib/text-cleaner.js - Layout-preserving cleanup of extracted resume text
+//
+// Keeps line structure (headings, bullets, entry lines) intact and only removes
+// noise: PDF page furniture, broken hyphenation, odd glyphs and extra blank lines.
+// Long resumes are compacted by section priority rather than cut mid-sentence.
+
+const { detectSection, DATE_RANGE_RE } = require('./resume-parser');
+
+/** Page separator inserted between PDF pages by lib/extract/pdf.js (and OCR'd pages). */
+const PAGE_BREAK = '\f';
+
+const DEFAULT_MAX_LENGTH = 15000;
+
+// Lower number = trimmed first when the text is over budget.
+const SECTION_PRIORITY = { other: 0, links: 1, projects: 2, summary: 3, skills: 4, work: 5, education: 6, contact: 7, top: 8 };
+// Sections made of entries (job, project) whose prose is shortened and whose oldest entries go first
+const ENTRY_SECTIONS = ['projects', 'work'];
+// Line length limits tried in turn when shortening entry prose
+const PROSE_CAPS = [400, 250, 160];
+
+const BULLET_GLYPHS = '•●▪◦‣·■□➢➤►▶✓✔';
+const BULLET_LINE_RE = new RegExp(`^\\s*[${BULLET_GLYPHS}*–-]\\s*`);
+const LONE_BULLET_RE = new RegExp(`^\\s*[${BULLET_GLYPHS}*–-]\\s*$`);
+// A word broken at a line-end hyphen: the part before (letters, possibly itself hyphenated) and the lowercase part after
+const HYPHEN_BREAK_RE = /([A-Za-z]*[a-z](?:-[A-Za-z]+)*)-\n[ ]*([a-z]+(?:-[A-Za-z]+)*)/g;
+// Words that commonly start hyphenated compounds in resumes ("full-time", "self-taught", "cross-functional")
+const COMPOUND_HEADS = new Set([
+  'full', 'part', 'self', 'well', 'end', 'cross', 'high', 'low', 'long', 'short', 'front', 'back', 'open', 'real',
+  'non', 'mid', 'multi', 'hands', 'state', 'world', 'fast', 'data', 'user', 'customer', 'client', 'team',
+  'detail', 'results', 'goal', 'problem', 'award', 'one', 'two', 'three', 'first', 'second', 'third', 'top', 'best',
+]);
+// Endings that are only ever the tail of a split word ("end-\ning", "state-\nment")
+const SUFFIX_RE = /^(?:s|es|ed|er|ers|est|ing|ings|ly|ment|ments|ness|less|ful|able|ible|ity|ities|ion|ions|al|ance|ence|ise|ize|ised|ized)$/;
+const PAGE_NUMBER_RES = [
+  /^\s*page\s+\d+(\s*(of|\/)\s*\d+)?\s*$/i,
+  /^\s*\d+\s*(of|\/)\s*\d+\s*$/i,
+  /^\s*[-–—]?\s*\d{1,2}\s*[-–—]?\s*$/,
+];
+
+/** Unify line endings, odd spaces, ligatures and zero-width characters without touching line breaks. */
+function normalizeCharacters(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00A0\u2000-\u200A\u202F\u205F\u3000]/g, ' ')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .replace(/\uFB00/g, 'ff').replace(/\uFB01/g, 'fi').replace(/\uFB02/g, 'fl').replace(/\uFB03/g, 'ffi').replace(/\uFB04/g, 'ffl')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201C\u201D]/g, '"')
+    .replace(/[\uF0B7\uF0A7\uF076\uF0D8]/g, '\u2022')
+    .replace(/\t/g, ' ');
+}
+
+function isPageNumber(line) {
+  return PAGE_NUMBER_RES.some((re) => re.test(line));
+}
+
+/**
+ * A page without the page numbers in its first or last two non-blank lines, where headers and
+ * footers sit. Lines further in are content even when they look like one ("3", "- 12 -").
+ */
+function withoutPageNumbers(lines) {
+  const filled = lines.map((l, i) => (l.trim() ? i : -1)).filter((i) => i >= 0);
+  const drop = new Set([...filled.slice(0, 2), ...filled.slice(-2)].filter((i) => isPageNumber(lines[i])));
+  return drop.size ? lines.filter((l, i) => !drop.has(i)) : lines;
+}
+
+/**
+ * Remove page numbers and running headers/footers. A line counts as a running
+ * header/footer when it sits in the first or last two lines of at least two pages.
+ * The first occurrence on page one is kept (it is usually the name/contact line).
+ */
+function removePageFurniture(rawPages) {
+  const pages = rawPages.map(withoutPageNumbers);
+  const edge = (lines) => {
+    const content = lines.map((l) => l.trim()).filter(Boolean);
+    return new Set([...content.slice(0, 2), ...content.slice(-2)]);
+  };
+  const counts = new Map();
+  if (pages.length > 1) {
+    for (const lines of pages) {
+      for (const l of edge(lines)) {
+        if (!detectSection(l)) counts.set(l, (counts.get(l) || 0) + 1);
+      }
+    }
+  }
+  const repeated = new Set([...counts].filter(([, n]) => n >= 2).map(([l]) => l));
+  const seen = new Set();
+  return pages.map((lines) => lines.filter((line) => {
+    const t = line.trim();
+    if (!repeated.has(t)) return true;
+    if (seen.has(t)) return false;
+    seen.add(t);
+    return true;
+  }));
+}
+
+/**
+ * Join words split by a hyphen at a line end ("develop-\nment" → "development"). Compounds that
+ * broke at their own hyphen keep it ("full-\ntime" → "full-time", "end-\nto-end" → "end-to-end"):
+ * when the text has the hyphenated form elsewhere, when the next part has a hyphen of its own, or when
+ * the first part is a word compounds start with and the second isn't just a suffix. Otherwise the
+ * joined form wins when the text has it elsewhere, and the parts are joined when nothing tells.
+ */
+function fixHyphenation(text) {
+  const words = new Set(text.toLowerCase().match(/[a-z]+(?:-[a-z]+)*/g) || []);
+  return text.replace(HYPHEN_BREAK_RE, (_, head, tail) => {
+    const [first, rest] = [head.toLowerCase(), tail.toLowerCase()];
+    const joined = `${head}${tail}`;
+    const compound = `${head}-${tail}`;
+    if (words.has(`${first}-${rest}`) || rest.includes('-')) return compound;
+    if (words.has(`${first}${rest}`)) return joined;
+    return COMPOUND_HEADS.has(first.replace(/^.*-/, '')) && !SUFFIX_RE.test(rest) ? compound : joined;
+  });
+}
+
+/** Normalize bullet glyphs to "- " and merge bullets that pdf-parse left on their own line. */
+function normalizeBullets(lines) {
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    let line = lines[i];
+    if (LONE_BULLET_RE.test(line) && i + 1 < lines.length && lines[i + 1].trim()) {
+      line = '- ' + lines[++i].trim();
+    } else if (BULLET_LINE_RE.test(line) && !/^\s*-\d/.test(line)) {
+      line = '- ' + line.replace(BULLET_LINE_RE, '');
+    }
+    out.push(line);
+  }
+  return out;
+}
+
+/** Collapse runs of spaces inside lines, trim line ends, and cap blank lines at one. */
+function tidyWhitespace(lines) {
+  return lines
+    .map((l) => l.replace(/ {2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/** Split cleaned text into [{ key, lines }] blocks, starting with the untitled top block. */
+function splitIntoSections(text) {
+  const blocks = [{ key: 'top', lines: [] }];
+  for (const line of text.split('\n')) {
+    const key = detectSection(line);
+    if (key) blocks.push({ key, lines: [line] });
+    else blocks[blocks.length - 1].lines.push(line);
+  }
+  return blocks;
+}
+
+function blocksLength(blocks) {
+  return blocks.reduce((n, b) => n + b.lines.join('\n').length + 1, 0);
+}
+
+/** Keep at most `max` bullets under each entry of a block (entry headers are always kept). */
+function capBullets(block, max) {
+  let run = 0;
+  block.lines = block.lines.filter((line) => {
+    if (!line.startsWith('- ')) {
+      run = 0;
+      return true;
+    }
+    run++;
+    return run <= max;
+  });
+}
+
+/**
+ * Split an entry section into [heading lines, ...entries]. Like groupEntries in lib/resume-parser.js,
+ * an entry starts at a non-bullet line that follows bullets or prose, or that carries a date range.
+ */
+function splitEntries(block) {
+  const [heading, ...rest] = block.lines;
+  const groups = [[heading]];
+  let current = null;
+  let sawBody = false;
+  for (const line of rest) {
+    const isBullet = line.startsWith('- ');
+    if (!isBullet && line && (!current || sawBody || DATE_RANGE_RE.test(line))) {
+      current = [line];
+      groups.push(current);
+      sawBody = false;
+      continue;
+    }
+    if (!current) {
+      groups[0].push(line);
+      continue;
+    }
+    current.push(line);
+    // Short lines right after the header (company, location) still belong to it
+    if (isBullet || line.length > 80) sawBody = true;
+  }
+  return groups;
+}
+
+/** Shorten a line to about `max` characters, at the last sentence end (or word) that fits. */
+function shortenLine(line, max) {
+  if (line.length <= max) return line;
+  const head = line.slice(0, max);
+  const sentence = head.search(/[.!?;](?=\s[^.!?;]*$)/);
+  if (sentence > max / 2) return head.slice(0, sentence + 1);
+  const word = head.lastIndexOf(' ');
+  return (word > max / 2 ? head.slice(0, word) : head).replace(/[\s,;:–-]+$/, '') + '…';
+}
+
+/**
+ * Shrink text to `maxLength` by section priority: shorten low-value sections
+ * first, then reduce bullets per entry and shorten job and project descriptions
+ * (projects before work), drop whole low-priority sections, then the oldest
+ * entries. Education, skills and contact details are never dropped to make room
+ * for experience; whatever still doesn't fit comes off the end of the experience.
+ */
+function compactBySection(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const blocks = splitIntoSections(text);
+  const byPriority = [...blocks].sort((a, b) => (SECTION_PRIORITY[a.key] ?? 0) - (SECTION_PRIORITY[b.key] ?? 0));
+  const fits = () => blocksLength(blocks) <= maxLength;
+
+  for (const block of byPriority.filter((b) => b.key === 'other')) {
+    if (fits()) break;
+    block.lines = block.lines.slice(0, 4);
+  }
+  for (const max of [6, 4, 3, 2, 1]) {
+    for (const block of byPriority.filter((b) => ['projects', 'work', 'education'].includes(b.key))) {
+      if (fits()) break;
+      capBullets(block, max);
+    }
+  }
+  for (const block of byPriority.filter((b) => b.key === 'summary')) {
+    if (fits()) break;
+    block.lines = block.lines.slice(0, 3);
+  }
+  const entryBlocks = byPriority.filter((b) => ENTRY_SECTIONS.includes(b.key));
+  for (const max of PROSE_CAPS) {
+    for (const block of entryBlocks) {
+      if (fits()) break;
+      block.lines = block.lines.map((line, i) => (i === 0 ? line : shortenLine(line, max)));
+    }
+  }
+  for (const block of byPriority) {
+    if (fits() || (SECTION_PRIORITY[block.key] ?? 0) >= SECTION_PRIORITY.skills) break;
+    block.lines = [];
+  }
+  // Oldest entries last in the section: drop them, keeping the most recent one
+  for (const block of entryBlocks) {
+    const groups = block.lines.length ? splitEntries(block) : [];
+    while (!fits() && groups.length > 2) {
+      groups.pop();
+      block.lines = groups.flat();
+    }
+  }
+  // Then trim the end of the remaining experience, never the sections after it
+  for (const block of entryBlocks) {
+    while (!fits() && block.lines.length > 1) block.lines.pop();
+  }
+
+  let out = blocks.map((b) => b.lines.join('\n')).filter(Boolean).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (out.length > maxLength) {
+    // Still too long (the kept sections alone are over budget): cut at the last line break that fits.
+    const cut = out.lastIndexOf('\n', maxLength);
+    out = out.slice(0, cut > 0 ? cut : maxLength).trim();
+  }
+  return out;
+}
+
+/**
+ * Clean resume text before parsing or sending to the LLM:
+ * - Normalize characters and line endings, keep line breaks
+ * - Drop page numbers and repeated page headers/footers (pages split on \f)
+ * - Re-join hyphenated words and lone bullet glyphs
+ * - Compact by section priority when longer than maxLength (0 disables)
+ */
+function cleanResumeData(rawText, options = {}) {
+  if (!rawText || typeof rawText !== 'string') return '';
+  const maxLength = options.maxLength != null ? options.maxLength : DEFAULT_MAX_LENGTH;
+  const pages = normalizeCharacters(rawText).split(PAGE_BREAK).map((p) => p.split('\n'));
+  const lines = removePageFurniture(pages).flat();
+  const text = tidyWhitespace(normalizeBullets(fixHyphenation(lines.join('\n')).split('\n')));
+  return maxLength > 0 ? compactBySection(text, maxLength) : text;
+}
+
+module.exports = {
+  cleanResumeData,
+  compactBySection,
+  PAGE_BREAK,
+};
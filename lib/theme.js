@@ -0,0 +1,151 @@
+// lib/theme.js - Theme options for generated sites
+//
+// A theme is a base template plus colours, a font pairing, light/dark/auto mode,
+// section order, hidden sections and density. It replaces the old free-text
+// `template` string: requests are checked here and anything unknown answers 400,
+// so only known values reach the prompt (lib/prompts.js) and the built-in
+// templates (lib/templates/). Fields left out use the base template's own choices.
+const { httpError } = require('./errors');
+const log = require('./logger');
+const { normalizeHex } = require('./templates/colors');
+const { listTemplates, getTemplate, DEFAULT_TEMPLATE, FONT_PAIRINGS, SECTION_TITLES, SECTION_ORDER, DENSITIES } = require('./templates');
+
+const MODES = ['light', 'dark', 'auto'];
+const DEFAULT_DENSITY = 'comfortable';
+const THEME_FIELDS = ['template', 'primary', 'accent', 'fonts', 'mode', 'order', 'hidden', 'density'];
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/** The full theme a template stands for on its own (its colours, fonts and mode, every section, comfortable spacing). */
+function defaultTheme(template = DEFAULT_TEMPLATE) {
+  const tpl = getTemplate(template) || getTemplate(DEFAULT_TEMPLATE);
+  return {
+    template: tpl.name,
+    primary: tpl.primary,
+    accent: tpl.accent,
+    fonts: tpl.fonts,
+    mode: tpl.mode,
+    order: [...SECTION_ORDER],
+    hidden: [],
+    density: DEFAULT_DENSITY,
+  };
+}
+
+/** A list of section keys, or null after recording why it isn't one. */
+function sectionKeys(value, field, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`theme.${field} must be a list of sections (${SECTION_ORDER.join(', ')})`);
+    return null;
+  }
+  const unknown = value.filter((key) => typeof key !== 'string' || !has(SECTION_TITLES, key));
+  if (unknown.length) {
+    errors.push(`theme.${field} has unknown section(s) ${unknown.map((k) => JSON.stringify(k)).join(', ')}; use ${SECTION_ORDER.join(', ')}`);
+    return null;
+  }
+  return value;
+}
+
+/** Theme options from a JSON body (an object) or a form field (a JSON string); 400 when neither. */
+function readOptions(input) {
+  let options = input;
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch (e) {
+      throw httpError(400, 'theme is not valid JSON.');
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw httpError(400, 'theme must be an object.');
+  }
+  return options;
+}
+
+/**
+ * Validate theme options (an object, or a JSON string of one) and fill in what is missing from the
+ * base template. A partial `order` keeps the remaining sections in their default order after it.
+ * Resolves to { template, primary, accent, fonts, mode, order, hidden, density }; 400 listing every problem otherwise.
+ */
+function parseTheme(input) {
+  const options = readOptions(input);
+  const errors = [];
+  for (const key of Object.keys(options)) {
+    if (!THEME_FIELDS.includes(key)) errors.push(`Unknown theme option "${key}"`);
+  }
+  const template = options.template == null ? DEFAULT_TEMPLATE : options.template;
+  if (!getTemplate(template)) errors.push(`theme.template must be one of ${listTemplates().join(', ')}`);
+  const theme = defaultTheme(getTemplate(template) ? template : DEFAULT_TEMPLATE);
+
+  for (const field of ['primary', 'accent']) {
+    if (options[field] == null) continue;
+    const hex = normalizeHex(options[field]);
+    if (hex) theme[field] = hex;
+    else errors.push(`theme.${field} must be a hex colour like #4f46e5`);
+  }
+  const choices = { fonts: Object.keys(FONT_PAIRINGS), mode: MODES, density: Object.keys(DENSITIES) };
+  for (const [field, allowed] of Object.entries(choices)) {
+    if (options[field] == null) continue;
+    if (allowed.includes(options[field])) theme[field] = options[field];
+    else errors.push(`theme.${field} must be one of ${allowed.join(', ')}`);
+  }
+  if (options.order != null) {
+    const order = sectionKeys(options.order, 'order', errors);
+    if (order && new Set(order).size !== order.length) errors.push('theme.order lists a section more than once');
+    else if (order) theme.order = [...order, ...SECTION_ORDER.filter((key) => !order.includes(key))];
+  }
+  if (options.hidden != null) {
+    const hidden = sectionKeys(options.hidden, 'hidden', errors);
+    if (hidden) theme.hidden = SECTION_ORDER.filter((key) => hidden.includes(key));
+  }
+
+  if (errors.length) throw httpError(400, `Invalid theme: ${errors.join('; ')}.`, errors);
+  return theme;
+}
+
+/**
+ * The theme a generate request asks for: its `theme` field (object or JSON string), else its `template`
+ * name, else `fallback` (a stored theme or template name, see themeOf), else the default. A `template`
+ * sent next to a `theme` without one fills it in. Throws 400 for unknown values.
+ */
+function themeFromRequest(body, fallback) {
+  const theme = body && body.theme;
+  const template = body && body.template != null && body.template !== '' ? body.template : null;
+  if (theme != null && theme !== '') {
+    const options = readOptions(theme);
+    return parseTheme(template && options.template == null ? { ...options, template } : options);
+  }
+  if (template) return parseTheme({ template });
+  return fallback || defaultTheme();
+}
+
+/**
+ * The theme a stored resume_uploads or generation_results row was made with. Rows from before themes
+ * only have a template name (possibly a free-text one), which maps to that template's defaults.
+ */
+function themeOf(row) {
+  if (row && row.theme) {
+    try {
+      return parseTheme(row.theme);
+    } catch (e) {
+      log.warn('Ignoring stored theme', { err: e });
+    }
+  }
+  return defaultTheme(row && getTemplate(row.template) ? row.template : DEFAULT_TEMPLATE);
+}
+
+/** What the theme controls in index.html can offer: templates with their defaults, fonts, modes, densities, sections. */
+function themeOptions() {
+  return {
+    templates: listTemplates().map((name) => {
+      const { description, primary, accent, fonts, mode } = getTemplate(name);
+      return { name, description, primary, accent, fonts, mode };
+    }),
+    fonts: Object.entries(FONT_PAIRINGS).map(([name, f]) => ({ name, label: f.label })),
+    modes: MODES,
+    densities: Object.keys(DENSITIES),
+    sections: SECTION_ORDER.map((key) => ({ key, title: SECTION_TITLES[key] })),
+    defaults: defaultTheme(),
+  };
+}
+
+module.exports = { parseTheme, themeFromRequest, themeOf, defaultTheme, themeOptions, MODES };
@@ -0,0 +1,77 @@
+// lib/usage.js - Token usage totals and estimated cost of a generation
+//
+// Providers report { inputTokens, outputTokens } (see lib/providers/index.js). Cost is
+// an estimate from list prices per million tokens, matched on the model name's prefix
+// so dated names (claude-sonnet-4-20250514) find their family. LLM_PRICES adds or
+// overrides entries as JSON: {"model-prefix": [inputUsdPerMTok, outputUsdPerMTok]}.
+// Calls that fail or are cancelled part way report no usage; estimateUsage guesses it
+// from the characters sent and received.
+const log = require('./logger');
+
+// USD per million tokens: [input, output]. Longest matching prefix wins.
+const DEFAULT_PRICES = {
+  'gemini-2.5-pro': [1.25, 10],
+  'gemini-2.5-flash': [0.3, 2.5],
+  'gemini-2.0-flash': [0.1, 0.4],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'claude-opus-4': [15, 75],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-haiku': [0.25, 1.25],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+};
+// Offline providers cost nothing whatever model name they report.
+const FREE_PROVIDERS = ['mock', 'template'];
+// Rough characters per token, for estimates
+const CHARS_PER_TOKEN = 4;
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (e) {
+    log.warn('LLM_PRICES is not valid JSON, using the built-in prices', { err: e });
+    return DEFAULT_PRICES;
+  }
+}
+const PRICES = loadPrices();
+
+/** Sum two usage objects; either may be null. Null when both are. */
+function addUsage(a, b) {
+  if (!a) return b ? { inputTokens: b.inputTokens || 0, outputTokens: b.outputTokens || 0 } : null;
+  if (!b) return a;
+  return { inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0), outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0) };
+}
+
+/** Usage estimated from the prompt in `opts` ({ system, prompt }) and `outputChars` characters of output. */
+function estimateUsage(opts, outputChars) {
+  const sent = String(opts.system || '').length + String(opts.prompt || '').length;
+  return { inputTokens: Math.ceil(sent / CHARS_PER_TOKEN), outputTokens: Math.ceil(outputChars / CHARS_PER_TOKEN) };
+}
+
+/** [input, output] USD per million tokens for `model`, or null when it has no known price. */
+function priceOf(model) {
+  const name = String(model || '').toLowerCase().replace(/^models\//, '');
+  const prefix = Object.keys(PRICES)
+    .filter((p) => name.startsWith(p.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? PRICES[prefix] : null;
+}
+
+/** Estimated USD cost of `usage` on provider/model, rounded to 6 places; null when usage or price is unknown. */
+function estimateCost(provider, model, usage) {
+  if (!usage) return null;
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const price = priceOf(model);
+  if (!price) return null;
+  const cost = ((usage.inputTokens || 0) * price[0] + (usage.outputTokens || 0) * price[1]) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+module.exports = { addUsage, estimateUsage, estimateCost, priceOf };
@@ -0,0 +1,37 @@
+-- Uploads and generation history. Idempotent, so databases set up with the old
+-- hand-run supabase-*.sql scripts migrate cleanly.
+
+-- One row per uploaded resume
+CREATE TABLE IF NOT EXISTS public.resume_uploads (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  storage_path  text,
+  file_name     text,
+  file_size     bigint,
+  template      text,
+  created_at    timestamptz DEFAULT now()
+);
+-- storage_path is null when the file could not be stored (the upload is still logged)
+ALTER TABLE public.resume_uploads ALTER COLUMN storage_path DROP NOT NULL;
+-- Anonymous visitor UUID from the frontend
+ALTER TABLE public.resume_uploads ADD COLUMN IF NOT EXISTS visitor_id text;
+-- Structured resume (JSON Resume shape) from /parse; user corrections overwrite it
+ALTER TABLE public.resume_uploads ADD COLUMN IF NOT EXISTS parsed_resume jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_resume_uploads_created_at ON public.resume_uploads (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resume_uploads_visitor_id ON public.resume_uploads (visitor_id) WHERE visitor_id IS NOT NULL;
+
+-- One row per generation (re-generate = new row)
+CREATE TABLE IF NOT EXISTS public.generation_results (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  resume_upload_id  uuid NOT NULL REFERENCES public.resume_uploads (id) ON DELETE CASCADE,
+  llm_model         text NOT NULL,
+  llm_html          text,
+  created_at        timestamptz DEFAULT now()
+);
+-- Which provider produced it (llm_model holds the model it reported)
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS llm_provider text;
+-- Post-processing report: { valid, errors, warnings, continued }
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS validation jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_generation_results_resume_upload_id ON public.generation_results (resume_upload_id);
+CREATE INDEX IF NOT EXISTS idx_generation_results_created_at ON public.generation_results (created_at DESC);
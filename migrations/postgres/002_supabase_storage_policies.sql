@@ -0,0 +1,21 @@
+-- Supabase Storage policies for the resume-uploads bucket, so the backend can
+-- upload, read and delete files. Skipped on plain Postgres (no storage schema).
+DO $$
+BEGIN
+  IF to_regclass('storage.objects') IS NULL THEN
+    RETURN;
+  END IF;
+
+  DROP POLICY IF EXISTS "Allow uploads to resume-uploads" ON storage.objects;
+  CREATE POLICY "Allow uploads to resume-uploads" ON storage.objects FOR INSERT
+    WITH CHECK (bucket_id = (SELECT id FROM storage.buckets WHERE name = 'resume-uploads' LIMIT 1));
+
+  DROP POLICY IF EXISTS "Allow read resume-uploads" ON storage.objects;
+  CREATE POLICY "Allow read resume-uploads" ON storage.objects FOR SELECT
+    USING (bucket_id = (SELECT id FROM storage.buckets WHERE name = 'resume-uploads' LIMIT 1));
+
+  DROP POLICY IF EXISTS "Allow delete resume-uploads" ON storage.objects;
+  CREATE POLICY "Allow delete resume-uploads" ON storage.objects FOR DELETE
+    USING (bucket_id = (SELECT id FROM storage.buckets WHERE name = 'resume-uploads' LIMIT 1));
+END
+$$;
@@ -0,0 +1,2 @@
+-- Template each generation used (regenerating an upload can pick a different one)
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS template text;
@@ -0,0 +1,36 @@
+-- Accounts: email/password or magic-link users, their sessions, and ownership of uploads.
+-- Emails are stored lower-cased by the app.
+
+CREATE TABLE IF NOT EXISTS public.users (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email          text NOT NULL UNIQUE,
+  password_hash  text,
+  created_at     timestamptz DEFAULT now(),
+  last_login_at  timestamptz
+);
+
+-- Only a SHA-256 of each session / magic-link token is stored
+CREATE TABLE IF NOT EXISTS public.sessions (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id     uuid NOT NULL REFERENCES public.users (id) ON DELETE CASCADE,
+  token_hash  text NOT NULL UNIQUE,
+  expires_at  timestamptz NOT NULL,
+  created_at  timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON public.sessions (user_id);
+
+CREATE TABLE IF NOT EXISTS public.login_tokens (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email       text NOT NULL,
+  token_hash  text NOT NULL UNIQUE,
+  visitor_id  text,
+  expires_at  timestamptz NOT NULL,
+  used_at     timestamptz,
+  created_at  timestamptz DEFAULT now()
+);
+
+-- Owner of each upload / generation; rows made before login are claimed from visitor_id
+ALTER TABLE public.resume_uploads ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.users (id) ON DELETE SET NULL;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES public.users (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_resume_uploads_user_id ON public.resume_uploads (user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_generation_results_user_id ON public.generation_results (user_id) WHERE user_id IS NOT NULL;
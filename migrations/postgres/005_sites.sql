@@ -0,0 +1,26 @@
+-- Published sites (/s/:slug) and their versions. Each publish snapshots the HTML,
+-- so a version keeps working even if its generation is deleted.
+
+CREATE TABLE IF NOT EXISTS public.sites (
+  id                  uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug                text NOT NULL UNIQUE,
+  user_id             uuid REFERENCES public.users (id) ON DELETE CASCADE,
+  visitor_id          text,
+  current_version_id  uuid,
+  published           boolean NOT NULL DEFAULT true,
+  noindex             boolean NOT NULL DEFAULT false,
+  created_at          timestamptz DEFAULT now(),
+  updated_at          timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_sites_user_id ON public.sites (user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sites_visitor_id ON public.sites (visitor_id) WHERE visitor_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.site_versions (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id        uuid NOT NULL REFERENCES public.sites (id) ON DELETE CASCADE,
+  version        integer NOT NULL,
+  generation_id  uuid REFERENCES public.generation_results (id) ON DELETE SET NULL,
+  html           text NOT NULL,
+  created_at     timestamptz DEFAULT now(),
+  UNIQUE (site_id, version)
+);
@@ -0,0 +1,5 @@
+-- Refinements: a generation made by editing another one with a natural-language instruction
+ALTER TABLE public.generation_results
+  ADD COLUMN IF NOT EXISTS parent_id uuid REFERENCES public.generation_results (id) ON DELETE SET NULL;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS instruction text;
+CREATE INDEX IF NOT EXISTS idx_generation_results_parent_id ON public.generation_results (parent_id) WHERE parent_id IS NOT NULL;
@@ -0,0 +1,3 @@
+-- Generation cache: hash of the input (prompt version, provider, model, template, cleaned text) a row can be reused for
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS cache_key text;
+CREATE INDEX IF NOT EXISTS idx_generation_results_cache_key ON public.generation_results (cache_key, created_at DESC) WHERE cache_key IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Token usage and estimated cost per generation, and the visitor it counts against (quotas)
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS visitor_id text;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS input_tokens integer;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS output_tokens integer;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS cost_usd numeric(12, 6);
+CREATE INDEX IF NOT EXISTS idx_generation_results_visitor_created ON public.generation_results (visitor_id, created_at DESC) WHERE visitor_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_generation_results_user_created ON public.generation_results (user_id, created_at DESC) WHERE user_id IS NOT NULL;
@@ -0,0 +1,21 @@
+-- One row per finished generation job (done, failed or cancelled), for the admin console's
+-- volume, failure-rate and latency charts. Successful runs link to their generation_results row.
+
+CREATE TABLE IF NOT EXISTS public.generation_runs (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id            uuid NOT NULL,
+  kind              text NOT NULL,
+  status            text NOT NULL,
+  resume_upload_id  uuid REFERENCES public.resume_uploads (id) ON DELETE CASCADE,
+  generation_id     uuid REFERENCES public.generation_results (id) ON DELETE SET NULL,
+  user_id           uuid REFERENCES public.users (id) ON DELETE SET NULL,
+  visitor_id        text,
+  provider          text,
+  model             text,
+  cached            boolean NOT NULL DEFAULT false,
+  duration_ms       integer,
+  error             text,
+  created_at        timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_generation_runs_created_at ON public.generation_runs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_runs_resume_upload_id ON public.generation_runs (resume_upload_id);
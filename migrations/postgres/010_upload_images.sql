@@ -0,0 +1,21 @@
+-- Profile photo and project images sent with an upload (resized copies; the files live in storage).
+-- Published versions copy the images they use, so a site keeps them after its upload is deleted.
+
+CREATE TABLE IF NOT EXISTS public.upload_images (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  resume_upload_id  uuid NOT NULL REFERENCES public.resume_uploads (id) ON DELETE CASCADE,
+  kind              text NOT NULL,
+  position          integer NOT NULL DEFAULT 0,
+  name              text NOT NULL,
+  alt               text,
+  storage_path      text NOT NULL,
+  content_type      text NOT NULL,
+  width             integer,
+  height            integer,
+  file_size         integer,
+  sha256            text NOT NULL,
+  created_at        timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_upload_images_resume_upload_id ON public.upload_images (resume_upload_id);
+
+ALTER TABLE public.site_versions ADD COLUMN IF NOT EXISTS assets jsonb;
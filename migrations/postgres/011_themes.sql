@@ -0,0 +1,3 @@
+-- Theme options (lib/theme.js) an upload and each generation were made with; `template` keeps the base template name
+ALTER TABLE public.resume_uploads ADD COLUMN IF NOT EXISTS theme jsonb;
+ALTER TABLE public.generation_results ADD COLUMN IF NOT EXISTS theme jsonb;
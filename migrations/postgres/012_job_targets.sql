@@ -0,0 +1,17 @@
+-- Job postings a site was tailored to (lib/tailor.js). Generations made for one are
+-- variants of their upload, listed by GET /api/generate/:uploadId/variants.
+
+CREATE TABLE IF NOT EXISTS public.job_targets (
+  id                uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  resume_upload_id  uuid NOT NULL REFERENCES public.resume_uploads (id) ON DELETE CASCADE,
+  label             text NOT NULL,
+  url               text,
+  description       text NOT NULL,
+  sha256            text NOT NULL,
+  created_at        timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_job_targets_resume_upload_id ON public.job_targets (resume_upload_id, sha256);
+
+ALTER TABLE public.generation_results
+  ADD COLUMN IF NOT EXISTS job_target_id uuid REFERENCES public.job_targets (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_generation_results_job_target_id ON public.generation_results (job_target_id) WHERE job_target_id IS NOT NULL;
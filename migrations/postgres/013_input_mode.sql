@@ -0,0 +1,5 @@
+-- How the resume reached the provider (lib/document-input.js): 'text' (extracted text)
+-- or 'document' (the uploaded file itself). NULL for refinements and older rows.
+
+ALTER TABLE public.generation_results
+  ADD COLUMN IF NOT EXISTS input_mode text;
@@ -0,0 +1,5 @@
+-- The request that started each job (X-Request-Id, see lib/logger.js), to find its log lines
+-- from the admin console. NULL for older rows.
+
+ALTER TABLE public.generation_runs
+  ADD COLUMN IF NOT EXISTS request_id text;
@@ -0,0 +1,25 @@
+-- Ledger of tokens used per provider call, for quotas and the admin console's spend charts.
+-- Erasure and retention don't delete it, so they can't reset a quota. owner_key is a SHA-256 of
+-- "user:<id>" or "visitor:<id>" (lib/quotas.js), not a reference, so no owner data is kept.
+-- Usage already on generation_results is copied over without an owner: it stays in the charts
+-- but no longer counts against anyone's quota.
+
+CREATE TABLE IF NOT EXISTS public.token_usage (
+  id             uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_key      text,
+  provider       text NOT NULL,
+  model          text,
+  input_tokens   integer NOT NULL DEFAULT 0,
+  output_tokens  integer NOT NULL DEFAULT 0,
+  cost_usd       numeric(12, 6),
+  estimated      boolean NOT NULL DEFAULT false,
+  created_at     timestamptz DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_token_usage_owner_created ON public.token_usage (owner_key, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_token_usage_created_at ON public.token_usage (created_at DESC);
+
+INSERT INTO public.token_usage (provider, model, input_tokens, output_tokens, cost_usd, created_at)
+SELECT llm_provider, llm_model, COALESCE(input_tokens, 0), COALESCE(output_tokens, 0), cost_usd, created_at
+FROM public.generation_results
+WHERE llm_provider IS NOT NULL AND (input_tokens > 0 OR output_tokens > 0)
+  AND NOT EXISTS (SELECT 1 FROM public.token_usage);
@@ -0,0 +1,17 @@
+-- Row level security on every app table, with no policies: Supabase exposes the public schema to the
+-- anon key through PostgREST, and nothing here is meant for it (password and token hashes, resumes,
+-- pages, usage). The server uses the service key, which bypasses RLS; the table owner that runs these
+-- migrations does too. Tables added later enable RLS in their own migration.
+
+ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.resume_uploads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.generation_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.login_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.site_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.generation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_images ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.job_targets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.token_usage ENABLE ROW LEVEL SECURITY;
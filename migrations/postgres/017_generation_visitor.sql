@@ -0,0 +1,7 @@
+-- Anonymous generations are only served to the visitor_id that owns them (canAccess in lib/auth.js).
+-- Rows from before generation_results had visitor_id take their upload's.
+
+UPDATE public.generation_results g
+SET visitor_id = u.visitor_id
+FROM public.resume_uploads u
+WHERE g.resume_upload_id = u.id AND g.visitor_id IS NULL AND g.user_id IS NULL AND u.visitor_id IS NOT NULL;
@@ -0,0 +1,10 @@
+-- The browser each anonymous visitor_id belongs to: a SHA-256 of the rts_visitor cookie set when that
+-- visitor first stored an upload. Logging in only claims a visitor's history with that cookie (lib/auth.js),
+-- since the visitor_id itself is not a secret.
+
+CREATE TABLE IF NOT EXISTS public.visitors (
+  id          text PRIMARY KEY,
+  token_hash  text NOT NULL,
+  created_at  timestamptz DEFAULT now()
+);
+ALTER TABLE public.visitors ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,28 @@
+-- Uploads and generation history (same columns as migrations/postgres/001_initial.sql).
+-- ids are UUID strings generated by the app; timestamps are ISO-8601 UTC text.
+-- JSON columns hold serialised objects (lib/storage/sqlite.js converts them).
+
+CREATE TABLE resume_uploads (
+  id             TEXT PRIMARY KEY,
+  storage_path   TEXT,
+  file_name      TEXT,
+  file_size      INTEGER,
+  template       TEXT,
+  visitor_id     TEXT,
+  parsed_resume  JSON,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_resume_uploads_created_at ON resume_uploads (created_at DESC);
+CREATE INDEX idx_resume_uploads_visitor_id ON resume_uploads (visitor_id) WHERE visitor_id IS NOT NULL;
+
+CREATE TABLE generation_results (
+  id                TEXT PRIMARY KEY,
+  resume_upload_id  TEXT NOT NULL REFERENCES resume_uploads (id) ON DELETE CASCADE,
+  llm_model         TEXT NOT NULL,
+  llm_provider      TEXT,
+  llm_html          TEXT,
+  validation        JSON,
+  created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_generation_results_resume_upload_id ON generation_results (resume_upload_id);
+CREATE INDEX idx_generation_results_created_at ON generation_results (created_at DESC);
@@ -0,0 +1,2 @@
+-- Template each generation used (regenerating an upload can pick a different one)
+ALTER TABLE generation_results ADD COLUMN template TEXT;
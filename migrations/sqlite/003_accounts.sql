@@ -0,0 +1,33 @@
+-- Accounts: email/password or magic-link users, their sessions, and ownership of uploads.
+
+CREATE TABLE users (
+  id             TEXT PRIMARY KEY,
+  email          TEXT NOT NULL UNIQUE,
+  password_hash  TEXT,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_login_at  TEXT
+);
+
+CREATE TABLE sessions (
+  id          TEXT PRIMARY KEY,
+  user_id     TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token_hash  TEXT NOT NULL UNIQUE,
+  expires_at  TEXT NOT NULL,
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+
+CREATE TABLE login_tokens (
+  id          TEXT PRIMARY KEY,
+  email       TEXT NOT NULL,
+  token_hash  TEXT NOT NULL UNIQUE,
+  visitor_id  TEXT,
+  expires_at  TEXT NOT NULL,
+  used_at     TEXT,
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+ALTER TABLE resume_uploads ADD COLUMN user_id TEXT REFERENCES users (id) ON DELETE SET NULL;
+ALTER TABLE generation_results ADD COLUMN user_id TEXT REFERENCES users (id) ON DELETE SET NULL;
+CREATE INDEX idx_resume_uploads_user_id ON resume_uploads (user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_generation_results_user_id ON generation_results (user_id) WHERE user_id IS NOT NULL;
@@ -0,0 +1,25 @@
+-- Published sites (/s/:slug) and their versions. Each publish snapshots the HTML.
+
+CREATE TABLE sites (
+  id                  TEXT PRIMARY KEY,
+  slug                TEXT NOT NULL UNIQUE,
+  user_id             TEXT REFERENCES users (id) ON DELETE CASCADE,
+  visitor_id          TEXT,
+  current_version_id  TEXT,
+  published           BOOLEAN NOT NULL DEFAULT 1,
+  noindex             BOOLEAN NOT NULL DEFAULT 0,
+  created_at          TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at          TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_sites_user_id ON sites (user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_sites_visitor_id ON sites (visitor_id) WHERE visitor_id IS NOT NULL;
+
+CREATE TABLE site_versions (
+  id             TEXT PRIMARY KEY,
+  site_id        TEXT NOT NULL REFERENCES sites (id) ON DELETE CASCADE,
+  version        INTEGER NOT NULL,
+  generation_id  TEXT REFERENCES generation_results (id) ON DELETE SET NULL,
+  html           TEXT NOT NULL,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (site_id, version)
+);
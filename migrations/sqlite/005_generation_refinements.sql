@@ -0,0 +1,4 @@
+-- Refinements: a generation made by editing another one with a natural-language instruction
+ALTER TABLE generation_results ADD COLUMN parent_id TEXT REFERENCES generation_results (id) ON DELETE SET NULL;
+ALTER TABLE generation_results ADD COLUMN instruction TEXT;
+CREATE INDEX IF NOT EXISTS idx_generation_results_parent_id ON generation_results (parent_id);
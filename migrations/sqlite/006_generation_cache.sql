@@ -0,0 +1,3 @@
+-- Generation cache: hash of the input (prompt version, provider, model, template, cleaned text) a row can be reused for
+ALTER TABLE generation_results ADD COLUMN cache_key TEXT;
+CREATE INDEX IF NOT EXISTS idx_generation_results_cache_key ON generation_results (cache_key, created_at);
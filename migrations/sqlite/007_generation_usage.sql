@@ -0,0 +1,7 @@
+-- Token usage and estimated cost per generation, and the visitor it counts against (quotas)
+ALTER TABLE generation_results ADD COLUMN visitor_id TEXT;
+ALTER TABLE generation_results ADD COLUMN input_tokens INTEGER;
+ALTER TABLE generation_results ADD COLUMN output_tokens INTEGER;
+ALTER TABLE generation_results ADD COLUMN cost_usd REAL;
+CREATE INDEX IF NOT EXISTS idx_generation_results_visitor_created ON generation_results (visitor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_generation_results_user_created ON generation_results (user_id, created_at);
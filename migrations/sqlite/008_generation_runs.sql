@@ -0,0 +1,21 @@
+-- One row per finished generation job (done, failed or cancelled), for the admin console's
+-- volume, failure-rate and latency charts. Successful runs link to their generation_results row.
+
+CREATE TABLE generation_runs (
+  id                TEXT PRIMARY KEY,
+  job_id            TEXT NOT NULL,
+  kind              TEXT NOT NULL,
+  status            TEXT NOT NULL,
+  resume_upload_id  TEXT REFERENCES resume_uploads (id) ON DELETE CASCADE,
+  generation_id     TEXT REFERENCES generation_results (id) ON DELETE SET NULL,
+  user_id           TEXT REFERENCES users (id) ON DELETE SET NULL,
+  visitor_id        TEXT,
+  provider          TEXT,
+  model             TEXT,
+  cached            BOOLEAN NOT NULL DEFAULT 0,
+  duration_ms       INTEGER,
+  error             TEXT,
+  created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_generation_runs_created_at ON generation_runs (created_at DESC);
+CREATE INDEX idx_generation_runs_resume_upload_id ON generation_runs (resume_upload_id);
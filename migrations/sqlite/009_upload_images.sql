@@ -0,0 +1,21 @@
+-- Profile photo and project images sent with an upload (resized copies; the files live in storage).
+-- Published versions copy the images they use, so a site keeps them after its upload is deleted.
+
+CREATE TABLE upload_images (
+  id                TEXT PRIMARY KEY,
+  resume_upload_id  TEXT NOT NULL REFERENCES resume_uploads (id) ON DELETE CASCADE,
+  kind              TEXT NOT NULL,
+  position          INTEGER NOT NULL DEFAULT 0,
+  name              TEXT NOT NULL,
+  alt               TEXT,
+  storage_path      TEXT NOT NULL,
+  content_type      TEXT NOT NULL,
+  width             INTEGER,
+  height            INTEGER,
+  file_size         INTEGER,
+  sha256            TEXT NOT NULL,
+  created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_upload_images_resume_upload_id ON upload_images (resume_upload_id);
+
+ALTER TABLE site_versions ADD COLUMN assets JSON;
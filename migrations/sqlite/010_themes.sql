@@ -0,0 +1,3 @@
+-- Theme options (lib/theme.js) an upload and each generation were made with; `template` keeps the base template name
+ALTER TABLE resume_uploads ADD COLUMN theme JSON;
+ALTER TABLE generation_results ADD COLUMN theme JSON;
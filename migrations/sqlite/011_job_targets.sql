@@ -0,0 +1,16 @@
+-- Job postings a site was tailored to (lib/tailor.js). Generations made for one are
+-- variants of their upload, listed by GET /api/generate/:uploadId/variants.
+
+CREATE TABLE job_targets (
+  id                TEXT PRIMARY KEY,
+  resume_upload_id  TEXT NOT NULL REFERENCES resume_uploads (id) ON DELETE CASCADE,
+  label             TEXT NOT NULL,
+  url               TEXT,
+  description       TEXT NOT NULL,
+  sha256            TEXT NOT NULL,
+  created_at        TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_job_targets_resume_upload_id ON job_targets (resume_upload_id, sha256);
+
+ALTER TABLE generation_results ADD COLUMN job_target_id TEXT REFERENCES job_targets (id) ON DELETE SET NULL;
+CREATE INDEX idx_generation_results_job_target_id ON generation_results (job_target_id) WHERE job_target_id IS NOT NULL;
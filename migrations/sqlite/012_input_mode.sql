@@ -0,0 +1,4 @@
+-- How the resume reached the provider (lib/document-input.js): 'text' (extracted text)
+-- or 'document' (the uploaded file itself). NULL for refinements and older rows.
+
+ALTER TABLE generation_results ADD COLUMN input_mode TEXT;
@@ -0,0 +1,4 @@
+-- The request that started each job (X-Request-Id, see lib/logger.js), to find its log lines
+-- from the admin console. NULL for older rows.
+
+ALTER TABLE generation_runs ADD COLUMN request_id TEXT;
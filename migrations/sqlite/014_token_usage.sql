@@ -0,0 +1,24 @@
+-- Ledger of tokens used per provider call, for quotas and the admin console's spend charts.
+-- Erasure and retention don't delete it, so they can't reset a quota. owner_key is a SHA-256 of
+-- "user:<id>" or "visitor:<id>" (lib/quotas.js), not a reference, so no owner data is kept.
+-- Usage already on generation_results is copied over without an owner: it stays in the charts
+-- but no longer counts against anyone's quota.
+
+CREATE TABLE token_usage (
+  id             TEXT PRIMARY KEY,
+  owner_key      TEXT,
+  provider       TEXT NOT NULL,
+  model          TEXT,
+  input_tokens   INTEGER NOT NULL DEFAULT 0,
+  output_tokens  INTEGER NOT NULL DEFAULT 0,
+  cost_usd       REAL,
+  estimated      BOOLEAN NOT NULL DEFAULT 0,
+  created_at     TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+CREATE INDEX idx_token_usage_owner_created ON token_usage (owner_key, created_at DESC);
+CREATE INDEX idx_token_usage_created_at ON token_usage (created_at DESC);
+
+INSERT INTO token_usage (id, provider, model, input_tokens, output_tokens, cost_usd, created_at)
+SELECT lower(hex(randomblob(16))), llm_provider, llm_model, COALESCE(input_tokens, 0), COALESCE(output_tokens, 0), cost_usd, created_at
+FROM generation_results
+WHERE llm_provider IS NOT NULL AND (input_tokens > 0 OR output_tokens > 0);
@@ -0,0 +1,6 @@
+-- Anonymous generations are only served to the visitor_id that owns them (canAccess in lib/auth.js).
+-- Rows from before generation_results had visitor_id take their upload's.
+
+UPDATE generation_results
+SET visitor_id = (SELECT u.visitor_id FROM resume_uploads u WHERE u.id = generation_results.resume_upload_id)
+WHERE visitor_id IS NULL AND user_id IS NULL;
@@ -0,0 +1,9 @@
+-- The browser each anonymous visitor_id belongs to: a SHA-256 of the rts_visitor cookie set when that
+-- visitor first stored an upload. Logging in only claims a visitor's history with that cookie (lib/auth.js),
+-- since the visitor_id itself is not a secret.
+
+CREATE TABLE visitors (
+  id          TEXT PRIMARY KEY,
+  token_hash  TEXT NOT NULL,
+  created_at  TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
@@ -0,0 +1,88 @@
+// routes/admin.js - Admin console API: search uploads, inspect files and generations, usage stats, bulk delete
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const admin = require('../lib/admin');
+const { requireAdmin } = require('../lib/auth');
+const log = require('../lib/logger');
+
+const FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/plain; charset=utf-8',
+  '.markdown': 'text/plain; charset=utf-8',
+  '.json': 'text/plain; charset=utf-8',
+  // Uploaded HTML is shown as source, never rendered
+  '.html': 'text/plain; charset=utf-8',
+  '.htm': 'text/plain; charset=utf-8',
+  '.rtf': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.doc': 'application/msword',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+};
+
+router.use(requireAdmin);
+
+function sendError(res, err, fallback) {
+  if (!err.status) log.error('Admin error', { err });
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : fallback } });
+}
+
+// GET /api/admin/uploads?from=&to=&visitor_id=&user_id=&template=&limit=&offset= - search uploads (newest first)
+router.get('/uploads', async (req, res) => {
+  try {
+    res.status(200).json({ data: await admin.searchUploads(req.query) });
+  } catch (err) {
+    sendError(res, err, 'Search failed');
+  }
+});
+
+// GET /api/admin/uploads/:id - the upload with all its generations (HTML included) and runs
+router.get('/uploads/:id', async (req, res) => {
+  try {
+    res.status(200).json({ data: await admin.getUploadDetail(req.params.id) });
+  } catch (err) {
+    sendError(res, err, 'Could not load the upload');
+  }
+});
+
+// GET /api/admin/uploads/:id/file - the original uploaded file
+router.get('/uploads/:id/file', async (req, res) => {
+  try {
+    const { buffer, fileName } = await admin.getUploadFile(req.params.id);
+    const type = FILE_TYPES[path.extname(fileName).toLowerCase()];
+    // Uploaded bytes are untrusted: never sniff them as HTML, and sandbox them if a browser renders them.
+    res.set('Content-Security-Policy', 'sandbox');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, no-store');
+    res.type(type || 'application/octet-stream');
+    res.set('Content-Disposition', `${type ? 'inline' : 'attachment'}; filename="${fileName.replace(/[^\w.-]/g, '_')}"`);
+    res.send(buffer);
+  } catch (err) {
+    sendError(res, err, 'Could not load the file');
+  }
+});
+
+// GET /api/admin/stats?days=30 - per-day uploads, runs, failure rate, latency and token spend
+router.get('/stats', async (req, res) => {
+  try {
+    res.status(200).json({ data: await admin.usageStats(req.query.days) });
+  } catch (err) {
+    sendError(res, err, 'Could not load stats');
+  }
+});
+
+// POST /api/admin/uploads/delete - JSON { ids } or { visitor_id }: delete uploads with their files, generations and runs
+router.post('/uploads/delete', async (req, res) => {
+  try {
+    const { ids, visitor_id: visitorId } = req.body || {};
+    res.status(200).json({ data: { deleted: await admin.deleteUploads({ ids, visitorId }) } });
+  } catch (err) {
+    sendError(res, err, 'Delete failed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+// routes/auth.js - Sign up, log in (password or magic link), log out, current user
+const express = require('express');
+const router = express.Router();
+const auth = require('../lib/auth');
+const { sendMail } = require('../lib/mailer');
+const log = require('../lib/logger');
+
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).trim().replace(/\/+$/, '');
+
+function visitorIdOf(req) {
+  const v = (req.body && req.body.visitor_id) || '';
+  return v ? String(v).trim() : null;
+}
+
+/** Start a session, claim the browser's anonymous history (with its rts_visitor cookie), and answer with the user. */
+async function completeLogin(req, res, user, status = 200) {
+  auth.setSessionCookie(res, await auth.createSession(user));
+  const claimed = await auth.claimVisitorHistory(user.id, visitorIdOf(req), auth.visitorToken(req));
+  res.status(status).json({ data: { user: auth.publicUser(user), claimed } });
+}
+
+function sendError(res, err, fallback) {
+  if (!err.status) log.error('Auth error', { err });
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : fallback } });
+}
+
+// GET /api/auth/me - the signed-in user, or null
+router.get('/me', (req, res) => {
+  res.status(200).json({ data: { user: req.user } });
+});
+
+// POST /api/auth/signup - JSON { email, password, visitor_id? }
+router.post('/signup', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const user = await auth.signUp(email, password);
+    await completeLogin(req, res, user, 201);
+  } catch (err) {
+    sendError(res, err, 'Sign up failed');
+  }
+});
+
+// POST /api/auth/login - JSON { email, password, visitor_id? }
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const user = await auth.logIn(email, password);
+    await completeLogin(req, res, user);
+  } catch (err) {
+    sendError(res, err, 'Log in failed');
+  }
+});
+
+// POST /api/auth/magic-link - JSON { email, visitor_id? }: email a single-use sign-in link
+router.post('/magic-link', async (req, res) => {
+  try {
+    const { email, token } = await auth.createMagicLink(req.body && req.body.email, visitorIdOf(req));
+    const link = `${PUBLIC_URL}/api/auth/magic?token=${encodeURIComponent(token)}`;
+    await sendMail({
+      to: email,
+      subject: 'Your ResumeToSite sign-in link',
+      text: `Click to sign in to ResumeToSite:\n\n${link}\n\nThe link works once and expires in ${auth.MAGIC_LINK_TTL_MINUTES} minutes. If you didn't ask for it, ignore this email.`,
+    });
+    // Same answer whether or not an account exists, so this can't be used to probe emails.
+    res.status(200).json({ data: { sent: true } });
+  } catch (err) {
+    sendError(res, err, 'Could not send the sign-in link');
+  }
+});
+
+// GET /api/auth/magic?token= - the link from the email: sign in and go back to the app
+router.get('/magic', async (req, res) => {
+  try {
+    const { user, visitorId } = await auth.consumeMagicLink(String(req.query.token || ''));
+    auth.setSessionCookie(res, await auth.createSession(user));
+    await auth.claimVisitorHistory(user.id, visitorId, auth.visitorToken(req));
+    res.redirect(302, '/?signed_in=1');
+  } catch (err) {
+    if (!err.status) log.error('Magic link error', { err });
+    res.redirect(302, '/?signin_error=' + encodeURIComponent(err.status ? err.message : 'Sign in failed'));
+  }
+});
+
+// POST /api/auth/claim - JSON { visitor_id }: attach this browser's anonymous uploads to the signed-in user
+router.post('/claim', async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: { message: 'Log in first.' } });
+  }
+  try {
+    const claimed = await auth.claimVisitorHistory(req.user.id, visitorIdOf(req), auth.visitorToken(req));
+    res.status(200).json({ data: { claimed } });
+  } catch (err) {
+    sendError(res, err, 'Could not claim history');
+  }
+});
+
+// POST /api/auth/logout
+router.post('/logout', async (req, res) => {
+  try {
+    await auth.destroySession(auth.sessionToken(req));
+  } catch (err) {
+    log.warn('Logout failed', { err });
+  }
+  auth.clearSessionCookie(res);
+  res.status(200).json({ data: { user: null } });
+});
+
+module.exports = router;
@@ -3,460 +3,1065 @@ const express = require('express');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs').promises;
+const { parseResumeText, validateResume, assertValidResume, resumeToText } = require('../lib/resume-parser');
+const { cleanResumeData } = require('../lib/text-cleaner');
+const { extractResume, assertSupported, contentTypeOf } = require('../lib/extract');
+const { resolveProviders, generateText, streamText, listProviders } = require('../lib/providers');
+const { buildSitePrompt, buildRefinePrompt } = require('../lib/prompts');
+const { renderSite } = require('../lib/templates');
+const { themeFromRequest, themeOf, themeOptions } = require('../lib/theme');
+const { finalizeHtml } = require('../lib/html-postprocess');
+const { httpError } = require('../lib/errors');
+const { getStorage } = require('../lib/storage');
+const { canAccess, visitorIdOf, bindVisitor } = require('../lib/auth');
+const { buildStaticSite } = require('../lib/export');
+const { auditHtml, fixHtml } = require('../lib/audit');
+const { sitesShowing } = require('../lib/sites');
+const { jobTargetFromRequest, matchJob, tailorResume, saveJobTarget, loadJobTarget } = require('../lib/tailor');
+const { createJob, getJob, cancelJob, streamJob, waitForJob, describeJob } = require('../lib/jobs');
+const { cacheKeyFor, isCacheable, findCached, recordBypass } = require('../lib/generation-cache');
+const { addUsage, estimateCost } = require('../lib/usage');
+const { getQuota, assertWithinQuota, recordUsage } = require('../lib/quotas');
+const { redactorFor } = require('../lib/redact');
+const { inputModeFromRequest, assertDocumentInput, documentAttempts, documentProblem, chooseInput, documentOf } = require('../lib/document-input');
+const log = require('../lib/logger');
+const { jobsFinished, jobDuration } = require('../lib/metrics');
+const {
+  imageFilesOf, checkImage, processImages, storeUploadImages, loadUploadImages, describeImages, referencedImageNames, inlineImages,
+} = require('../lib/images');
 
-// ---------------------------------------------------------------------------
-// PLACEHOLDER: Supabase project details (set in .env or replace below)
-// ---------------------------------------------------------------------------
-const SUPABASE_URL = (process.env.SUPABASE_URL || '').trim() || 'https://YOUR_PROJECT_REF.supabase.co';
-const SUPABASE_SERVICE_KEY = (process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY || '').trim() || 'YOUR_SUPABASE_SERVICE_ROLE_KEY';
-const SUPABASE_BUCKET = (process.env.SUPABASE_BUCKET || 'resume-uploads').trim();
-
-// ---------------------------------------------------------------------------
-// LLM API keys (set in .env - never commit real keys). Trim to avoid 401.
-// Use GEMINI_API_KEY for Google Gemini, or LLM_API_KEY/ANTHROPIC_API_KEY for Anthropic.
-// ---------------------------------------------------------------------------
-const GEMINI_API_KEY = (process.env.GEMINI_API_KEY || '').trim();
-const LLM_API_KEY = (process.env.LLM_API_KEY || process.env.ANTHROPIC_API_KEY || 'YOUR_LLM_API_KEY_HERE').trim();
-
-// Supabase: only init when URL and key look real (no placeholders)
-let supabase = null;
-try {
-  const { createClient } = require('@supabase/supabase-js');
-  const urlOk = SUPABASE_URL && SUPABASE_URL.startsWith('https://') && !SUPABASE_URL.includes('YOUR_PROJECT');
-  const keyOk = SUPABASE_SERVICE_KEY && SUPABASE_SERVICE_KEY.length > 20 && !SUPABASE_SERVICE_KEY.includes('YOUR_');
-  if (urlOk && keyOk) {
-    supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
-    console.log('[ResumeToSite] Supabase initialized. URL:', SUPABASE_URL.replace(/\/\/.*@/, '//***@'), 'bucket:', SUPABASE_BUCKET);
-  } else {
-    const why = [];
-    if (!SUPABASE_URL || SUPABASE_URL.includes('YOUR_PROJECT')) why.push('SUPABASE_URL missing or placeholder');
-    else if (!SUPABASE_URL.startsWith('https://')) why.push('SUPABASE_URL must start with https://');
-    if (!SUPABASE_SERVICE_KEY || SUPABASE_SERVICE_KEY.includes('YOUR_')) why.push('SUPABASE_SERVICE_KEY missing or placeholder');
-    else if (SUPABASE_SERVICE_KEY.length <= 20) why.push('SUPABASE_SERVICE_KEY too short');
-    console.log('[ResumeToSite] Supabase disabled:', why.join('; '), '→ Add both to .env and restart. Service key: Project Settings → API → service_role (secret).');
-  }
-} catch (e) {
-  console.warn('[ResumeToSite] Supabase init failed:', e.message);
-}
-
-// PDF text extraction (optional dependency)
-let pdfParse = null;
-try {
-  pdfParse = require('pdf-parse');
-} catch (e) {}
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HISTORY_MAX_LIMIT = 100;
+const INSTRUCTION_MAX_LENGTH = 1000;
+// A cached page is replayed to stream clients in pieces of this size.
+const REPLAY_CHUNK_CHARS = 2000;
+// Stored as the instruction of audit-fix versions, so history shows where they came from
+const AUDIT_FIX_INSTRUCTION = 'Fix accessibility and SEO issues';
 
-// DOCX text extraction (optional dependency)
-let mammoth = null;
-try {
-  mammoth = require('mammoth');
-} catch (e) {}
+/** Answer with an error's own status and message (and details), or 500 with `fallback` for unexpected ones. */
+function sendError(res, err, fallback) {
+  if (!err.status || err.status >= 500) log.error('Generate error', { err });
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : fallback, ...(err.details && { details: err.details }) } });
+}
 
-/**
- * Store file in Supabase Storage and optionally log to resume_uploads table.
- */
-async function storeFileInSupabase(file, buffer) {
-  if (!supabase) {
-    console.log('[ResumeToSite] storeFileInSupabase: skipped (no supabase client)');
-    return null;
-  }
-  const fileName = `${Date.now()}-${(file.name || 'resume').replace(/[^a-zA-Z0-9.-]/g, '_')}`;
-  console.log('[ResumeToSite] Storage upload starting, bucket=', SUPABASE_BUCKET, 'fileName=', fileName);
-  let result = await supabase.storage
-    .from(SUPABASE_BUCKET)
-    .upload(fileName, buffer, { contentType: file.mimetype || 'application/octet-stream', upsert: false });
-  if (result.error && result.error.message && result.error.message.toLowerCase().includes('bucket not found')) {
-    console.log('[ResumeToSite] Bucket missing, creating', SUPABASE_BUCKET, '...');
-    const { error: createErr } = await supabase.storage.createBucket(SUPABASE_BUCKET, {
-      public: false,
-      fileSizeLimit: 5242880,
-      allowedMimeTypes: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'],
-    });
-    if (createErr) {
-      console.warn('[ResumeToSite] Bucket create failed:', createErr.message, '→ Create bucket in Dashboard → Storage → New bucket.');
-    } else {
-      result = await supabase.storage.from(SUPABASE_BUCKET).upload(fileName, buffer, { contentType: file.mimetype || 'application/octet-stream', upsert: false });
-    }
-  }
-  if (result.error) {
-    console.warn('[ResumeToSite] Storage upload failed:', result.error.message);
+/** Store the uploaded file with the configured object backend; returns its key, or null if storing failed. */
+async function storeUpload(file, buffer) {
+  const key = `${Date.now()}-${(file.name || 'resume').replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+  try {
+    const storagePath = await getStorage().objects.put(key, buffer, contentTypeOf(file.mimetype, file.name));
+    log.info('Storage upload OK', { path: storagePath });
+    return storagePath;
+  } catch (e) {
+    log.warn('Storage upload failed', { err: e });
     return null;
   }
-  const storagePath = result.data?.path || fileName;
-  console.log('[ResumeToSite] Storage upload OK, path=', storagePath);
-  return storagePath;
 }
 
-/** Insert a row into public.resume_uploads; returns the new row id or null. */
-async function logResumeUpload(storagePath, fileName, fileSize, template, visitorId) {
-  if (!supabase) {
-    console.log('[ResumeToSite] logResumeUpload: skipped (no supabase client)');
-    return null;
-  }
+/** Insert a row into resume_uploads (owned by `userId` when signed in, made with `theme`); returns the new row id or null. */
+async function logResumeUpload(storagePath, fileName, fileSize, theme, visitorId, userId) {
   const row = {
     storage_path: storagePath || null,
     file_name: fileName || null,
     file_size: fileSize != null ? Number(fileSize) : null,
-    template: template || null,
+    template: theme ? theme.template : null,
+    theme: theme || null,
     visitor_id: visitorId || null,
+    user_id: userId || null,
   };
-  console.log('[ResumeToSite] resume_uploads insert attempting, visitor_id=', visitorId ? visitorId.slice(0, 8) + '...' : 'none');
-  const { data, error } = await supabase.from('resume_uploads').insert(row).select('id').single();
-  if (error) {
-    console.error('[ResumeToSite] resume_uploads insert FAILED:', error.code, error.message);
+  log.debug('resume_uploads insert attempting', { visitorId: visitorId ? visitorId.slice(0, 8) + '...' : null });
+  try {
+    const { id } = await getStorage().db.insert('resume_uploads', row);
+    log.info('resume_uploads insert OK', { uploadId: id });
+    return id;
+  } catch (e) {
+    log.error('resume_uploads insert failed', { err: e });
     return null;
   }
-  const id = data?.id || null;
-  if (id) console.log('[ResumeToSite] resume_uploads insert OK, id=', id);
-  return id;
 }
 
-/** Save LLM response for an upload (for tracking and future search by visitor/user). */
-async function saveGenerationResult(resumeUploadId, llmModel, llmHtml) {
-  if (!supabase || !resumeUploadId) return;
+/**
+ * Save LLM response for an upload (for tracking and history); returns the new row id or null.
+ * `generation` = { model, provider, theme, html, validation, userId, visitorId, usage, costUsd, parentId?, instruction?, cacheKey?, jobTargetId? }
+ * where validation is the post-processing report, usage = { inputTokens, outputTokens } counts against the
+ * owner's quota, parentId/instruction are set for refinements of an earlier generation, cacheKey lets
+ * later requests with the same input reuse the row (lib/generation-cache.js) and jobTargetId makes it a
+ * variant tailored to that job (lib/tailor.js).
+ */
+async function saveGenerationResult(resumeUploadId, generation) {
+  if (!resumeUploadId) return null;
   const row = {
     resume_upload_id: resumeUploadId,
-    llm_model: llmModel || 'gemini-2.0-flash',
-    llm_html: llmHtml || null,
+    llm_model: generation.model || 'unknown',
+    llm_provider: generation.provider || null,
+    template: generation.theme ? generation.theme.template : null,
+    theme: generation.theme || null,
+    llm_html: generation.html || null,
+    validation: generation.validation || null,
+    user_id: generation.userId || null,
+    visitor_id: generation.visitorId || null,
+    input_tokens: generation.usage ? generation.usage.inputTokens : null,
+    output_tokens: generation.usage ? generation.usage.outputTokens : null,
+    cost_usd: generation.costUsd != null ? generation.costUsd : null,
+    parent_id: generation.parentId || null,
+    instruction: generation.instruction || null,
+    cache_key: generation.cacheKey || null,
+    job_target_id: generation.jobTargetId || null,
+    input_mode: generation.inputMode || null,
   };
-  const { error } = await supabase.from('generation_results').insert(row).select('id');
-  if (error) {
-    console.warn('[ResumeToSite] generation_results insert failed:', error.message);
-    return;
+  try {
+    const { id } = await getStorage().db.insert('generation_results', row);
+    log.info('generation_results saved', { uploadId: resumeUploadId, generationId: id });
+    return id;
+  } catch (e) {
+    log.warn('generation_results insert failed', { uploadId: resumeUploadId, err: e });
+    return null;
+  }
+}
+
+/** Store parsed (and possibly user-corrected) resume JSON on its resume_uploads row. */
+async function saveParsedResume(resumeUploadId, resume) {
+  if (!resumeUploadId) return false;
+  try {
+    const row = await getStorage().db.update('resume_uploads', resumeUploadId, { parsed_resume: resume });
+    if (!row) return false;
+    log.info('parsed_resume saved', { uploadId: resumeUploadId });
+    return true;
+  } catch (e) {
+    log.warn('resume_uploads parsed_resume update failed', { uploadId: resumeUploadId, err: e });
+    return false;
   }
-  console.log('[ResumeToSite] generation_results saved for upload', resumeUploadId);
+}
+
+/** The stored file of an upload; throws 409 when it was never stored and 410 when it is gone. */
+async function loadStoredFile(upload) {
+  if (!upload.storage_path) throw httpError(409, 'The original file for this upload was not stored, so it cannot be regenerated. Upload it again.');
+  const buffer = await getStorage().objects.get(upload.storage_path);
+  if (!buffer) throw httpError(410, 'The original file for this upload is no longer available. Upload it again.');
+  return buffer;
 }
 
 /**
- * Extract plain text from uploaded file (PDF, DOCX, TXT).
- * Accepts buffer (for PDF/DOCX) or filePath (for reading from disk).
+ * Rebuild the generation input for a stored upload the request's user may access, without a new file: the reviewed
+ * parsed_resume when there is one, otherwise the stored file extracted and cleaned again.
+ * Resolves to { upload, cleanedText, resume, extracted, buffer } (`extracted` and `buffer` only when the file was read);
+ * throws 404/409/410 when that isn't possible. With `allowEmpty` (the file may be sent as a document instead, see
+ * lib/document-input.js) a file without readable text resolves with empty `cleanedText` instead of failing with 400.
  */
-async function extractTextFromFile(bufferOrPath, mimetype, originalName) {
-  const isBuffer = Buffer.isBuffer(bufferOrPath);
-  const ext = (originalName && path.extname(originalName).toLowerCase()) || '';
-  const isTxt = mimetype === 'text/plain' || ext === '.txt';
-  const isPdf = mimetype === 'application/pdf' || ext === '.pdf';
-  const isDocx = mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || ext === '.docx';
-
-  if (isTxt) {
-    const buf = isBuffer ? bufferOrPath : await fs.readFile(bufferOrPath);
-    return buf.toString('utf8');
-  }
-
-  if (isPdf && pdfParse) {
-    const buf = isBuffer ? bufferOrPath : await fs.readFile(bufferOrPath);
-    if (!buf || buf.length < 100) {
-      throw new Error('PDF file is too small or empty. Please upload a valid PDF.');
-    }
+async function loadStoredUpload(uploadId, req, { allowEmpty = false } = {}) {
+  const upload = UUID_RE.test(uploadId) ? await getStorage().db.get('resume_uploads', uploadId) : null;
+  if (!upload || !canAccess(req, upload)) throw httpError(404, 'Upload not found.');
+  if (upload.parsed_resume) {
+    return { upload, cleanedText: resumeToText(upload.parsed_resume), resume: upload.parsed_resume };
+  }
+  const buffer = await loadStoredFile(upload);
+  let extracted = null;
+  try {
+    extracted = await extractResume(buffer, null, upload.file_name || upload.storage_path);
+  } catch (e) {
+    if (!allowEmpty) throw e;
+    log.warn('Extraction failed for stored upload', { uploadId: upload.id, err: e });
+  }
+  if (extracted && extracted.resume) return { upload, cleanedText: resumeToText(extracted.resume), resume: extracted.resume, extracted, buffer };
+  const cleanedText = extracted ? cleanResumeData(extracted.text) : '';
+  if (!cleanedText && !allowEmpty) throw httpError(400, 'Could not extract text from the stored file.');
+  return { upload, cleanedText, resume: parseResumeText(cleanedText), extracted, buffer };
+}
+
+/** History entry for a generation_results row (no HTML). */
+function generationSummary(g) {
+  const validation = g.validation || {};
+  return {
+    id: g.id,
+    template: g.template || null,
+    theme: g.theme || null,
+    provider: g.llm_provider || null,
+    model: g.llm_model,
+    valid: validation.valid !== false,
+    warnings: (validation.warnings || []).length,
+    parentId: g.parent_id || null,
+    instruction: g.instruction || null,
+    jobTargetId: g.job_target_id || null,
+    inputMode: g.input_mode || null,
+    inputTokens: g.input_tokens != null ? g.input_tokens : null,
+    outputTokens: g.output_tokens != null ? g.output_tokens : null,
+    costUsd: g.cost_usd != null ? Number(g.cost_usd) : null,
+    createdAt: g.created_at,
+  };
+}
+
+/** Read the uploaded file's bytes (temp file when useTempFiles is on, else file.data); null if empty. */
+async function readUploadBuffer(file) {
+  let buffer = null;
+  if (file.tempFilePath) {
+    buffer = await fs.readFile(file.tempFilePath);
+  } else if (Buffer.isBuffer(file.data) && file.data.length > 0) {
+    buffer = file.data;
+  }
+  return buffer && buffer.length > 0 ? buffer : null;
+}
+
+/**
+ * The optional `photo` and `images[]` files (with `image_captions`), read while the request is open and
+ * checked by content. Resolves to [{ kind, fileName, buffer, alt }]; throws 400/415.
+ */
+async function readImageUploads(req) {
+  const uploads = [];
+  for (const { kind, file, alt } of imageFilesOf(req.files, req.body)) {
+    const buffer = await readUploadBuffer(file);
+    if (!buffer) throw httpError(400, `The image ${file.name} is empty.`);
+    checkImage(buffer, file.name);
+    uploads.push({ kind, fileName: file.name, buffer, alt });
+  }
+  return uploads;
+}
+
+/** A stored page as one self-contained file: the images of its upload inlined as data: URIs. */
+async function selfContainedHtml(row) {
+  if (!row.llm_html || !referencedImageNames(row.llm_html).size) return row.llm_html;
+  return inlineImages(row.llm_html, await loadUploadImages(row.resume_upload_id));
+}
+
+/**
+ * Read optional `resume_data` (reviewed JSON Resume object, as JSON string or object) from the body.
+ * Returns { resume } when present and valid, { error } when invalid, {} when absent.
+ */
+function readResumeData(body) {
+  const raw = body && body.resume_data;
+  if (raw == null || raw === '') return {};
+  let resume = raw;
+  if (typeof raw === 'string') {
     try {
-      const origWarn = console.warn;
-      console.warn = (...args) => {
-        const msg = args[0] != null ? String(args[0]) : '';
-        if (msg.includes('TT: undefined function') || msg.includes('undefined function:')) return;
-        origWarn.apply(console, args);
-      };
-      try {
-        const data = await pdfParse(Buffer.from(buf));
-        return data.text || '';
-      } finally {
-        console.warn = origWarn;
-      }
+      resume = JSON.parse(raw);
     } catch (e) {
-      throw new Error(e.message && e.message.includes('stream') ? 'Could not read PDF (file may be corrupted or password-protected). Try re-saving the PDF or use Paste Text.' : (e.message || 'PDF parsing failed.'));
+      return { error: 'resume_data is not valid JSON.' };
     }
   }
+  const { valid, errors } = validateResume(resume);
+  if (!valid) return { error: 'resume_data is invalid: ' + errors.join('; '), details: errors };
+  return { resume };
+}
 
-  if (isDocx && mammoth) {
-    const buf = isBuffer ? bufferOrPath : await fs.readFile(bufferOrPath);
-    const result = await mammoth.extractRawText({ buffer: buf });
-    return result.value || '';
-  }
+/**
+ * Post-process a provider result: continue truncated output with the same provider,
+ * sanitise, fact-check against `resume` (and the job `target` of a tailored page) and check it follows `theme`. If the page
+ * still isn't a valid document, fall back to the built-in template (with the theme, uploaded `images` and tailoring)
+ * when the chain allows it, else fail with 502.
+ * `calls` = { signal, onUsage } is passed to the continuation calls (see lib/providers/index.js).
+ * Resolves to { result, report } with report = { html, valid, errors, warnings, continued }; result.usage and result.costUsd
+ * cover the provider call and its continuations (kept when falling back to the template).
+ */
+async function finishGeneration(first, attempts, resume, theme, onChunk, calls, images = [], target = null) {
+  let usage = first.usage || null;
+  const attempt = attempts.find((a) => a.provider.name === first.provider);
+  const call = (opts, cb) => (cb ? streamText([attempt], { ...opts, ...calls }, cb) : generateText([attempt], { ...opts, ...calls }));
+  const continueWith = attempt && (async (opts, cb) => {
+    const more = await call(opts, cb);
+    usage = addUsage(usage, more.usage);
+    return more;
+  });
+  const report = await finalizeHtml(first, { resume, theme, target, continueWith, onChunk });
+  const result = { ...first, usage, costUsd: estimateCost(first.provider, first.model, usage) };
+  if (report.valid) return { result, report };
 
-  if (isPdf || isDocx) {
-    throw new Error(
-      isPdf
-        ? 'PDF parsing requires: npm install pdf-parse'
-        : 'DOCX parsing requires: npm install mammoth'
-    );
+  log.warn('Invalid HTML from provider', { provider: result.provider, errors: report.errors });
+  const canFallBack = result.provider !== 'template' && attempts.some((a) => a.provider.name === 'template');
+  if (!canFallBack) {
+    throw httpError(502, 'The generated page is not a valid HTML document.', report.errors);
   }
+  return {
+    result: { ...result, provider: 'template', model: 'builtin-v1', fallback: true },
+    report: {
+      html: renderSite(target ? tailorResume(resume, target.match, target.description) : resume, theme, describeImages(images)),
+      valid: true,
+      errors: [],
+      warnings: [`${result.provider} output was not a valid HTML document (${report.errors.join('; ')}); used the built-in template instead`],
+      continued: report.continued,
+    },
+  };
+}
 
-  throw new Error('Unsupported file type. Use PDF, DOCX, or TXT.');
+/** The part of a post-processing report stored with a generation. */
+function validationOf(report) {
+  return { valid: report.valid, errors: report.errors, warnings: report.warnings, continued: report.continued };
 }
 
 /**
- * Clean and minimize resume text before sending to LLM:
- * - Trim and normalize whitespace
- * - Collapse multiple newlines
- * - Optionally cap length to reduce tokens
+ * generation_results fields for a finished generation (see saveGenerationResult); `owner` = { userId, visitorId }
+ * is who it belongs to and whose quota it uses, `refine` links a refinement to its parent, `target` to its job
+ * and `input` records whether the provider got the text or the file.
  */
-function cleanResumeData(rawText) {
-  if (!rawText || typeof rawText !== 'string') return '';
-  let t = rawText
-    .replace(/\r\n/g, '\n')
-    .replace(/\r/g, '\n')
-    .replace(/\t/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-  // Collapse multiple newlines to max 2
-  t = t.replace(/\n{3,}/g, '\n\n');
-  // Max length to avoid huge payloads (e.g. ~20k chars ≈ ~5k tokens)
-  const maxLen = 15000;
-  if (t.length > maxLen) {
-    t = t.slice(0, maxLen) + '\n\n[... content truncated for length ...]';
-  }
-  return t;
+function generationRow(result, report, theme, owner, refine, target, input) {
+  return {
+    model: result.model,
+    provider: result.provider,
+    theme,
+    html: report.html,
+    validation: validationOf(report),
+    userId: owner.userId,
+    visitorId: owner.visitorId,
+    usage: result.usage,
+    costUsd: result.costUsd,
+    jobTargetId: target ? target.id : null,
+    inputMode: input ? input.mode : null,
+    ...(refine && { parentId: refine.parentId, instruction: refine.instruction }),
+  };
+}
+
+/** A job target as clients see it. */
+function jobTargetSummary(target) {
+  return target ? { id: target.id, label: target.label, url: target.url } : null;
+}
+
+/** Signed-in user's id (set by attachUser), or null. */
+function userIdOf(req) {
+  return req.user ? req.user.id : null;
+}
+
+/** Quota check before calling `attempts` for `owner`; skipped when the built-in templates go first (they use no tokens). */
+async function checkQuota(attempts, owner) {
+  if (attempts[0].provider.name === 'template') return null;
+  return assertWithinQuota(owner);
+}
+
+/** Whether the request body sets `name` to true (JSON true, or "true"/"1" from a form). */
+function bodyFlag(req, name) {
+  return !!req.body && [true, 'true', '1'].includes(req.body[name]);
+}
+
+/** Provider/model picked by the request body (`provider`, `model`), validated up front. */
+function providersFromRequest(req) {
+  return resolveProviders({ provider: req.body && req.body.provider, model: req.body && req.body.model });
 }
 
 /**
- * Call LLM to generate HTML from cleaned resume text and template.
- * Uses Gemini when GEMINI_API_KEY is set, otherwise Anthropic when LLM_API_KEY is set.
+ * The generation step of a job: provider output goes out as `chunk` events (continuations
+ * of truncated output too), then the page is post-processed and saved to generation_results.
+ * Resolves to the `done` payload: { html, warnings, provider, model, fallback, resumeUploadId,
+ * generationId, usage, costUsd, audit, jobTarget, input, parentId?, cached? } where `html` is the sanitised page clients should use in
+ * place of the raw chunks, `audit` its accessibility/SEO report (lib/audit), `jobTarget` the job it is tailored to and
+ * `input` = { mode, reason } how the resume was sent (null for refinements).
+ * The argument is { cleanedText, theme, resumeUploadId, attempts, resume, owner, images?, target?, input?, document?, refine?, fresh? }
+ * with `theme` validated by lib/theme.js, `owner` = { userId, visitorId } (see generationRow) and `images` the upload's photo and project images
+ * (lib/images.js). The provider is told their paths (images/photo.webp, ...); the stored page keeps those
+ * references and `html` in the payload has the images inlined, so it works as a single file;
+ * with `refine` = { parentId, html, instruction } the provider edits that page instead of
+ * building one from `cleanedText`. A job `target` (a stored job_targets row, see lib/tailor.js) tailors the page
+ * to that posting; unsupported claims become warnings, and refinements keep their parent's target. With `document`
+ * (lib/document-input.js) the provider reads the uploaded file instead of `cleanedText`, and only the providers
+ * that read it (plus the built-in template fallback) are tried.
+ *
+ * The same input generated before by the same owner (see lib/generation-cache.js) is answered from that row
+ * instead: its page is replayed as chunks and saved again on this upload (no tokens used), and the payload has
+ * `cached: true`.
+ * `fresh` skips the lookup; the new page then becomes the one reused next time.
+ * Otherwise the owner's quota is checked (429) right before the provider call, and every provider call's tokens
+ * go to the owner's usage ledger (lib/quotas.js), whether or not the job finishes.
+ * With REDACT_PII on, phone numbers and addresses are masked in what the provider is sent
+ * and restored in the chunks and the saved page (see lib/redact.js).
  */
-async function generateHtmlWithLLM(cleanedText, template) {
-  const systemPrompt = `You are a web designer. Given resume text, output a single complete HTML document (no markdown, no code fences). Style: ${template}. Modern, responsive, bold design. Include all resume info. Return only the HTML.`;
-  const userMessage = `Resume content:\n\n${cleanedText}`;
-
-  // Prefer Gemini if key is set
-  if (GEMINI_API_KEY) {
-    // console.log('Generating with Gemini', GEMINI_API_KEY);
-    return generateWithGemini(systemPrompt, userMessage);
+async function runGeneration(job, {
+  cleanedText, theme, resumeUploadId, attempts: requested, resume, owner, images = [], target = null, input = null, document = null, refine, fresh,
+}) {
+  job.setStatus('generating');
+  const attempts = document ? documentAttempts(requested, document.mediaType) : requested;
+  const cacheKey = refine ? null : cacheKeyFor(cleanedText, theme, attempts[0], images, target, document);
+  if (cacheKey && fresh) recordBypass();
+  const cached = cacheKey && !fresh ? await findCached(getStorage().db, cacheKey, owner) : null;
+  if (cached) {
+    for (let i = 0; i < cached.llm_html.length; i += REPLAY_CHUNK_CHARS) {
+      job.emit({ chunk: cached.llm_html.slice(i, i + REPLAY_CHUNK_CHARS) });
+    }
+    // A copy on this upload, so its history, publishing and erasure work like for any other page
+    const reused = { model: cached.llm_model, provider: cached.llm_provider, usage: { inputTokens: 0, outputTokens: 0 }, costUsd: 0 };
+    const generationId = await saveGenerationResult(resumeUploadId, {
+      ...generationRow(reused, { html: cached.llm_html }, theme, owner, null, target, input),
+      validation: cached.validation,
+      cacheKey,
+    });
+    log.info('Generation cache hit', { cachedId: cached.id, generationId });
+    return {
+      html: inlineImages(cached.llm_html, images),
+      warnings: (cached.validation && cached.validation.warnings) || [],
+      provider: cached.llm_provider,
+      model: cached.llm_model,
+      fallback: false,
+      resumeUploadId,
+      generationId,
+      usage: reused.usage,
+      costUsd: 0,
+      cached: true,
+      audit: auditHtml(cached.llm_html, { images }),
+      jobTarget: jobTargetSummary(target),
+      input,
+    };
   }
-  if (LLM_API_KEY && LLM_API_KEY !== 'YOUR_LLM_API_KEY_HERE') {
-    return generateWithAnthropic(systemPrompt, userMessage);
+  await checkQuota(attempts, owner);
+
+  let chunkCount = 0;
+  const emitChunk = (text) => {
+    chunkCount++;
+    job.emit({ chunk: text });
+  };
+  // REDACT_PII: the provider sees placeholders for phone numbers and addresses; clients get them back
+  const redactor = redactorFor(attempts);
+  const restoring = redactor && redactor.restoreStream(emitChunk);
+  const onChunk = restoring ? restoring.write : emitChunk;
+  const sent = refine
+    ? { ...refine, html: redactor ? redactor.redact(refine.html) : refine.html }
+    : { text: redactor ? redactor.redact(cleanedText) : cleanedText };
+  if (redactor) log.info('Redacted provider input', { counts: redactor.counts });
+  const imageRefs = describeImages(images);
+  // What the resume has that the posting asks for; the fit points quote the resume, so they are redacted like it
+  const match = target && resume ? matchJob(resume, target.description) : null;
+  const tailoring = match && { ...target, match };
+  const sentTailoring = tailoring && redactor ? { ...tailoring, match: { ...match, fit: match.fit.map(redactor.redact) } } : tailoring;
+  const prompt = refine ? buildRefinePrompt(sent.html, refine.instruction, imageRefs) : buildSitePrompt(sent.text, theme, imageRefs, sentTailoring, document);
+  log.info('Calling providers', { providers: attempts.map((a) => a.provider.name), input: input || 'refine' });
+  const onUsage = (call) => recordUsage(owner, call);
+  const streamed = await streamText(attempts, {
+    ...prompt,
+    resume,
+    theme,
+    images: imageRefs,
+    target: sentTailoring,
+    refine: refine && sent,
+    document: document || undefined,
+    signal: job.signal,
+    onUsage,
+    onWait: () => job.setStatus('queued'),
+    onStart: () => job.setStatus('generating'),
+  }, onChunk);
+  if (chunkCount === 0) log.warn('Stream finished but no chunks had text', { provider: streamed.provider });
+
+  // Continue if cut off, sanitise, check facts (falls back to the built-in template if still invalid)
+  const { result, report } = await finishGeneration(streamed, attempts, resume, theme, onChunk, { signal: job.signal, onUsage }, images, tailoring);
+  if (restoring) {
+    restoring.flush();
+    report.html = redactor.restore(report.html);
   }
+  if (report.warnings.length) log.info('HTML warnings', { warnings: report.warnings });
+  job.signal.throwIfAborted();
+  const generation = { ...generationRow(result, report, theme, owner, refine, target, input), cacheKey: isCacheable(result, report) ? cacheKey : null };
+  const generationId = report.html ? await saveGenerationResult(resumeUploadId, generation) : null;
+  return {
+    html: inlineImages(report.html, images),
+    warnings: report.warnings,
+    provider: result.provider,
+    model: result.model,
+    fallback: result.fallback,
+    resumeUploadId,
+    generationId,
+    usage: result.usage,
+    costUsd: result.costUsd,
+    cached: false,
+    audit: report.html ? auditHtml(report.html, { images }) : null,
+    jobTarget: jobTargetSummary(target),
+    input,
+    ...(refine && { parentId: refine.parentId }),
+  };
+}
 
-  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Resume Site</title></head><body><h1>ResumeToSite</h1><p>Set GEMINI_API_KEY or LLM_API_KEY in .env to generate real content. Get Gemini key at <a href="https://aistudio.google.com/apikey">aistudio.google.com/apikey</a>.</p><pre>${escapeHtml(cleanedText.slice(0, 500))}</pre></body></html>`;
+/**
+ * createJob that also logs the finished job to generation_runs (status, duration, error) for the admin
+ * console. `kind` is 'upload' | 'regenerate' | 'refine'. `run(job, meta)` sets meta.resumeUploadId once
+ * the upload is logged (when it isn't known up front), so failed runs are still linked to their file.
+ * `job.recorded` settles once the run is written (erasure waits for it; see lib/privacy.js).
+ */
+function startGenerationJob(kind, owner, resumeUploadId, run) {
+  const meta = { resumeUploadId };
+  const job = createJob(owner, (ctx) => {
+    if (resumeUploadId) log.addLogContext({ uploadId: resumeUploadId });
+    return run(ctx, meta);
+  });
+  job.recorded = job.finished.then(() => recordRun(job, kind, meta));
+  return job;
 }
 
-async function generateWithGemini(systemPrompt, userMessage) {
-  const { GoogleGenAI } = await import('@google/genai');
-  const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-  const prompt = `${systemPrompt}\n\n${userMessage}`;
-  console.log('[ResumeToSite] Gemini request: model=gemini-2.0-flash, prompt length=', prompt.length);
+async function recordRun(job, kind, meta) {
+  const result = job.result || {};
+  const status = job.cancelled ? 'cancelled' : job.status;
+  const seconds = (Date.parse(job.updatedAt) - Date.parse(job.createdAt)) / 1000;
+  jobsFinished.inc({ kind, status, cached: !!result.cached });
+  jobDuration.observe({ kind, status }, seconds);
   try {
-    const response = await ai.models.generateContent({
-      model: 'gemini-2.0-flash',
-      contents: prompt,
-      config: { maxOutputTokens: 8192 },
+    await getStorage().db.insert('generation_runs', {
+      job_id: job.id,
+      request_id: job.requestId || null,
+      kind,
+      status,
+      resume_upload_id: meta.resumeUploadId || result.resumeUploadId || null,
+      generation_id: result.generationId || null,
+      user_id: job.userId,
+      visitor_id: job.visitorId,
+      provider: result.provider || null,
+      model: result.model || null,
+      cached: !!result.cached,
+      duration_ms: Math.round(seconds * 1000),
+      error: job.error ? job.error.message : null,
     });
-    let html = '';
-    if (response && typeof response.text === 'string') {
-      html = response.text;
-    } else if (response && response.candidates && response.candidates[0]) {
-      const c = response.candidates[0];
-      const content = c.content || c.output;
-      if (content && content.parts && content.parts[0]) {
-        html = content.parts[0].text || '';
-      }
-    }
-    html = (html || '').replace(/^```html?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
-    if (!html) {
-      console.warn('[ResumeToSite] Gemini returned empty or unexpected shape. response keys=', response ? Object.keys(response) : 'null');
-    }
-    return html || '<!DOCTYPE html><html><body><p>No content returned from Gemini.</p></body></html>';
   } catch (e) {
-    console.error('[ResumeToSite] Gemini error:', e.message, e.status || '', e.code || '');
-    const msg = (e && e.message) ? e.message.toLowerCase() : '';
-    if (e.status === 401 || msg.includes('api key') || msg.includes('invalid') || msg.includes('authentication')) {
-      throw new Error('Invalid Gemini API key. In .env set GEMINI_API_KEY to your key from https://aistudio.google.com/apikey (no quotes or spaces).');
-    }
-    throw e;
+    log.warn('generation_runs insert failed', { err: e });
   }
 }
 
-async function generateWithAnthropic(systemPrompt, userMessage) {
-  const Anthropic = require('@anthropic-ai/sdk');
-  const client = new Anthropic({ apiKey: LLM_API_KEY });
-  try {
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 8000,
-      system: systemPrompt,
-      messages: [{ role: 'user', content: userMessage }],
-    });
-    let html = message.content && message.content[0] && message.content[0].text ? message.content[0].text : '';
-    html = html.replace(/^```html?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
-    return html || '<!DOCTYPE html><html><body><p>No content returned from LLM.</p></body></html>';
-  } catch (e) {
-    if (e.status === 401 || (e.error && e.error.message && e.error.message.toLowerCase().includes('invalid x-api-key'))) {
-      throw new Error('Invalid Anthropic API key. In .env set LLM_API_KEY or ANTHROPIC_API_KEY to your key from https://console.anthropic.com/ (no quotes or spaces).');
-    }
-    throw e;
+/**
+ * Check an upload request (`resume` file, `theme` or `template`, `visitor_id`, `resume_data`, `provider`, `model`, `regenerate`,
+ * optional `photo`, `images[]` and `image_captions`, optional `job_description` with `job_label` and `job_url`, `input_mode`)
+ * and start its job: store → log → images → extract → clean → generate (tailored to the job when one is sent, from the
+ * file itself when lib/document-input.js picks it).
+ * Returns the job, or null after answering 400 itself; throws 400 for a bad theme, job description, provider/model, input
+ * mode or too many images, 415 for an unsupported file or image and 429 when the caller is over quota.
+ */
+async function startUploadJob(req, res) {
+  if (!req.files || !req.files.resume) {
+    res.status(400).json({ error: { message: 'No resume file uploaded. Use field name "resume".' } });
+    return null;
+  }
+  const file = req.files.resume;
+  const theme = themeFromRequest(req.body);
+  const jobTarget = jobTargetFromRequest(req.body);
+  const visitorId = visitorIdOf(req);
+  const resumeData = readResumeData(req.body);
+  if (resumeData.error) {
+    res.status(400).json({ error: { message: resumeData.error, details: resumeData.details } });
+    return null;
   }
+  const attempts = providersFromRequest(req);
+  const inputMode = inputModeFromRequest(req.body);
+  const fresh = bodyFlag(req, 'regenerate');
+  const owner = { userId: userIdOf(req), visitorId };
+  await checkQuota(attempts, owner);
+  // When useTempFiles is true, file.data is often empty; read the temp file now, before the request ends
+  const buffer = await readUploadBuffer(file);
+  if (!buffer) {
+    res.status(400).json({ error: { message: 'File is empty. Please upload a valid resume file.' } });
+    return null;
+  }
+  assertSupported(file.mimetype, file.name);
+  const mediaType = contentTypeOf(file.mimetype, file.name);
+  assertDocumentInput(inputMode, mediaType, attempts);
+  // Unreadable text isn't fatal while the file itself can still go to the provider
+  const documentPossible = inputMode !== 'text' && !documentProblem(mediaType, attempts);
+  const imageUploads = await readImageUploads(req);
+  const { userId } = owner;
+  // Before the job stores the upload, and while the response can still set the cookie
+  await bindVisitor(req, res, visitorId);
+
+  return startGenerationJob('upload', owner, null, async (job, run) => {
+    job.setStatus('extracting');
+    // 1) Store the file, then log every upload to resume_uploads
+    log.info('Upload job started', { file: file.name, bytes: buffer.length });
+    const storedPath = await storeUpload(file, buffer);
+    const resumeUploadId = await logResumeUpload(storedPath, file.name || 'resume', buffer.length, theme, visitorId, userId);
+    run.resumeUploadId = resumeUploadId;
+    log.addLogContext({ uploadId: resumeUploadId });
+    if (resumeData.resume) await saveParsedResume(resumeUploadId, resumeData.resume);
+    // Photo and project images: resized, compressed and stored next to the resume
+    const images = await storeUploadImages(resumeUploadId, await processImages(imageUploads));
+    const target = jobTarget && { ...jobTarget, id: await saveJobTarget(resumeUploadId, jobTarget) };
+
+    // 2) Extract text from file (pass a copy for pdf-parse to avoid stream issues)
+    let extracted = null;
+    try {
+      extracted = await extractResume(Buffer.from(buffer), file.mimetype, file.name);
+      log.debug('Extracted text', { format: extracted.format, ocr: !!extracted.ocr, layout: extracted.layout || 'plain', rawLength: extracted.text.length });
+    } catch (e) {
+      if (!documentPossible) throw e;
+      log.warn('Extraction failed, the file can still be sent as a document', { err: e });
+    }
+    // A JSON Resume file is already structured; store it like reviewed resume_data
+    const parsedFile = extracted && extracted.resume;
+    const imported = resumeData.resume || parsedFile;
+    if (parsedFile && !resumeData.resume) await saveParsedResume(resumeUploadId, parsedFile);
+
+    // 3) Clean and minimize data before sending to LLM (reviewed resume_data wins over raw extraction)
+    const cleanedText = imported ? resumeToText(imported) : cleanResumeData(extracted ? extracted.text : '');
+    const resume = imported || parseResumeText(cleanedText);
+    // Text or the file itself (lib/document-input.js)
+    const input = chooseInput(inputMode, { mediaType, extracted, resume, reviewed: !!resumeData.resume, attempts });
+    if (!cleanedText && input.mode === 'text') throw httpError(400, 'Could not extract text from the file. Try a different file or paste text.');
+    log.info('Cleaned resume text', { length: cleanedText.length, template: theme.template, input });
+    job.signal.throwIfAborted();
+
+    // 4) Generate HTML (provider/model from request, env, or fallback order), post-process, save
+    const document = input.mode === 'document' ? documentOf(buffer, mediaType, file.name) : null;
+    const data = await runGeneration(job, { cleanedText, theme, resumeUploadId, attempts, resume, owner, images, target, input, document, fresh });
+    return { ...data, ...(storedPath && { storedPath }) };
+  });
 }
 
-function escapeHtml(s) {
-  return String(s)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+/** The job named in the URL if this request may see it, else null. */
+function jobFromRequest(req) {
+  const job = getJob(req.params.jobId);
+  return job && canAccess(req, { user_id: job.userId, visitor_id: job.visitorId }) ? job : null;
 }
 
-/** Stream Gemini HTML to response as SSE; optionally save full HTML to generation_results when done. */
-async function streamWithGemini(cleanedText, template, res, resumeUploadId) {
-  if (!GEMINI_API_KEY) {
-    res.write('data: ' + JSON.stringify({ error: 'Streaming requires GEMINI_API_KEY in .env' }) + '\n\n');
-    res.end();
-    return;
-  }
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
-  res.flushHeaders && res.flushHeaders();
-
-  const { GoogleGenAI } = await import('@google/genai');
-  const ai = new GoogleGenAI({ apiKey: GEMINI_API_KEY });
-  const systemPrompt = `You are a web designer. Given resume text, output a single complete HTML document (no markdown, no code fences). Style: ${template}. Modern, responsive, bold design. Include all resume info. Return only the HTML.`;
-  const userMessage = `Resume content:\n\n${cleanedText}`;
-  const prompt = `${systemPrompt}\n\n${userMessage}`;
+// GET /api/generate/providers - which LLM providers this server can use
+router.get('/providers', (req, res) => {
+  res.status(200).json({ data: { providers: listProviders() } });
+});
+
+// GET /api/generate/themes - the theme options generate requests accept (templates and their defaults, fonts, modes, ...)
+router.get('/themes', (req, res) => {
+  res.status(200).json({ data: themeOptions() });
+});
 
-  let chunkCount = 0;
-  let fullHtml = '';
+// POST /api/generate/upload - single endpoint: upload → store → clean → LLM → return HTML (waits for the job)
+router.post('/upload', async (req, res) => {
   try {
-    const stream = await ai.models.generateContentStream({
-      model: 'gemini-2.0-flash',
-      contents: prompt,
-      config: { maxOutputTokens: 8192 },
+    const job = await startUploadJob(req, res);
+    if (!job) return;
+    const { storedPath, ...data } = await waitForJob(job, res);
+    res.status(200).json({
+      data,
+      ...(storedPath && { storedPath }),
+    });
+  } catch (err) {
+    log.error('Generate upload error', { err });
+    const status = err.status || 500;
+    res.status(status).json({
+      error: { message: err.message || 'Failed to generate website', ...(err.details && { details: err.details }) },
     });
-    for await (const chunk of stream) {
-      let text = (chunk && typeof chunk.text === 'string') ? chunk.text : '';
-      if (!text && chunk) {
-        text = chunk?.candidates?.[0]?.content?.parts?.[0]?.text
-          || chunk?.response?.candidates?.[0]?.content?.parts?.[0]?.text
-          || (chunk.parts && chunk.parts[0]?.text) || '';
-      }
-      if (text) {
-        chunkCount++;
-        fullHtml += text;
-        res.write('data: ' + JSON.stringify({ chunk: text }) + '\n\n');
-        if (typeof res.flush === 'function') res.flush();
-      }
+  }
+});
+
+// POST /api/generate/upload-stream - same as upload but streams the job's events via SSE (any provider)
+router.post('/upload-stream', async (req, res) => {
+  try {
+    const job = await startUploadJob(req, res);
+    if (!job) return;
+    streamJob(job, req, res);
+  } catch (err) {
+    log.error('Upload-stream error', { err });
+    if (!res.headersSent) {
+      res.status(err.status || 500).json({ error: { message: err.message || 'Stream failed', ...(err.details && { details: err.details }) } });
     }
-    if (chunkCount === 0) console.warn('[ResumeToSite] Stream finished but no chunks had text.');
-    const cleanedHtml = (fullHtml || '').replace(/^```html?\s*/i, '').replace(/\s*```\s*$/i, '').trim();
-    if (resumeUploadId && cleanedHtml) await saveGenerationResult(resumeUploadId, 'gemini-2.0-flash', cleanedHtml);
-    res.write('data: ' + JSON.stringify({ done: true }) + '\n\n');
-  } catch (e) {
-    console.error('[ResumeToSite] Stream error:', e.message);
-    res.write('data: ' + JSON.stringify({ error: e.message || 'Stream failed' }) + '\n\n');
   }
-  res.end();
-}
+});
 
-// POST /api/generate/upload - single endpoint: upload → store → clean → LLM → return HTML
-router.post('/upload', async (req, res) => {
+// POST /api/generate/jobs - same fields as upload; starts the job and answers 202 right away
+router.post('/jobs', async (req, res) => {
+  try {
+    const job = await startUploadJob(req, res);
+    if (!job) return;
+    res.status(202).json({ data: { job: describeJob(job) } });
+  } catch (err) {
+    log.error('Job start error', { err });
+    res.status(err.status || 500).json({ error: { message: err.message || 'Failed to start generation', ...(err.details && { details: err.details }) } });
+  }
+});
+
+// GET /api/generate/jobs/:jobId - job status (and result ids once done)
+router.get('/jobs/:jobId', (req, res) => {
+  const job = jobFromRequest(req);
+  if (!job) {
+    return res.status(404).json({ error: { message: 'Job not found.' } });
+  }
+  res.status(200).json({ data: { job: describeJob(job) } });
+});
+
+// GET /api/generate/jobs/:jobId/events - the job's events as SSE, replayed after Last-Event-ID (or ?last_event_id=)
+router.get('/jobs/:jobId/events', (req, res) => {
+  const job = jobFromRequest(req);
+  if (!job) {
+    return res.status(404).json({ error: { message: 'Job not found.' } });
+  }
+  streamJob(job, req, res);
+});
+
+// POST /api/generate/jobs/:jobId/cancel - stop a job that hasn't finished
+router.post('/jobs/:jobId/cancel', (req, res) => {
+  const job = jobFromRequest(req);
+  if (!job) {
+    return res.status(404).json({ error: { message: 'Job not found.' } });
+  }
+  if (!cancelJob(job)) {
+    return res.status(409).json({ error: { message: `Job already ${job.status}.` } });
+  }
+  res.status(200).json({ data: { job: describeJob(job) } });
+});
+
+// POST /api/generate/parse - upload → store → extract → parse into JSON Resume data for review (no LLM)
+router.post('/parse', async (req, res) => {
   try {
     if (!req.files || !req.files.resume) {
-      return res.status(400).json({
-        error: { message: 'No resume file uploaded. Use field name "resume".' },
-      });
+      return res.status(400).json({ error: { message: 'No resume file uploaded. Use field name "resume".' } });
     }
-
     const file = req.files.resume;
-    const template = (req.body && req.body.template) || 'modern';
-    const visitorId = (req.body && req.body.visitor_id) ? String(req.body.visitor_id).trim() : null;
-
-    // When useTempFiles is true, file.data is often empty; always read from temp file when present
-    let buffer;
-    if (file.tempFilePath) {
-      buffer = await fs.readFile(file.tempFilePath);
-    } else if (Buffer.isBuffer(file.data) && file.data.length > 0) {
-      buffer = file.data;
-    } else {
-      return res.status(400).json({
-        error: { message: 'Uploaded file has no data. Please try again or use a different file.' },
-      });
-    }
-    if (!buffer || buffer.length === 0) {
-      return res.status(400).json({
-        error: { message: 'File is empty. Please upload a valid resume file.' },
-      });
+    const theme = themeFromRequest(req.body);
+    const visitorId = visitorIdOf(req);
+    const buffer = await readUploadBuffer(file);
+    if (!buffer) {
+      return res.status(400).json({ error: { message: 'File is empty. Please upload a valid resume file.' } });
     }
 
-    // 1) Store in Supabase Storage (if configured), then log every upload to resume_uploads
-    console.log('[ResumeToSite] Upload request: file=', file.name, 'size=', buffer.length, 'supabase=', !!supabase);
-    const storedPath = await storeFileInSupabase(file, buffer);
-    console.log('[ResumeToSite] After storage: storedPath=', storedPath);
-    let resumeUploadId = null;
-    if (supabase) {
-      resumeUploadId = await logResumeUpload(storedPath, file.name || 'resume', buffer.length, template, visitorId);
-    }
+    assertSupported(file.mimetype, file.name);
 
-    // 2) Extract text from file (pass a copy for pdf-parse to avoid stream issues)
-    const rawText = await extractTextFromFile(Buffer.from(buffer), file.mimetype, file.name);
-    console.log('[ResumeToSite] Extracted raw text length=', rawText ? rawText.length : 0);
-
-    // 3) Clean and minimize data before sending to LLM
-    const cleanedText = cleanResumeData(rawText);
-    if (!cleanedText) {
-      return res.status(400).json({
-        error: { message: 'Could not extract text from the file. Try a different file or paste text.' },
-      });
+    await bindVisitor(req, res, visitorId);
+    const storedPath = await storeUpload(file, buffer);
+    const resumeUploadId = await logResumeUpload(storedPath, file.name || 'resume', buffer.length, theme, visitorId, userIdOf(req));
+    log.addLogContext({ uploadId: resumeUploadId });
+
+    const extracted = await extractResume(Buffer.from(buffer), file.mimetype, file.name);
+    if (!extracted.resume && !extracted.text.trim()) {
+      return res.status(400).json({ error: { message: 'Could not extract text from the file. Try a different file or paste text.' } });
+    }
+    const resume = extracted.resume || parseResumeText(cleanResumeData(extracted.text, { maxLength: 0 }));
+    const { valid, errors, warnings } = validateResume(resume);
+    if (!valid) {
+      // Parser output should always be structurally valid; treat this as a server bug.
+      log.error('Parser produced invalid resume', { errors });
+      return res.status(500).json({ error: { message: 'Resume parsing failed.', details: errors } });
     }
-    console.log('[ResumeToSite] Cleaned text length=', cleanedText.length, 'template=', template);
+    const stored = await saveParsedResume(resumeUploadId, resume);
+    log.info('Parsed resume', { uploadId: resumeUploadId, work: resume.work.length, education: resume.education.length, warnings: warnings.length });
 
-    // 4) Generate HTML via LLM (placeholder key supported)
-    console.log('[ResumeToSite] Calling LLM (Gemini)...');
-    const html = await generateHtmlWithLLM(cleanedText, template);
-    console.log('[ResumeToSite] LLM returned HTML length=', html ? html.length : 0, 'startsWith <!DOCTYPE=', html ? html.trimStart().startsWith('<!DOCTYPE') : false);
+    res.status(200).json({
+      data: { resume, warnings, resumeUploadId, stored },
+      ...(storedPath && { storedPath }),
+    });
+  } catch (err) {
+    log.error('Parse error', { err });
+    res.status(err.status || 500).json({ error: { message: err.message || 'Failed to parse resume', ...(err.details && { details: err.details }) } });
+  }
+});
 
-    if (resumeUploadId && html) await saveGenerationResult(resumeUploadId, 'gemini-2.0-flash', html);
+// PUT /api/generate/parse/:uploadId - save user-corrected JSON Resume data for an upload
+router.put('/parse/:uploadId', async (req, res) => {
+  try {
+    const resume = req.body && req.body.resume;
+    const warnings = assertValidResume(resume);
+    const upload = UUID_RE.test(req.params.uploadId) ? await getStorage().db.get('resume_uploads', req.params.uploadId) : null;
+    if (!upload || !canAccess(req, upload)) throw httpError(404, 'Upload not found.');
+    const stored = await saveParsedResume(upload.id, resume);
+    res.status(200).json({ data: { resume, warnings, resumeUploadId: upload.id, stored } });
+  } catch (err) {
+    sendError(res, err, 'Failed to save resume data');
+  }
+});
 
-    // 5) Respond with HTML for frontend to preview/render
+// POST /api/generate/render - JSON { resume, theme? | template? } → built-in template HTML (no LLM, no storage)
+router.post('/render', (req, res) => {
+  const resume = req.body && req.body.resume;
+  const { valid, errors } = validateResume(resume);
+  if (!valid) {
+    return res.status(400).json({ error: { message: 'Invalid resume data.', details: errors } });
+  }
+  try {
+    const theme = themeFromRequest(req.body);
+    res.status(200).json({ data: { html: renderSite(resume, theme), provider: 'template', template: theme.template, theme } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: { message: err.message, ...(err.details && { details: err.details }) } });
+  }
+});
+
+// GET /api/generate/quota?visitor_id= - token quota left today and this month (the signed-in user's, else the visitor's)
+router.get('/quota', async (req, res) => {
+  try {
+    const quota = await getQuota({ userId: userIdOf(req), visitorId: visitorIdOf(req) });
+    if (!quota) {
+      return res.status(400).json({ error: { message: 'visitor_id is required when not logged in.' } });
+    }
+    res.status(200).json({ data: { quota } });
+  } catch (err) {
+    log.error('Quota error', { err });
+    res.status(500).json({ error: { message: err.message || 'Failed to load quota' } });
+  }
+});
+
+// GET /api/generate/history?visitor_id=&limit=&offset= - uploads (newest first) with their generations:
+// the signed-in user's, else the anonymous visitor's (uploads no account owns)
+router.get('/history', async (req, res) => {
+  try {
+    const visitorId = visitorIdOf(req);
+    if (!req.user && !visitorId) {
+      return res.status(400).json({ error: { message: 'visitor_id is required when not logged in.' } });
+    }
+    const owner = req.user ? { user_id: req.user.id } : { visitor_id: visitorId, user_id: null };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), HISTORY_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { db } = getStorage();
+    const uploads = await db.find('resume_uploads', owner, { orderBy: 'created_at', desc: true, limit, offset });
+    const generations = uploads.length
+      ? await db.find('generation_results', { resume_upload_id: { in: uploads.map((u) => u.id) } }, {
+        columns: ['id', 'resume_upload_id', 'llm_model', 'llm_provider', 'template', 'theme', 'validation', 'parent_id', 'instruction', 'job_target_id', 'input_mode', 'input_tokens', 'output_tokens', 'cost_usd', 'created_at'],
+        orderBy: 'created_at',
+        desc: true,
+      })
+      : [];
+    const jobTargets = uploads.length
+      ? await db.find('job_targets', { resume_upload_id: { in: uploads.map((u) => u.id) } }, {
+        columns: ['id', 'resume_upload_id', 'label', 'url', 'created_at'],
+        orderBy: 'created_at',
+      })
+      : [];
+    const total = await db.count('resume_uploads', owner);
     res.status(200).json({
-      data: { html },
-      ...(storedPath && { storedPath }),
+      data: {
+        uploads: uploads.map((u) => ({
+          id: u.id,
+          fileName: u.file_name,
+          fileSize: u.file_size,
+          template: u.template,
+          theme: themeOf(u),
+          createdAt: u.created_at,
+          canRegenerate: !!(u.storage_path || u.parsed_resume),
+          generations: generations.filter((g) => g.resume_upload_id === u.id).map(generationSummary),
+          jobTargets: jobTargets.filter((t) => t.resume_upload_id === u.id).map((t) => ({ ...jobTargetSummary(t), createdAt: t.created_at })),
+        })),
+        total,
+        limit,
+        offset,
+      },
     });
   } catch (err) {
-    console.error('Generate upload error:', err);
-    const status = err.status || 500;
-    let message = err.message || 'Failed to generate website';
-    if (status === 401) {
-      message = 'Invalid API key. If using Gemini set GEMINI_API_KEY in .env (from https://aistudio.google.com/apikey). If using Anthropic set LLM_API_KEY (from https://console.anthropic.com/). No quotes or spaces.';
+    log.error('History error', { err });
+    res.status(500).json({ error: { message: err.message || 'Failed to load history' } });
+  }
+});
+
+// POST /api/generate/:uploadId/regenerate - JSON { theme? | template?, provider?, model?, stream?, regenerate?, job_description? (+ job_label?,
+// job_url?) | job_target_id?, input_mode? }: generate again from the stored upload, with the upload's own theme unless another is sent, tailored
+// to a new job posting or one of the upload's earlier ones (the earlier page for the same input is reused unless `regenerate` is true)
+router.post('/:uploadId/regenerate', async (req, res) => {
+  try {
+    const attempts = providersFromRequest(req);
+    const jobTarget = jobTargetFromRequest(req.body);
+    const inputMode = inputModeFromRequest(req.body);
+    const { upload, cleanedText, resume, extracted, buffer } = await loadStoredUpload(req.params.uploadId, req, { allowEmpty: inputMode !== 'text' });
+    const mediaType = contentTypeOf(null, upload.file_name || upload.storage_path);
+    assertDocumentInput(inputMode, mediaType, attempts);
+    const input = chooseInput(inputMode, { mediaType, extracted, resume, reviewed: !!upload.parsed_resume, attempts });
+    if (!cleanedText && input.mode === 'text') throw httpError(400, 'Could not extract text from the stored file.');
+    const document = input.mode === 'document' ? documentOf(buffer || await loadStoredFile(upload), mediaType, upload.file_name) : null;
+    const images = await loadUploadImages(upload.id);
+    const theme = themeFromRequest(req.body, themeOf(upload));
+    const target = jobTarget
+      ? { ...jobTarget, id: await saveJobTarget(upload.id, jobTarget) }
+      : req.body && req.body.job_target_id ? await loadJobTarget(req.body.job_target_id, upload.id) : null;
+    log.info('Regenerate upload', { uploadId: upload.id, template: theme.template, from: upload.parsed_resume ? 'parsed_resume' : 'stored file', input });
+    const owner = { userId: userIdOf(req), visitorId: visitorIdOf(req) || upload.visitor_id };
+    await checkQuota(attempts, owner);
+    const job = startGenerationJob('regenerate', owner, upload.id, (ctx) => runGeneration(ctx, {
+      cleanedText, theme, resumeUploadId: upload.id, attempts, resume, owner, images, target, input, document, fresh: bodyFlag(req, 'regenerate'),
+    }));
+    if (bodyFlag(req, 'stream')) return streamJob(job, req, res);
+    const data = await waitForJob(job, res);
+    res.status(200).json({ data });
+  } catch (err) {
+    log.error('Regenerate error', { err });
+    if (!res.headersSent) {
+      res.status(err.status || 500).json({
+        error: { message: err.message || 'Failed to regenerate website', ...(err.details && { details: err.details }) },
+      });
     }
-    res.status(status).json({
-      error: { message },
+  }
+});
+
+// GET /api/generate/:uploadId/variants - the job postings an upload was tailored to, each with its pages (newest first)
+// and the published sites showing one of them, so every employer can get its own link
+router.get('/:uploadId/variants', async (req, res) => {
+  try {
+    const { db } = getStorage();
+    const upload = UUID_RE.test(req.params.uploadId) ? await db.get('resume_uploads', req.params.uploadId) : null;
+    if (!upload || !canAccess(req, upload)) {
+      return res.status(404).json({ error: { message: 'Upload not found.' } });
+    }
+    const targets = await db.find('job_targets', { resume_upload_id: upload.id }, { columns: ['id', 'label', 'url', 'created_at'], orderBy: 'created_at' });
+    const generations = targets.length
+      ? await db.find('generation_results', { job_target_id: { in: targets.map((t) => t.id) } }, {
+        columns: ['id', 'resume_upload_id', 'llm_model', 'llm_provider', 'template', 'theme', 'validation', 'parent_id', 'instruction', 'job_target_id', 'input_mode', 'input_tokens', 'output_tokens', 'cost_usd', 'created_at'],
+        orderBy: 'created_at',
+        desc: true,
+      })
+      : [];
+    const sites = await sitesShowing(generations.map((g) => g.id));
+    res.status(200).json({
+      data: {
+        resumeUploadId: upload.id,
+        variants: targets.map((t) => {
+          const pages = generations.filter((g) => g.job_target_id === t.id);
+          const ids = pages.map((g) => g.id);
+          return {
+            ...jobTargetSummary(t),
+            createdAt: t.created_at,
+            latestGenerationId: ids[0] || null,
+            generations: pages.map(generationSummary),
+            sites: sites.filter((site) => ids.includes(site.generationId)),
+          };
+        }),
+      },
     });
+  } catch (err) {
+    log.error('Variants error', { err });
+    res.status(500).json({ error: { message: err.message || 'Failed to load variants' } });
   }
 });
 
-// POST /api/generate/upload-stream - same as upload but streams HTML via SSE (Gemini only)
-router.post('/upload-stream', async (req, res) => {
+// POST /api/generate/:generationId/refine - JSON { instruction, provider?, model? }: edit a stored page, streamed as job SSE;
+// the result is saved as a new generation whose parent is :generationId (and job target, when it was tailored)
+router.post('/:generationId/refine', async (req, res) => {
   try {
-    if (!req.files || !req.files.resume) {
-      return res.status(400).json({ error: { message: 'No resume file uploaded. Use field name "resume".' } });
+    const instruction = String((req.body && req.body.instruction) || '').trim();
+    if (!instruction) {
+      return res.status(400).json({ error: { message: 'Describe the change, e.g. "make the header darker".' } });
     }
-    const file = req.files.resume;
-    const template = (req.body && req.body.template) || 'modern';
-    const visitorId = (req.body && req.body.visitor_id) ? String(req.body.visitor_id).trim() : null;
-    let buffer;
-    if (file.tempFilePath) {
-      buffer = await fs.readFile(file.tempFilePath);
-    } else if (Buffer.isBuffer(file.data) && file.data.length > 0) {
-      buffer = file.data;
-    } else {
-      return res.status(400).json({ error: { message: 'Uploaded file has no data.' } });
+    if (instruction.length > INSTRUCTION_MAX_LENGTH) {
+      return res.status(400).json({ error: { message: `Keep the instruction under ${INSTRUCTION_MAX_LENGTH} characters.` } });
     }
-    if (!buffer || buffer.length === 0) {
-      return res.status(400).json({ error: { message: 'File is empty.' } });
+    // The built-in templates can't follow instructions, so they are neither used nor a fallback here.
+    const attempts = providersFromRequest(req).filter((a) => a.provider.name !== 'template');
+    if (!attempts.length) {
+      return res.status(400).json({ error: { message: 'Refining needs an AI provider; the built-in templates cannot follow instructions.' } });
     }
-    let resumeUploadId = null;
-    if (supabase) {
-      const storedPath = await storeFileInSupabase(file, buffer);
-      resumeUploadId = await logResumeUpload(storedPath, file.name || 'resume', buffer.length, template, visitorId);
+    const { db } = getStorage();
+    const parent = UUID_RE.test(req.params.generationId) ? await db.get('generation_results', req.params.generationId) : null;
+    if (!parent || !canAccess(req, parent)) {
+      return res.status(404).json({ error: { message: 'Generation not found.' } });
     }
-    const rawText = await extractTextFromFile(Buffer.from(buffer), file.mimetype, file.name);
-    const cleanedText = cleanResumeData(rawText);
-    if (!cleanedText) {
-      return res.status(400).json({ error: { message: 'Could not extract text from the file.' } });
+    if (!parent.llm_html) {
+      return res.status(400).json({ error: { message: 'That generation has no HTML to refine.' } });
     }
-    console.log('[ResumeToSite] Stream starting, cleaned length=', cleanedText.length);
-    await streamWithGemini(cleanedText, template, res, resumeUploadId);
+    // Reviewed resume data, when the upload has it, keeps the fact checks working on the edited page.
+    const upload = await db.get('resume_uploads', parent.resume_upload_id);
+    const resume = upload && upload.parsed_resume ? upload.parsed_resume : null;
+    const images = await loadUploadImages(parent.resume_upload_id);
+    const target = parent.job_target_id ? await loadJobTarget(parent.job_target_id, parent.resume_upload_id).catch(() => null) : null;
+    log.info('Refine generation', { generationId: parent.id, instructionLength: instruction.length });
+    const owner = { userId: parent.user_id, visitorId: visitorIdOf(req) || parent.visitor_id || (upload && upload.visitor_id) };
+    await checkQuota(attempts, owner);
+    const job = startGenerationJob('refine', owner, parent.resume_upload_id, (ctx) => runGeneration(ctx, {
+      theme: themeOf(parent),
+      resumeUploadId: parent.resume_upload_id,
+      attempts,
+      resume,
+      owner,
+      images,
+      target,
+      refine: { parentId: parent.id, html: parent.llm_html, instruction },
+    }));
+    streamJob(job, req, res);
   } catch (err) {
-    console.error('[ResumeToSite] Upload-stream error:', err);
+    log.error('Refine error', { err });
     if (!res.headersSent) {
-      res.status(500).json({ error: { message: err.message || 'Stream failed' } });
+      res.status(err.status || 500).json({
+        error: { message: err.message || 'Failed to refine website', ...(err.details && { details: err.details }) },
+      });
+    }
+  }
+});
+
+// GET /api/generate/:id/export.zip?sections=1&base_url= - the page as a deployable static site
+router.get('/:id/export.zip', async (req, res) => {
+  try {
+    const { db } = getStorage();
+    const row = UUID_RE.test(req.params.id) ? await db.get('generation_results', req.params.id) : null;
+    if (!row || !canAccess(req, row)) {
+      return res.status(404).json({ error: { message: 'Generation not found.' } });
     }
+    if (!row.llm_html) {
+      return res.status(400).json({ error: { message: 'That generation has no HTML to export.' } });
+    }
+    const upload = await db.get('resume_uploads', row.resume_upload_id);
+    const basics = upload && upload.parsed_resume && upload.parsed_resume.basics;
+    const zip = await buildStaticSite(row.llm_html, {
+      name: basics && basics.name,
+      images: await loadUploadImages(row.resume_upload_id),
+      baseUrl: req.query.base_url,
+      sections: ['1', 'true'].includes(String(req.query.sections)),
+    });
+    log.info('Exported generation as ZIP', { generationId: row.id, bytes: zip.length });
+    res.setHeader('Content-Disposition', `attachment; filename="portfolio-${row.id.slice(0, 8)}.zip"`);
+    res.status(200).type('application/zip').send(zip);
+  } catch (err) {
+    if (!err.status) log.error('Export error', { err });
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to export website' } });
+  }
+});
+
+/** The stored generation `id` the request's user may access; 404 otherwise, 400 when it has no HTML. */
+async function loadGenerationWithHtml(id, req) {
+  const row = UUID_RE.test(id) ? await getStorage().db.get('generation_results', id) : null;
+  if (!row || !canAccess(req, row)) throw httpError(404, 'Generation not found.');
+  if (!row.llm_html) throw httpError(400, 'That generation has no HTML.');
+  return row;
+}
+
+// GET /api/generate/:id/audit - accessibility and SEO report for a stored page: { score, findings }
+router.get('/:id/audit', async (req, res) => {
+  try {
+    const row = await loadGenerationWithHtml(req.params.id, req);
+    const images = await loadUploadImages(row.resume_upload_id);
+    res.status(200).json({ data: { generationId: row.id, ...auditHtml(row.llm_html, { images }) } });
+  } catch (err) {
+    if (!err.status) log.error('Audit error', { err });
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to audit website' } });
+  }
+});
+
+// POST /api/generate/:id/audit/fix - fill in lang, viewport, title, description, Open Graph tags, Person JSON-LD and
+// uploaded images' alt text from the parsed resume; saved as a new generation whose parent is :id (409 when nothing is fixable)
+router.post('/:id/audit/fix', async (req, res) => {
+  try {
+    const row = await loadGenerationWithHtml(req.params.id, req);
+    const images = await loadUploadImages(row.resume_upload_id);
+    let resume = null;
+    try {
+      ({ resume } = await loadStoredUpload(row.resume_upload_id, req));
+    } catch (e) {
+      log.warn('Audit fix without resume data', { generationId: row.id, err: e });
+    }
+    const { html, fixed } = fixHtml(row.llm_html, { resume, images });
+    if (!fixed.length) {
+      return res.status(409).json({ error: { message: 'Nothing on this page can be fixed automatically.' } });
+    }
+    const generationId = await saveGenerationResult(row.resume_upload_id, {
+      model: row.llm_model,
+      provider: row.llm_provider,
+      theme: themeOf(row),
+      html,
+      validation: row.validation,
+      userId: row.user_id,
+      visitorId: row.visitor_id,
+      costUsd: 0,
+      parentId: row.id,
+      instruction: AUDIT_FIX_INSTRUCTION,
+      jobTargetId: row.job_target_id,
+    });
+    log.info('Audit fixes saved', { generationId: row.id, fixed, newGenerationId: generationId });
+    res.status(200).json({
+      data: { generationId, parentId: row.id, fixed, html: inlineImages(html, images), audit: auditHtml(html, { images }) },
+    });
+  } catch (err) {
+    if (!err.status) log.error('Audit fix error', { err });
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Failed to fix website' } });
+  }
+});
+
+// GET /api/generate/:id - one stored generation (?download=1 sends the HTML file itself); images are inlined
+router.get('/:id', async (req, res) => {
+  try {
+    const row = UUID_RE.test(req.params.id) ? await getStorage().db.get('generation_results', req.params.id) : null;
+    if (!row || !canAccess(req, row)) {
+      return res.status(404).json({ error: { message: 'Generation not found.' } });
+    }
+    const html = await selfContainedHtml(row);
+    if (req.query.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="portfolio-${row.id.slice(0, 8)}.html"`);
+      return res.status(200).type('html').send(html || '');
+    }
+    res.status(200).json({
+      data: {
+        ...generationSummary(row),
+        resumeUploadId: row.resume_upload_id,
+        html,
+        validation: row.validation,
+        audit: row.llm_html ? auditHtml(row.llm_html, { images: await loadUploadImages(row.resume_upload_id) }) : null,
+      },
+    });
+  } catch (err) {
+    log.error('Generation fetch error', { err });
+    res.status(500).json({ error: { message: err.message || 'Failed to load generation' } });
   }
 });
 
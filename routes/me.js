@@ -0,0 +1,28 @@
+// routes/me.js - The caller's own data: right to erasure
+const express = require('express');
+const router = express.Router();
+const auth = require('../lib/auth');
+const { eraseOwnerData } = require('../lib/privacy');
+const log = require('../lib/logger');
+
+function paramOf(req, name) {
+  const v = (req.body && req.body[name]) || req.query[name] || '';
+  return v ? String(v).trim() : null;
+}
+
+// DELETE /api/me/data - JSON or query { visitor_id?, delete_account? }: delete every upload, file, generation,
+// run and published site of the signed-in user and/or this visitor; delete_account=true also removes the account
+router.delete('/data', async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    const deleteAccount = ['true', '1', 'on'].includes(String(paramOf(req, 'delete_account')).toLowerCase());
+    const deleted = await eraseOwnerData({ userId, visitorId: paramOf(req, 'visitor_id') }, { deleteAccount });
+    if (deleted.account) auth.clearSessionCookie(res);
+    res.status(200).json({ data: { deleted } });
+  } catch (err) {
+    if (!err.status) log.error('Erase error', { err });
+    res.status(err.status || 500).json({ error: { message: err.status ? err.message : 'Could not delete your data' } });
+  }
+});
+
+module.exports = router;
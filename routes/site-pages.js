@@ -0,0 +1,52 @@
+// routes/site-pages.js - Serve published sites at /s/:slug
+const express = require('express');
+const router = express.Router();
+const { findPublished, findPublishedAsset } = require('../lib/sites');
+const { rewriteImageRefs } = require('../lib/images');
+const log = require('../lib/logger');
+
+// Published pages are user-generated HTML on the app's own origin. The sandbox CSP gives
+// them an opaque origin, so their scripts can't read the app's cookies or call its API.
+const SITE_CSP = 'sandbox allow-scripts allow-popups allow-popups-to-escape-sandbox allow-forms';
+
+const NOT_FOUND_HTML = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="robots" content="noindex"><title>Site not found</title>
+<style>body{font-family:system-ui,sans-serif;display:flex;min-height:100vh;align-items:center;justify-content:center;margin:0;color:#333}main{text-align:center}a{color:#4f46e5}</style>
+</head><body><main><h1>Site not found</h1><p>This page doesn't exist or has been unpublished.</p><p><a href="/">Make your own with ResumeToSite</a></p></main></body></html>`;
+
+// GET /s/:slug - the current version of a published site
+router.get('/:slug', async (req, res) => {
+  try {
+    const found = await findPublished(req.params.slug);
+    if (!found) {
+      return res.status(404).set('X-Robots-Tag', 'noindex').type('html').send(NOT_FOUND_HTML);
+    }
+    res.set('Content-Security-Policy', SITE_CSP);
+    res.set('Cache-Control', 'public, max-age=60');
+    if (found.site.noindex) res.set('X-Robots-Tag', 'noindex, nofollow');
+    // images/photo.webp would resolve against /s/, so point the page at this site's copies
+    const slug = encodeURIComponent(found.site.slug);
+    res.type('html').send(rewriteImageRefs(found.html, found.assets, (a) => `/s/${slug}/images/${a.name}`));
+  } catch (err) {
+    log.error('Site page error', { err });
+    res.status(500).type('text').send('Something went wrong loading this site.');
+  }
+});
+
+// GET /s/:slug/images/:name - an image of the site's current version
+router.get('/:slug/images/:name', async (req, res) => {
+  try {
+    const asset = await findPublishedAsset(req.params.slug, req.params.name);
+    if (!asset) return res.status(404).type('text').send('Not found');
+    res.set('Cache-Control', 'public, max-age=60');
+    res.set('X-Content-Type-Options', 'nosniff');
+    // The sandboxed page loads this from an opaque origin, which same-origin CORP would block
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.type(asset.contentType).send(asset.buffer);
+  } catch (err) {
+    log.error('Site image error', { err });
+    res.status(500).type('text').send('Something went wrong loading this image.');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+// routes/sites.js - Publish stored generations at /s/:slug, with versions, rollback, unpublish and noindex
+const express = require('express');
+const router = express.Router();
+const sites = require('../lib/sites');
+const log = require('../lib/logger');
+
+/** { userId, visitorId } of the caller; visitor_id may come from the body or the query string. */
+function ownerOf(req) {
+  const visitorId = (req.body && req.body.visitor_id) || req.query.visitor_id || '';
+  return { userId: req.user ? req.user.id : null, visitorId: visitorId ? String(visitorId).trim() : null };
+}
+
+function sendError(res, err, fallback) {
+  if (!err.status) log.error('Sites error', { err });
+  res.status(err.status || 500).json({ error: { message: err.status ? err.message : fallback } });
+}
+
+async function respondWithSite(res, site, status = 200) {
+  res.status(status).json({ data: { site: sites.describeSite(site, await sites.listVersions(site.id)) } });
+}
+
+// GET /api/sites/check?slug=&visitor_id= - is this address free (or already yours) and allowed?
+router.get('/check', async (req, res) => {
+  try {
+    res.status(200).json({ data: await sites.checkSlug(req.query.slug, ownerOf(req)) });
+  } catch (err) {
+    sendError(res, err, 'Could not check the address');
+  }
+});
+
+// GET /api/sites?visitor_id= - the caller's sites
+router.get('/', async (req, res) => {
+  try {
+    res.status(200).json({ data: { sites: await sites.listSites(ownerOf(req)) } });
+  } catch (err) {
+    sendError(res, err, 'Could not load sites');
+  }
+});
+
+// POST /api/sites - JSON { generation_id, slug, noindex?, visitor_id? }: publish (re-publishing adds a version).
+// `generationId` is still read for clients written before the body went snake_case.
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { slug, noindex } = body;
+    const generationId = body.generation_id || body.generationId;
+    const { site, created } = await sites.publish({ generationId, slug, noindex }, ownerOf(req));
+    await respondWithSite(res, site, created ? 201 : 200);
+  } catch (err) {
+    sendError(res, err, 'Publishing failed');
+  }
+});
+
+// GET /api/sites/:slug?visitor_id= - one of the caller's sites with its versions
+router.get('/:slug', async (req, res) => {
+  try {
+    await respondWithSite(res, await sites.getOwnedSite(req.params.slug, ownerOf(req)));
+  } catch (err) {
+    sendError(res, err, 'Could not load the site');
+  }
+});
+
+// PATCH /api/sites/:slug - JSON { published?, noindex?, visitor_id? }: unpublish / republish, robots toggle
+router.patch('/:slug', async (req, res) => {
+  try {
+    const site = await sites.getOwnedSite(req.params.slug, ownerOf(req));
+    await respondWithSite(res, await sites.updateSite(site, req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Could not update the site');
+  }
+});
+
+// POST /api/sites/:slug/rollback - JSON { version, visitor_id? }: serve an earlier version again
+router.post('/:slug/rollback', async (req, res) => {
+  try {
+    const site = await sites.getOwnedSite(req.params.slug, ownerOf(req));
+    await respondWithSite(res, await sites.rollback(site, req.body && req.body.version));
+  } catch (err) {
+    sendError(res, err, 'Rollback failed');
+  }
+});
+
+// DELETE /api/sites/:slug?visitor_id= - remove the site and its versions (frees the slug)
+router.delete('/:slug', async (req, res) => {
+  try {
+    await sites.deleteSite(await sites.getOwnedSite(req.params.slug, ownerOf(req)));
+    res.status(200).json({ data: { deleted: true } });
+  } catch (err) {
+    sendError(res, err, 'Could not delete the site');
+  }
+});
+
+module.exports = router;
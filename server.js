@@ -3,18 +3,79 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const morgan = require('morgan');
 const dotenv = require('dotenv');
 const fileUpload = require('express-fileupload');
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
 
 // Load environment variables
 dotenv.config();
 
+const log = require('./lib/logger');
+const { httpRequests, httpDuration, collect, renderMetrics } = require('./lib/metrics');
+const { checkReadiness } = require('./lib/readiness');
+
 // Import routes
 const generateRoutes = require('./routes/generate');
+const authRoutes = require('./routes/auth');
+const siteRoutes = require('./routes/sites');
+const sitePageRoutes = require('./routes/site-pages');
+const adminRoutes = require('./routes/admin');
+const meRoutes = require('./routes/me');
+const { attachUser } = require('./lib/auth');
+const { getStorage, describeStorage } = require('./lib/storage');
+const { jobStats } = require('./lib/jobs');
+const { providerStats } = require('./lib/providers');
+const { cacheStats } = require('./lib/generation-cache');
+const { startRetentionSchedule } = require('./lib/privacy');
+
+// Open storage now so a bad STORAGE_BACKEND / DATABASE_BACKEND fails at startup (SQLite migrates here)
+getStorage();
+// Purge uploads older than RETENTION_DAYS, and expired sessions, on a timer
+startRetentionSchedule();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
+// Probes and scrapes arrive every few seconds; their access lines are only logged at LOG_LEVEL=debug
+const QUIET_PATHS = new Set(['/health', '/ready', '/metrics']);
+const REQUEST_ID_RE = /^[\w.-]{1,64}$/;
+
+/** Continue the middleware chain inside the request's log context (lib/logger.js). */
+function inRequestContext(req, res, next) {
+  log.withLogContext({ requestId: req.id }, next);
+}
+
+// Request id: the caller's X-Request-Id (e.g. from a proxy) when it looks safe, else a new one.
+// It is sent back, and every log line written for the request (and for jobs it starts) carries it.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  inRequestContext(req, res, next);
+});
+
+// Access log and HTTP metrics, once the response is done (or the client went away).
+// `route` is the matched pattern (/api/generate/jobs/:id), so ids never become metric labels.
+app.use((req, res, next) => {
+  const stop = httpDuration.startTimer({ method: req.method });
+  res.once('close', AsyncResource.bind(() => {
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    const seconds = stop({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    const line = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      ms: Math.round(seconds * 1000),
+      ...(!res.writableFinished && { aborted: true }),
+    };
+    if (QUIET_PATHS.has(req.path)) log.debug('Request', line);
+    else log.info('Request', line);
+  }));
+  next();
+});
 
 // Security middleware
 app.use(helmet({
@@ -32,12 +93,15 @@ app.use(cors({
 }));
 
 // Rate limiting
+// Per-IP burst protection for every API write; generation has its own, stricter limit below.
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 10, // Limit each IP to 10 requests per windowMs
+  windowMs: (Number(process.env.RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: Number(process.env.RATE_LIMIT_MAX) || 60, // requests per IP per window
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Reads (history, current user, stored pages) are cheap; the limit is for uploads, generation and logins
+  skip: (req) => req.method === 'GET',
 });
 
 // Apply rate limiter to API routes
@@ -57,39 +121,106 @@ app.use(fileUpload({
   tempFileDir: os.tmpdir(),
   createParentPath: true,
   safeFileNames: true,
-  preserveExtension: true,
+  preserveExtension: 8, // keep whole extensions (.docx, .jpeg, .markdown); `true` would cut them to 3 characters
 }));
-
-// Logging
-if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
-} else {
-  app.use(morgan('combined'));
-}
-
-// Health check endpoint
+// The body parsers and file upload call next() from stream events, outside the request's context
+app.use(inRequestContext);
+
+// Requests that call an LLM provider, per IP. The visitor token quotas (lib/quotas.js) are keyed on a
+// client-supplied visitor_id that a script can rotate, so this limit is what bounds anonymous spend.
+// Mounted after the body parsers so built-in templates (provider=template, no LLM call) can skip it.
+const generateLimiter = rateLimit({
+  windowMs: (Number(process.env.GENERATE_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: Number(process.env.GENERATE_RATE_LIMIT_MAX) || 10, // generations per IP per window
+  message: { error: { message: 'Too many generations from this IP, please try again later.' } },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !!req.body && req.body.provider === 'template',
+});
+app.post([
+  '/api/generate/upload',
+  '/api/generate/upload-stream',
+  '/api/generate/jobs',
+  '/api/generate/:uploadId/regenerate',
+  '/api/generate/:generationId/refine',
+], generateLimiter);
+
+// Liveness: the process is up (no dependencies checked; see /ready)
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    storage: describeStorage(),
+    jobs: jobStats(),
+    providers: providerStats(),
+    generationCache: cacheStats(),
   });
 });
 
+// Readiness: storage and the first provider answer (lib/readiness.js); 503 when any of them doesn't
+app.get('/ready', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'unavailable', timestamp: new Date().toISOString(), checks });
+});
+
+// Values read at scrape time, next to the ones the pipeline records (lib/metrics.js)
+collect('jobs', 'Generation jobs currently held in memory, by status.', 'gauge',
+  () => Object.entries(jobStats()).map(([status, value]) => ({ labels: { status }, value })));
+collect('llm_slots', 'Provider call slots (LLM_CONCURRENCY): max, active and waiting calls.', 'gauge',
+  () => Object.entries(providerStats()).map(([state, value]) => ({ labels: { state }, value })));
+collect('generation_cache_total', 'Generation cache lookups since start: hits, misses and bypassed.', 'counter',
+  () => Object.entries(cacheStats()).map(([result, value]) => ({ labels: { result }, value })));
+collect('process_uptime_seconds', 'Seconds since the process started.', 'gauge', () => process.uptime());
+collect('process_memory_bytes', 'Process memory (rss, heapTotal, heapUsed, external).', 'gauge',
+  () => Object.entries(process.memoryUsage()).filter(([type]) => type !== 'arrayBuffers').map(([type, value]) => ({ labels: { type }, value })));
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN) {
+    const sent = crypto.createHash('sha256').update((req.get('Authorization') || '').replace(/^Bearer\s+/i, '')).digest();
+    const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+    if (!crypto.timingSafeEqual(sent, expected)) {
+      return res.status(401).json({ error: { message: 'Metrics require Authorization: Bearer <METRICS_TOKEN>.' } });
+    }
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Session cookie → req.user (null when signed out)
+app.use('/api', attachUser);
+
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api/generate', generateRoutes);
+app.use('/api/sites', siteRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/admin', adminRoutes);
 
-// Serve frontend from project root (so you can open http://localhost:3000/)
+// Published sites
+app.use('/s', sitePageRoutes);
+
+// Frontend pages (so you can open http://localhost:3000/). Only these files are served: the
+// project root also holds the source, .env and (in older setups) data/, which must never be reachable.
 const path = require('path');
-app.use(express.static(path.join(__dirname)));
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+const PAGES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/admin': 'admin.html',
+  '/admin.html': 'admin.html',
+  '/resume-to-site-app.html': 'resume-to-site-app.html',
+};
+for (const [route, file] of Object.entries(PAGES)) {
+  app.get(route, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
+  if ((err.status || 500) >= 500) log.error('Unhandled error', { err });
+  else log.warn('Request error', { err });
+
   res.status(err.status || 500).json({
     error: {
       message: err.message || 'Internal server error',
@@ -109,15 +240,14 @@ app.use((req, res) => {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
+  log.info('SIGTERM signal received: closing HTTP server');
   server.close(() => {
-    console.log('HTTP server closed');
+    log.info('HTTP server closed');
   });
 });
 
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+  log.info(`Server running on port ${PORT}`, { port: Number(PORT), environment: process.env.NODE_ENV || 'development', logLevel: log.LOG_LEVEL });
 });
 
 module.exports = app;
\ No newline at end of file
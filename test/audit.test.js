@@ -0,0 +1,89 @@
+// test/audit.test.js - auditHtml scores pages by weighted checks; fixHtml adds the SEO tags and JSON-LD it can
+const test = require('node:test');
+const assert = require('node:assert');
+const { auditHtml, fixHtml, CHECKS } = require('../lib/audit');
+
+const STYLE = '<style>body{color:#111;background:#fff}</style>';
+const bare = `<!DOCTYPE html><html><head>${STYLE}</head><body><h1>Jane Doe</h1><h3>Work</h3><img src="images/photo.webp"></body></html>`;
+const complete = `<!DOCTYPE html><html lang="en"><head>
+<meta name="viewport" content="width=device-width, initial-scale=1"><title>Jane Doe</title>
+<meta name="description" content="Engineer"><meta property="og:title" content="Jane Doe">
+<meta property="og:description" content="Engineer"><meta property="og:type" content="profile">
+<script type="application/ld+json">{"@context":"https://schema.org","@type":"Person","name":"Jane Doe"}</script>${STYLE}
+</head><body><h1>Jane Doe</h1><h2>Work</h2><img src="images/photo.webp" alt="Jane"></body></html>`;
+const images = [{ name: 'photo.webp', kind: 'photo', alt: '' }];
+const resume = {
+  basics: {
+    name: 'Jane Doe',
+    label: 'Frontend Engineer',
+    email: 'jane@example.com',
+    phone: '+1 555 0100',
+    summary: 'Builds fast, accessible web apps.',
+    location: { address: '1 Main Street', city: 'Berlin', countryCode: 'DE' },
+    profiles: [{ network: 'GitHub', url: 'https://github.com/jane' }],
+  },
+  work: [{ name: 'Acme', position: 'Engineer', startDate: '2020-01', endDate: '' }],
+  skills: [{ name: 'Frontend', keywords: ['React', 'TypeScript'] }],
+};
+
+test('the check weights add up to 100', () => {
+  assert.strictEqual(Object.values(CHECKS).reduce((sum, c) => sum + c.weight, 0), 100);
+});
+
+test('a complete page scores 100 with no findings', () => {
+  assert.deepStrictEqual(auditHtml(complete), { score: 100, findings: [] });
+});
+
+test('each failed check costs its weight', () => {
+  const { score, findings } = auditHtml(bare, { images });
+  assert.deepStrictEqual(findings.map((f) => f.id), ['html-lang', 'viewport', 'img-alt', 'heading-order', 'title', 'meta-description', 'open-graph', 'json-ld-person']);
+  assert.strictEqual(score, 100 - findings.reduce((sum, f) => sum + CHECKS[f.id].weight, 0));
+  assert.strictEqual(findings.find((f) => f.id === 'heading-order').fixable, false);
+  assert.strictEqual(auditHtml(bare).findings.find((f) => f.id === 'img-alt').fixable, false);
+});
+
+test('low contrast and blocked zoom are found', () => {
+  const page = complete
+    .replace(STYLE, '<style>body{color:#999;background:#fff}</style>')
+    .replace('initial-scale=1', 'initial-scale=1, user-scalable=no');
+  assert.deepStrictEqual(auditHtml(page).findings.map((f) => f.id), ['viewport-zoom', 'color-contrast']);
+});
+
+test('fixHtml adds Open Graph tags and Person JSON-LD from the resume', () => {
+  const { html, fixed } = fixHtml(bare, { resume, images });
+  assert.deepStrictEqual(fixed, ['html-lang', 'viewport', 'img-alt', 'title', 'meta-description', 'open-graph', 'json-ld-person']);
+  assert.match(html, /<html lang="en">/);
+  assert.match(html, /<title>Jane Doe – Frontend Engineer<\/title>/);
+  assert.match(html, /<meta property="og:type" content="profile">/);
+  assert.match(html, /<meta property="og:title" content="Jane Doe – Frontend Engineer">/);
+  assert.match(html, /<meta property="og:description" content="Builds fast, accessible web apps.">/);
+  assert.match(html, /<img src="images\/photo.webp" alt="Photo of Jane Doe">/);
+
+  const person = JSON.parse(html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1]);
+  assert.deepStrictEqual(person, {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: 'Jane Doe',
+    jobTitle: 'Frontend Engineer',
+    description: 'Builds fast, accessible web apps.',
+    email: 'mailto:jane@example.com',
+    sameAs: ['https://github.com/jane'],
+    worksFor: { '@type': 'Organization', name: 'Acme' },
+    knowsAbout: ['React', 'TypeScript'],
+    address: { '@type': 'PostalAddress', addressLocality: 'Berlin', addressCountry: 'DE' },
+  });
+  assert.deepStrictEqual(auditHtml(html, { images }).findings.map((f) => f.id), ['heading-order']);
+});
+
+test('fixHtml keeps existing tags and escapes the JSON-LD', () => {
+  const page = complete.replace(/<script type="application\/ld\+json">.*<\/script>/, '');
+  const { html, fixed } = fixHtml(page, { resume: { basics: { name: 'Jane </script><script>alert(1)//' } } });
+  assert.deepStrictEqual(fixed, ['json-ld-person']);
+  assert.match(html, /<title>Jane Doe<\/title>/);
+  assert.strictEqual((html.match(/<script/g) || []).length, 1);
+  assert.match(html, /Jane \\u003c\/script>\\u003cscript>alert/);
+});
+
+test('a page with nothing fixable comes back unchanged', () => {
+  assert.deepStrictEqual(fixHtml(complete, { resume }), { html: complete, fixed: [] });
+});
@@ -0,0 +1,115 @@
+// test/auth.test.js - Sessions and magic links expire and can't be replayed; rows are only served to their owner
+const { requestWith } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const auth = require('../lib/auth');
+const { getStorage } = require('../lib/storage');
+
+const past = () => new Date(Date.now() - 60 * 1000).toISOString();
+
+/** The user attachUser finds for `token`, or null. */
+async function userFor(token) {
+  const req = requestWith(token);
+  await auth.attachUser(req, {}, () => {});
+  return req.user;
+}
+
+test('a session signs its user in until it expires', async () => {
+  const user = await auth.signUp('session@example.com', 'correct horse');
+  const session = await auth.createSession(user);
+  assert.strictEqual((await userFor(session.token)).id, user.id);
+
+  const { db } = getStorage();
+  await db.updateWhere('sessions', { user_id: user.id }, { expires_at: past() });
+  assert.strictEqual(await userFor(session.token), null);
+});
+
+test('a destroyed session or an unknown token signs nobody in', async () => {
+  const user = await auth.signUp('logout@example.com', 'correct horse');
+  const session = await auth.createSession(user);
+  await auth.destroySession(session.token);
+  assert.strictEqual(await userFor(session.token), null);
+  assert.strictEqual(await userFor('not-a-real-token'), null);
+});
+
+test('a magic link works once and creates the account', async () => {
+  const { token } = await auth.createMagicLink('Magic@Example.com', 'visitor-1');
+  const { user, visitorId } = await auth.consumeMagicLink(token);
+  assert.strictEqual(user.email, 'magic@example.com');
+  assert.strictEqual(visitorId, 'visitor-1');
+  await assert.rejects(auth.consumeMagicLink(token), { status: 400 });
+});
+
+test('an expired magic link is refused', async () => {
+  const { token } = await auth.createMagicLink('late@example.com');
+  const { db } = getStorage();
+  await db.updateWhere('login_tokens', { email: 'late@example.com' }, { expires_at: past() });
+  await assert.rejects(auth.consumeMagicLink(token), { status: 400, message: /expired/ });
+  assert.strictEqual((await db.find('users', { email: 'late@example.com' })).length, 0);
+});
+
+test('a magic link expires after MAGIC_LINK_TTL_MINUTES', async () => {
+  await auth.createMagicLink('ttl@example.com');
+  const [row] = await getStorage().db.find('login_tokens', { email: 'ttl@example.com' });
+  const minutes = (new Date(row.expires_at) - Date.now()) / 60000;
+  assert.ok(Math.abs(minutes - auth.MAGIC_LINK_TTL_MINUTES) < 1, `expires in ${minutes} minutes`);
+});
+
+test('passwords are checked, with the same error for unknown emails', async () => {
+  await auth.signUp('pw@example.com', 'correct horse');
+  assert.strictEqual((await auth.logIn('PW@example.com', 'correct horse')).email, 'pw@example.com');
+  await assert.rejects(auth.logIn('pw@example.com', 'wrong horse'), { status: 401, message: 'Incorrect email or password.' });
+  await assert.rejects(auth.logIn('nobody@example.com', 'correct horse'), { status: 401, message: 'Incorrect email or password.' });
+});
+
+test('anonymous rows are only served to their own visitor_id', () => {
+  const row = { user_id: null, visitor_id: 'visitor-a' };
+  assert.strictEqual(auth.canAccess({ ...requestWith(), query: { visitor_id: 'visitor-a' } }, row), true);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), body: { visitor_id: 'visitor-a' }, query: {} }, row), true);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), query: { visitor_id: 'visitor-b' } }, row), false);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), query: {} }, row), false);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), query: {} }, { user_id: null, visitor_id: null }), false);
+});
+
+test('an account\'s rows are only served to that signed-in user', () => {
+  const row = { user_id: 'user-1', visitor_id: 'visitor-a' };
+  assert.strictEqual(auth.canAccess({ ...requestWith(), user: { id: 'user-1' }, query: {} }, row), true);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), user: { id: 'user-2' }, query: { visitor_id: 'visitor-a' } }, row), false);
+  assert.strictEqual(auth.canAccess({ ...requestWith(), query: { visitor_id: 'visitor-a' } }, row), false);
+});
+
+/** A fake Express response that records the cookies it sets. */
+function cookieJar() {
+  return { cookies: {}, cookie(name, value) { this.cookies[name] = value; } };
+}
+
+test('logging in claims anonymous history only from the browser that made it', async () => {
+  const { db } = getStorage();
+  const res = cookieJar();
+  await auth.bindVisitor({ headers: {} }, res, 'visitor-claim');
+  const token = res.cookies.rts_visitor;
+  assert.ok(token);
+  await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: 'visitor-claim' });
+
+  const thief = await auth.signUp('thief@example.com', 'correct horse');
+  assert.strictEqual(await auth.claimVisitorHistory(thief.id, 'visitor-claim', null), 0);
+  assert.strictEqual(await auth.claimVisitorHistory(thief.id, 'visitor-claim', 'guessed-token'), 0);
+
+  const owner = await auth.signUp('owner@example.com', 'correct horse');
+  assert.strictEqual(await auth.claimVisitorHistory(owner.id, 'visitor-claim', token), 1);
+  assert.strictEqual(await db.count('resume_uploads', { user_id: owner.id }), 1);
+});
+
+test('a visitor_id can\'t be bound again, or once it has history', async () => {
+  const { db } = getStorage();
+  const first = cookieJar();
+  await auth.bindVisitor({ headers: {} }, first, 'visitor-bound');
+  const second = cookieJar();
+  await auth.bindVisitor({ headers: {} }, second, 'visitor-bound');
+  assert.deepStrictEqual(second.cookies, {});
+
+  await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: 'visitor-old' });
+  const late = cookieJar();
+  await auth.bindVisitor({ headers: {} }, late, 'visitor-old');
+  assert.deepStrictEqual(late.cookies, {});
+});
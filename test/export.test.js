@@ -0,0 +1,82 @@
+// test/export.test.js - The static-site ZIP has every file a host needs; images are bundled or inlined, never linked to the app
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { buildStaticSite } = require('../lib/export');
+const { inlineImages } = require('../lib/images');
+
+const page = `<!DOCTYPE html><html lang="en"><head><title>Jane Doe – Engineer</title>
+<meta name="description" content="Jane's portfolio"><style>body{color:#111}</style></head><body>
+<nav><a href="#work">Work</a> <a href="#contact">Contact</a> <a href="#top">Top</a></nav>
+<h1>Jane Doe</h1><img src="images/photo.webp" alt="Jane">
+<section id="work"><h2>Work</h2><img src="./images/project-1.png" alt="Project"></section>
+<section id="contact"><h2>Contact</h2></section>
+<style media="print">nav{display:none}</style></body></html>`;
+const images = [
+  { name: 'photo.webp', kind: 'photo', contentType: 'image/webp', buffer: Buffer.from('photo-bytes') },
+  { name: 'project-1.png', kind: 'project', contentType: 'image/png', buffer: Buffer.from('project-bytes') },
+  { name: 'project-2.png', kind: 'project', contentType: 'image/png', buffer: Buffer.from('unused') },
+];
+
+async function unzip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.keys(zip.files).filter((name) => !zip.files[name].dir).sort();
+  const text = (name) => zip.file(name).async('string');
+  return { zip, files, text };
+}
+
+test('the ZIP holds the page, its assets and config for every host', async () => {
+  const { files } = await unzip(await buildStaticSite(page, { images }));
+  assert.deepStrictEqual(files, [
+    '.github/workflows/pages.yml', '.nojekyll', '404.html', 'DEPLOY.md', 'favicon.png', 'favicon.svg', 'images/photo.webp',
+    'images/project-1.png', 'index.html', 'netlify.toml', 'og-image.png', 'robots.txt', 'sitemap.xml', 'styles.css', 'vercel.json',
+  ]);
+});
+
+test('styles move to styles.css and the head gets icons, canonical and Open Graph tags', async () => {
+  const { text } = await unzip(await buildStaticSite(page, { baseUrl: 'https://jane.example.org/' }));
+  const index = await text('index.html');
+  assert.doesNotMatch(index, /<style/);
+  assert.strictEqual(await text('styles.css'), 'body{color:#111}\n\n@media print {\nnav{display:none}\n}\n');
+  assert.match(index, /<link rel="stylesheet" href="styles.css">/);
+  assert.match(index, /<link rel="icon" href="favicon.svg" type="image\/svg\+xml">/);
+  assert.match(index, /<link rel="canonical" href="https:\/\/jane.example.org\/">/);
+  assert.match(index, /<meta property="og:image" content="https:\/\/jane.example.org\/og-image.png">/);
+  assert.match(index, /<meta property="og:description" content="Jane's portfolio">/);
+  assert.match(await text('robots.txt'), /Sitemap: https:\/\/jane.example.org\/sitemap.xml/);
+});
+
+test('only the images the page uses are bundled, and the page points at the copies', async () => {
+  const { zip, text } = await unzip(await buildStaticSite(page, { images }));
+  const index = await text('index.html');
+  assert.match(index, /<img src="images\/photo.webp" alt="Jane">/);
+  assert.match(index, /<img src="images\/project-1.png" alt="Project">/);
+  assert.strictEqual(await zip.file('images/photo.webp').async('string'), 'photo-bytes');
+  assert.strictEqual(zip.file('images/project-2.png'), null);
+  assert.match(await text('DEPLOY.md'), /images\/photo.webp, images\/project-1.png/);
+});
+
+test('sections become pages whose links point at each other', async () => {
+  const { files, text } = await unzip(await buildStaticSite(page, { sections: true }));
+  assert.ok(files.includes('work.html') && files.includes('contact.html'));
+  const work = await text('work.html');
+  assert.match(work, /<section id="work">/);
+  assert.doesNotMatch(work, /<section id="contact">/);
+  assert.match(work, /<a href="#work">Work<\/a> <a href="contact.html">Contact<\/a> <a href="index.html#top">Top<\/a>/);
+  assert.match(work, /<link rel="canonical" href="https:\/\/example.com\/work.html">/);
+  const sitemap = await text('sitemap.xml');
+  assert.deepStrictEqual([...sitemap.matchAll(/<loc>(.*?)<\/loc>/g)].map((m) => m[1]),
+    ['https://example.com/', 'https://example.com/work.html', 'https://example.com/contact.html']);
+});
+
+test('a base_url that isn\'t http(s) is a 400', async () => {
+  await assert.rejects(buildStaticSite(page, { baseUrl: 'javascript:alert(1)' }), { status: 400 });
+});
+
+test('single-file downloads inline the upload\'s images as data: URIs', () => {
+  const html = inlineImages(page, images);
+  assert.ok(html.includes(`<img src="data:image/webp;base64,${Buffer.from('photo-bytes').toString('base64')}" alt="Jane">`));
+  assert.ok(html.includes(`<img src="data:image/png;base64,${Buffer.from('project-bytes').toString('base64')}" alt="Project">`));
+  assert.doesNotMatch(html, /images\//);
+  assert.strictEqual(inlineImages(page, []), page);
+});
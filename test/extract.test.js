@@ -0,0 +1,64 @@
+// test/extract.test.js - extractResume picks the reader by extension, then MIME type; unreadable files are 400, unknown ones 415
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { extractResume, formatOf, contentTypeOf } = require('../lib/extract');
+
+async function odt(paragraphs) {
+  const zip = new JSZip();
+  const body = paragraphs.map((p) => `<text:p>${p}</text:p>`).join('');
+  zip.file('content.xml', `<?xml version="1.0"?><office:document-content><office:body><office:text>${body}</office:text></office:body></office:document-content>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('the extension decides the format, the MIME type only when there is none', () => {
+  assert.strictEqual(formatOf('application/pdf', 'resume.docx').name, 'docx');
+  assert.strictEqual(formatOf('application/octet-stream', 'Resume.MARKDOWN').name, 'markdown');
+  assert.strictEqual(formatOf('text/plain; charset=utf-8', 'resume').name, 'txt');
+  assert.strictEqual(formatOf('application/zip', 'resume.zip'), null);
+  assert.strictEqual(contentTypeOf('application/octet-stream', 'r.odt'), 'application/vnd.oasis.opendocument.text');
+  assert.strictEqual(contentTypeOf('text/x-markdown', 'r.md'), 'text/x-markdown');
+});
+
+test('each text format is read by its own reader', async () => {
+  const read = async (content, name) => {
+    const { format, text } = await extractResume(Buffer.isBuffer(content) ? content : Buffer.from(content), null, name);
+    return { format, text: text.trim() };
+  };
+  assert.deepStrictEqual(await read('\uFEFFJane Doe\nEngineer', 'r.txt'), { format: 'txt', text: 'Jane Doe\nEngineer' });
+  assert.deepStrictEqual(await read('# Jane Doe\n\n**Engineer**', 'r.md'), { format: 'markdown', text: 'Jane Doe\n\nEngineer' });
+  const html = await read('<html><head><style>p{}</style></head><body><h1>Jane Doe</h1><script>x()</script><p>Engineer</p></body></html>', 'r.html');
+  assert.strictEqual(html.format, 'html');
+  assert.match(html.text, /^Jane Doe\s+Engineer$/);
+  assert.deepStrictEqual(await read('{\\rtf1\\ansi Jane Doe\\par Engineer}', 'r.rtf'), { format: 'rtf', text: 'Jane Doe\nEngineer' });
+  assert.deepStrictEqual(await read(await odt(['Jane Doe', 'Engineer &amp; writer']), 'r.odt'), { format: 'odt', text: 'Jane Doe\nEngineer & writer' });
+});
+
+test('a JSON Resume file comes back as data, not text', async () => {
+  const file = Buffer.from(JSON.stringify({ basics: { name: 'Jane Doe', email: 'jane@example.com' }, work: [{ company: 'Acme', position: 'Engineer' }] }));
+  const { format, resume, text } = await extractResume(file, 'application/json', 'resume.json');
+  assert.strictEqual(format, 'json-resume');
+  assert.strictEqual(text, '');
+  assert.strictEqual(resume.basics.name, 'Jane Doe');
+  assert.strictEqual(resume.work[0].name, 'Acme');
+});
+
+test('corrupt files are 400, not 500', async () => {
+  const corrupt = [
+    ['r.pdf', Buffer.from('not a pdf')],
+    ['r.pdf', Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(200, 'x')])],
+    ['r.docx', Buffer.from(`PK\x03\x04${'x'.repeat(50)}`)],
+    ['r.doc', Buffer.from('not a word file at all')],
+    ['r.odt', Buffer.from('not a zip')],
+    ['r.odt', await new JSZip().file('mimetype', 'x').generateAsync({ type: 'nodebuffer' })],
+    ['r.json', Buffer.from('{"basics": ')],
+  ];
+  for (const [name, buffer] of corrupt) {
+    await assert.rejects(extractResume(buffer, null, name), { status: 400 }, name);
+  }
+});
+
+test('unsupported files are 415', async () => {
+  await assert.rejects(extractResume(Buffer.from('x'), 'application/zip', 'resume.zip'), { status: 415, message: /^Unsupported file type\. Use PDF, DOCX, DOC/ });
+});
@@ -0,0 +1,52 @@
+// test/generation-cache.test.js - findCached only reuses the owner's own generations
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStorage } = require('../lib/storage');
+const { findCached, cacheKeyFor } = require('../lib/generation-cache');
+
+const attempt = { provider: { name: 'mock' }, model: 'mock-1' };
+const KEY = cacheKeyFor('Jane Doe\nEngineer', { template: 'modern' }, attempt);
+
+async function saveRow(owner, html) {
+  const { db } = getStorage();
+  const upload = await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: owner.visitorId || null, user_id: owner.userId || null });
+  return db.insert('generation_results', {
+    resume_upload_id: upload.id,
+    llm_model: 'mock-1',
+    llm_html: html,
+    cache_key: KEY,
+    visitor_id: owner.visitorId || null,
+    user_id: owner.userId || null,
+  });
+}
+
+test('the built-in template has no cache key', () => {
+  assert.strictEqual(cacheKeyFor('text', null, { provider: { name: 'template' } }), null);
+});
+
+test('anonymous visitors only reuse their own generations', async () => {
+  const { db } = getStorage();
+  const mine = await saveRow({ visitorId: 'visitor-v' }, '<p>V</p>');
+  assert.strictEqual((await findCached(db, KEY, { visitorId: 'visitor-v' })).id, mine.id);
+  assert.strictEqual(await findCached(db, KEY, { visitorId: 'visitor-w' }), null);
+  assert.strictEqual(await findCached(db, KEY, {}), null);
+});
+
+test('accounts only reuse their own generations, not anonymous ones', async () => {
+  const { db } = getStorage();
+  const user = await db.insert('users', { email: 'cache@example.com' });
+  assert.strictEqual(await findCached(db, KEY, { userId: user.id, visitorId: 'visitor-v' }), null);
+  const own = await saveRow({ userId: user.id, visitorId: 'visitor-v' }, '<p>account</p>');
+  assert.strictEqual((await findCached(db, KEY, { userId: user.id, visitorId: 'another-browser' })).id, own.id);
+  // The visitor's anonymous rows don't include the account's
+  assert.notStrictEqual((await findCached(db, KEY, { visitorId: 'visitor-v' })).id, own.id);
+});
+
+test('the newest matching generation wins', async () => {
+  const { db } = getStorage();
+  await saveRow({ visitorId: 'visitor-n' }, '<p>old</p>');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const newer = await saveRow({ visitorId: 'visitor-n' }, '<p>new</p>');
+  assert.strictEqual((await findCached(db, KEY, { visitorId: 'visitor-n' })).id, newer.id);
+});
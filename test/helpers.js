@@ -0,0 +1,23 @@
+// test/helpers.js - Shared setup for tests that touch storage
+//
+// Require this before any lib/ module: it points storage at a fresh SQLite database and
+// upload folder in a temp directory (removed when the test process exits) and keeps the
+// logs quiet, so tests never see a developer's data or a configured Supabase project.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resumetosite-test-'));
+process.env.DATA_DIR = dir;
+process.env.DATABASE_BACKEND = 'sqlite';
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+delete process.env.SQLITE_PATH;
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+/** A fake Express request carrying the session `token` (cookie) or nothing. */
+function requestWith(token) {
+  return { headers: token ? { cookie: `rts_session=${encodeURIComponent(token)}` } : {} };
+}
+
+module.exports = { dir, requestWith };
@@ -0,0 +1,73 @@
+// test/html-postprocess.test.js - sanitizeDocument strips active content and keeps what a portfolio page needs
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeDocument } = require('../lib/html-postprocess');
+
+const page = (head, body) => `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+const sanitize = (html) => sanitizeDocument(html, { allowedScriptHosts: ['cdn.tailwindcss.com'], allowTracking: false });
+
+test('inline event handlers are removed, in any case', () => {
+  const { html, removed } = sanitize(page('', '<img src="a.png" onerror="alert(1)"><body onload="x()"><a href="#" OnClick="steal()">Hi</a>'));
+  assert.doesNotMatch(html, /onerror|onclick|alert|steal/i);
+  assert.match(html, /<img src="a.png">/);
+  assert.match(html, /<a href="#">Hi<\/a>/);
+  assert.ok(removed.some((r) => /unsafe attribute\(s\) on <img>/.test(r)));
+});
+
+test('javascript:, vbscript: and HTML data: URLs are removed, even obfuscated', () => {
+  const { html } = sanitize(page('', [
+    '<a href="javascript:alert(1)">a</a>',
+    '<a href=" JavaScript:alert(1)">b</a>',
+    '<a href="java&#x09;script:alert(1)">c</a>',
+    '<a href="vbscript:msgbox(1)">d</a>',
+    '<iframe src="data:text/html,<script>alert(1)</script>"></iframe>',
+    '<form action="javascript:go()"><button formaction="javascript:go()">e</button></form>',
+  ].join('')));
+  assert.doesNotMatch(html, /javascript:|vbscript:|data:text\/html/i);
+  assert.match(html, /<a>a<\/a><a>b<\/a><a>c<\/a><a>d<\/a>/);
+});
+
+test('image data: URLs and ordinary links are kept', () => {
+  const body = '<img src="data:image/png;base64,iVBORw0KGgo=" alt="Photo"><a href="https://example.com/">site</a><a href="mailto:jane@example.com">mail</a>';
+  const { html, removed } = sanitize(page('', body));
+  assert.deepStrictEqual(removed, []);
+  assert.ok(html.includes(body));
+});
+
+test('remote scripts are kept only from allowed hosts', () => {
+  const { html, removed } = sanitize(page(
+    '<script src="https://cdn.tailwindcss.com"></script><script src="https://evil.example/x.js"></script><script src="//evil.example/y.js"></script>',
+    '<script>document.title = "ok";</script>',
+  ));
+  assert.match(html, /cdn\.tailwindcss\.com/);
+  assert.doesNotMatch(html, /evil\.example/);
+  assert.match(html, /document\.title = "ok"/);
+  assert.deepStrictEqual(removed, ['remote script (evil.example)', 'remote script (evil.example)']);
+});
+
+test('trackers are removed unless tracking is allowed', () => {
+  const html = page('<script async src="https://www.googletagmanager.com/gtag/js?id=G-1"></script>', "<script>gtag('config', 'G-1');</script>");
+  const { html: clean, removed } = sanitize(html);
+  assert.doesNotMatch(clean, /googletagmanager|gtag/);
+  assert.strictEqual(removed.length, 2);
+  assert.deepStrictEqual(sanitizeDocument(html, { allowedScriptHosts: ['www.googletagmanager.com'], allowTracking: true }).removed, []);
+});
+
+test('meta refresh is removed, other meta tags stay', () => {
+  const { html, removed } = sanitize(page('<meta charset="utf-8"><meta http-equiv="Refresh" content="0; url=https://evil.example/"><meta name="description" content="Jane">', '<p>Hi</p>'));
+  assert.doesNotMatch(html, /refresh|evil\.example/i);
+  assert.match(html, /<meta charset="utf-8"><meta name="description" content="Jane">/);
+  assert.deepStrictEqual(removed, ['meta refresh']);
+});
+
+test('base, object and embed elements are removed', () => {
+  const { html, removed } = sanitize(page('<base href="https://evil.example/">', '<object data="x.swf"></object><embed src="x.swf"><p>Kept</p>'));
+  assert.doesNotMatch(html, /<base|<object|<embed|evil\.example|x\.swf/);
+  assert.match(html, /<p>Kept<\/p>/);
+  assert.deepStrictEqual(removed, ['<base> element', '<object> element', '<embed> element']);
+});
+
+test('a clean page comes back unchanged', () => {
+  const html = page('<meta charset="utf-8"><title>Jane</title>', '<h1>Jane Doe</h1>');
+  assert.deepStrictEqual(sanitize(html), { html, removed: [] });
+});
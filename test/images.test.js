@@ -0,0 +1,56 @@
+// test/images.test.js - storeUploadImages records what it stored and leaves failed images out of the page
+const { dir } = require('./helpers');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStorage } = require('../lib/storage');
+const { storeUploadImages, loadUploadImages } = require('../lib/images');
+
+const image = (name, kind = 'project') => ({ kind, name, contentType: 'image/png', buffer: Buffer.from(name), sha256: name });
+
+async function newUpload() {
+  const { id } = await getStorage().db.insert('resume_uploads', { file_name: 'resume.pdf', visitor_id: 'v1' });
+  return id;
+}
+
+test('stored images come back, in order, with their bytes', async () => {
+  const uploadId = await newUpload();
+  const images = [image('photo.png', 'photo'), image('project-1.png')];
+  assert.deepStrictEqual(await storeUploadImages(uploadId, images), images);
+  const loaded = await loadUploadImages(uploadId);
+  assert.deepStrictEqual(loaded.map((i) => [i.name, i.kind, i.buffer.toString()]), [['photo.png', 'photo', 'photo.png'], ['project-1.png', 'project', 'project-1.png']]);
+});
+
+test('an image that fails to store is left out of the list the page is built from', async (t) => {
+  const uploadId = await newUpload();
+  const { objects } = getStorage();
+  const put = objects.put;
+  t.after(() => { objects.put = put; });
+  objects.put = async (key, ...rest) => {
+    if (key.endsWith('project-1.png')) throw new Error('disk full');
+    return put.call(objects, key, ...rest);
+  };
+  const stored = await storeUploadImages(uploadId, [image('photo.png', 'photo'), image('project-1.png'), image('project-2.png')]);
+  assert.deepStrictEqual(stored.map((i) => i.name), ['photo.png', 'project-2.png']);
+  assert.deepStrictEqual((await loadUploadImages(uploadId)).map((i) => i.name), ['photo.png', 'project-2.png']);
+});
+
+test('a file stored but not recorded is removed again', async (t) => {
+  const uploadId = await newUpload();
+  const { db } = getStorage();
+  const insert = db.insert;
+  t.after(() => { db.insert = insert; });
+  db.insert = async (table, row) => {
+    if (table === 'upload_images') throw new Error('database is locked');
+    return insert.call(db, table, row);
+  };
+  assert.deepStrictEqual(await storeUploadImages(uploadId, [image('photo.png', 'photo')]), []);
+  const files = fs.readdirSync(dir, { recursive: true }).filter((f) => f.includes(uploadId));
+  assert.deepStrictEqual(files.filter((f) => path.extname(f)), []);
+});
+
+test('without an upload row nothing is stored and the images are used as they are', async () => {
+  const images = [image('photo.png', 'photo')];
+  assert.strictEqual(await storeUploadImages(null, images), images);
+});
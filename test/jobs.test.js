@@ -0,0 +1,128 @@
+// test/jobs.test.js - Job events replay after Last-Event-ID; jobs can be cancelled, are stopped when orphaned and expire
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.JOB_ORPHAN_GRACE_MS = '50';
+process.env.JOB_TTL_MINUTES = '0.002'; // 120 ms
+const { EventEmitter } = require('node:events');
+const test = require('node:test');
+const assert = require('node:assert');
+const jobs = require('../lib/jobs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** A promise with its resolve exposed, to hold a job open. */
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+}
+
+/** A fake SSE request/response pair; `res.events()` parses what was written. */
+function sse(lastEventId) {
+  const req = { headers: lastEventId ? { 'last-event-id': String(lastEventId) } : {}, query: {} };
+  const res = Object.assign(new EventEmitter(), {
+    headers: {},
+    body: '',
+    ended: false,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    write(chunk) { this.body += chunk; },
+    end() { this.ended = true; },
+    events() {
+      return [...this.body.matchAll(/^id: (\d+)\ndata: (.*)$/gm)].map((m) => ({ id: Number(m[1]), data: JSON.parse(m[2]) }));
+    },
+  });
+  return { req, res };
+}
+
+/** A job that reports `generating`, sends one chunk, then waits for `gate`. */
+function startJob(gate, owner = { visitorId: 'visitor-jobs' }) {
+  return jobs.createJob(owner, async (ctx) => {
+    ctx.setStatus('generating');
+    ctx.emit({ chunk: '<h1>' });
+    await gate;
+    if (ctx.signal.aborted) throw new Error('should have stopped');
+    ctx.emit({ chunk: '</h1>' });
+    return { generationId: 'gen-1' };
+  });
+}
+
+test('a reconnecting client gets only the events after Last-Event-ID, then the live ones', async () => {
+  const gate = deferred();
+  const job = startJob(gate.promise);
+  await sleep(0);
+  assert.deepStrictEqual(job.events.map((e) => e.data), [{ jobId: job.id, status: 'queued' }, { status: 'generating' }, { chunk: '<h1>' }]);
+
+  const { req, res } = sse(2);
+  jobs.streamJob(job, req, res);
+  assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+  assert.deepStrictEqual(res.events(), [{ id: 3, data: { chunk: '<h1>' } }]);
+
+  gate.resolve();
+  await job.finished;
+  assert.deepStrictEqual(res.events().map((e) => e.id), [3, 4, 5]);
+  assert.deepStrictEqual(res.events()[2].data, { done: true, generationId: 'gen-1' });
+  assert.strictEqual(res.ended, true);
+
+  const late = sse(4);
+  jobs.streamJob(job, late.req, late.res);
+  assert.deepStrictEqual(late.res.events().map((e) => e.id), [5]);
+  assert.strictEqual(late.res.ended, true);
+});
+
+test('cancelling aborts the run and fails the job once', async () => {
+  const gate = deferred();
+  const job = startJob(gate.promise, { visitorId: 'visitor-cancel' });
+  const { req, res } = sse();
+  jobs.streamJob(job, req, res);
+
+  assert.strictEqual(jobs.cancelJob(job), true);
+  assert.strictEqual(job.controller.signal.aborted, true);
+  assert.strictEqual(jobs.cancelJob(job), false);
+  assert.deepStrictEqual(res.events().at(-1).data, { error: 'Generation cancelled.', cancelled: true });
+  assert.strictEqual(res.ended, true);
+  const { status, error, cancelled } = jobs.describeJob(job);
+  assert.deepStrictEqual({ status, error, cancelled }, { status: 'failed', error: 'Generation cancelled.', cancelled: true });
+
+  gate.resolve();
+  await job.finished;
+  assert.strictEqual(job.status, 'failed');
+  await assert.rejects(jobs.waitForJob(job, new EventEmitter()), { status: 409 });
+});
+
+test('cancelJobsOf stops a visitor\'s jobs, not an account\'s that share its visitor_id', async () => {
+  const gate = deferred();
+  const visitors = startJob(gate.promise, { visitorId: 'visitor-shared' });
+  const accounts = startJob(gate.promise, { userId: 'user-1', visitorId: 'visitor-shared' });
+  await sleep(0);
+  assert.deepStrictEqual(jobs.cancelJobsOf({ visitorId: 'visitor-shared' }), [visitors]);
+  assert.strictEqual(accounts.status, 'generating');
+  gate.resolve();
+  await accounts.finished;
+  assert.strictEqual(accounts.status, 'done');
+});
+
+test('a job whose last listener leaves is stopped after the grace period, unless someone reconnects', async () => {
+  const gate = deferred();
+  const job = startJob(gate.promise);
+  const first = sse();
+  jobs.streamJob(job, first.req, first.res);
+  first.res.emit('close');
+  await sleep(20);
+  const second = sse(3);
+  jobs.streamJob(job, second.req, second.res);
+  await sleep(80);
+  assert.strictEqual(job.status, 'generating');
+
+  second.res.emit('close');
+  await sleep(80);
+  assert.strictEqual(job.status, 'failed');
+  assert.strictEqual(job.cancelled, true);
+  gate.resolve();
+});
+
+test('finished jobs expire after JOB_TTL_MINUTES', async () => {
+  const job = startJob(Promise.resolve());
+  await job.finished;
+  assert.strictEqual(jobs.getJob(job.id), job);
+  await sleep(200);
+  assert.strictEqual(jobs.getJob(job.id), null);
+});
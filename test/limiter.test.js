@@ -0,0 +1,65 @@
+// test/limiter.test.js - At most `max` tasks run at once, the rest queue in order, and a failing task frees its slot
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLimiter } = require('../lib/limiter');
+
+/** A promise with its resolve/reject exposed, to hold a task open. */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('tasks over the limit wait their turn, first come first served', async () => {
+  const limiter = createLimiter(2);
+  const gates = [deferred(), deferred(), deferred(), deferred()];
+  const started = [];
+  const calls = [];
+  const results = gates.map((gate, i) => limiter.run(() => { started.push(i); return gate.promise; }, {
+    onWait: () => calls.push(`wait ${i}`),
+    onStart: () => calls.push(`start ${i}`),
+  }));
+  await tick();
+  assert.deepStrictEqual(started, [0, 1]);
+  assert.deepStrictEqual(limiter.stats(), { max: 2, active: 2, waiting: 2 });
+
+  gates[1].resolve('b');
+  await tick();
+  assert.deepStrictEqual(started, [0, 1, 2]);
+  gates[0].resolve('a');
+  gates[2].resolve('c');
+  gates[3].resolve('d');
+  assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c', 'd']);
+  assert.deepStrictEqual(calls, ['wait 2', 'wait 3', 'start 2', 'start 3']);
+  assert.deepStrictEqual(limiter.stats(), { max: 2, active: 0, waiting: 0 });
+});
+
+test('a task that throws releases its slot to the next one', async () => {
+  const limiter = createLimiter(1);
+  const failing = limiter.run(async () => { throw new Error('provider down'); });
+  const next = limiter.run(async () => 'ran');
+  await assert.rejects(failing, { message: 'provider down' });
+  assert.strictEqual(await next, 'ran');
+  assert.deepStrictEqual(limiter.stats(), { max: 1, active: 0, waiting: 0 });
+});
+
+test('an aborted signal takes a task out of the queue without running it', async () => {
+  const limiter = createLimiter(1);
+  const gate = deferred();
+  const first = limiter.run(() => gate.promise);
+  const controller = new AbortController();
+  let ran = false;
+  const queued = limiter.run(() => { ran = true; }, { signal: controller.signal });
+  const last = limiter.run(async () => 'last');
+  await tick();
+  controller.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+  assert.deepStrictEqual(limiter.stats(), { max: 1, active: 1, waiting: 1 });
+
+  gate.resolve('first');
+  assert.deepStrictEqual([await first, await last, ran], ['first', 'last', false]);
+  await assert.rejects(limiter.run(() => 'never', { signal: controller.signal }), { name: 'AbortError' });
+});
@@ -0,0 +1,58 @@
+// test/privacy.test.js - Uploads are deleted in batches with their files; retention purges only what is old or expired
+require('./helpers');
+process.env.RETENTION_DAYS = '30';
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStorage } = require('../lib/storage');
+const { removeUploads, purgeExpiredData } = require('../lib/privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+/** An upload with a stored file, one image and one generation, as a finished job leaves them. */
+async function saveUpload(fields = {}) {
+  const { db, objects } = getStorage();
+  const n = Math.random().toString(36).slice(2);
+  const storagePath = await objects.put(`uploads/${n}.txt`, Buffer.from('Jane Doe'));
+  const upload = await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 8, storage_path: storagePath, ...fields });
+  const imagePath = await objects.put(`images/${n}.png`, Buffer.from('png'));
+  await db.insert('upload_images', { resume_upload_id: upload.id, kind: 'photo', name: 'photo.png', content_type: 'image/png', file_size: 3, sha256: n, storage_path: imagePath });
+  await db.insert('generation_results', { resume_upload_id: upload.id, llm_model: 'mock-1', llm_provider: 'mock', llm_html: '<p>page</p>', visitor_id: fields.visitor_id || null });
+  return { upload, paths: [storagePath, imagePath] };
+}
+
+test('removeUploads deletes every match, past one batch, with files and generations', async () => {
+  const { db, objects } = getStorage();
+  const saved = [await saveUpload({ visitor_id: 'visitor-many' }), await saveUpload({ visitor_id: 'visitor-many' })];
+  // Enough bare rows for a second batch (BATCH_SIZE is 500)
+  for (let i = 0; i < 510; i++) await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: 'visitor-many' });
+  const kept = await saveUpload({ visitor_id: 'visitor-kept' });
+
+  const removed = await removeUploads({ visitor_id: 'visitor-many' });
+  assert.deepStrictEqual(removed, { uploads: 512, generations: 2, runs: 0, files: 4 });
+  assert.strictEqual(await db.count('resume_uploads', { visitor_id: 'visitor-many' }), 0);
+  assert.strictEqual(await db.count('upload_images', { resume_upload_id: { in: saved.map((s) => s.upload.id) } }), 0);
+  for (const path of saved.flatMap((s) => s.paths)) assert.strictEqual(await objects.get(path), null, path);
+
+  assert.strictEqual(await db.count('generation_results', { resume_upload_id: kept.upload.id }), 1);
+  for (const path of kept.paths) assert.ok(await objects.get(path), path);
+});
+
+test('retention purges uploads older than RETENTION_DAYS and expired sign-ins only', async () => {
+  const { db, objects } = getStorage();
+  const old = await saveUpload({ visitor_id: 'visitor-old', created_at: daysAgo(31) });
+  const recent = await saveUpload({ visitor_id: 'visitor-recent', created_at: daysAgo(29) });
+  const user = await db.insert('users', { email: 'retention@example.com' });
+  await db.insert('sessions', { user_id: user.id, token_hash: 'expired', expires_at: daysAgo(1) });
+  await db.insert('sessions', { user_id: user.id, token_hash: 'live', expires_at: daysAgo(-1) });
+  await db.insert('login_tokens', { email: user.email, token_hash: 'expired', expires_at: daysAgo(1) });
+
+  const purged = await purgeExpiredData();
+  assert.deepStrictEqual(purged, { uploads: 1, generations: 1, files: 2, runs: 0, sessions: 1, loginTokens: 1 });
+  assert.strictEqual(await db.get('resume_uploads', old.upload.id), null);
+  for (const path of old.paths) assert.strictEqual(await objects.get(path), null, path);
+  assert.ok(await db.get('resume_uploads', recent.upload.id));
+  assert.deepStrictEqual((await db.find('sessions', { user_id: user.id })).map((s) => s.token_hash), ['live']);
+
+  assert.deepStrictEqual(await purgeExpiredData(), { uploads: 0, generations: 0, files: 0, runs: 0, sessions: 0, loginTokens: 0 });
+});
@@ -0,0 +1,79 @@
+// test/quotas.test.js - Token quotas come from the usage ledger, which erasure, retention and failed calls can't dodge
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { getStorage } = require('../lib/storage');
+const { getQuota, recordUsage } = require('../lib/quotas');
+const { eraseOwnerData, removeUploads } = require('../lib/privacy');
+const { resolveProviders, streamText } = require('../lib/providers');
+const { usageStats } = require('../lib/admin');
+
+const call = (inputTokens, outputTokens) => ({ provider: 'anthropic', model: 'claude-sonnet-4', usage: { inputTokens, outputTokens } });
+
+/** An upload with one generation for `owner`, as a finished job leaves them. */
+async function saveGeneration(owner) {
+  const { db } = getStorage();
+  const upload = await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: owner.visitorId || null, user_id: owner.userId || null });
+  await db.insert('generation_results', {
+    resume_upload_id: upload.id,
+    llm_model: 'claude-sonnet-4',
+    llm_provider: 'anthropic',
+    llm_html: '<p>page</p>',
+    visitor_id: owner.visitorId || null,
+    user_id: owner.userId || null,
+    input_tokens: 1000,
+    output_tokens: 500,
+  });
+}
+
+test('erasing a visitor\'s data keeps their quota', async () => {
+  const owner = { visitorId: 'visitor-erase' };
+  await saveGeneration(owner);
+  await recordUsage(owner, call(1000, 500));
+  assert.strictEqual((await getQuota(owner)).daily.used, 1500);
+
+  const erased = await eraseOwnerData(owner);
+  assert.strictEqual(erased.generations, 1);
+  assert.strictEqual((await getQuota(owner)).daily.used, 1500);
+  assert.strictEqual((await getQuota({ visitorId: 'visitor-other' })).daily.used, 0);
+});
+
+test('erasing an account\'s data keeps its quota', async () => {
+  const user = await getStorage().db.insert('users', { email: 'quota@example.com' });
+  const owner = { userId: user.id, visitorId: 'visitor-account' };
+  await saveGeneration(owner);
+  await recordUsage(owner, call(2000, 1000));
+  await eraseOwnerData(owner);
+  const quota = await getQuota(owner);
+  assert.strictEqual(quota.scope, 'user');
+  assert.strictEqual(quota.monthly.used, 3000);
+  assert.ok(quota.monthly.costUsd > 0);
+});
+
+test('the ledger stores a hash of the owner, not the id', async () => {
+  await recordUsage({ visitorId: 'visitor-hash' }, call(10, 10));
+  const rows = await getStorage().db.find('token_usage', {}, { columns: ['owner_key'] });
+  assert.ok(rows.every((r) => !String(r.owner_key).includes('visitor-hash')));
+});
+
+test('a cancelled provider call still counts, with estimated tokens', async () => {
+  const owner = { visitorId: 'visitor-cancel' };
+  const controller = new AbortController();
+  const opts = { system: 'Build a page.', prompt: 'Jane Doe\nEngineer\n'.repeat(50), signal: controller.signal, onUsage: (c) => recordUsage(owner, c) };
+  await assert.rejects(streamText(resolveProviders({ provider: 'mock' }), opts, () => controller.abort()), { name: 'AbortError' });
+
+  const [row] = await getStorage().db.find('token_usage', { provider: 'mock', estimated: true });
+  assert.ok(row, 'no ledger row for the cancelled call');
+  assert.ok(row.input_tokens >= Math.ceil(opts.prompt.length / 4));
+  assert.ok((await getQuota(owner)).daily.used > 0);
+});
+
+test('admin token stats keep usage after the uploads are deleted', async () => {
+  const before = (await usageStats(1)).totals;
+  await saveGeneration({ visitorId: 'visitor-admin' });
+  await recordUsage({ visitorId: 'visitor-admin' }, call(100, 50));
+  await removeUploads({ visitor_id: 'visitor-admin' });
+  const after = (await usageStats(1)).totals;
+  assert.strictEqual(after.inputTokens - before.inputTokens, 100);
+  assert.strictEqual(after.outputTokens - before.outputTokens, 50);
+});
@@ -0,0 +1,89 @@
+// test/readiness.test.js - /ready answers 503 while the first provider fails, and recovers on the next check
+const { dir } = require('./helpers');
+const http = require('node:http');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Only the stand-in below may be asked: no real provider keys in this process or the server it starts
+for (const key of ['GEMINI_API_KEY', 'ANTHROPIC_API_KEY', 'ANTHROPIC_BASE_URL', 'LLM_API_KEY', 'OPENAI_API_KEY']) delete process.env[key];
+process.env.LLM_PROVIDER = 'openai';
+process.env.READY_PROVIDER_TTL_SECONDS = '60';
+
+// An OpenAI-compatible endpoint whose /models answers `modelsStatus`
+let modelsStatus = 500;
+let pings = 0;
+const endpoint = http.createServer((req, res) => {
+  if (req.url.endsWith('/models')) pings++;
+  res.writeHead(modelsStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ data: [] }));
+});
+
+let checkReadiness;
+test.before(async () => {
+  await new Promise((resolve) => endpoint.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${endpoint.address().port}/v1`;
+  ({ checkReadiness } = require('../lib/readiness'));
+});
+test.after(() => endpoint.close());
+
+/** A port nothing listens on right now. */
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = http.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+test('a failing provider makes the instance unready; a failed probe is not reused', async () => {
+  modelsStatus = 500;
+  const { ready, checks } = await checkReadiness();
+  assert.strictEqual(ready, false);
+  assert.strictEqual(checks.database.ok, true);
+  assert.strictEqual(checks.objects.ok, true);
+  assert.strictEqual(checks.provider.name, 'openai');
+  assert.strictEqual(checks.provider.ok, false);
+  assert.match(checks.provider.error, /returned 500 for \/models/);
+
+  const before = pings;
+  modelsStatus = 200;
+  const recovered = await checkReadiness();
+  assert.strictEqual(recovered.ready, true);
+  assert.strictEqual(pings - before, 1);
+  assert.strictEqual((await checkReadiness()).checks.provider.cached, true);
+  assert.strictEqual(pings - before, 1);
+});
+
+test('GET /ready answers 503 while the provider is down, and /health stays 200', { timeout: 20000 }, async () => {
+  modelsStatus = 503;
+  const port = await freePort();
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: path.join(dir, 'server') },
+    stdio: 'ignore',
+  });
+  try {
+    const base = `http://127.0.0.1:${port}`;
+    for (let i = 0; ; i++) {
+      try {
+        if ((await fetch(`${base}/health`)).ok) break;
+      } catch (e) {
+        if (i > 100) throw e;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    const res = await fetch(`${base}/ready`);
+    assert.strictEqual(res.status, 503);
+    const body = await res.json();
+    assert.strictEqual(body.status, 'unavailable');
+    assert.strictEqual(body.checks.provider.ok, false);
+    assert.strictEqual(body.checks.database.ok, true);
+
+    modelsStatus = 200;
+    assert.strictEqual((await fetch(`${base}/ready`)).status, 200);
+  } finally {
+    server.kill();
+  }
+});
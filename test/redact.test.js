@@ -0,0 +1,54 @@
+// test/redact.test.js - Phone numbers and addresses are masked before the provider and put back after
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedactor } = require('../lib/redact');
+
+const resume = [
+  'Jane Doe',
+  'jane@example.com | +1 (415) 555-0123 | 020 7946 0958',
+  'Address: 12 Rue de Rivoli, 75001 Paris',
+  '221B Baker Street, London NW1 6XE',
+  'Acme Corp, 2019-2021',
+  'Shipped release 2020.03.15 to 10,000 users',
+].join('\n');
+
+test('phone numbers and addresses become placeholders', () => {
+  const r = createRedactor();
+  const text = r.redact(resume);
+  for (const pii of ['555-0123', '7946 0958', 'Rue de Rivoli', 'Baker Street', 'NW1 6XE']) {
+    assert.ok(!text.includes(pii), `${pii} was sent`);
+  }
+  assert.match(text, /^Address: \[\[ADDRESS_1\]\]$/m);
+  assert.match(text, /\[\[PHONE_1\]\] \| \[\[PHONE_2\]\]/);
+  assert.deepStrictEqual(r.counts, { phones: 2, addresses: 2 });
+});
+
+test('names, emails, dates and other numbers are left alone', () => {
+  const text = createRedactor().redact(resume);
+  for (const kept of ['Jane Doe', 'jane@example.com', 'Acme Corp, 2019-2021', '2020.03.15', '10,000 users']) {
+    assert.ok(text.includes(kept), `${kept} was masked`);
+  }
+});
+
+test('the same value gets the same placeholder', () => {
+  const r = createRedactor();
+  assert.strictEqual(r.redact('Call 415-555-0123 or 415-555-0123'), 'Call [[PHONE_1]] or [[PHONE_1]]');
+});
+
+test('restore puts the originals back, HTML-escaped', () => {
+  const r = createRedactor();
+  const text = r.redact('Address: 1 <b>Main</b> & Co\nPhone: 415-555-0123');
+  const html = `<p>${text.split('\n').join('</p><p>')}</p><p>[[PHONE_9]]</p>`;
+  assert.strictEqual(r.restore(html), '<p>Address: 1 &lt;b&gt;Main&lt;/b&gt; &amp; Co</p><p>Phone: 415-555-0123</p><p>[[PHONE_9]]</p>');
+});
+
+test('placeholders split across streamed chunks are restored whole', () => {
+  const r = createRedactor();
+  const text = r.redact('Phone: 415-555-0123');
+  const out = [];
+  const stream = r.restoreStream((chunk) => out.push(chunk));
+  for (const chunk of ['<p>', text.slice(0, 9), text.slice(9, 12), `${text.slice(12)}</p>`]) stream.write(chunk);
+  stream.flush();
+  assert.strictEqual(out.join(''), '<p>Phone: 415-555-0123</p>');
+  assert.ok(out.every((chunk) => !chunk.includes('[[')));
+});
@@ -0,0 +1,106 @@
+// test/resume-parser.test.js - parseResumeText finds the JSON Resume sections; validateResume rejects bad shapes
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseResumeText, validateResume, assertValidResume, resumeToText } = require('../lib/resume-parser');
+
+const text = [
+  'Jane Doe',
+  'Senior Software Engineer',
+  'jane.doe@example.com | +1 (555) 123-4567 | linkedin.com/in/janedoe | https://janedoe.dev',
+  'San Francisco, CA',
+  '',
+  'SUMMARY',
+  'Engineer with 8 years building web platforms.',
+  '',
+  'Work Experience',
+  'Senior Software Engineer | Acme Corp | Jan 2020 - Present',
+  '- Led migration to microservices',
+  '- Cut latency by 40%',
+  'Software Engineer at Globex',
+  '03/2016 - 12/2019',
+  '• Built billing system',
+  '',
+  'EDUCATION',
+  'B.S. in Computer Science, Stanford University, 2012 - 2016',
+  '',
+  'Technical Skills',
+  'Languages: JavaScript, TypeScript, Go',
+  '',
+  'PROJECTS',
+  'resumeToWebsite | github.com/jane/rtw',
+  '- Turns resumes into sites',
+].join('\n');
+
+test('contact details go to basics, with profiles and links', () => {
+  const { basics, links } = parseResumeText(text);
+  assert.strictEqual(basics.name, 'Jane Doe');
+  assert.strictEqual(basics.label, 'Senior Software Engineer');
+  assert.strictEqual(basics.email, 'jane.doe@example.com');
+  assert.strictEqual(basics.phone, '+1 (555) 123-4567');
+  assert.strictEqual(basics.url, 'https://janedoe.dev');
+  assert.strictEqual(basics.summary, 'Engineer with 8 years building web platforms.');
+  assert.deepStrictEqual(basics.profiles, [{ network: 'LinkedIn', username: 'janedoe', url: 'https://linkedin.com/in/janedoe' }]);
+  assert.deepStrictEqual(links.map((l) => l.label), ['LinkedIn', 'Website', 'GitHub']);
+});
+
+test('work entries get position, employer, dates and highlights', () => {
+  const { work } = parseResumeText(text);
+  assert.deepStrictEqual(work.map(({ name, position, startDate, endDate, highlights }) => ({ name, position, startDate, endDate, highlights })), [
+    { name: 'Acme Corp', position: 'Senior Software Engineer', startDate: '2020-01', endDate: '', highlights: ['Led migration to microservices', 'Cut latency by 40%'] },
+    { name: 'Globex', position: 'Software Engineer', startDate: '2016-03', endDate: '2019-12', highlights: ['Built billing system'] },
+  ]);
+});
+
+test('education, skills and projects are parsed under their heading aliases', () => {
+  const { education, skills, projects } = parseResumeText(text);
+  assert.deepStrictEqual(education, [{ institution: 'Stanford University', area: 'Computer Science', studyType: 'B.S', startDate: '2012', endDate: '2016' }]);
+  assert.deepStrictEqual(skills, [{ name: 'Languages', keywords: ['JavaScript', 'TypeScript', 'Go'] }]);
+  assert.strictEqual(projects[0].name, 'resumeToWebsite');
+  assert.strictEqual(projects[0].url, 'https://github.com/jane/rtw');
+});
+
+test('empty or missing text gives every section, empty', () => {
+  for (const input of ['', null, undefined]) {
+    const resume = parseResumeText(input);
+    assert.deepStrictEqual([resume.work, resume.education, resume.skills, resume.projects, resume.links], [[], [], [], [], []]);
+    assert.strictEqual(typeof resume.basics, 'object');
+  }
+});
+
+test('parsed resumes validate; thin ones come with warnings', () => {
+  assert.deepStrictEqual(validateResume(parseResumeText(text)), { valid: true, errors: [], warnings: [] });
+  const { valid, warnings } = validateResume({ basics: { name: 'Jane Doe' } });
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(warnings, ['No email detected', 'No work experience detected', 'No education detected', 'No skills detected']);
+});
+
+test('wrong types, bad emails and non-http URLs are errors', () => {
+  const { valid, errors } = validateResume({
+    basics: { name: 42, email: 'not-an-email', url: 'javascript:alert(1)' },
+    work: { name: 'Acme' },
+    skills: [{ keywords: ['Go', 7] }],
+  });
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(errors, [
+    'resume.basics.name must be a string',
+    'resume.basics.email is not a valid email',
+    'resume.basics.url must be an http(s) URL',
+    'resume.work must be an array',
+    'resume.skills[0].keywords[1] must be a string',
+  ]);
+  assert.deepStrictEqual(validateResume(null).errors, ['resume must be an object']);
+  assert.deepStrictEqual(validateResume({}).errors, ['resume.basics is required']);
+});
+
+test('assertValidResume answers 400 with the errors, or returns the warnings', () => {
+  assert.throws(() => assertValidResume({ basics: { name: 42 } }), { status: 400, message: 'Invalid resume data.', details: ['resume.basics.name must be a string'] });
+  assert.throws(() => assertValidResume(undefined), { status: 400, details: ['resume must be an object'] });
+  assert.deepStrictEqual(assertValidResume(parseResumeText(text)), []);
+});
+
+test('resumeToText keeps the facts for the prompt', () => {
+  const out = resumeToText(parseResumeText(text));
+  assert.match(out, /^Jane Doe\nSenior Software Engineer\njane\.doe@example\.com \| \+1 \(555\) 123-4567/);
+  assert.match(out, /EXPERIENCE\nSenior Software Engineer \| Acme Corp \| 2020-01 - Present\n- Led migration to microservices/);
+  assert.match(out, /SKILLS\nLanguages: JavaScript, TypeScript, Go/);
+});
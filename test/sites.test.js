@@ -0,0 +1,138 @@
+// test/sites.test.js - Publishing checks slugs and owners; /s/:slug serves only published sites, sandboxed
+require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { getStorage } = require('../lib/storage');
+const sites = require('../lib/sites');
+const sitePageRoutes = require('../routes/site-pages');
+
+/** A stored generation owned by `owner` ({ visitorId } or { userId }), as a finished job leaves it. */
+async function saveGeneration(owner, html = '<!DOCTYPE html><html><body><h1>Jane Doe</h1></body></html>') {
+  const { db } = getStorage();
+  const upload = await db.insert('resume_uploads', { file_name: 'r.txt', file_size: 1, visitor_id: owner.visitorId || null, user_id: owner.userId || null });
+  return db.insert('generation_results', {
+    resume_upload_id: upload.id,
+    llm_model: 'mock-1',
+    llm_provider: 'mock',
+    llm_html: html,
+    visitor_id: owner.visitorId || null,
+    user_id: owner.userId || null,
+  });
+}
+
+/** GET `path` from an app serving only the /s routes: { status, headers, body }. */
+async function getPage(path) {
+  const app = express();
+  app.use('/s', sitePageRoutes);
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  try {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`);
+    return { status: res.status, headers: res.headers, body: await res.text() };
+  } finally {
+    server.close();
+  }
+}
+
+test('slugs must be well formed and not reserved', async () => {
+  const owner = { visitorId: 'visitor-slugs' };
+  assert.deepStrictEqual(await sites.checkSlug(' Jane-Doe ', owner), { slug: 'jane-doe', available: true });
+  for (const slug of ['ab', '-jane', 'jane-', 'jane--doe', 'jane_doe', 'x'.repeat(41)]) {
+    assert.strictEqual((await sites.checkSlug(slug, owner)).available, false, slug);
+  }
+  assert.deepStrictEqual(await sites.checkSlug('admin', owner), { slug: 'admin', available: false, reason: 'That address is reserved.' });
+
+  const gen = await saveGeneration(owner);
+  await assert.rejects(sites.publish({ generationId: gen.id, slug: 'api' }, owner), { status: 400, message: 'That address is reserved.' });
+  await assert.rejects(sites.publish({ generationId: gen.id, slug: 'no' }, owner), { status: 400 });
+});
+
+test('publishing creates version 1, and publishing again adds a version', async () => {
+  const owner = { visitorId: 'visitor-publish' };
+  const first = await saveGeneration(owner);
+  const { site, created } = await sites.publish({ generationId: first.id, slug: 'jane-publish' }, owner);
+  assert.strictEqual(created, true);
+  assert.strictEqual(site.visitor_id, 'visitor-publish');
+
+  const second = await saveGeneration(owner, '<!DOCTYPE html><html><body><h1>Jane v2</h1></body></html>');
+  const again = await sites.publish({ generationId: second.id, slug: 'jane-publish' }, owner);
+  assert.strictEqual(again.created, false);
+  const described = sites.describeSite(again.site, await sites.listVersions(again.site.id));
+  assert.strictEqual(described.currentVersion, 2);
+  assert.deepStrictEqual(described.versions.map((v) => v.generationId), [second.id, first.id]);
+  assert.deepStrictEqual(await sites.checkSlug('jane-publish', owner), { slug: 'jane-publish', available: true, yours: true });
+});
+
+test('someone else\'s slug or generation can\'t be used', async () => {
+  const owner = { visitorId: 'visitor-owner' };
+  const other = { visitorId: 'visitor-other' };
+  const gen = await saveGeneration(owner);
+  await sites.publish({ generationId: gen.id, slug: 'jane-taken' }, owner);
+
+  assert.deepStrictEqual(await sites.checkSlug('jane-taken', other), { slug: 'jane-taken', available: false, reason: 'That address is taken.' });
+  const theirs = await saveGeneration(other);
+  await assert.rejects(sites.publish({ generationId: theirs.id, slug: 'jane-taken' }, other), { status: 409 });
+  await assert.rejects(sites.publish({ generationId: gen.id, slug: 'not-mine' }, other), { status: 404, message: 'Generation not found.' });
+  await assert.rejects(sites.publish({ generationId: gen.id, slug: 'not-mine' }, {}), { status: 404 });
+  await assert.rejects(sites.getOwnedSite('jane-taken', other), { status: 404, message: 'Site not found.' });
+  await assert.rejects(sites.getOwnedSite('jane-taken', {}), { status: 404 });
+});
+
+test('an account\'s sites need that user, not the visitor_id that made them', async () => {
+  const user = await getStorage().db.insert('users', { email: 'sites@example.com' });
+  const owner = { userId: user.id, visitorId: 'visitor-account' };
+  const gen = await saveGeneration(owner);
+  await sites.publish({ generationId: gen.id, slug: 'jane-account' }, owner);
+
+  assert.strictEqual((await sites.getOwnedSite('jane-account', { userId: user.id })).slug, 'jane-account');
+  await assert.rejects(sites.getOwnedSite('jane-account', { visitorId: 'visitor-account' }), { status: 404 });
+  await assert.rejects(sites.publish({ generationId: gen.id, slug: 'jane-stolen' }, { visitorId: 'visitor-account' }), { status: 404 });
+  assert.deepStrictEqual(await sites.listSites({ visitorId: 'visitor-account' }), []);
+  assert.deepStrictEqual((await sites.listSites({ userId: user.id })).map((s) => s.slug), ['jane-account']);
+});
+
+test('/s/:slug serves the current version under a sandbox CSP', async () => {
+  const owner = { visitorId: 'visitor-serve' };
+  const gen = await saveGeneration(owner);
+  await sites.publish({ generationId: gen.id, slug: 'jane-serve', noindex: true }, owner);
+
+  const page = await getPage('/s/jane-serve');
+  assert.strictEqual(page.status, 200);
+  assert.match(page.body, /<h1>Jane Doe<\/h1>/);
+  assert.match(page.headers.get('content-security-policy'), /^sandbox allow-scripts/);
+  assert.doesNotMatch(page.headers.get('content-security-policy'), /allow-same-origin/);
+  assert.strictEqual(page.headers.get('x-robots-tag'), 'noindex, nofollow');
+});
+
+test('unpublishing takes the page down, republishing brings it back', async () => {
+  const owner = { visitorId: 'visitor-unpublish' };
+  const gen = await saveGeneration(owner);
+  const { site } = await sites.publish({ generationId: gen.id, slug: 'jane-unpublish' }, owner);
+
+  await sites.updateSite(site, { published: false });
+  const gone = await getPage('/s/jane-unpublish');
+  assert.strictEqual(gone.status, 404);
+  assert.strictEqual(gone.headers.get('content-security-policy'), null);
+  assert.strictEqual(gone.headers.get('x-robots-tag'), 'noindex');
+
+  await sites.updateSite(site, { published: true });
+  assert.strictEqual((await getPage('/s/jane-unpublish')).status, 200);
+  await assert.rejects(sites.updateSite(site, {}), { status: 400 });
+});
+
+test('rollback serves an older version; deleting frees the slug', async () => {
+  const owner = { visitorId: 'visitor-rollback' };
+  const first = await saveGeneration(owner, '<!DOCTYPE html><html><body><h1>First</h1></body></html>');
+  const second = await saveGeneration(owner, '<!DOCTYPE html><html><body><h1>Second</h1></body></html>');
+  await sites.publish({ generationId: first.id, slug: 'jane-rollback' }, owner);
+  const { site } = await sites.publish({ generationId: second.id, slug: 'jane-rollback' }, owner);
+
+  await sites.rollback(site, 1);
+  assert.match((await getPage('/s/jane-rollback')).body, /<h1>First<\/h1>/);
+  await assert.rejects(sites.rollback(site, 9), { status: 404 });
+
+  await sites.deleteSite(site);
+  assert.strictEqual((await getPage('/s/jane-rollback')).status, 404);
+  assert.strictEqual(await getStorage().db.count('site_versions', { site_id: site.id }), 0);
+  assert.strictEqual((await sites.checkSlug('jane-rollback', { visitorId: 'visitor-other' })).available, true);
+});
@@ -0,0 +1,51 @@
+// test/supabase.test.js - db.find pages through PostgREST's max-rows cap instead of stopping at it
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SUPABASE_URL = 'https://example.supabase.co';
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key-not-a-real-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const MAX_ROWS = 1000;
+const rows = Array.from({ length: 2500 }, (_, i) => ({ id: String(i).padStart(5, '0'), n: i }));
+const requests = [];
+
+// A stand-in for PostgREST that, like the real one, silently returns at most MAX_ROWS rows per request
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url.searchParams);
+  const offset = Number(url.searchParams.get('offset') || 0);
+  const limit = Math.min(Number(url.searchParams.get('limit') || Infinity), MAX_ROWS);
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(rows.slice(offset, offset + limit)));
+});
+
+let db;
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  // Point the client at the stand-in (the backend itself insists on an https:// project URL)
+  const supabaseJs = require('@supabase/supabase-js');
+  const createClient = supabaseJs.createClient;
+  supabaseJs.createClient = (url, key) => createClient(`http://127.0.0.1:${server.address().port}`, key);
+  db = require('../lib/storage/supabase').createDb();
+});
+test.after(() => server.close());
+
+test('find without a limit returns every row, past max-rows', async () => {
+  const found = await db.find('token_usage', {});
+  assert.strictEqual(found.length, rows.length);
+  assert.strictEqual(new Set(found.map((r) => r.id)).size, rows.length);
+});
+
+test('find with a limit and offset larger than a page', async () => {
+  const found = await db.find('token_usage', {}, { orderBy: 'created_at', limit: 1500, offset: 100 });
+  assert.deepStrictEqual([found.length, found[0].n, found[1499].n], [1500, 100, 1599]);
+  assert.strictEqual(requests[requests.length - 1].get('order'), 'created_at.asc,id.asc');
+});
+
+test('a small limit is one request', async () => {
+  const before = requests.length;
+  assert.strictEqual((await db.find('token_usage', {}, { limit: 5 })).length, 5);
+  assert.strictEqual(requests.length - before, 1);
+});
@@ -0,0 +1,57 @@
+// test/tailor.test.js - checkTailoring flags numbers only the page has, never ones quoted from the resume
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchJob, checkTailoring } = require('../lib/tailor');
+
+const resume = {
+  basics: { name: 'Jane Doe', label: 'Frontend Engineer' },
+  work: [{
+    name: 'Acme',
+    position: 'Senior Engineer',
+    startDate: '2019',
+    highlights: [
+      'Built React dashboards used by 10k customers',
+      'Cut page load time by 40% with code splitting',
+      'Migrated 1,200 legacy pages to TypeScript',
+      'Grew self-serve revenue to $1.2M a year',
+    ],
+  }],
+  skills: [{ name: 'Frontend', keywords: ['React', 'TypeScript'] }],
+};
+const target = {
+  label: 'Frontend Engineer at Globex',
+  description: 'Globex is hiring a frontend engineer to build React and TypeScript dashboards for our customers. '
+    + 'You will own page performance and work with Kubernetes and GraphQL.',
+};
+
+function pageWithFit(points) {
+  return `<!DOCTYPE html><html><body><section id="fit"><h2>Why I fit</h2><ul>${points.map((p) => `<li>${p}</li>`).join('')}</ul></section></body></html>`;
+}
+
+test('resume lines quoted verbatim in "Why I fit" give no warnings', () => {
+  assert.deepStrictEqual(checkTailoring(pageWithFit(resume.work[0].highlights), resume, target), []);
+});
+
+test('the fit points matchJob picks give no warnings', () => {
+  const { fit } = matchJob(resume, target.description);
+  assert.ok(fit.length > 0);
+  assert.deepStrictEqual(checkTailoring(pageWithFit(fit), resume, target), []);
+});
+
+test('numbers are compared whole, in any common format', () => {
+  const page = pageWithFit(['Dashboards for 10K customers', 'Load time down 40 %', '1200 pages migrated']);
+  assert.deepStrictEqual(checkTailoring(page, resume, target), []);
+});
+
+test('numbers the resume doesn\'t have are still flagged', () => {
+  const warnings = checkTailoring(pageWithFit(['Dashboards for 10m customers', 'Led a team of 25 engineers']), resume, target);
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[0], /the number 10m is not in the resume/);
+  assert.match(warnings[1], /the number 25 is not in the resume/);
+});
+
+test('posting terms missing from the resume are flagged', () => {
+  const warnings = checkTailoring(pageWithFit(['Ran React apps on Kubernetes']), resume, target);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /"Kubernetes" is in the job description but not in the resume/);
+});
@@ -0,0 +1,93 @@
+// test/text-cleaner.test.js - compactBySection keeps the important sections of long resumes; page furniture goes, content stays
+const test = require('node:test');
+const assert = require('node:assert');
+const { compactBySection, cleanResumeData } = require('../lib/text-cleaner');
+
+const PROSE = 'Led a team of engineers building internal tools for the finance department, owning the roadmap, hiring and delivery. '
+  + 'Migrated the reporting stack from nightly batch jobs to streaming pipelines, which cut report latency from hours to minutes. '
+  + 'Worked closely with product and design on customer research, and mentored junior developers through code review and pairing. '
+  + 'Introduced automated testing and continuous deployment, raising release frequency from monthly to several times a week. '
+  + 'Presented quarterly results to leadership and wrote the architecture documents used to onboard new staff across three offices. '
+  + 'Partnered with security and compliance teams on audits, access reviews and incident response drills for production systems.';
+
+/** A resume with `jobs` prose-only job descriptions (newest first), then Education and Skills. */
+function longResume(jobs = 9) {
+  const work = [];
+  for (let i = 0; i < jobs; i++) {
+    work.push(`Senior Engineer ${i + 1} | Company ${i + 1}`, `Jan ${2020 - 2 * i} - Dec ${2021 - 2 * i}`, PROSE, PROSE.split('. ').reverse().join('. '), PROSE.slice(0, 400));
+  }
+  return [
+    'Jane Doe',
+    'jane@example.com | +1 555 123 4567 | linkedin.com/in/janedoe',
+    '',
+    'Experience',
+    ...work,
+    '',
+    'Education',
+    'BSc Computer Science, State University',
+    '2008 - 2012',
+    '',
+    'Skills',
+    'JavaScript, Node.js, PostgreSQL, Kubernetes, Terraform',
+  ].join('\n');
+}
+
+test('short text is returned unchanged', () => {
+  const text = longResume(1);
+  assert.strictEqual(compactBySection(text, text.length + 10), text);
+});
+
+test('long prose resumes keep education, skills and contact details', () => {
+  const text = longResume(9);
+  assert.ok(text.length > 15000, `fixture is ${text.length} characters`);
+  const out = compactBySection(text, 15000);
+  assert.ok(out.length <= 15000, `compacted to ${out.length} characters`);
+  for (const kept of ['jane@example.com', 'Education', 'BSc Computer Science, State University', 'Skills', 'JavaScript, Node.js']) {
+    assert.ok(out.includes(kept), `"${kept}" was dropped`);
+  }
+});
+
+test('job descriptions are shortened before any job is dropped, newest jobs first', () => {
+  const out = compactBySection(longResume(9), 15000);
+  for (let i = 1; i <= 9; i++) assert.ok(out.includes(`Senior Engineer ${i} | Company ${i}`), `job ${i} was dropped`);
+  const lastJob = out.slice(out.indexOf('Senior Engineer 9'), out.indexOf('Education'));
+  assert.ok(lastJob.includes('Led a team'), 'the last job lost its description');
+});
+
+test('under a tight budget the oldest jobs go, never the sections after experience', () => {
+  const out = compactBySection(longResume(9), 3000);
+  assert.ok(out.length <= 3000, `compacted to ${out.length} characters`);
+  assert.ok(out.includes('Senior Engineer 1 | Company 1'), 'the most recent job was dropped');
+  assert.ok(!out.includes('Senior Engineer 9 | Company 9'), 'the oldest job was kept over newer ones');
+  for (const kept of ['jane@example.com', 'BSc Computer Science, State University', 'JavaScript, Node.js']) {
+    assert.ok(out.includes(kept), `"${kept}" was dropped`);
+  }
+});
+
+test('lines are never cut mid-word', () => {
+  const out = cleanResumeData(longResume(9), { maxLength: 6000 });
+  for (const line of out.split('\n')) assert.ok(/[\w.…)%]$/.test(line) || !line, `odd line ending: "${line.slice(-30)}"`);
+});
+
+test('page numbers are dropped at page edges only', () => {
+  const pages = [
+    ['Jane Doe', 'Skills', 'Go', '3', 'Rust', '- 4 -', 'Docker', 'Kubernetes', '1'],
+    ['Page 2 of 2', 'Experience', 'Acme Corp', '2019 - 2021', '12', 'Led the platform team', '2 / 2'],
+  ].map((lines) => lines.join('\n')).join('\f');
+  assert.strictEqual(cleanResumeData(pages, { maxLength: 0 }),
+    'Jane Doe\nSkills\nGo\n3\nRust\n- 4 -\nDocker\nKubernetes\nExperience\nAcme Corp\n2019 - 2021\n12\nLed the platform team');
+});
+
+test('running headers repeated on every page are kept once', () => {
+  const page = (body, n) => ['Jane Doe · Resume', ...body, `Page ${n}`].join('\n');
+  const text = [page(['Experience', 'Acme Corp'], 1), page(['Globex'], 2), page(['Education', 'State University'], 3)].join('\f');
+  assert.strictEqual(cleanResumeData(text, { maxLength: 0 }), 'Jane Doe · Resume\nExperience\nAcme Corp\nGlobex\nEducation\nState University');
+});
+
+test('words split at a line-end hyphen are joined, compounds keep their hyphen', () => {
+  const text = 'Worked full-\ntime on end-\nto-end tests as a self-\nstarter.\nLed develop-\nment of the state-\nment service.\nBuilt soft-\nware for a data-\ndriven team.';
+  assert.strictEqual(cleanResumeData(text, { maxLength: 0 }),
+    'Worked full-time on end-to-end tests as a self-starter.\nLed development of the statement service.\nBuilt software for a data-driven team.');
+  assert.strictEqual(cleanResumeData('A well-known name, well-\nknown to all.', { maxLength: 0 }), 'A well-known name, well-known to all.');
+  assert.strictEqual(cleanResumeData('Cross-\nplatform and crossplatform.', { maxLength: 0 }), 'Crossplatform and crossplatform.');
+});
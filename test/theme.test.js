@@ -0,0 +1,55 @@
+// test/theme.test.js - Themes fill in the template's defaults and answer 400 for anything unknown
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTheme, themeFromRequest, themeOf, defaultTheme } = require('../lib/theme');
+
+test('missing fields come from the base template, a partial order keeps the rest', () => {
+  const theme = parseTheme({ template: 'tech', primary: '#ABC', order: ['projects', 'work'], hidden: ['contact', 'gallery'] });
+  assert.deepStrictEqual(theme, {
+    ...defaultTheme('tech'),
+    primary: '#aabbcc',
+    order: ['projects', 'work', 'about', 'gallery', 'skills', 'education', 'contact'],
+    hidden: ['gallery', 'contact'],
+  });
+});
+
+test('unknown values answer 400, listing every problem', () => {
+  const input = { template: 'fancy', primary: 'blue', fonts: 'comic-sans', mode: 'sepia', density: 'tight', order: ['work', 'hobbies'], hidden: 'contact', glow: true };
+  assert.throws(() => parseTheme(input), (err) => {
+    assert.strictEqual(err.status, 400);
+    assert.deepStrictEqual(err.details, [
+      'Unknown theme option "glow"',
+      'theme.template must be one of modern, creative, professional, tech, minimal',
+      'theme.primary must be a hex colour like #4f46e5',
+      'theme.fonts must be one of inter, playfair-source, merriweather-source, syne-grotesk, mono, system',
+      'theme.mode must be one of light, dark, auto',
+      'theme.density must be one of compact, comfortable, spacious',
+      'theme.order has unknown section(s) "hobbies"; use about, work, projects, gallery, skills, education, contact',
+      'theme.hidden must be a list of sections (about, work, projects, gallery, skills, education, contact)',
+    ]);
+    return true;
+  });
+  assert.throws(() => parseTheme({ order: ['work', 'work'] }), { status: 400, message: /lists a section more than once/ });
+});
+
+test('a theme must be an object or a JSON string of one', () => {
+  assert.strictEqual(parseTheme('{"mode":"dark"}').mode, 'dark');
+  assert.throws(() => parseTheme('modern'), { status: 400, message: 'theme is not valid JSON.' });
+  assert.throws(() => parseTheme('[]'), { status: 400, message: 'theme must be an object.' });
+  assert.throws(() => parseTheme(null), { status: 400 });
+});
+
+test('requests fall back from theme to template to the stored theme', () => {
+  assert.strictEqual(themeFromRequest({ theme: '{"mode":"dark"}', template: 'minimal' }).template, 'minimal');
+  assert.strictEqual(themeFromRequest({ template: 'creative' }).template, 'creative');
+  assert.throws(() => themeFromRequest({ template: 'made-up' }), { status: 400 });
+  const stored = defaultTheme('professional');
+  assert.strictEqual(themeFromRequest({}, stored), stored);
+  assert.deepStrictEqual(themeFromRequest({ template: '' }), defaultTheme());
+});
+
+test('stored rows from before themes map to their template\'s defaults', () => {
+  assert.deepStrictEqual(themeOf({ template: 'tech' }), defaultTheme('tech'));
+  assert.deepStrictEqual(themeOf({ template: 'a dark page with neon accents' }), defaultTheme());
+  assert.deepStrictEqual(themeOf({ theme: { template: 'minimal', mode: 'dark' } }), { ...defaultTheme('minimal'), mode: 'dark' });
+});